@@ -6,6 +6,7 @@
 // under the terms of the MIT License; see LICENSE file for more details.
 
 import axios from 'axios';
+import { DepositErrorHandler } from './DepositErrorHandler';
 
 const CancelToken = axios.CancelToken;
 const apiConfig = {
@@ -15,6 +16,13 @@ const apiConfig = {
 };
 const axiosWithConfig = axios.create(apiConfig);
 
+const getCookie = (name) => {
+  const cookie = document.cookie
+    .split('; ')
+    .find((cookie) => cookie.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.split('=')[1]) : null;
+};
+
 /**
  * API client response.
  */
@@ -40,7 +48,7 @@ export class DepositApiClient {
     throw new Error('Not implemented.');
   }
 
-  async publishDraft(draftLinks) {
+  async publishDraft(draftLinks, draft) {
     throw new Error('Not implemented.');
   }
 
@@ -64,7 +72,7 @@ export class DepositApiClient {
     throw new Error('Not implemented.');
   }
 
-  async submitReview(draftLinks) {
+  async submitReview(draftLinks, draft) {
     throw new Error('Not implemented.');
   }
 }
@@ -73,28 +81,56 @@ export class DepositApiClient {
  * API Client for deposits.
  */
 export class RDMDepositApiClient extends DepositApiClient {
-  constructor(createDraftURL, recordSerializer) {
+  constructor(createDraftURL, recordSerializer, errorHandler = null) {
     super();
     this.createDraftURL = createDraftURL;
     this.recordSerializer = recordSerializer;
+    this.errorHandler =
+      errorHandler || new DepositErrorHandler(recordSerializer);
+    // the revision of each draft last returned by the server
+    this.etags = {};
+  }
+
+  /**
+   * Returns the header sending the revision of the draft the changes are
+   * based on, so that the server refuses them if the draft was changed
+   * elsewhere since then.
+   *
+   * @param {object} draft - the draft in frontend format
+   */
+  _ifMatchHeader(draft) {
+    const etag =
+      this.etags[draft.id] ||
+      (draft.revision_id !== undefined && `"${draft.revision_id}"`);
+    return etag ? { 'If-Match': etag } : {};
   }
 
-  async _createResponse(axiosRequest) {
+  /**
+   * Calls the API and deserializes the response.
+   *
+   * @param {function} axiosRequest - the API call
+   * @param {object} draft - the draft in frontend format, which the errors of
+   *   a failed call are displayed on
+   * @throws {DepositApiError} the typed error of a failed call
+   */
+  async _createResponse(axiosRequest, draft = {}) {
+    let response;
     try {
-      const response = await axiosRequest();
-      const data = this.recordSerializer.deserialize(response.data || {});
-      const errors = this.recordSerializer.deserializeErrors(
-        response.data.errors || []
-      );
-      return new DepositApiClientResponse(data, errors);
+      response = await axiosRequest();
     } catch (error) {
-      const data = this.recordSerializer.deserialize(error.response.data || {});
-      const errors = this.recordSerializer.deserializeErrors(
-        error.response.data.errors || []
-      );
-      const wrapped = new DepositApiClientResponse(data, errors);
-      throw new Error(wrapped);
+      throw this.errorHandler.toDepositError(error, draft);
+    }
+    const data = this.recordSerializer.deserialize(response.data || {});
+    if (data.id && data.revision_id !== undefined) {
+      this.etags[data.id] =
+        response.headers?.etag || `"${response.data.revision_id}"`;
     }
+    // the form displays the returned draft
+    const errors = this.recordSerializer.deserializeErrors(
+      response.data.errors || [],
+      data
+    );
+    return new DepositApiClientResponse(data, errors);
   }
 
   /**
@@ -104,13 +140,15 @@ export class RDMDepositApiClient extends DepositApiClient {
    */
   async createDraft(draft) {
     const payload = this.recordSerializer.serialize(draft);
-    return this._createResponse(() =>
-      axiosWithConfig.post(this.createDraftURL, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          Accept: 'application/vnd.inveniordm.v1+json',
-        },
-      })
+    return this._createResponse(
+      () =>
+        axiosWithConfig.post(this.createDraftURL, payload, {
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/vnd.inveniordm.v1+json',
+          },
+        }),
+      draft
     );
   }
 
@@ -131,19 +169,23 @@ export class RDMDepositApiClient extends DepositApiClient {
   }
 
   /**
-   * Calls the API to save a pre-existing draft.
+   * Calls the API to save a pre-existing draft. The save fails with a
+   * `DepositConflictError` when the draft was changed elsewhere.
    *
    * @param {object} draft - the draft payload
    */
   async saveDraft(draft, draftLinks) {
     const payload = this.recordSerializer.serialize(draft);
-    return this._createResponse(() =>
-      axiosWithConfig.put(draftLinks.self, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          Accept: 'application/vnd.inveniordm.v1+json',
-        },
-      })
+    return this._createResponse(
+      () =>
+        axiosWithConfig.put(draftLinks.self, payload, {
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/vnd.inveniordm.v1+json',
+            ...this._ifMatchHeader(draft),
+          },
+        }),
+      draft
     );
   }
 
@@ -151,16 +193,19 @@ export class RDMDepositApiClient extends DepositApiClient {
    * Publishes the draft by calling its publish link.
    *
    * @param {string} draftLinks - the URL to publish the draft
+   * @param {object} draft - the published draft, in frontend format
    */
-  async publishDraft(draftLinks) {
-    return this._createResponse(() =>
-      axiosWithConfig.post(
-        draftLinks.publish,
-        {},
-        {
-          headers: { 'Content-Type': 'application/json' },
-        }
-      )
+  async publishDraft(draftLinks, draft) {
+    return this._createResponse(
+      () =>
+        axiosWithConfig.post(
+          draftLinks.publish,
+          {},
+          {
+            headers: { 'Content-Type': 'application/json' },
+          }
+        ),
+      draft
     );
   }
 
@@ -261,16 +306,19 @@ export class RDMDepositApiClient extends DepositApiClient {
    * Submits the draft for review by calling its submit-review link.
    *
    * @param {object} draftLinks - the draft links object
+   * @param {object} draft - the submitted draft, in frontend format
    */
-  async submitReview(draftLinks) {
-    return this._createResponse(() =>
-      axiosWithConfig.post(
-        draftLinks['submit-review'],
-        {},
-        {
-          headers: { 'Content-Type': 'application/json' },
-        }
-      )
+  async submitReview(draftLinks, draft) {
+    return this._createResponse(
+      () =>
+        axiosWithConfig.post(
+          draftLinks['submit-review'],
+          {},
+          {
+            headers: { 'Content-Type': 'application/json' },
+          }
+        ),
+      draft
     );
   }
 }
@@ -290,6 +338,22 @@ export class DepositFileApiClient {
     return axios.isCancel(error);
   }
 
+  /**
+   * Returns true when the failed request is worth retrying: network errors
+   * and responses with one of the given HTTP status codes.
+   *
+   * @param {Error} error - the error of the failed request
+   * @param {Array<number>} retryableStatusCodes - HTTP status codes to retry
+   */
+  isRetryable(error, retryableStatusCodes) {
+    if (error.response) {
+      return retryableStatusCodes.includes(error.response.status);
+    }
+    // the request was sent but no response was received, cancelled requests
+    // are not retryable as they have no `request`
+    return Boolean(error.request);
+  }
+
   initializeFileUpload(initializeUploadUrl, filename) {
     throw new Error('Not implemented.');
   }
@@ -298,13 +362,61 @@ export class DepositFileApiClient {
     throw new Error('Not implemented.');
   }
 
+  initializeMultipartFileUpload(initializeUploadUrl, file, partSize) {
+    throw new Error('Not implemented.');
+  }
+
+  uploadFilePart(partUrl, blob, onUploadProgress, cancel) {
+    throw new Error('Not implemented.');
+  }
+
   finalizeFileUpload(finalizeUploadUrl) {
     throw new Error('Not implemented.');
   }
 
+  listFiles(draftLinks) {
+    throw new Error('Not implemented.');
+  }
+
+  getParentRecordFiles(draftLinks) {
+    throw new Error('Not implemented.');
+  }
+
+  getRemoteFileInfo(url) {
+    throw new Error('Not implemented.');
+  }
+
+  fetchRemoteFile(url, onDownloadProgress, cancel) {
+    throw new Error('Not implemented.');
+  }
+
+  initializeRemoteFileFetch(initializeUploadUrl, filename, url) {
+    throw new Error('Not implemented.');
+  }
+
   deleteFile(fileLinks) {
     throw new Error('Not implemented.');
   }
+
+  deleteFileOnUnload(fileLinks) {
+    throw new Error('Not implemented.');
+  }
+
+  renameFile(fileLinks, newFilename) {
+    throw new Error('Not implemented.');
+  }
+
+  replaceFileContent(fileLinks, file, onUploadProgress, cancel) {
+    throw new Error('Not implemented.');
+  }
+
+  updateFileMetadata(fileLinks, metadata) {
+    throw new Error('Not implemented.');
+  }
+
+  readFileContent(fileLinks, maxBytes) {
+    throw new Error('Not implemented.');
+  }
 }
 
 /**
@@ -324,6 +436,16 @@ export class RDMDepositFileApiClient extends DepositFileApiClient {
     });
   }
 
+  /**
+   * Uploads the file in one request. Progress is reported as a percentage
+   * and in bytes.
+   *
+   * @param {string} uploadUrl - the content URL of the file
+   * @param {File} file - the file to upload
+   * @param {function} onUploadProgressFn - called with the uploaded
+   *   percentage and bytes
+   * @param {function} cancelFn - called with the function cancelling the request
+   */
   uploadFile(uploadUrl, file, onUploadProgressFn, cancelFn) {
     return axiosWithConfig.put(uploadUrl, file, {
       headers: {
@@ -331,7 +453,55 @@ export class RDMDepositFileApiClient extends DepositFileApiClient {
       },
       onUploadProgress: (event) => {
         const percent = Math.floor((event.loaded / event.total) * 100);
-        onUploadProgressFn && onUploadProgressFn(percent);
+        onUploadProgressFn && onUploadProgressFn(percent, event.loaded);
+      },
+      cancelToken: new CancelToken(cancelFn),
+    });
+  }
+
+  /**
+   * Initializes the upload of a file in parts of `partSize` bytes.
+   * The initialized file contains the URL of each part in `links.parts`.
+   *
+   * @param {string} initializeUploadUrl - the draft files URL
+   * @param {File} file - the file to upload
+   * @param {number} partSize - the size of each part, in bytes
+   */
+  initializeMultipartFileUpload(initializeUploadUrl, file, partSize) {
+    const payload = [
+      {
+        key: file.name,
+        size: file.size,
+        transfer: {
+          type: 'M',
+          parts: Math.ceil(file.size / partSize),
+          part_size: partSize,
+        },
+      },
+    ];
+    return axiosWithConfig.post(initializeUploadUrl, payload, {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  }
+
+  /**
+   * Uploads one part of a file. Progress is reported in bytes, so that it can
+   * be aggregated across parts.
+   *
+   * @param {string} partUrl - the URL of the part
+   * @param {Blob} blob - the content of the part
+   * @param {function} onUploadProgressFn - called with the uploaded bytes
+   * @param {function} cancelFn - called with the function cancelling the request
+   */
+  uploadFilePart(partUrl, blob, onUploadProgressFn, cancelFn) {
+    return axiosWithConfig.put(partUrl, blob, {
+      headers: {
+        'content-type': 'application/octet-stream',
+      },
+      onUploadProgress: (event) => {
+        onUploadProgressFn && onUploadProgressFn(event.loaded);
       },
       cancelToken: new CancelToken(cancelFn),
     });
@@ -349,6 +519,17 @@ export class RDMDepositFileApiClient extends DepositFileApiClient {
     );
   }
 
+  /**
+   * Lists the files of the latest published version, the ones which would be
+   * imported in the draft of a new version.
+   *
+   * @param {object} draftLinks - the links of the draft
+   */
+  async getParentRecordFiles(draftLinks) {
+    const response = await axiosWithConfig.get(draftLinks.latest);
+    return await axiosWithConfig.get(response.data.links.files);
+  }
+
   importParentRecordFiles(draftLinks) {
     const link = `${draftLinks.self}/actions/files-import`;
     return axiosWithConfig.post(
@@ -362,7 +543,150 @@ export class RDMDepositFileApiClient extends DepositFileApiClient {
     );
   }
 
+  /**
+   * Lists the files of the draft, with the ones still being uploaded.
+   *
+   * @param {object} draftLinks - the links of the draft
+   */
+  listFiles(draftLinks) {
+    return axiosWithConfig.get(draftLinks.files);
+  }
+
+  /**
+   * Requests the headers of a remote file, to know its size and type before
+   * fetching it. Credentials are not sent to other sites.
+   *
+   * @param {string} url - the URL of the remote file
+   */
+  getRemoteFileInfo(url) {
+    return axios.head(url);
+  }
+
+  /**
+   * Downloads a remote file through the browser, to upload it as a local one.
+   * The remote site has to allow it (CORS).
+   *
+   * @param {string} url - the URL of the remote file
+   * @param {function} onDownloadProgressFn - called with the downloaded
+   *   percentage, `null` when the size is unknown, and bytes
+   * @param {function} cancelFn - called with the function cancelling the request
+   */
+  fetchRemoteFile(url, onDownloadProgressFn, cancelFn) {
+    return axios.get(url, {
+      responseType: 'blob',
+      onDownloadProgress: (event) => {
+        const percent = event.total
+          ? Math.floor((event.loaded / event.total) * 100)
+          : null;
+        onDownloadProgressFn && onDownloadProgressFn(percent, event.loaded);
+      },
+      cancelToken: new CancelToken(cancelFn),
+    });
+  }
+
+  /**
+   * Initializes a file fetched from a remote URL by the backend.
+   *
+   * @param {string} initializeUploadUrl - the draft files URL
+   * @param {string} filename - the name of the file in the draft
+   * @param {string} url - the URL of the remote file
+   */
+  initializeRemoteFileFetch(initializeUploadUrl, filename, url) {
+    const payload = [{ key: filename, transfer: { type: 'F', url: url } }];
+    return axiosWithConfig.post(initializeUploadUrl, payload, {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  }
+
   deleteFile(fileLinks) {
     return axiosWithConfig.delete(fileLinks.self);
   }
+
+  /**
+   * Deletes a file while the page is unloaded, with a request outliving the
+   * page. `navigator.sendBeacon` cannot be used as it only sends POST requests.
+   *
+   * @param {object} fileLinks - the links of the file
+   */
+  deleteFileOnUnload(fileLinks) {
+    const csrfToken = getCookie(apiConfig.xsrfCookieName);
+    return fetch(fileLinks.self, {
+      method: 'DELETE',
+      keepalive: true,
+      credentials: 'include',
+      headers: csrfToken ? { [apiConfig.xsrfHeaderName]: csrfToken } : {},
+    });
+  }
+
+  /**
+   * Changes the key of a stored file, keeping its content.
+   *
+   * @param {object} fileLinks - the links of the file
+   * @param {string} newFilename - the new key of the file
+   */
+  renameFile(fileLinks, newFilename) {
+    return axiosWithConfig.put(
+      fileLinks.self,
+      { key: newFilename },
+      {
+        headers: {
+          'content-type': 'application/json',
+        },
+      }
+    );
+  }
+
+  /**
+   * Updates the metadata of a stored file, e.g. its description.
+   *
+   * @param {object} fileLinks - the links of the file
+   * @param {object} metadata - the new metadata of the file
+   */
+  updateFileMetadata(fileLinks, metadata) {
+    return axiosWithConfig.put(
+      fileLinks.self,
+      { metadata: metadata },
+      {
+        headers: {
+          'content-type': 'application/json',
+        },
+      }
+    );
+  }
+
+  /**
+   * Uploads new content for a stored file. The file has to be committed
+   * again with `finalizeFileUpload`.
+   *
+   * @param {object} fileLinks - the links of the file
+   * @param {File} file - the new content
+   * @param {function} onUploadProgressFn - called with the uploaded
+   *   percentage and bytes
+   * @param {function} cancelFn - called with the function cancelling the request
+   */
+  replaceFileContent(fileLinks, file, onUploadProgressFn, cancelFn) {
+    return this.uploadFile(
+      fileLinks.content,
+      file,
+      onUploadProgressFn,
+      cancelFn
+    );
+  }
+
+  /**
+   * Reads the beginning of a stored file as text, e.g. to preview it.
+   *
+   * @param {object} fileLinks - the links of the file
+   * @param {number} maxBytes - the number of bytes to read
+   */
+  readFileContent(fileLinks, maxBytes) {
+    return axiosWithConfig.get(fileLinks.content, {
+      headers: { Range: `bytes=0-${maxBytes - 1}` },
+      responseType: 'text',
+      // JSON files must not be parsed
+      transformResponse: (data) => data,
+    });
+  }
 }
@@ -0,0 +1,59 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import axios from 'axios';
+import { RDMDepositApiClient } from './DepositApiClient';
+import { DepositConflictError } from './DepositErrorHandler';
+
+jest.mock('axios', () => {
+  const client = { get: jest.fn(), post: jest.fn(), put: jest.fn() };
+  return { create: () => client };
+});
+
+describe('RDMDepositApiClient tests', () => {
+  const client = axios.create();
+  // the drafts are sent and received as they are
+  const recordSerializer = {
+    serialize: (draft) => draft,
+    deserialize: (draft) => draft,
+    deserializeErrors: () => ({}),
+  };
+  const draftLinks = { self: '/api/records/abcd-1234/draft' };
+  const draft = { id: 'abcd-1234', revision_id: 2, links: draftLinks };
+  let apiClient;
+
+  beforeEach(() => {
+    client.put.mockReset();
+    apiClient = new RDMDepositApiClient('/api/records', recordSerializer);
+  });
+
+  it('it should send the revision the changes are based on', async () => {
+    client.put.mockResolvedValue({
+      data: { ...draft, revision_id: 3 },
+      headers: { etag: '"3"' },
+    });
+
+    await apiClient.saveDraft(draft, draftLinks);
+    await apiClient.saveDraft(draft, draftLinks);
+
+    const ifMatchHeaders = client.put.mock.calls.map(
+      ([url, payload, options]) => options.headers['If-Match']
+    );
+    // the revision returned by the server is sent next
+    expect(ifMatchHeaders).toEqual(['"2"', '"3"']);
+  });
+
+  it('it should fail with a conflict when the draft changed elsewhere', async () => {
+    const error = new Error('Request failed with status code 412');
+    error.response = { status: 412, data: {} };
+    client.put.mockRejectedValue(error);
+
+    await expect(apiClient.saveDraft(draft, draftLinks)).rejects.toBeInstanceOf(
+      DepositConflictError
+    );
+  });
+});
@@ -5,14 +5,25 @@
 // React-Invenio-Deposit is free software; you can redistribute it and/or modify it
 // under the terms of the MIT License; see LICENSE file for more details.
 
+import _isEmpty from 'lodash/isEmpty';
 import React, { Component } from 'react';
 import { BaseForm } from 'react-invenio-forms';
 import { connect } from 'react-redux';
+import { AutoSave } from './components/AutoSave';
+import { DraftConflictModal } from './components/DraftConflictModal';
+import { FilesSync } from './components/FilesSync';
+import { LiveValidation } from './components/LiveValidation';
+import { LocalDraftCopy } from './components/LocalDraftCopy';
+import {
+  DepositFormNavigationContext,
+  DepositFormNavigator,
+} from './DepositFormNavigationContext';
 import {
   DepositFormSubmitActions,
   DepositFormSubmitContext,
 } from './DepositFormSubmitContext';
 import {
+  abortUploadsOnUnload,
   delete_,
   discardPID,
   preview,
@@ -20,11 +31,13 @@ import {
   reservePID,
   save,
   submitReview,
+  validateDraft,
 } from './state/actions';
 import { scrollTop } from './utils';
 
 class DepositBootstrapComponent extends Component {
   submitContext = undefined;
+  formNavigator = new DepositFormNavigator();
 
   componentDidMount() {
     window.addEventListener('beforeunload', (e) => {
@@ -33,10 +46,11 @@ class DepositBootstrapComponent extends Component {
         return '';
       }
     });
-    window.addEventListener('unload', async (e) => {
-      // TODO: cancel all uploads
-      // Investigate if it's possible to wait for the deletion request to complete
-      // before unloading the page
+    // unlike `unload`, `pagehide` is fired reliably, e.g. on mobile, and
+    // does not prevent the page from being cached
+    window.addEventListener('pagehide', (e) => {
+      // the page cannot wait for the requests, the cleanup is best-effort
+      this.props.abortUploadsOnUnload();
     });
   }
 
@@ -56,8 +70,14 @@ class DepositBootstrapComponent extends Component {
       deleteAction,
       reservePIDAction,
       discardPIDAction,
+      validateAction,
     } = this.props;
     const { actionName, extra } = this.submitContext;
+    // the draft is validated in the browser before being sent for good
+    const shouldValidate = [
+      DepositFormSubmitActions.PUBLISH,
+      DepositFormSubmitActions.SUBMIT_REVIEW,
+    ].includes(actionName);
 
     let actionFunc = undefined;
     const params = {};
@@ -91,10 +111,13 @@ class DepositBootstrapComponent extends Component {
     }
 
     try {
+      if (shouldValidate) {
+        await validateAction(values);
+      }
       await actionFunc(values, params);
     } catch (error) {
       // make sure the error contains form errors, and not global errors.
-      if (error && error.errors) {
+      if (!_isEmpty(error?.errors)) {
         formikBag.setErrors(error.errors);
       } else {
         // scroll top to show the global error
@@ -111,16 +134,35 @@ class DepositBootstrapComponent extends Component {
       <DepositFormSubmitContext.Provider
         value={{ setSubmitContext: this.setSubmitContext }}
       >
-        <BaseForm
-          onSubmit={this.onFormSubmit}
-          formik={{
-            enableReinitialize: true, // Needed for files
-            initialValues: this.props.record,
-            ...(this.props.errors && { initialErrors: this.props.errors }), // Needed because of enableReinitialize
-          }}
-        >
-          {this.props.children}
-        </BaseForm>
+        <DepositFormNavigationContext.Provider value={this.formNavigator}>
+          {/* the keys pressed in the modals of the form are handled too */}
+          <div onKeyDown={this.formNavigator.handleKeyDown}>
+            <BaseForm
+              onSubmit={this.onFormSubmit}
+              formik={{
+                enableReinitialize: true, // Needed for files
+                // the merged draft of a conflict is shown until it is saved
+                initialValues: this.props.mergedRecord || this.props.record,
+                ...(this.props.errors && { initialErrors: this.props.errors }), // Needed because of enableReinitialize
+                // without schema, the validation of Formik would clear the
+                // errors which are validated live
+                ...(this.props.validateOnBlur && {
+                  validateOnBlur: false,
+                  validateOnChange: false,
+                }),
+              }}
+            >
+              {this.props.autosave && (
+                <AutoSave delay={this.props.autosaveDelay} />
+              )}
+              {this.props.persistDraftLocally && <LocalDraftCopy />}
+              {this.props.validateOnBlur && <LiveValidation />}
+              <FilesSync interval={this.props.filesRefreshInterval} />
+              <DraftConflictModal />
+              {this.props.children}
+            </BaseForm>
+          </div>
+        </DepositFormNavigationContext.Provider>
       </DepositFormSubmitContext.Provider>
     );
   }
@@ -130,6 +172,7 @@ const mapStateToProps = (state) => {
   const { isFileUploadInProgress, ...files } = state.files;
   return {
     record: state.deposit.record,
+    mergedRecord: state.deposit.mergedRecord,
     errors: state.deposit.errors,
     formState: state.deposit.formState,
     fileUploadOngoing: isFileUploadInProgress,
@@ -148,6 +191,8 @@ const mapDispatchToProps = (dispatch) => ({
     dispatch(reservePID(values, { pidType })),
   discardPIDAction: (values, { pidType }) =>
     dispatch(discardPID(values, { pidType })),
+  abortUploadsOnUnload: () => dispatch(abortUploadsOnUnload()),
+  validateAction: (values) => dispatch(validateDraft(values)),
 });
 
 export const DepositBootstrap = connect(
@@ -0,0 +1,128 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+// Key used for drafts that have not been created in the backend yet, followed
+// by the id of the tab
+const NEW_DRAFT_KEY = 'new';
+
+/**
+ * Abstract class for the local (browser) storage of the draft working copy.
+ * @constructor
+ * @abstract
+ */
+export class DepositDraftStorage {
+  constructor() {
+    if (this.constructor === DepositDraftStorage) {
+      throw new Error('Abstract');
+    }
+  }
+
+  load(draftId) {
+    throw new Error('Not implemented.');
+  }
+
+  save(draftId, values, revisionId) {
+    throw new Error('Not implemented.');
+  }
+
+  clear(draftId) {
+    throw new Error('Not implemented.');
+  }
+}
+
+/**
+ * Stores the draft working copy in the browser `localStorage`.
+ *
+ * The drafts not created yet are stored under a key of their tab, so that
+ * the new deposits of different tabs do not share their local copy. The id
+ * of the tab is kept in its `sessionStorage`, so that the local copy is
+ * found again when the tab is reloaded or restored after a crash.
+ */
+export class RDMDepositDraftLocalStorage extends DepositDraftStorage {
+  constructor(
+    storage = window.localStorage,
+    keyPrefix = 'invenio-deposit',
+    sessionStorage = window.sessionStorage
+  ) {
+    super();
+    this.storage = storage;
+    this.keyPrefix = keyPrefix;
+    this.sessionStorage = sessionStorage;
+  }
+
+  /**
+   * Returns the id of the tab, generated the first time it is needed.
+   */
+  _tabId() {
+    const tabKey = `${this.keyPrefix}:tab`;
+    let tabId = this.sessionStorage.getItem(tabKey);
+    if (!tabId) {
+      tabId = `${Date.now().toString(36)}${Math.random()
+        .toString(36)
+        .slice(2)}`;
+      this.sessionStorage.setItem(tabKey, tabId);
+    }
+    return tabId;
+  }
+
+  _key(draftId) {
+    return `${this.keyPrefix}:draft:${
+      draftId || `${NEW_DRAFT_KEY}:${this._tabId()}`
+    }`;
+  }
+
+  /**
+   * Returns the local copy of the draft, if any.
+   *
+   * @param {string} draftId - the draft id, `undefined` for new drafts
+   * @returns {object} `{ values, savedAt, revisionId }` or null
+   */
+  load(draftId) {
+    try {
+      return JSON.parse(this.storage.getItem(this._key(draftId)));
+    } catch (error) {
+      // corrupted or inaccessible storage: there is nothing to recover
+      return null;
+    }
+  }
+
+  /**
+   * Stores the draft values, overwriting the previous local copy.
+   *
+   * @param {string} draftId - the draft id, `undefined` for new drafts
+   * @param {object} values - the draft in frontend format
+   * @param {number} revisionId - the revision of the draft persisted in the
+   *   backend the values are based on, `undefined` for new drafts
+   */
+  save(draftId, values, revisionId) {
+    try {
+      this.storage.setItem(
+        this._key(draftId),
+        JSON.stringify({
+          values: values,
+          savedAt: new Date().toISOString(),
+          revisionId: revisionId,
+        })
+      );
+    } catch (error) {
+      // quota exceeded or storage disabled: the local copy is best-effort
+    }
+  }
+
+  /**
+   * Removes the local copy of the draft.
+   *
+   * @param {string} draftId - the draft id, `undefined` for new drafts
+   */
+  clear(draftId) {
+    try {
+      this.storage.removeItem(this._key(draftId));
+    } catch (error) {
+      // storage disabled, nothing stored
+    }
+  }
+}
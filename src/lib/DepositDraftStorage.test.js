@@ -0,0 +1,90 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { RDMDepositDraftLocalStorage } from './DepositDraftStorage';
+
+describe('RDMDepositDraftLocalStorage tests', () => {
+  const draftStorage = new RDMDepositDraftLocalStorage(window.localStorage);
+  const values = { metadata: { title: 'A title' } };
+
+  afterEach(() => {
+    window.localStorage.clear();
+    window.sessionStorage.clear();
+  });
+
+  it('stores and loads the local copy of a draft', () => {
+    draftStorage.save('abcd-1234', values);
+
+    const localCopy = draftStorage.load('abcd-1234');
+
+    expect(localCopy.values).toEqual(values);
+    expect(localCopy.savedAt).toBeDefined();
+    expect(draftStorage.load('efgh-5678')).toBeNull();
+  });
+
+  it('stores new drafts with a temporary key', () => {
+    draftStorage.save(undefined, values);
+
+    expect(draftStorage.load(undefined).values).toEqual(values);
+    expect(draftStorage.load('abcd-1234')).toBeNull();
+  });
+
+  it('keeps the new drafts of different tabs apart', () => {
+    draftStorage.save(undefined, values);
+
+    // the other tabs have their own session storage
+    const otherSessionStorage = {};
+    const otherTabStorage = new RDMDepositDraftLocalStorage(
+      window.localStorage,
+      'invenio-deposit',
+      {
+        getItem: (key) => otherSessionStorage[key] || null,
+        setItem: (key, value) => (otherSessionStorage[key] = value),
+      }
+    );
+    expect(otherTabStorage.load(undefined)).toBeNull();
+  });
+
+  it('keeps the new drafts in the local storage of the browser', () => {
+    draftStorage.save(undefined, values);
+
+    // e.g. the tab is restored after a crash
+    const restoredTabStorage = new RDMDepositDraftLocalStorage(
+      window.localStorage
+    );
+    expect(restoredTabStorage.load(undefined).values).toEqual(values);
+    expect(window.localStorage.length).toEqual(1);
+  });
+
+  it('stores the revision the local copy is based on', () => {
+    draftStorage.save('abcd-1234', values, 3);
+
+    expect(draftStorage.load('abcd-1234').revisionId).toEqual(3);
+  });
+
+  it('clears the local copy of a new draft', () => {
+    draftStorage.save(undefined, values);
+
+    draftStorage.clear(undefined);
+
+    expect(window.localStorage.length).toEqual(0);
+  });
+
+  it('clears the local copy of a draft', () => {
+    draftStorage.save('abcd-1234', values);
+
+    draftStorage.clear('abcd-1234');
+
+    expect(draftStorage.load('abcd-1234')).toBeNull();
+  });
+
+  it('ignores corrupted local copies', () => {
+    window.localStorage.setItem('invenio-deposit:draft:abcd-1234', '{');
+
+    expect(draftStorage.load('abcd-1234')).toBeNull();
+  });
+});
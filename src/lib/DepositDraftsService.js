@@ -20,7 +20,7 @@ export class DepositDraftsService {
   async save(draft) {
     throw new Error('Not implemented.');
   }
-  async publish(draftLinks) {
+  async publish(draftLinks, draft) {
     throw new Error('Not implemented.');
   }
   async delete(draftLinks) {
@@ -38,7 +38,7 @@ export class DepositDraftsService {
   async deleteReview(draftLinks) {
     throw new Error('Not implemented.');
   }
-  async submitReview(draftLinks) {
+  async submitReview(draftLinks, draft) {
     throw new Error('Not implemented.');
   }
 }
@@ -79,8 +79,8 @@ export class RDMDepositDraftsService extends DepositDraftsService {
   /**
    * Publishes the current draft (backend) and redirects to its view URL.
    */
-  async publish(draftLinks) {
-    return this.apiClient.publishDraft(draftLinks);
+  async publish(draftLinks, draft) {
+    return this.apiClient.publishDraft(draftLinks, draft);
   }
 
   /**
@@ -121,7 +121,7 @@ export class RDMDepositDraftsService extends DepositDraftsService {
   /**
    * Submits the draft for review.
    */
-  async submitReview(draftLinks) {
-    return this.apiClient.submitReview(draftLinks);
+  async submitReview(draftLinks, draft) {
+    return this.apiClient.submitReview(draftLinks, draft);
   }
 }
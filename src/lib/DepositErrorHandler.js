@@ -6,18 +6,120 @@
 // under the terms of the MIT License; see LICENSE file for more details.
 
 import _get from 'lodash/get';
-import _join from 'lodash/join';
 
+/**
+ * Base class of the errors of the API calls of the deposit.
+ *
+ * `type` tells the kind of failure, to report it to the user, and `errors`
+ * holds the errors of the fields of the form, in the shape of the form values.
+ */
+export class DepositApiError extends Error {
+  constructor(message, { status = null, errors = {} } = {}) {
+    super(message);
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * The server could not be reached, e.g. the user is offline.
+ */
+export class DepositNetworkError extends DepositApiError {
+  type = 'network';
+}
+
+/**
+ * The user is not allowed to do the action, e.g. the session has expired.
+ */
+export class DepositPermissionError extends DepositApiError {
+  type = 'permission';
+}
+
+/**
+ * The draft was rejected by the server, its field errors are in `errors`.
+ */
+export class DepositValidationError extends DepositApiError {
+  type = 'validation';
+}
+
+/**
+ * The draft was changed elsewhere since it was loaded.
+ */
+export class DepositConflictError extends DepositApiError {
+  type = 'conflict';
+}
+
+/**
+ * Any other failure of the server.
+ */
+export class DepositServerError extends DepositApiError {
+  type = 'server';
+}
+
+/**
+ * Turns the failures of the API calls into typed errors.
+ *
+ * Without record serializer, e.g. for the files API, the errors have no
+ * field errors.
+ */
 export class DepositErrorHandler {
+  constructor(recordSerializer = null) {
+    this.recordSerializer = recordSerializer;
+  }
+
+  /**
+   * Returns the errors of the fields of the record from the failed response.
+   *
+   * NOTE: the errors used to be returned flat, with the message of the
+   * response e.g. `{ message: '...', 'metadata.title': '...' }`. They are now
+   * in the shape of the form values, the message being the one of the error
+   * returned by `toDepositError`.
+   *
+   * @param {Error} error - the error of the failed request
+   * @param {object} record - the record in frontend format, which the errors
+   *   are displayed on
+   * @returns {object} the errors, in the shape of the form values
+   */
   extractErrors(error, record) {
+    if (!this.recordSerializer) {
+      return {};
+    }
     const backendErrors = _get(error, 'response.data.errors', []);
-    const backendErrorMessage = _get(error, 'response.data.message', '');
-    let frontendErrors = { message: backendErrorMessage };
-    for (const fieldError of backendErrors) {
-      const errorPath = _join([...fieldError.parents, fieldError.field], '.');
-      frontendErrors[errorPath] = fieldError.message;
+    return this.recordSerializer.deserializeErrors(backendErrors, record);
+  }
+
+  /**
+   * Returns the typed error of a failed request.
+   *
+   * @param {Error} error - the error of the failed request
+   * @param {object} record - the record in frontend format, which the errors
+   *   are displayed on
+   * @returns {DepositApiError}
+   */
+  toDepositError(error, record = {}) {
+    if (error instanceof DepositApiError) {
+      return error;
+    }
+    if (!error.response) {
+      // the request was not sent or no response was received
+      return new DepositNetworkError(error.message);
     }
 
-    return frontendErrors;
+    const status = error.response.status;
+    const message = _get(error, 'response.data.message') || error.message;
+    const errors = this.extractErrors(error, record);
+    switch (status) {
+      case 400:
+      case 422:
+        return new DepositValidationError(message, { status, errors });
+      case 401:
+      case 403:
+        return new DepositPermissionError(message, { status, errors });
+      case 409:
+      case 412:
+        return new DepositConflictError(message, { status, errors });
+      default:
+        return new DepositServerError(message, { status, errors });
+    }
   }
 }
@@ -0,0 +1,82 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import {
+  DepositConflictError,
+  DepositErrorHandler,
+  DepositNetworkError,
+  DepositPermissionError,
+  DepositServerError,
+  DepositValidationError,
+} from './DepositErrorHandler';
+import { RDMDepositRecordSerializer } from './DepositRecordSerializer';
+
+describe('DepositErrorHandler tests', () => {
+  const errorHandler = new DepositErrorHandler(
+    new RDMDepositRecordSerializer('en')
+  );
+  const responseError = (status, data = {}) => {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data };
+    return error;
+  };
+
+  it('types the errors by status code', () => {
+    [
+      [400, DepositValidationError, 'validation'],
+      [401, DepositPermissionError, 'permission'],
+      [403, DepositPermissionError, 'permission'],
+      [409, DepositConflictError, 'conflict'],
+      [412, DepositConflictError, 'conflict'],
+      [500, DepositServerError, 'server'],
+    ].forEach(([status, errorClass, type]) => {
+      const error = errorHandler.toDepositError(responseError(status));
+
+      expect(error).toBeInstanceOf(errorClass);
+      expect(error.type).toEqual(type);
+      expect(error.status).toEqual(status);
+    });
+  });
+
+  it('reports the requests without response as network errors', () => {
+    const requestError = new Error('Network Error');
+    requestError.request = {};
+
+    const error = errorHandler.toDepositError(requestError);
+
+    expect(error).toBeInstanceOf(DepositNetworkError);
+    expect(error.errors).toEqual({});
+  });
+
+  it('attaches the field errors to the record', () => {
+    const error = errorHandler.toDepositError(
+      responseError(400, {
+        message: 'A validation error occurred.',
+        errors: [{ field: 'metadata.title', messages: ['Missing data.'] }],
+      }),
+      { metadata: { title: '' } }
+    );
+
+    expect(error.message).toEqual('A validation error occurred.');
+    expect(error.errors).toEqual({ metadata: { title: 'Missing data.' } });
+  });
+
+  it('types the errors without field errors when there is no serializer', () => {
+    const filesErrorHandler = new DepositErrorHandler();
+
+    const error = filesErrorHandler.toDepositError(
+      responseError(403, {
+        message: 'Permission denied.',
+        errors: [{ field: 'key', messages: ['Invalid.'] }],
+      })
+    );
+
+    expect(error).toBeInstanceOf(DepositPermissionError);
+    expect(error.message).toEqual('Permission denied.');
+    expect(error.errors).toEqual({});
+  });
+});
@@ -8,11 +8,14 @@
 // Drives the business logic of the InvenioFormApp.
 // Defines what happens when a button is clicked.
 
-import { UploadState } from './state/reducers/files';
+import { computeChecksum, isChecksumSupported } from './checksum';
+import { isResumableUpload, UploadState } from './state/reducers/files';
 
 class UploaderQueue {
   currents = [];
   pending = [];
+  paused = [];
+  isPaused = false; // when paused, pending files are not started
 
   put(initializeUploadURL, file) {
     this.pending.push({
@@ -42,34 +45,181 @@ class UploaderQueue {
       this.currents.splice(index, 1);
     }
   }
+
+  pausePending(filename) {
+    const index = this.pending.findIndex(({ file }) => file.name === filename);
+    if (index < 0) {
+      return false;
+    }
+    // remove from the pending and add it to the paused
+    this.paused.push(...this.pending.splice(index, 1));
+    return true;
+  }
+
+  markPaused(initializeUploadURL, file) {
+    this.markCompleted(file);
+    this.paused.push({
+      initializeUploadURL: initializeUploadURL,
+      file: file,
+    });
+  }
+
+  resume(filename) {
+    const index = this.paused.findIndex(({ file }) => file.name === filename);
+    if (index < 0) {
+      return false;
+    }
+    // remove from the paused and add it back to the pending
+    this.pending.push(...this.paused.splice(index, 1));
+    return true;
+  }
+
+  /**
+   * Removes a pending or paused file, returns true when found.
+   */
+  remove(filename) {
+    const isOtherFile = ({ file }) => file.name !== filename;
+    const count = this.pending.length + this.paused.length;
+    this.pending = this.pending.filter(isOtherFile);
+    this.paused = this.paused.filter(isOtherFile);
+    return this.pending.length + this.paused.length < count;
+  }
+
+  resumeAll() {
+    const resumed = this.paused;
+    this.paused = [];
+    this.pending.push(...resumed);
+    return resumed.map(({ file }) => file);
+  }
+}
+
+/**
+ * Keeps track of the parts already uploaded for multipart uploads, so that an
+ * interrupted upload can be resumed after a page reload.
+ */
+class MultipartUploadsStorage {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  _prefix(initializeUploadURL, filename) {
+    return `invenio-deposit:upload:${initializeUploadURL}:${filename}:`;
+  }
+
+  _key(initializeUploadURL, file) {
+    return `${this._prefix(initializeUploadURL, file.name)}${file.size}:${
+      file.lastModified
+    }`;
+  }
+
+  /**
+   * Returns the size and last modification of the file whose state is kept
+   * under this name, if any.
+   */
+  find(initializeUploadURL, filename) {
+    const prefix = this._prefix(initializeUploadURL, filename);
+    try {
+      for (let index = 0; index < this.storage.length; index++) {
+        const key = this.storage.key(index);
+        const fileInfo = key.startsWith(prefix)
+          ? key.slice(prefix.length).split(':')
+          : [];
+        // e.g. the state of `folder/file.txt` is not the one of `folder`
+        if (fileInfo.length === 2) {
+          return {
+            size: Number(fileInfo[0]),
+            lastModified: Number(fileInfo[1]),
+          };
+        }
+      }
+    } catch (error) {
+      // the storage is not available
+    }
+    return null;
+  }
+
+  load(initializeUploadURL, file) {
+    try {
+      return JSON.parse(
+        this.storage.getItem(this._key(initializeUploadURL, file))
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  save(initializeUploadURL, file, uploadState) {
+    try {
+      this.storage.setItem(
+        this._key(initializeUploadURL, file),
+        JSON.stringify(uploadState)
+      );
+    } catch (error) {
+      // the upload can still complete, it will just not be resumable
+    }
+  }
+
+  clear(initializeUploadURL, file) {
+    try {
+      this.storage.removeItem(this._key(initializeUploadURL, file));
+    } catch (error) {
+      // nothing was stored
+    }
+  }
 }
 
+class UploadCancelledError extends Error {}
+
 export class UploadProgressNotifier {
   constructor(dispatcher) {
     this.dispatcher = dispatcher;
   }
-  onUploadAdded(filename) {
+  onUploadAdded(filename, size) {
     throw new Error('Not implemented.');
   }
   onUploadStarted(filename, cancelFunc) {
     throw new Error('Not implemented.');
   }
-  onUploadProgress(filename, percent) {
+  onUploadProgress(filename, percent, uploadedBytes) {
     throw new Error('Not implemented.');
   }
-  onUploadCompleted(filename, size, checksum, links) {
+  // the retries are not reported by default
+  onUploadRetrying(filename, attempt) {}
+  onUploadCompleted(filename, size, checksum, links, file, isVerified) {
+    throw new Error('Not implemented.');
+  }
+  onUploadCorrupted(filename, size, checksum, links, file) {
     throw new Error('Not implemented.');
   }
   onUploadCancelled(filename) {
     throw new Error('Not implemented.');
   }
-  onUploadFailed(filename) {
+  onUploadPaused(filename) {
+    throw new Error('Not implemented.');
+  }
+  onUploadResumed(filename) {
+    throw new Error('Not implemented.');
+  }
+  onUploadFailed(filename, file) {
     throw new Error('Not implemented.');
   }
 }
 
+export const defaultUploadRetryPolicy = {
+  maxAttempts: 3,
+  initialDelay: 1000, // ms, doubled (`backoffFactor`) at each attempt
+  backoffFactor: 2,
+  maxDelay: 30000, // ms
+  retryableStatusCodes: [408, 429, 500, 502, 503, 504],
+};
+
 export class DepositFilesService {
-  constructor(fileApiClient, fileUploadConcurrency) {
+  constructor(
+    fileApiClient,
+    fileUploadConcurrency,
+    fileUploadChunkSize,
+    fileUploadRetryPolicy
+  ) {
     if (this.constructor === DepositFilesService) {
       throw new Error('Abstract');
     }
@@ -92,24 +242,124 @@ export class DepositFilesService {
     throw new Error('Not implemented.');
   }
 
+  async rename(fileLinks, newFilename) {
+    throw new Error('Not implemented.');
+  }
+
+  async replaceFileContent(fileLinks, file, initializeUploadURL) {
+    throw new Error('Not implemented.');
+  }
+
+  cancel(filename) {
+    throw new Error('Not implemented.');
+  }
+
+  cancelAll() {
+    throw new Error('Not implemented.');
+  }
+
+  abortOnUnload() {
+    throw new Error('Not implemented.');
+  }
+
+  // the interrupted uploads are not known by default
+  findInterruptedUpload(initializeUploadURL, filename) {
+    return null;
+  }
+
+  pause(filename) {
+    throw new Error('Not implemented.');
+  }
+
+  resume(filename) {
+    throw new Error('Not implemented.');
+  }
+
+  pauseQueue(abortInProgress) {
+    throw new Error('Not implemented.');
+  }
+
+  resumeQueue() {
+    throw new Error('Not implemented.');
+  }
+
+  async listDraftFiles(draftLinks) {
+    throw new Error('Not implemented.');
+  }
+
+  async getRemoteFileInfo(url) {
+    throw new Error('Not implemented.');
+  }
+
+  async downloadRemoteFile(url, filename, onDownloadProgress, cancel) {
+    throw new Error('Not implemented.');
+  }
+
+  async fetchRemoteFileInBackend(initializeUploadURL, url, filename) {
+    throw new Error('Not implemented.');
+  }
+
+  async updateMetadata(fileLinks, metadata) {
+    throw new Error('Not implemented.');
+  }
+
+  async readContent(fileLinks, maxBytes) {
+    throw new Error('Not implemented.');
+  }
+
+  async listParentRecordFiles(draftLinks) {
+    throw new Error('Not implemented.');
+  }
+
   async importParentRecordFiles(draftLinks) {
     throw new Error('Not implemented.');
   }
 }
 
 export class RDMDepositFilesService extends DepositFilesService {
-  constructor(fileApiClient, fileUploadConcurrency) {
+  /**
+   * @param {DepositFileApiClient} fileApiClient - the files API client
+   * @param {number} fileUploadConcurrency - max number of parallel uploads
+   * @param {number} fileUploadChunkSize - files bigger than this size (bytes)
+   *   are uploaded in parts of this size. Disabled when not set.
+   * @param {object} fileUploadRetryPolicy - how failed upload steps are
+   *   retried, see `defaultUploadRetryPolicy`
+   * @param {Storage} storage - where the state of multipart uploads is kept
+   */
+  constructor(
+    fileApiClient,
+    fileUploadConcurrency,
+    fileUploadChunkSize,
+    fileUploadRetryPolicy,
+    storage = window.localStorage
+  ) {
     super();
     this.fileApiClient = fileApiClient;
     this.maxConcurrentUploads = fileUploadConcurrency || 3;
+    this.chunkSize = fileUploadChunkSize;
+    this.retryPolicy = {
+      ...defaultUploadRetryPolicy,
+      ...fileUploadRetryPolicy,
+    };
     this.uploaderQueue = new UploaderQueue();
+    // controls of the uploads in progress, by filename
+    this.activeUploads = {};
+    this.multipartUploads = new MultipartUploadsStorage(storage);
   }
 
+  _isMultipartUpload = (file) => this.chunkSize && file.size > this.chunkSize;
+
   _initializeUpload = async (initializeUploadURL, file) => {
-    const response = await this.fileApiClient.initializeFileUpload(
-      initializeUploadURL,
-      file.name
-    );
+    const response = this._isMultipartUpload(file)
+      ? await this.fileApiClient.initializeMultipartFileUpload(
+          initializeUploadURL,
+          file,
+          this.chunkSize
+        )
+      : await this.fileApiClient.initializeFileUpload(
+          initializeUploadURL,
+          file.name
+        );
 
     // get the init file with the sent filename
     const initializedFile = response.data.entries.filter(
@@ -119,66 +369,334 @@ export class RDMDepositFilesService extends DepositFilesService {
     return initializedFile;
   };
 
-  _doUpload = async (uploadUrl, file) =>
-    await this.fileApiClient.uploadFile(
+  _doUpload = async (uploadUrl, file, control) => {
+    if (control.isCancelled || control.isPaused) {
+      throw new UploadCancelledError();
+    }
+    return await this.fileApiClient.uploadFile(
       uploadUrl,
       file,
-      (percent) => this.progressNotifier.onUploadProgress(file.name, percent),
-      (cancelFn) => this.progressNotifier.onUploadStarted(file.name, cancelFn)
+      (percent, uploadedBytes) =>
+        this.progressNotifier.onUploadProgress(
+          file.name,
+          percent,
+          uploadedBytes
+        ),
+      (cancelFn) => {
+        control.cancelCurrentRequest = cancelFn;
+        this.progressNotifier.onUploadStarted(file.name, () =>
+          this._cancelUpload(control)
+        );
+      }
+    );
+  };
+
+  /**
+   * Cancels the upload controlled by `control`, whether a request is in
+   * progress or the next attempt is awaited.
+   */
+  _cancelUpload = (control) => {
+    control.isCancelled = true;
+    control.cancelCurrentRequest && control.cancelCurrentRequest();
+  };
+
+  /**
+   * Uploads the parts not uploaded yet, one after the other. Each part is
+   * retried individually before failing the whole upload.
+   */
+  _doMultipartUpload = async (
+    initializeUploadURL,
+    file,
+    uploadState,
+    control
+  ) => {
+    const { fileMetadata, partSize, completedParts } = uploadState;
+    const partsCount = Math.ceil(file.size / partSize);
+    const partBlob = (part) =>
+      file.slice((part - 1) * partSize, Math.min(part * partSize, file.size));
+
+    // uploaded bytes per part, to report the progress of the whole file
+    const uploadedBytes = {};
+    completedParts.forEach((part) => {
+      uploadedBytes[part] = partBlob(part).size;
+    });
+    const notifyProgress = () => {
+      const totalUploaded = Object.values(uploadedBytes).reduce(
+        (total, bytes) => total + bytes,
+        0
+      );
+      const percent = Math.floor((totalUploaded / file.size) * 100);
+      this.progressNotifier.onUploadProgress(file.name, percent, totalUploaded);
+    };
+
+    this.progressNotifier.onUploadStarted(file.name, () =>
+      this._cancelUpload(control)
+    );
+    notifyProgress();
+
+    for (let part = 1; part <= partsCount; part++) {
+      if (completedParts.includes(part)) {
+        continue;
+      }
+
+      const blob = partBlob(part);
+      const partUrl = fileMetadata.links.parts.find(
+        (partLinks) => partLinks.part === part
+      ).url;
+      const onPartProgress = (bytes) => {
+        uploadedBytes[part] = bytes;
+        notifyProgress();
+      };
+      await this._uploadPart(file, partUrl, blob, onPartProgress, control);
+
+      uploadedBytes[part] = blob.size;
+      completedParts.push(part);
+      this.multipartUploads.save(initializeUploadURL, file, uploadState);
+    }
+  };
+
+  _uploadPart = async (file, partUrl, blob, onPartProgress, control) =>
+    await this._withRetry(
+      file,
+      async () => {
+        if (control.isCancelled || control.isPaused) {
+          throw new UploadCancelledError();
+        }
+        try {
+          return await this.fileApiClient.uploadFilePart(
+            partUrl,
+            blob,
+            onPartProgress,
+            (cancelFn) => {
+              control.cancelCurrentRequest = cancelFn;
+            }
+          );
+        } catch (error) {
+          // the part is uploaded again from its start
+          onPartProgress(0);
+          throw error;
+        }
+      },
+      control
     );
 
   _finalizeUpload = async (commitFileURL, file) => {
     // Regardless of what is the status of the finalize step we start
     // the next upload in the queue
+    delete this.activeUploads[file.name];
     this.uploaderQueue.markCompleted(file);
     this._startNextUpload();
 
-    const response = await this.fileApiClient.finalizeFileUpload(commitFileURL);
+    const response = await this._withRetry(file, () =>
+      this.fileApiClient.finalizeFileUpload(commitFileURL)
+    );
     return response.data;
   };
 
+  /**
+   * Runs an upload step, retrying it with an exponential backoff when it
+   * fails with a transient error. When the `control` of the upload is given,
+   * cancelling or pausing the upload stops waiting for the next attempt.
+   */
+  _withRetry = async (file, uploadStep, control = null) => {
+    const {
+      maxAttempts,
+      initialDelay,
+      backoffFactor,
+      maxDelay,
+      retryableStatusCodes,
+    } = this.retryPolicy;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await uploadStep();
+      } catch (error) {
+        const shouldRetry =
+          attempt < maxAttempts &&
+          this.fileApiClient.isRetryable(error, retryableStatusCodes);
+        if (!shouldRetry) {
+          throw error;
+        }
+        this.progressNotifier.onUploadRetrying(file.name, attempt);
+        const delay = Math.min(
+          initialDelay * backoffFactor ** (attempt - 1),
+          maxDelay
+        );
+        await new Promise((resolve) => {
+          const timeout = setTimeout(resolve, delay);
+          if (control) {
+            control.cancelCurrentRequest = () => {
+              clearTimeout(timeout);
+              resolve();
+            };
+          }
+        });
+        if (control && (control.isCancelled || control.isPaused)) {
+          throw new UploadCancelledError();
+        }
+      }
+    }
+  };
+
+  /**
+   * Computes the checksum of the local file, `null` when not possible.
+   */
+  _computeChecksum = async (file) => {
+    if (!isChecksumSupported() || !(file instanceof Blob)) {
+      return null;
+    }
+    try {
+      return await computeChecksum(file);
+    } catch (error) {
+      return null;
+    }
+  };
+
   _onError = (file, isCancelled = false) => {
     if (isCancelled) {
       this.progressNotifier.onUploadCancelled(file.name);
     } else {
-      this.progressNotifier.onUploadFailed(file.name);
+      this.progressNotifier.onUploadFailed(file.name, file);
     }
+    delete this.activeUploads[file.name];
     this.uploaderQueue.markCompleted(file);
     this._startNextUpload();
   };
 
-  _startNewUpload = async (initializeUploadURL, file) => {
-    let initializedFileMetadata;
-    try {
-      initializedFileMetadata = await this._initializeUpload(
-        initializeUploadURL,
+  _onPause = async (initializeUploadURL, file, fileMetadata) => {
+    // the uploaded parts are kept to restart from the last one, while an
+    // upload in a single request has to start over
+    if (fileMetadata && !this._isMultipartUpload(file)) {
+      await this.delete(fileMetadata.links);
+    }
+    delete this.activeUploads[file.name];
+    this.uploaderQueue.markPaused(initializeUploadURL, file);
+    this.progressNotifier.onUploadPaused(file.name);
+    this._startNextUpload();
+  };
+
+  /**
+   * Notifies the completed upload, or the corrupted one when the stored
+   * checksum differs from the local one.
+   */
+  _onUploadFinished = async (fileData, file, localChecksumPromise) => {
+    const localChecksum = await localChecksumPromise;
+    const isVerifiable =
+      Boolean(localChecksum) && Boolean(fileData.checksum?.startsWith('md5:'));
+    const isCorrupted = isVerifiable && localChecksum !== fileData.checksum;
+    if (isCorrupted) {
+      this.progressNotifier.onUploadCorrupted(
+        fileData.key,
+        fileData.size,
+        fileData.checksum,
+        fileData.links,
         file
       );
-    } catch (error) {
-      this._onError(file);
-      return;
+    } else {
+      // the integrity of the file is reported as unverified when the checksums
+      // could not be compared
+      this.progressNotifier.onUploadCompleted(
+        fileData.key,
+        fileData.size,
+        fileData.checksum,
+        fileData.links,
+        file,
+        isVerifiable
+      );
+    }
+  };
+
+  _startNewUpload = async (initializeUploadURL, file) => {
+    const control = {
+      isCancelled: false,
+      isPaused: false,
+      cancelCurrentRequest: null,
+      initializeUploadURL: initializeUploadURL,
+    };
+    this.activeUploads[file.name] = control;
+
+    const isMultipartUpload = this._isMultipartUpload(file);
+    // an interrupted multipart upload of the same file is resumed
+    let uploadState = isMultipartUpload
+      ? this.multipartUploads.load(initializeUploadURL, file)
+      : null;
+
+    let initializedFileMetadata = uploadState?.fileMetadata;
+    if (!initializedFileMetadata) {
+      try {
+        initializedFileMetadata = await this._withRetry(
+          file,
+          () => this._initializeUpload(initializeUploadURL, file),
+          control
+        );
+      } catch (error) {
+        if (control.isPaused) {
+          await this._onPause(initializeUploadURL, file, null);
+          return;
+        }
+        this._onError(file, error instanceof UploadCancelledError);
+        return;
+      }
+      if (control.isCancelled) {
+        // e.g. the page was left while the file was initialized
+        await this.delete(initializedFileMetadata.links);
+        this._onError(file, true);
+        return;
+      }
+
+      if (isMultipartUpload) {
+        uploadState = {
+          fileMetadata: initializedFileMetadata,
+          partSize: this.chunkSize,
+          completedParts: [],
+        };
+        this.multipartUploads.save(initializeUploadURL, file, uploadState);
+      }
     }
 
+    // needed to delete the initialized file if the page is unloaded
+    control.fileLinks = initializedFileMetadata.links;
+    control.isMultipart = isMultipartUpload;
+
     const startUploadURL = initializedFileMetadata.links.content;
     const commitFileURL = initializedFileMetadata.links.commit;
+    // computed while uploading, to be verified against the backend checksum
+    const localChecksumPromise = this._computeChecksum(file);
     try {
-      await this._doUpload(startUploadURL, file);
+      if (isMultipartUpload) {
+        await this._doMultipartUpload(
+          initializeUploadURL,
+          file,
+          uploadState,
+          control
+        );
+      } else {
+        await this._withRetry(
+          file,
+          () => this._doUpload(startUploadURL, file, control),
+          control
+        );
+      }
       const fileData = await this._finalizeUpload(commitFileURL, file);
-      this.progressNotifier.onUploadCompleted(
-        fileData.key,
-        fileData.size,
-        fileData.checksum,
-        fileData.links
-      );
+      this.multipartUploads.clear(initializeUploadURL, file);
+      await this._onUploadFinished(fileData, file, localChecksumPromise);
     } catch (error) {
+      if (control.isPaused) {
+        await this._onPause(initializeUploadURL, file, initializedFileMetadata);
+        return;
+      }
+      this.multipartUploads.clear(initializeUploadURL, file);
       await this.delete(initializedFileMetadata.links);
-      const isCancelled = this.fileApiClient.isCancelled(error);
+      const isCancelled =
+        error instanceof UploadCancelledError ||
+        this.fileApiClient.isCancelled(error);
       this._onError(file, isCancelled);
     }
   };
 
   _startNextUpload = async () => {
     const shouldStartNewUpload =
+      !this.uploaderQueue.isPaused &&
       this.uploaderQueue.totalInProgress < this.maxConcurrentUploads;
 
     if (shouldStartNewUpload) {
@@ -191,7 +709,7 @@ export class RDMDepositFilesService extends DepositFilesService {
 
   upload = async (initializeUploadURL, file) => {
     this.uploaderQueue.put(initializeUploadURL, file);
-    this.progressNotifier.onUploadAdded(file.name);
+    this.progressNotifier.onUploadAdded(file.name, file.size);
 
     await this._startNextUpload();
   };
@@ -200,6 +718,325 @@ export class RDMDepositFilesService extends DepositFilesService {
     return await this.fileApiClient.deleteFile(fileLinks);
   };
 
+  /**
+   * Renames a stored file and returns its new metadata.
+   */
+  rename = async (fileLinks, newFilename) => {
+    const response = await this.fileApiClient.renameFile(
+      fileLinks,
+      newFilename
+    );
+    return response.data;
+  };
+
+  /**
+   * Updates the metadata of a stored file and returns the stored metadata.
+   */
+  updateMetadata = async (fileLinks, metadata) => {
+    const response = await this.fileApiClient.updateFileMetadata(
+      fileLinks,
+      metadata
+    );
+    return response.data.metadata || {};
+  };
+
+  /**
+   * Returns the beginning of a stored file as text. The server may ignore
+   * the requested range and send the whole file.
+   */
+  readContent = async (fileLinks, maxBytes) => {
+    const response = await this.fileApiClient.readFileContent(
+      fileLinks,
+      maxBytes
+    );
+    return response.data.slice(0, maxBytes);
+  };
+
+  /**
+   * Uploads new content for a stored file, named as the stored one. The
+   * upload is reported as any other one, but it does not wait in the queue
+   * and it cannot be paused. Errors are thrown to the caller.
+   *
+   * The content of a stored file cannot be uploaded in parts: when the new
+   * content is bigger than the chunk size, the stored file is deleted and
+   * initialized again, from `initializeUploadURL`, as a multipart upload.
+   */
+  replaceFileContent = async (fileLinks, file, initializeUploadURL) => {
+    const localChecksumPromise = this._computeChecksum(file);
+    const commitFileURL = this._isMultipartUpload(file)
+      ? await this._replaceFileContentInParts(
+          fileLinks,
+          file,
+          initializeUploadURL
+        )
+      : await this._replaceFileContentAtOnce(fileLinks, file);
+    const response = await this._withRetry(file, () =>
+      this.fileApiClient.finalizeFileUpload(commitFileURL)
+    );
+    await this._onUploadFinished(response.data, file, localChecksumPromise);
+  };
+
+  _replaceFileContentAtOnce = async (fileLinks, file) => {
+    await this._withRetry(file, () =>
+      this.fileApiClient.replaceFileContent(
+        fileLinks,
+        file,
+        (percent, uploadedBytes) =>
+          this.progressNotifier.onUploadProgress(
+            file.name,
+            percent,
+            uploadedBytes
+          ),
+        (cancelFn) => this.progressNotifier.onUploadStarted(file.name, cancelFn)
+      )
+    );
+    return fileLinks.commit;
+  };
+
+  _replaceFileContentInParts = async (fileLinks, file, initializeUploadURL) => {
+    const control = {
+      isCancelled: false,
+      isPaused: false,
+      cancelCurrentRequest: null,
+    };
+    await this.delete(fileLinks);
+    const fileMetadata = await this._withRetry(file, () =>
+      this._initializeUpload(initializeUploadURL, file)
+    );
+    const uploadState = {
+      fileMetadata: fileMetadata,
+      partSize: this.chunkSize,
+      completedParts: [],
+    };
+    try {
+      await this._doMultipartUpload(
+        initializeUploadURL,
+        file,
+        uploadState,
+        control
+      );
+    } finally {
+      // the replacement is not resumed
+      this.multipartUploads.clear(initializeUploadURL, file);
+    }
+    return fileMetadata.links.commit;
+  };
+
+  /**
+   * Cancels a pending, paused or in progress upload.
+   */
+  cancel = (filename) => {
+    if (this.uploaderQueue.remove(filename)) {
+      this.progressNotifier.onUploadCancelled(filename);
+      return;
+    }
+    const control = this.activeUploads[filename];
+    if (control) {
+      control.isCancelled = true;
+      control.cancelCurrentRequest && control.cancelCurrentRequest();
+    }
+  };
+
+  /**
+   * Cancels all the pending, paused and in progress uploads.
+   */
+  cancelAll = () => {
+    const filenames = [
+      ...this.uploaderQueue.pending,
+      ...this.uploaderQueue.paused,
+    ].map(({ file }) => file.name);
+    filenames.push(...Object.keys(this.activeUploads));
+    filenames.forEach((filename) => this.cancel(filename));
+  };
+
+  /**
+   * Best-effort cleanup when the page is unloaded: the uploads in progress are
+   * aborted and their initialized files deleted, as the page will not wait
+   * for the usual cleanup. Multipart uploads are kept, to be resumed later.
+   *
+   * The files being initialized are deleted too, through the link they will
+   * have, as they would be left pending otherwise.
+   */
+  abortOnUnload = () => {
+    this.uploaderQueue.isPaused = true;
+    Object.entries(this.activeUploads).forEach(([filename, control]) => {
+      if (!control.fileLinks) {
+        control.isCancelled = true;
+        this.fileApiClient.deleteFileOnUnload({
+          self: `${control.initializeUploadURL}/${encodeURIComponent(
+            filename
+          )}`,
+        });
+      } else if (control.isMultipart) {
+        control.isPaused = true;
+      } else {
+        control.isCancelled = true;
+        this.fileApiClient.deleteFileOnUnload(control.fileLinks);
+      }
+      control.cancelCurrentRequest && control.cancelCurrentRequest();
+    });
+  };
+
+  /**
+   * Returns the size and last modification of the file whose multipart
+   * upload was interrupted, e.g. by leaving the page, if it can be resumed.
+   */
+  findInterruptedUpload = (initializeUploadURL, filename) =>
+    this.multipartUploads.find(initializeUploadURL, filename);
+
+  /**
+   * Pauses a pending upload or aborts an upload in progress, which will
+   * restart from its last uploaded part when resumed.
+   */
+  pause = (filename) => {
+    if (this.uploaderQueue.pausePending(filename)) {
+      this.progressNotifier.onUploadPaused(filename);
+      return;
+    }
+    const control = this.activeUploads[filename];
+    if (control) {
+      control.isPaused = true;
+      control.cancelCurrentRequest && control.cancelCurrentRequest();
+    }
+  };
+
+  resume = (filename) => {
+    if (this.uploaderQueue.resume(filename)) {
+      this.progressNotifier.onUploadResumed(filename);
+      this._startNextUploads();
+    }
+  };
+
+  /**
+   * Stops starting pending uploads. The uploads in progress are aborted
+   * when `abortInProgress` is set, otherwise they are completed.
+   */
+  pauseQueue = (abortInProgress = false) => {
+    this.uploaderQueue.isPaused = true;
+    if (abortInProgress) {
+      Object.keys(this.activeUploads).forEach((filename) =>
+        this.pause(filename)
+      );
+    }
+  };
+
+  resumeQueue = () => {
+    this.uploaderQueue.isPaused = false;
+    this.uploaderQueue
+      .resumeAll()
+      .forEach((file) => this.progressNotifier.onUploadResumed(file.name));
+    this._startNextUploads();
+  };
+
+  _startNextUploads = () => {
+    const freeSlots =
+      this.maxConcurrentUploads - this.uploaderQueue.totalInProgress;
+    for (let i = 0; i < freeSlots; i++) {
+      this._startNextUpload();
+    }
+  };
+
+  /**
+   * Returns the files stored for the draft, keyed by their name. The files
+   * without size are still being uploaded, or their upload was interrupted.
+   */
+  listDraftFiles = async (draftLinks) => {
+    const response = await this.fileApiClient.listFiles(draftLinks);
+
+    return Object.fromEntries(
+      response.data.entries.map((file) => [
+        file.key,
+        file.size >= 0
+          ? {
+              status: UploadState.finished,
+              size: file.size,
+              name: file.key,
+              progressPercentage: 100,
+              checksum: file.checksum,
+              links: file.links,
+              metadata: file.metadata,
+            }
+          : {
+              status: UploadState.pending,
+              size: 0,
+              name: file.key,
+              checksum: '',
+              links: file.links,
+              isInterrupted: true,
+              isResumable: isResumableUpload(file),
+            },
+      ])
+    );
+  };
+
+  /**
+   * Returns the size, the type and the name of a remote file, as far as its
+   * headers tell them.
+   */
+  getRemoteFileInfo = async (url) => {
+    const response = await this.fileApiClient.getRemoteFileInfo(url);
+    const headers = response.headers || {};
+    const size = parseInt(headers['content-length'], 10);
+    const filename = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(
+      headers['content-disposition'] || ''
+    );
+    return {
+      size: Number.isNaN(size) ? null : size,
+      type: (headers['content-type'] || '').split(';')[0],
+      filename: filename ? decodeURIComponent(filename[1]) : null,
+    };
+  };
+
+  /**
+   * Downloads a remote file through the browser, to be uploaded as any other
+   * file.
+   *
+   * @returns {File} the downloaded file, named `filename`
+   */
+  downloadRemoteFile = async (url, filename, onDownloadProgress, cancel) => {
+    const response = await this.fileApiClient.fetchRemoteFile(
+      url,
+      onDownloadProgress,
+      cancel
+    );
+    return new File([response.data], filename, {
+      type: response.data.type,
+    });
+  };
+
+  /**
+   * Asks the backend to fetch a remote file, and returns the links of the
+   * initialized file. The file is pending until fetched.
+   */
+  fetchRemoteFileInBackend = async (initializeUploadURL, url, filename) => {
+    const response = await this.fileApiClient.initializeRemoteFileFetch(
+      initializeUploadURL,
+      filename,
+      url
+    );
+    const initializedFile = response.data.entries.find(
+      (file) => file.key === filename
+    );
+    if (!initializedFile) {
+      throw new Error(`The remote file ${filename} was not initialized.`);
+    }
+    return initializedFile.links;
+  };
+
+  /**
+   * Returns the files of the previous version, which can be imported.
+   */
+  listParentRecordFiles = async (draftLinks) => {
+    const response = await this.fileApiClient.getParentRecordFiles(draftLinks);
+
+    return response.data.entries.map((file) => ({
+      name: file.key,
+      size: file.size,
+      checksum: file.checksum,
+      links: file.links,
+    }));
+  };
+
   importParentRecordFiles = async (draftLinks) => {
     const response = await this.fileApiClient.importParentRecordFiles(
       draftLinks
@@ -215,6 +1052,7 @@ export class RDMDepositFilesService extends DepositFilesService {
           progressPercentage: 100,
           checksum: file.checksum,
           links: file.links,
+          metadata: file.metadata,
         },
       }),
       {}
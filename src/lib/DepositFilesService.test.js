@@ -12,11 +12,25 @@ import {
   UploadProgressNotifier,
 } from './DepositFilesService';
 
+// the checksums are read from the content of the files, asynchronously: their
+// verification is tested with a stubbed `_computeChecksum`
+jest.mock('./checksum', () => ({
+  isChecksumSupported: () => false,
+  computeChecksum: jest.fn(),
+}));
+
 let fakeApiIsCancelled;
 let fakeApiInitializeFileUpload;
 let fakeApiUploadFile;
 let fakeApiFinalizeFileUpload;
 let fakeApiDeleteFile;
+let fakeApiDeleteFileOnUnload;
+let fakeApiGetRemoteFileInfo;
+let fakeApiInitializeMultipartFileUpload;
+let fakeApiUploadFilePart;
+let fakeApiRenameFile;
+let fakeApiReplaceFileContent;
+let fakeApiInitializeRemoteFileFetch;
 class FakeFileApiClient extends DepositFileApiClient {
   isCancelled(error) {
     return fakeApiIsCancelled(error);
@@ -30,6 +44,18 @@ class FakeFileApiClient extends DepositFileApiClient {
     return fakeApiUploadFile(uploadUrl, file, onUploadProgress, cancel);
   }
 
+  initializeMultipartFileUpload(initializeUploadUrl, file, partSize) {
+    return fakeApiInitializeMultipartFileUpload(
+      initializeUploadUrl,
+      file,
+      partSize
+    );
+  }
+
+  uploadFilePart(partUrl, blob, onUploadProgress, cancel) {
+    return fakeApiUploadFilePart(partUrl, blob, onUploadProgress, cancel);
+  }
+
   finalizeFileUpload(finalizeUploadUrl) {
     return fakeApiFinalizeFileUpload(finalizeUploadUrl);
   }
@@ -37,32 +63,68 @@ class FakeFileApiClient extends DepositFileApiClient {
   deleteFile(fileLinks) {
     return fakeApiDeleteFile(fileLinks);
   }
+
+  deleteFileOnUnload(fileLinks) {
+    return fakeApiDeleteFileOnUnload(fileLinks);
+  }
+
+  getRemoteFileInfo(url) {
+    return fakeApiGetRemoteFileInfo(url);
+  }
+
+  renameFile(fileLinks, newFilename) {
+    return fakeApiRenameFile(fileLinks, newFilename);
+  }
+
+  replaceFileContent(fileLinks, file, onUploadProgress, cancel) {
+    return fakeApiReplaceFileContent(fileLinks, file, onUploadProgress, cancel);
+  }
+
+  initializeRemoteFileFetch(initializeUploadUrl, filename, url) {
+    return fakeApiInitializeRemoteFileFetch(initializeUploadUrl, filename, url);
+  }
 }
 
 let fakeOnUploadAdded;
 let fakeOnUploadStarted;
 let fakeOnUploadProgress;
+let fakeOnUploadRetrying;
 let fakeOnUploadCompleted;
+let fakeOnUploadCorrupted;
 let fakeOnUploadCancelled;
 let fakeOnUploadFailed;
+let fakeOnUploadPaused;
+let fakeOnUploadResumed;
 class FakeProgressNotifier extends UploadProgressNotifier {
-  onUploadAdded(filename) {
-    fakeOnUploadAdded(filename);
+  onUploadAdded(filename, size) {
+    fakeOnUploadAdded(filename, size);
   }
   onUploadStarted(filename, cancelFunc) {
     fakeOnUploadStarted(filename, cancelFunc);
   }
-  onUploadProgress(filename, percent) {
-    fakeOnUploadProgress(filename, percent);
+  onUploadProgress(filename, percent, uploadedBytes) {
+    fakeOnUploadProgress(filename, percent, uploadedBytes);
+  }
+  onUploadRetrying(filename, attempt) {
+    fakeOnUploadRetrying(filename, attempt);
   }
-  onUploadCompleted(filename, size, checksum, links) {
-    fakeOnUploadCompleted(filename, size, checksum, links);
+  onUploadCompleted(filename, size, checksum, links, file, isVerified) {
+    fakeOnUploadCompleted(filename, size, checksum, links, file, isVerified);
+  }
+  onUploadCorrupted(filename, size, checksum, links, file) {
+    fakeOnUploadCorrupted(filename, size, checksum, links, file);
   }
   onUploadCancelled(filename) {
     fakeOnUploadCancelled(filename);
   }
-  onUploadFailed(filename) {
-    fakeOnUploadFailed(filename);
+  onUploadFailed(filename, file) {
+    fakeOnUploadFailed(filename, file);
+  }
+  onUploadPaused(filename) {
+    fakeOnUploadPaused(filename);
+  }
+  onUploadResumed(filename) {
+    fakeOnUploadResumed(filename);
   }
 }
 
@@ -79,13 +141,30 @@ beforeEach(() => {
   });
   fakeApiFinalizeFileUpload = jest.fn();
   fakeApiDeleteFile = jest.fn();
+  fakeApiDeleteFileOnUnload = jest.fn();
+  fakeApiGetRemoteFileInfo = jest.fn();
+  fakeApiInitializeMultipartFileUpload = jest.fn();
+  fakeApiUploadFilePart = jest.fn((url, blob, progressFn, cancelFn) => {
+    cancelFn(() => 'cancelled');
+    progressFn(blob.size);
+  });
+  fakeApiRenameFile = jest.fn();
+  fakeApiReplaceFileContent = jest.fn((links, file, progressFn, cancelFn) => {
+    cancelFn(() => 'cancelled');
+    progressFn(20, 4);
+  });
+  fakeApiInitializeRemoteFileFetch = jest.fn();
 
   fakeOnUploadAdded = jest.fn();
   fakeOnUploadStarted = jest.fn();
   fakeOnUploadProgress = jest.fn();
+  fakeOnUploadRetrying = jest.fn();
   fakeOnUploadCompleted = jest.fn();
+  fakeOnUploadCorrupted = jest.fn();
   fakeOnUploadCancelled = jest.fn();
   fakeOnUploadFailed = jest.fn();
+  fakeOnUploadPaused = jest.fn();
+  fakeOnUploadResumed = jest.fn();
 });
 
 afterEach(() => {
@@ -132,7 +211,8 @@ describe('DepositFilesService tests', () => {
       filename = params[0];
       let cancelFn = params[1];
       expect(filename).toEqual(expectedFilename);
-      expect(cancelFn()).toEqual('cancelled');
+      // the upload is cancelled through its control, between two attempts too
+      expect(cancelFn).toEqual(expect.any(Function));
 
       expect(fakeOnUploadProgress).toHaveBeenCalledTimes(1);
       params = fakeOnUploadProgress.mock.calls[0];
@@ -168,13 +248,16 @@ describe('DepositFilesService tests', () => {
       fakeApiIsCancelled.mockReturnValueOnce(false);
       fakeApiInitializeFileUpload.mockReturnValueOnce(fakeDataAfterInit);
       fakeApiUploadFile.mockRejectedValueOnce(new Error('upload error'));
+      const file = { name: 'file1' };
 
-      await filesService.upload('init upload URL', { name: 'file1' });
+      await filesService.upload('init upload URL', file);
 
       expect(fakeOnUploadAdded).toHaveBeenCalledTimes(1);
       expect(fakeOnUploadFailed).toHaveBeenCalledTimes(1);
       let filename = fakeOnUploadFailed.mock.calls[0][0];
       expect(filename).toEqual(expectedFilename);
+      // the file is kept to retry the upload
+      expect(fakeOnUploadFailed.mock.calls[0][1]).toBe(file);
       expect(fakeApiDeleteFile).toHaveBeenCalledTimes(1);
       let fileLinks = fakeApiDeleteFile.mock.calls[0][0];
       expect(fileLinks).toEqual(fakeFileData.links);
@@ -308,4 +391,659 @@ describe('DepositFilesService tests', () => {
       expect(queue.pending.length).toEqual(0);
     });
   });
+
+  describe('Multipart upload tests', () => {
+    const expectedFilename = 'file1';
+    const fakeFile = new File(['0123456789'], expectedFilename, {
+      lastModified: 1,
+    });
+    const fakeFileData = {
+      key: expectedFilename,
+      size: 10,
+      checksum: 'abcd',
+      links: {
+        self: 'self URL',
+        content: 'start upload URL',
+        commit: 'finalize upload URL',
+        parts: [
+          { part: 1, url: 'part 1 URL' },
+          { part: 2, url: 'part 2 URL' },
+          { part: 3, url: 'part 3 URL' },
+        ],
+      },
+    };
+
+    // the parts are retried as the other upload steps
+    const networkError = () => {
+      const error = new Error('part error');
+      error.request = {};
+      return error;
+    };
+
+    beforeEach(() => {
+      window.localStorage.clear();
+      filesService = new RDMDepositFilesService(fileApiClient, 1, 4, {
+        initialDelay: 0,
+      });
+      filesService.setProgressNotifier(progressNotifier);
+    });
+
+    it('it should upload the file in parts and aggregate the progress', async () => {
+      fakeApiInitializeMultipartFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      fakeApiFinalizeFileUpload.mockReturnValueOnce({ data: fakeFileData });
+
+      await filesService.upload('init upload URL', fakeFile);
+
+      expect(fakeApiInitializeMultipartFileUpload).toHaveBeenCalledTimes(1);
+      expect(fakeApiInitializeMultipartFileUpload.mock.calls[0][2]).toEqual(4);
+      expect(fakeApiUploadFile).not.toHaveBeenCalled();
+      expect(fakeApiUploadFilePart).toHaveBeenCalledTimes(3);
+      const partsSizes = fakeApiUploadFilePart.mock.calls.map(
+        (params) => params[1].size
+      );
+      expect(partsSizes).toEqual([4, 4, 2]);
+      const percents = fakeOnUploadProgress.mock.calls.map(
+        (params) => params[1]
+      );
+      expect(percents).toEqual([0, 40, 80, 100]);
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+    });
+
+    it('it should retry a failed part without restarting the upload', async () => {
+      fakeApiIsCancelled.mockReturnValue(false);
+      fakeApiInitializeMultipartFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      fakeApiFinalizeFileUpload.mockReturnValueOnce({ data: fakeFileData });
+      fakeApiUploadFilePart.mockImplementationOnce(() => {});
+      fakeApiUploadFilePart.mockRejectedValueOnce(networkError());
+
+      await filesService.upload('init upload URL', fakeFile);
+
+      const partsUrls = fakeApiUploadFilePart.mock.calls.map(
+        (params) => params[0]
+      );
+      expect(partsUrls).toEqual([
+        'part 1 URL',
+        'part 2 URL',
+        'part 2 URL',
+        'part 3 URL',
+      ]);
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadFailed).not.toHaveBeenCalled();
+    });
+
+    it('it should not retry a part failing with a non retryable error', async () => {
+      fakeApiIsCancelled.mockReturnValue(false);
+      fakeApiInitializeMultipartFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      const clientError = new Error('HTTP 400');
+      clientError.response = { status: 400 };
+      fakeApiUploadFilePart.mockRejectedValue(clientError);
+
+      await filesService.upload('init upload URL', fakeFile);
+
+      expect(fakeApiUploadFilePart).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadRetrying).not.toHaveBeenCalled();
+      expect(fakeOnUploadFailed).toHaveBeenCalledTimes(1);
+    });
+
+    it('it should fail and delete the file when a part keeps failing', async () => {
+      fakeApiIsCancelled.mockReturnValue(false);
+      fakeApiInitializeMultipartFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      fakeApiUploadFilePart.mockRejectedValue(networkError());
+
+      await filesService.upload('init upload URL', fakeFile);
+
+      expect(fakeApiUploadFilePart).toHaveBeenCalledTimes(3);
+      expect(fakeOnUploadFailed).toHaveBeenCalledTimes(1);
+      expect(fakeApiDeleteFile).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadCompleted).not.toHaveBeenCalled();
+    });
+
+    it('it should resume an interrupted upload', async () => {
+      window.localStorage.setItem(
+        `invenio-deposit:upload:init upload URL:file1:10:1`,
+        JSON.stringify({
+          fileMetadata: fakeFileData,
+          partSize: 4,
+          completedParts: [1, 2],
+        })
+      );
+      fakeApiFinalizeFileUpload.mockReturnValueOnce({ data: fakeFileData });
+
+      await filesService.upload('init upload URL', fakeFile);
+
+      expect(fakeApiInitializeMultipartFileUpload).not.toHaveBeenCalled();
+      expect(fakeApiUploadFilePart).toHaveBeenCalledTimes(1);
+      expect(fakeApiUploadFilePart.mock.calls[0][0]).toEqual('part 3 URL');
+      expect(fakeOnUploadProgress.mock.calls[0][1]).toEqual(80);
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+      expect(
+        window.localStorage.getItem(
+          `invenio-deposit:upload:init upload URL:file1:10:1`
+        )
+      ).toBeNull();
+    });
+
+    it('it should find the file whose upload was interrupted', () => {
+      window.localStorage.setItem(
+        `invenio-deposit:upload:init upload URL:file1:10:1`,
+        JSON.stringify({ fileMetadata: fakeFileData, completedParts: [] })
+      );
+
+      expect(
+        filesService.findInterruptedUpload('init upload URL', 'file1')
+      ).toEqual({ size: 10, lastModified: 1 });
+      expect(
+        filesService.findInterruptedUpload('init upload URL', 'file')
+      ).toBeNull();
+    });
+  });
+
+  describe('Retry tests', () => {
+    let clock;
+    beforeEach(() => {
+      clock = FakeTimers.install();
+      fakeApiIsCancelled.mockReturnValue(false);
+    });
+    afterEach(() => {
+      clock.uninstall();
+    });
+
+    const fakeFileData = {
+      key: 'file1',
+      size: '100',
+      checksum: 'abcd',
+      links: {
+        self: 'self URL',
+        content: 'start upload URL',
+        commit: 'finalize upload URL',
+      },
+    };
+    const httpError = (status) => {
+      const error = new Error(`HTTP ${status}`);
+      error.response = { status: status };
+      return error;
+    };
+
+    it('it should retry with backoff a step failing with a transient error', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1, undefined, {
+        initialDelay: 100,
+      });
+      filesService.setProgressNotifier(progressNotifier);
+      fakeApiInitializeFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      fakeApiUploadFile.mockRejectedValueOnce(httpError(503));
+      fakeApiUploadFile.mockRejectedValueOnce(httpError(502));
+      fakeApiFinalizeFileUpload.mockReturnValueOnce({ data: fakeFileData });
+
+      filesService.upload('init upload URL', { name: 'file1' });
+
+      await clock.tickAsync(99);
+      expect(fakeOnUploadRetrying).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadRetrying.mock.calls[0]).toEqual(['file1', 1]);
+      expect(fakeApiUploadFile).toHaveBeenCalledTimes(1);
+
+      await clock.tickAsync(1);
+      expect(fakeApiUploadFile).toHaveBeenCalledTimes(2);
+      expect(fakeOnUploadRetrying).toHaveBeenCalledTimes(2);
+      expect(fakeOnUploadRetrying.mock.calls[1]).toEqual(['file1', 2]);
+
+      // the second retry waits twice as long
+      await clock.tickAsync(199);
+      expect(fakeApiUploadFile).toHaveBeenCalledTimes(2);
+      await clock.tickAsync(1);
+      expect(fakeApiUploadFile).toHaveBeenCalledTimes(3);
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadFailed).not.toHaveBeenCalled();
+      expect(fakeApiDeleteFile).not.toHaveBeenCalled();
+    });
+
+    it('it should stop waiting for the next attempt when the upload is cancelled', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1, undefined, {
+        initialDelay: 10000,
+      });
+      filesService.setProgressNotifier(progressNotifier);
+      fakeApiInitializeFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      fakeApiUploadFile.mockRejectedValueOnce(httpError(503));
+
+      filesService.upload('init upload URL', { name: 'file1' });
+      await clock.tickAsync(0);
+      expect(fakeOnUploadRetrying).toHaveBeenCalledTimes(1);
+
+      filesService.cancel('file1');
+      await clock.tickAsync(0);
+
+      expect(fakeApiUploadFile).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadCancelled).toHaveBeenCalledWith('file1');
+      expect(fakeApiDeleteFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('it should not retry a step failing with a non retryable error', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+      fakeApiInitializeFileUpload.mockRejectedValueOnce(httpError(400));
+
+      await filesService.upload('init upload URL', { name: 'file1' });
+
+      expect(fakeApiInitializeFileUpload).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadRetrying).not.toHaveBeenCalled();
+      expect(fakeOnUploadFailed).toHaveBeenCalledTimes(1);
+    });
+
+    it('it should fail after the maximum number of attempts', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1, undefined, {
+        maxAttempts: 2,
+        initialDelay: 100,
+      });
+      filesService.setProgressNotifier(progressNotifier);
+      fakeApiInitializeFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      fakeApiFinalizeFileUpload.mockRejectedValue(httpError(504));
+
+      filesService.upload('init upload URL', { name: 'file1' });
+      await clock.tickAsync(100);
+
+      expect(fakeApiFinalizeFileUpload).toHaveBeenCalledTimes(2);
+      expect(fakeOnUploadRetrying).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadFailed).toHaveBeenCalledTimes(1);
+      expect(fakeApiDeleteFile).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Checksum verification tests', () => {
+    const fakeFileData = {
+      key: 'file1',
+      size: 100,
+      checksum: 'md5:2942bfabb3d05332b66eb128e0842cff',
+      links: {
+        self: 'self URL',
+        content: 'start upload URL',
+        commit: 'finalize upload URL',
+      },
+    };
+
+    beforeEach(() => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+      fakeApiInitializeFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      fakeApiFinalizeFileUpload.mockReturnValueOnce({ data: fakeFileData });
+    });
+
+    it('it should complete the upload when the checksums match', async () => {
+      filesService._computeChecksum = jest.fn(() =>
+        Promise.resolve(fakeFileData.checksum)
+      );
+
+      await filesService.upload('init upload URL', { name: 'file1' });
+
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadCompleted.mock.calls[0][5]).toBe(true);
+      expect(fakeOnUploadCorrupted).not.toHaveBeenCalled();
+    });
+
+    it('it should complete the upload as unverified when the checksum is not available', async () => {
+      filesService._computeChecksum = jest.fn(() => Promise.resolve(null));
+
+      await filesService.upload('init upload URL', { name: 'file1' });
+
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadCorrupted).not.toHaveBeenCalled();
+      // reported as not verified
+      expect(fakeOnUploadCompleted.mock.calls[0][5]).toBe(false);
+    });
+
+    it('it should flag the upload as corrupted when the checksums differ', async () => {
+      const file = { name: 'file1' };
+      filesService._computeChecksum = jest.fn(() =>
+        Promise.resolve('md5:00000000000000000000000000000000')
+      );
+
+      await filesService.upload('init upload URL', file);
+
+      expect(fakeOnUploadCompleted).not.toHaveBeenCalled();
+      expect(fakeOnUploadCorrupted).toHaveBeenCalledTimes(1);
+      const params = fakeOnUploadCorrupted.mock.calls[0];
+      expect(params[0]).toEqual('file1');
+      expect(params[2]).toEqual(fakeFileData.checksum);
+      expect(params[4]).toBe(file);
+    });
+  });
+
+  describe('Pause and resume tests', () => {
+    const fakeFileData = (filename) => ({
+      key: filename,
+      size: 10,
+      checksum: 'abcd',
+      links: {
+        self: filename,
+        content: filename,
+        commit: filename,
+        parts: [
+          { part: 1, url: 'part 1 URL' },
+          { part: 2, url: 'part 2 URL' },
+          { part: 3, url: 'part 3 URL' },
+        ],
+      },
+    });
+
+    const flushPromises = () => new Promise((resolve) => setTimeout(resolve));
+
+    beforeEach(() => {
+      window.localStorage.clear();
+      fakeApiInitializeFileUpload.mockImplementation((_, filename) => ({
+        data: { entries: [fakeFileData(filename)] },
+      }));
+      fakeApiInitializeMultipartFileUpload.mockImplementation((_, file) => ({
+        data: { entries: [fakeFileData(file.name)] },
+      }));
+      fakeApiFinalizeFileUpload.mockImplementation((finalizeUploadUrl) => ({
+        data: fakeFileData(finalizeUploadUrl),
+      }));
+    });
+
+    it('it should not start a paused pending upload until resumed', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+
+      filesService.upload('init upload URL', { name: 'file1' });
+      filesService.upload('init upload URL', { name: 'file2' });
+      filesService.pause('file2');
+      await flushPromises();
+
+      expect(fakeOnUploadPaused).toHaveBeenCalledWith('file2');
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadCompleted.mock.calls[0][0]).toEqual('file1');
+
+      filesService.resume('file2');
+      await flushPromises();
+
+      expect(fakeOnUploadResumed).toHaveBeenCalledWith('file2');
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(2);
+      expect(fakeOnUploadCompleted.mock.calls[1][0]).toEqual('file2');
+    });
+
+    it('it should restart a paused upload from its last uploaded part', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1, 4);
+      filesService.setProgressNotifier(progressNotifier);
+      const file = new File(['0123456789'], 'file1', { lastModified: 1 });
+      fakeApiIsCancelled.mockReturnValue(true);
+      fakeApiUploadFilePart.mockImplementationOnce(() => {});
+      fakeApiUploadFilePart.mockImplementationOnce(
+        (url, blob, progressFn, cancelFn) =>
+          new Promise((resolve, reject) =>
+            cancelFn(() => reject(new Error('cancelled')))
+          )
+      );
+
+      filesService.upload('init upload URL', file);
+      await flushPromises();
+      filesService.pause('file1');
+      await flushPromises();
+
+      expect(fakeOnUploadPaused).toHaveBeenCalledWith('file1');
+      expect(fakeApiDeleteFile).not.toHaveBeenCalled();
+      expect(fakeOnUploadCancelled).not.toHaveBeenCalled();
+      expect(filesService.uploaderQueue.paused.length).toEqual(1);
+
+      filesService.resume('file1');
+      await flushPromises();
+
+      expect(fakeApiInitializeMultipartFileUpload).toHaveBeenCalledTimes(1);
+      const partsUrls = fakeApiUploadFilePart.mock.calls.map(
+        (params) => params[0]
+      );
+      expect(partsUrls).toEqual([
+        'part 1 URL',
+        'part 2 URL',
+        'part 2 URL',
+        'part 3 URL',
+      ]);
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+    });
+
+    it('it should cancel a pending upload without starting it', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+
+      filesService.upload('init upload URL', { name: 'file1' });
+      filesService.upload('init upload URL', { name: 'file2' });
+      filesService.cancel('file2');
+      await flushPromises();
+
+      expect(fakeOnUploadCancelled).toHaveBeenCalledWith('file2');
+      expect(fakeApiInitializeFileUpload).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+    });
+
+    it('it should not start pending uploads while the queue is paused', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+
+      filesService.pauseQueue();
+      filesService.upload('init upload URL', { name: 'file1' });
+      await flushPromises();
+
+      expect(fakeApiInitializeFileUpload).not.toHaveBeenCalled();
+
+      filesService.resumeQueue();
+      await flushPromises();
+
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+    });
+
+    const hangingUpload = (url, file, progressFn, cancelFn) =>
+      new Promise((resolve, reject) =>
+        cancelFn(() => reject(new Error('cancelled')))
+      );
+
+    it('it should cancel all the pending and in progress uploads', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+      fakeApiIsCancelled.mockReturnValue(true);
+      fakeApiUploadFile.mockImplementation(hangingUpload);
+
+      filesService.upload('init upload URL', { name: 'file1' });
+      filesService.upload('init upload URL', { name: 'file2' });
+      await flushPromises();
+      filesService.cancelAll();
+      await flushPromises();
+
+      expect(fakeOnUploadCancelled).toHaveBeenCalledWith('file1');
+      expect(fakeOnUploadCancelled).toHaveBeenCalledWith('file2');
+      expect(fakeApiDeleteFile).toHaveBeenCalledTimes(1);
+      expect(fakeApiInitializeFileUpload).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadCompleted).not.toHaveBeenCalled();
+    });
+
+    it('it should delete the uploads in progress when the page is unloaded', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+      fakeApiIsCancelled.mockReturnValue(true);
+      fakeApiUploadFile.mockImplementation(hangingUpload);
+
+      filesService.upload('init upload URL', { name: 'file1' });
+      filesService.upload('init upload URL', { name: 'file2' });
+      await flushPromises();
+      filesService.abortOnUnload();
+      await flushPromises();
+
+      expect(fakeApiDeleteFileOnUnload).toHaveBeenCalledTimes(1);
+      expect(fakeApiDeleteFileOnUnload).toHaveBeenCalledWith(
+        fakeFileData('file1').links
+      );
+      // the pending uploads are not started
+      expect(fakeApiInitializeFileUpload).toHaveBeenCalledTimes(1);
+    });
+
+    it('it should delete the files being initialized when the page is unloaded', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+      let initialize;
+      fakeApiInitializeFileUpload.mockImplementation(
+        (_, filename) =>
+          new Promise((resolve) => {
+            initialize = () =>
+              resolve({ data: { entries: [fakeFileData(filename)] } });
+          })
+      );
+
+      filesService.upload('init upload URL', { name: 'my file' });
+      await flushPromises();
+      filesService.abortOnUnload();
+
+      expect(fakeApiDeleteFileOnUnload).toHaveBeenCalledWith({
+        self: 'init upload URL/my%20file',
+      });
+
+      // e.g. the page was restored from the cache
+      initialize();
+      await flushPromises();
+
+      expect(fakeApiUploadFile).not.toHaveBeenCalled();
+      expect(fakeApiDeleteFile).toHaveBeenCalledWith(
+        fakeFileData('my file').links
+      );
+      expect(fakeOnUploadCancelled).toHaveBeenCalledWith('my file');
+    });
+  });
+
+  describe('Rename and replace tests', () => {
+    const fileLinks = {
+      self: 'self URL',
+      content: 'content URL',
+      commit: 'commit URL',
+    };
+
+    beforeEach(() => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      filesService.setProgressNotifier(progressNotifier);
+    });
+
+    it('it should return the metadata of the renamed file', async () => {
+      const renamedFileData = { key: 'file2', links: { self: 'new URL' } };
+      fakeApiRenameFile.mockReturnValueOnce({ data: renamedFileData });
+
+      const fileData = await filesService.rename(fileLinks, 'file2');
+
+      expect(fakeApiRenameFile).toHaveBeenCalledWith(fileLinks, 'file2');
+      expect(fileData).toEqual(renamedFileData);
+    });
+
+    it('it should upload and commit the new content of the file', async () => {
+      const file = { name: 'file1' };
+      const fakeFileData = { key: 'file1', size: 20, checksum: 'abcd' };
+      fakeApiFinalizeFileUpload.mockReturnValueOnce({ data: fakeFileData });
+
+      await filesService.replaceFileContent(fileLinks, file);
+
+      expect(fakeApiReplaceFileContent.mock.calls[0][0]).toBe(fileLinks);
+      expect(fakeApiInitializeFileUpload).not.toHaveBeenCalled();
+      expect(fakeOnUploadProgress).toHaveBeenCalledWith('file1', 20, 4);
+      expect(fakeApiFinalizeFileUpload).toHaveBeenCalledWith('commit URL');
+      expect(fakeOnUploadCompleted).toHaveBeenCalledTimes(1);
+      expect(fakeOnUploadCompleted.mock.calls[0][4]).toBe(file);
+    });
+
+    it('it should throw when the new content cannot be uploaded', async () => {
+      fakeApiReplaceFileContent.mockImplementationOnce(() => {
+        throw new Error('failed');
+      });
+
+      await expect(
+        filesService.replaceFileContent(fileLinks, { name: 'file1' })
+      ).rejects.toThrow('failed');
+      expect(fakeApiFinalizeFileUpload).not.toHaveBeenCalled();
+      expect(fakeOnUploadCompleted).not.toHaveBeenCalled();
+    });
+
+    it('it should replace the content in parts when it is bigger than the chunk size', async () => {
+      window.localStorage.clear();
+      filesService = new RDMDepositFilesService(fileApiClient, 1, 4);
+      filesService.setProgressNotifier(progressNotifier);
+      const file = new File(['0123456789'], 'file1');
+      const fakeFileData = {
+        key: 'file1',
+        size: 10,
+        checksum: 'abcd',
+        links: {
+          self: 'new self URL',
+          commit: 'new commit URL',
+          parts: [1, 2, 3].map((part) => ({ part, url: `part ${part} URL` })),
+        },
+      };
+      fakeApiInitializeMultipartFileUpload.mockReturnValueOnce({
+        data: { entries: [fakeFileData] },
+      });
+      fakeApiFinalizeFileUpload.mockReturnValueOnce({ data: fakeFileData });
+
+      await filesService.replaceFileContent(fileLinks, file, 'init URL');
+
+      expect(fakeApiDeleteFile).toHaveBeenCalledWith(fileLinks);
+      expect(fakeApiInitializeMultipartFileUpload.mock.calls[0][0]).toEqual(
+        'init URL'
+      );
+      expect(fakeApiReplaceFileContent).not.toHaveBeenCalled();
+      expect(fakeApiUploadFilePart).toHaveBeenCalledTimes(3);
+      expect(fakeApiFinalizeFileUpload).toHaveBeenCalledWith('new commit URL');
+      expect(fakeOnUploadCompleted.mock.calls[0][3]).toBe(fakeFileData.links);
+    });
+  });
+
+  describe('Remote files tests', () => {
+    it('it should read the size, type and name of a remote file', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      fakeApiGetRemoteFileInfo.mockReturnValue({
+        headers: {
+          'content-length': '1024',
+          'content-type': 'text/csv; charset=utf-8',
+          'content-disposition': 'attachment; filename="data%20v1.csv"',
+        },
+      });
+
+      const info = await filesService.getRemoteFileInfo('https://example.org');
+
+      expect(info).toEqual({
+        size: 1024,
+        type: 'text/csv',
+        filename: 'data v1.csv',
+      });
+    });
+
+    it('it should not guess the size of a remote file', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      fakeApiGetRemoteFileInfo.mockReturnValue({ headers: {} });
+
+      const info = await filesService.getRemoteFileInfo('https://example.org');
+
+      expect(info).toEqual({ size: null, type: '', filename: null });
+    });
+
+    it('it should fail when the backend did not initialize the remote file', async () => {
+      filesService = new RDMDepositFilesService(fileApiClient, 1);
+      fakeApiInitializeRemoteFileFetch.mockReturnValue({
+        data: { entries: [{ key: 'other.csv', links: {} }] },
+      });
+
+      await expect(
+        filesService.fetchRemoteFileInBackend(
+          'init URL',
+          'https://example.org/data.csv',
+          'data.csv'
+        )
+      ).rejects.toThrow('The remote file data.csv was not initialized.');
+    });
+  });
 });
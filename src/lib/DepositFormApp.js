@@ -17,6 +17,10 @@ import {
   RDMDepositFileApiClient,
 } from './DepositApiClient';
 import { DepositBootstrap } from './DepositBootstrap';
+import {
+  DepositDraftStorage,
+  RDMDepositDraftLocalStorage,
+} from './DepositDraftStorage';
 import {
   DepositDraftsService,
   RDMDepositDraftsService,
@@ -30,6 +34,10 @@ import {
   RDMDepositRecordSerializer,
 } from './DepositRecordSerializer';
 import { DepositService } from './DepositService';
+import {
+  DepositValidationSchema,
+  RDMDepositValidationSchema,
+} from './DepositValidationSchema';
 import { configureStore } from './store';
 import { RDMUploadProgressNotifier } from './UploadProgressNotifier';
 
@@ -57,11 +65,27 @@ export class DepositFormApp extends Component {
       ? props.filesService
       : new RDMDepositFilesService(
           fileApiClient,
-          props.config.fileUploadConcurrency
+          props.config.fileUploadConcurrency,
+          props.config.fileUploadChunkSize,
+          props.config.fileUploadRetryPolicy
         );
 
     const service = new DepositService(draftsService, filesService);
 
+    // `null` disables the validation in the browser, the backend validates
+    // the draft anyway
+    const validationSchema =
+      props.validationSchema === undefined
+        ? new RDMDepositValidationSchema()
+        : props.validationSchema;
+
+    let draftStorage = null;
+    if (props.persistDraftLocally) {
+      draftStorage = props.draftStorage
+        ? props.draftStorage
+        : new RDMDepositDraftLocalStorage();
+    }
+
     const appConfig = {
       config: props.config,
       record: recordSerializer.deserialize(props.record),
@@ -72,6 +96,9 @@ export class DepositFormApp extends Component {
       service: service,
       permissions: props.permissions,
       recordSerializer: recordSerializer,
+      draftStorage: draftStorage,
+      isAutosaveEnabled: props.autosave,
+      validationSchema: validationSchema,
     };
 
     this.store = configureStore(appConfig);
@@ -80,11 +107,23 @@ export class DepositFormApp extends Component {
     filesService.setProgressNotifier(progressNotifier);
   }
 
+  componentWillUnmount() {
+    this.store.teardown();
+  }
+
   render() {
     return (
       <Provider store={this.store}>
         <I18nextProvider i18n={i18next}>
-          <DepositBootstrap>{this.props.children}</DepositBootstrap>
+          <DepositBootstrap
+            autosave={this.props.autosave}
+            autosaveDelay={this.props.autosaveDelay}
+            filesRefreshInterval={this.props.filesRefreshInterval}
+            persistDraftLocally={this.props.persistDraftLocally}
+            validateOnBlur={this.props.validateOnBlur}
+          >
+            {this.props.children}
+          </DepositBootstrap>
         </I18nextProvider>
       </Provider>
     );
@@ -102,6 +141,13 @@ DepositFormApp.propTypes = {
   draftsService: PropTypes.instanceOf(DepositDraftsService),
   filesService: PropTypes.instanceOf(DepositFilesService),
   recordSerializer: PropTypes.instanceOf(DepositRecordSerializer),
+  autosave: PropTypes.bool,
+  autosaveDelay: PropTypes.number,
+  filesRefreshInterval: PropTypes.number,
+  persistDraftLocally: PropTypes.bool,
+  draftStorage: PropTypes.instanceOf(DepositDraftStorage),
+  validationSchema: PropTypes.instanceOf(DepositValidationSchema),
+  validateOnBlur: PropTypes.bool,
 };
 
 DepositFormApp.defaultProps = {
@@ -112,4 +158,11 @@ DepositFormApp.defaultProps = {
   draftsService: null,
   filesService: null,
   recordSerializer: null,
+  autosave: false,
+  autosaveDelay: 3000,
+  filesRefreshInterval: 10000,
+  persistDraftLocally: false,
+  draftStorage: null,
+  validationSchema: undefined,
+  validateOnBlur: false,
 };
@@ -0,0 +1,48 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { DepositFormApp } from './DepositFormApp';
+import { validateDraft } from './state/actions';
+
+describe('DepositFormApp tests', () => {
+  const config = { createUrl: '/api/records', default_locale: 'en' };
+  const record = {
+    metadata: {
+      title: 'A title',
+      publication_date: '2020-05-21',
+      creators: [],
+    },
+  };
+
+  const createApp = (props = {}) =>
+    new DepositFormApp({
+      ...DepositFormApp.defaultProps,
+      config: config,
+      record: record,
+      ...props,
+    });
+
+  it('it should validate the draft with the default schema', async () => {
+    const app = createApp();
+
+    await expect(
+      app.store.dispatch(validateDraft(record))
+    ).rejects.toMatchObject({
+      errors: {
+        metadata: { resource_type: 'Resource type is a required field.' },
+      },
+    });
+  });
+
+  it('it should not validate the draft when the schema is disabled', async () => {
+    const app = createApp({ validationSchema: null });
+
+    await expect(
+      app.store.dispatch(validateDraft(record))
+    ).resolves.toBeUndefined();
+  });
+});
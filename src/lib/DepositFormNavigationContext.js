@@ -0,0 +1,91 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import React from 'react';
+import { findFieldElement, focusElement } from './dom';
+
+/**
+ * Brings the user to the input of a field of the deposit form, e.g. to
+ * correct an error on it.
+ *
+ * The fields edited outside of the page, e.g. in a modal, are brought up by
+ * the components editing them, which register a handler for their path.
+ */
+export class DepositFormNavigator {
+  handlers = {};
+  errorsNavigationHandler = null;
+
+  /**
+   * Registers the handler bringing up the fields under `fieldPath`.
+   *
+   * @param {string} fieldPath - e.g. `metadata.creators.0`
+   * @param {function} handler - called with the path of the field relative to
+   *   `fieldPath`, e.g. `person_or_org.family_name`
+   * @returns {function} unregisters the handler
+   */
+  register(fieldPath, handler) {
+    this.handlers[fieldPath] = handler;
+    return () => {
+      if (this.handlers[fieldPath] === handler) {
+        delete this.handlers[fieldPath];
+      }
+    };
+  }
+
+  /**
+   * Registers the handler going through the errors of the form.
+   *
+   * @param {function} handler - called with 1 for the next error and -1 for
+   *   the previous one
+   * @returns {function} unregisters the handler
+   */
+  registerErrorsNavigation(handler) {
+    this.errorsNavigationHandler = handler;
+    return () => {
+      if (this.errorsNavigationHandler === handler) {
+        this.errorsNavigationHandler = null;
+      }
+    };
+  }
+
+  /**
+   * Goes through the errors with F8 and Shift+F8, as in most editors, when
+   * the key is pressed in the form.
+   */
+  handleKeyDown = (event) => {
+    if (event.key === 'F8' && this.errorsNavigationHandler) {
+      event.preventDefault();
+      this.errorsNavigationHandler(event.shiftKey ? -1 : 1);
+    }
+  };
+
+  /**
+   * Brings the user to the input of the field.
+   *
+   * @param {string} fieldPath - e.g. `metadata.creators.0.person_or_org.name`
+   * @returns {boolean} false when the field is not in the form
+   */
+  focusField(fieldPath) {
+    // the most specific handler brings up the field
+    const handlerPath = Object.keys(this.handlers)
+      .filter((path) => fieldPath === path || fieldPath.startsWith(`${path}.`))
+      .sort((pathA, pathB) => pathB.length - pathA.length)[0];
+    const element = findFieldElement(handlerPath || fieldPath);
+    if (element) {
+      focusElement(element);
+    }
+    if (handlerPath) {
+      this.handlers[handlerPath](fieldPath.slice(handlerPath.length + 1));
+      return true;
+    }
+    return Boolean(element);
+  }
+}
+
+export const DepositFormNavigationContext = React.createContext(
+  new DepositFormNavigator()
+);
@@ -0,0 +1,63 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { DepositFormNavigator } from './DepositFormNavigationContext';
+
+describe('DepositFormNavigator', () => {
+  beforeEach(() => {
+    // not implemented by jsdom
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('it should focus the input of the field', () => {
+    document.body.innerHTML = '<input name="metadata.title" />';
+    const navigator = new DepositFormNavigator();
+
+    expect(navigator.focusField('metadata.title')).toBe(true);
+    expect(document.activeElement).toBe(document.querySelector('input'));
+    expect(navigator.focusField('metadata.description')).toBe(false);
+  });
+
+  it('it should bring up the field with the most specific handler', () => {
+    const navigator = new DepositFormNavigator();
+    const creatorsHandler = jest.fn();
+    const creatorHandler = jest.fn();
+    navigator.register('metadata.creators', creatorsHandler);
+    const unregister = navigator.register(
+      'metadata.creators.0',
+      creatorHandler
+    );
+
+    expect(
+      navigator.focusField('metadata.creators.0.person_or_org.family_name')
+    ).toBe(true);
+    expect(creatorHandler).toHaveBeenCalledWith('person_or_org.family_name');
+    expect(creatorsHandler).not.toHaveBeenCalled();
+
+    unregister();
+    navigator.focusField('metadata.creators.0.person_or_org.family_name');
+    expect(creatorsHandler).toHaveBeenCalledWith('0.person_or_org.family_name');
+  });
+
+  it('it should go through the errors with F8', () => {
+    const navigator = new DepositFormNavigator();
+    const errorsNavigationHandler = jest.fn();
+    navigator.registerErrorsNavigation(errorsNavigationHandler);
+    const keyDown = (key, shiftKey = false) =>
+      navigator.handleKeyDown({ key, shiftKey, preventDefault: () => {} });
+
+    keyDown('F8');
+    keyDown('F8', true);
+    keyDown('Enter');
+
+    expect(errorsNavigationHandler.mock.calls).toEqual([[1], [-1]]);
+  });
+});
@@ -7,11 +7,9 @@
 
 import _cloneDeep from 'lodash/cloneDeep';
 import _defaults from 'lodash/defaults';
+import _get from 'lodash/get';
 import _isArray from 'lodash/isArray';
-import _isBoolean from 'lodash/isBoolean';
 import _isEmpty from 'lodash/isEmpty';
-import _isNull from 'lodash/isNull';
-import _isNumber from 'lodash/isNumber';
 import _isObject from 'lodash/isObject';
 import _mapValues from 'lodash/mapValues';
 import _pick from 'lodash/pick';
@@ -20,6 +18,7 @@ import _set from 'lodash/set';
 import {
   AllowAdditionsVocabularyField,
   Field,
+  isEmptyValue,
   RightsVocabularyField,
   SchemaField,
   VocabularyField,
@@ -41,7 +40,7 @@ export class DepositRecordSerializer {
   deserialize(record) {
     throw new Error('Not implemented.');
   }
-  deserializeErrors(errors) {
+  deserializeErrors(errors, record) {
     throw new Error('Not implemented.');
   }
   serialize(record) {
@@ -247,26 +246,16 @@ export class RDMDepositRecordSerializer extends DepositRecordSerializer {
   _removeEmptyValues(obj) {
     if (_isArray(obj)) {
       let mappedValues = obj.map((value) => this._removeEmptyValues(value));
-      let filterValues = mappedValues.filter((value) => {
-        if (_isBoolean(value) || _isNumber(value)) {
-          return value;
-        }
-        return !_isEmpty(value);
-      });
+      let filterValues = mappedValues.filter((value) => !isEmptyValue(value));
       return filterValues;
     } else if (_isObject(obj)) {
       let mappedValues = _mapValues(obj, (value) =>
         this._removeEmptyValues(value)
       );
-      let pickedValues = _pickBy(mappedValues, (value) => {
-        if (_isArray(value) || _isObject(value)) {
-          return !_isEmpty(value);
-        }
-        return !_isNull(value);
-      });
+      let pickedValues = _pickBy(mappedValues, (value) => !isEmptyValue(value));
       return pickedValues;
     }
-    return _isNumber(obj) || _isBoolean(obj) || obj ? obj : null;
+    return isEmptyValue(obj) ? null : obj;
   }
 
   /**
@@ -288,6 +277,7 @@ export class RDMDepositRecordSerializer extends DepositRecordSerializer {
       'versions',
       'parent',
       'pids',
+      'revision_id',
       'ui',
     ]);
 
@@ -319,20 +309,33 @@ export class RDMDepositRecordSerializer extends DepositRecordSerializer {
 
   /**
    * Deserialize backend record errors into format compatible with frontend.
+   *
+   * Each field of the schema translates the paths of its errors, e.g. the
+   * indices of the lists whose empty entries were not sent to the backend.
    * @method
    * @param {array} errors - array of error objects
+   * @param {object} record - the frontend record the errors are displayed on
    * @returns {object} - object representing errors
    */
-  deserializeErrors(errors) {
+  deserializeErrors(errors, record = {}) {
     let deserializedErrors = {};
 
-    // TODO - WARNING: This doesn't convert backend error paths to frontend
-    //                 error paths. Doing so is non-trivial
-    //                 (re-using deserialize has some caveats)
-    //                 Form/Error UX is tackled in next sprint and this is good
-    //                 enough for now.
     for (const e of errors) {
-      _set(deserializedErrors, e.field, e.messages.join(' '));
+      let errorPath = e.field;
+      for (const key in this.depositRecordSchema) {
+        const fieldErrorPath = this.depositRecordSchema[
+          key
+        ].deserializeErrorPath(e.field, record);
+        if (fieldErrorPath !== null) {
+          errorPath = fieldErrorPath;
+          break;
+        }
+      }
+      // different backend errors can be on the same input
+      const message = [_get(deserializedErrors, errorPath), ...e.messages]
+        .filter((message) => typeof message === 'string')
+        .join(' ');
+      _set(deserializedErrors, errorPath, message);
     }
 
     return deserializedErrors;
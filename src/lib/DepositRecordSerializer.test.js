@@ -29,6 +29,12 @@ describe('RDMDepositRecordSerializer tests', () => {
     const cleanedRecord = serializer._removeEmptyValues(record);
 
     expect(cleanedRecord).toEqual({ cool: false, version: 0 });
+
+    it('keeps the 0 and false values of the lists', () => {
+      expect(
+        serializer._removeEmptyValues({ list: [0, false, '', null, {}] })
+      ).toEqual({ list: [0, false] });
+    });
   });
 
   describe('serialize', () => {
@@ -325,6 +331,7 @@ describe('RDMDepositRecordSerializer tests', () => {
           metadata: false,
         },
         id: 'wk205-00878',
+        revision_id: 1,
         links: {
           publish:
             'https://127.0.0.1:5000/api/records/wk205-00878/draft/actions/publish',
@@ -447,4 +454,106 @@ describe('RDMDepositRecordSerializer tests', () => {
       expect(deserializedRecord).toEqual(expectedRecord);
     });
   });
+
+  describe('deserializeErrors', () => {
+    const record = {
+      metadata: {
+        title: 'A title',
+        resource_type: 'publication-article',
+        creators: [
+          {
+            person_or_org: { type: 'personal', family_name: 'Doe' },
+            affiliations: [{ name: 'CERN' }],
+            __key: 0,
+          },
+        ],
+        languages: ['eng'],
+        related_identifiers: [
+          { ...emptyRelatedWork, __key: 0 },
+          { ...emptyRelatedWork, scheme: 'doi', identifier: 'nope', __key: 1 },
+        ],
+        rights: [{ title: 'A custom license' }],
+        funding: [emptyFunding, { ...emptyFunding, award: { title: 'A' } }],
+      },
+    };
+    const toErrors = (paths) =>
+      paths.map((path) => ({ field: path, messages: [`Error on ${path}`] }));
+
+    it('attaches the errors to the inputs of the fields', () => {
+      const errors = serializer.deserializeErrors(
+        toErrors([
+          'metadata.title',
+          'metadata.resource_type.id',
+          'metadata.languages.0.id',
+          'metadata.creators.0.person_or_org.given_name',
+          'metadata.creators.0.affiliations.0.name',
+          'metadata.rights.0.title.en',
+        ]),
+        record
+      );
+
+      expect(errors).toEqual({
+        metadata: {
+          title: 'Error on metadata.title',
+          resource_type: 'Error on metadata.resource_type.id',
+          languages: 'Error on metadata.languages.0.id',
+          creators: [
+            {
+              person_or_org: {
+                given_name:
+                  'Error on metadata.creators.0.person_or_org.given_name',
+              },
+              affiliations: 'Error on metadata.creators.0.affiliations.0.name',
+            },
+          ],
+          rights: [{ title: 'Error on metadata.rights.0.title.en' }],
+        },
+      });
+    });
+
+    it('counts again the entries of the lists without the empty ones', () => {
+      const errors = serializer.deserializeErrors(
+        toErrors([
+          'metadata.related_identifiers.0.identifier',
+          'metadata.funding.0.award.title',
+        ]),
+        record
+      );
+
+      expect(errors.metadata.related_identifiers[1]).toEqual({
+        identifier: 'Error on metadata.related_identifiers.0.identifier',
+      });
+      expect(errors.metadata.funding[1]).toEqual({
+        award: { title: 'Error on metadata.funding.0.award.title' },
+      });
+    });
+
+    it('counts the entries of the lists with a 0 or false value', () => {
+      const award = { ...emptyFunding, award: { title: 'A' } };
+      const funding = [0, '', false, award];
+      const sentIndex = serializer
+        ._removeEmptyValues(funding)
+        .findIndex((value) => value.award);
+
+      const errors = serializer.deserializeErrors(
+        toErrors([`metadata.funding.${sentIndex}.award.title`]),
+        { metadata: { funding: funding } }
+      );
+
+      expect(errors.metadata.funding[3]).toEqual({
+        award: { title: `Error on metadata.funding.${sentIndex}.award.title` },
+      });
+    });
+
+    it('keeps the paths of the errors on other fields', () => {
+      const errors = serializer.deserializeErrors(
+        toErrors(['access.embargo.until', 'metadata.description'])
+      );
+
+      expect(errors).toEqual({
+        access: { embargo: { until: 'Error on access.embargo.until' } },
+        metadata: { description: 'Error on metadata.description' },
+      });
+    });
+  });
 });
@@ -0,0 +1,268 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import _get from 'lodash/get';
+import _isFunction from 'lodash/isFunction';
+import _set from 'lodash/set';
+import { DateTime } from 'luxon';
+import * as Yup from 'yup';
+import { CREATIBUTOR_TYPE } from './components/Creatibutors/type';
+
+// YYYY, YYYY-MM or YYYY-MM-DD
+const EDTF_DATE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+/**
+ * Returns true if the value is an EDTF level 0 date or interval, e.g. `2020`,
+ * `2020-05-21` or `1939/1945`.
+ */
+export function isEDTFDate(value) {
+  const dates = value.split('/');
+  if (dates.length > 2) {
+    return false;
+  }
+  const areValid = dates.every(
+    (date) =>
+      EDTF_DATE.test(date) &&
+      (date.length < 10 || DateTime.fromISO(date).isValid)
+  );
+  if (!areValid) {
+    return false;
+  }
+  if (dates.length === 2) {
+    // the dates of the interval can have different precisions
+    const [start, end] = dates;
+    const length = Math.min(start.length, end.length);
+    return start.slice(0, length) <= end.slice(0, length);
+  }
+  return true;
+}
+
+// The identifiers of the related works are checked for the common schemes
+const IDENTIFIER_PATTERNS = {
+  doi: /^(https?:\/\/(dx\.)?doi\.org\/|doi:)?10\.\d{4,9}\/\S+$/i,
+  arxiv: /^(arxiv:)?(\d{4}\.\d{4,5}|[a-z-]+(\.[a-z]{2})?\/\d{7})(v\d+)?$/i,
+  isbn: /^(97[89][- ]?)?(\d[- ]?){9}[\dx]$/i,
+  issn: /^\d{4}-?\d{3}[\dx]$/i,
+  pmid: /^\d+$/,
+  url: /^https?:\/\/\S+$/i,
+};
+
+/**
+ * Builds a Yup object schema from rules indexed by field path e.g.
+ * `{ 'metadata.title': Yup.string() }`.
+ */
+function buildObjectSchema(rules) {
+  const tree = {};
+  Object.entries(rules).forEach(([fieldPath, rule]) => {
+    _set(tree, fieldPath, rule);
+  });
+  const toSchema = (node) =>
+    Yup.isSchema(node)
+      ? node
+      : Yup.object(
+          Object.fromEntries(
+            Object.entries(node).map(([key, child]) => [key, toSchema(child)])
+          )
+        );
+  return toSchema(tree);
+}
+
+/**
+ * Abstract class for the validation of the deposit form in the browser,
+ * before publishing or submitting the draft for review.
+ *
+ * The rules are Yup schemas indexed by field path e.g.
+ * `{ 'metadata.title': Yup.string().required() }`. The rules passed to the
+ * constructor override the default ones, field by field:
+ *
+ * - a Yup schema replaces the default rule of the field;
+ * - a function is passed the default rule, to extend it e.g.
+ *   `(rule) => rule.max(250)`;
+ * - `null` removes the default rule of the field.
+ *
+ * @constructor
+ * @abstract
+ */
+export class DepositValidationSchema {
+  constructor(rules = {}) {
+    if (this.constructor === DepositValidationSchema) {
+      throw new Error('Abstract');
+    }
+    this.rules = { ...this.defaultRules() };
+    Object.entries(rules).forEach(([fieldPath, rule]) => {
+      if (rule === null) {
+        delete this.rules[fieldPath];
+      } else if (_isFunction(rule)) {
+        this.rules[fieldPath] = rule(this.rules[fieldPath]);
+      } else {
+        this.rules[fieldPath] = rule;
+      }
+    });
+    this.schema = buildObjectSchema(this.rules);
+  }
+
+  /**
+   * Returns the default rules, indexed by field path.
+   */
+  defaultRules() {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Validates the form values.
+   *
+   * @param {object} values - the values of the deposit form
+   * @returns {object} the errors, in the shape of the form values e.g.
+   *   `{ metadata: { title: 'Title is a required field.' } }`, empty when
+   *   the values are valid
+   */
+  async validate(values) {
+    try {
+      await this.schema.validate(values, { abortEarly: false });
+      return {};
+    } catch (error) {
+      if (!(error instanceof Yup.ValidationError)) {
+        throw error;
+      }
+      const errors = {};
+      const fieldErrors = error.inner.length ? error.inner : [error];
+      fieldErrors.forEach(({ path, message }) => {
+        // the first error of a field is the one displayed
+        if (_get(errors, path) === undefined) {
+          _set(errors, path, message);
+        }
+      });
+      return errors;
+    }
+  }
+
+  /**
+   * Validates the fields that have been touched, e.g. when leaving them.
+   *
+   * @param {object} values - the values of the deposit form
+   * @param {object} touched - the touched fields, in the shape of the values
+   * @returns {object} the error of each touched field, indexed by the field
+   *   path of its rule, `undefined` for the valid fields
+   */
+  async validateTouched(values, touched) {
+    const errors = await this.validate(values);
+    return Object.fromEntries(
+      Object.keys(this.rules)
+        .filter((fieldPath) => _get(touched, fieldPath))
+        .map((fieldPath) => [fieldPath, _get(errors, fieldPath)])
+    );
+  }
+}
+
+/**
+ * Validates the deposit form of InvenioRDM.
+ */
+export class RDMDepositValidationSchema extends DepositValidationSchema {
+  defaultRules() {
+    return {
+      'metadata.title': Yup.string()
+        .trim()
+        .required(i18next.t('Title is a required field.'))
+        .min(3, i18next.t('Title must be at least 3 characters long.')),
+      'metadata.resource_type': Yup.string().required(
+        i18next.t('Resource type is a required field.')
+      ),
+      'metadata.publication_date': Yup.string()
+        .required(i18next.t('Publication date is a required field.'))
+        .test(
+          'edtf',
+          i18next.t(
+            'Publication date must be formatted as YYYY-MM-DD, YYYY-MM or YYYY, or DATE/DATE for intervals.'
+          ),
+          (value) => !value || isEDTFDate(value)
+        ),
+      'metadata.creators': Yup.array()
+        .of(
+          Yup.object({
+            person_or_org: Yup.object({
+              type: Yup.string(),
+              family_name: Yup.string().when('type', (type, schema) =>
+                type === CREATIBUTOR_TYPE.PERSON
+                  ? schema.required(
+                      i18next.t('Family name is a required field.')
+                    )
+                  : schema
+              ),
+              name: Yup.string().when('type', (type, schema) =>
+                type === CREATIBUTOR_TYPE.ORGANIZATION
+                  ? schema.required(i18next.t('Name is a required field.'))
+                  : schema
+              ),
+            }),
+          })
+        )
+        .min(1, i18next.t('At least one creator is required.'))
+        .required(i18next.t('At least one creator is required.')),
+      'metadata.rights': Yup.array().of(
+        // custom licenses have no id
+        Yup.object({
+          id: Yup.string(),
+          title: Yup.mixed().when('id', (id, schema) =>
+            id
+              ? schema
+              : schema.required(i18next.t('Title is a required field.'))
+          ),
+          link: Yup.string()
+            .nullable()
+            .url(i18next.t('Link must be a valid URL')),
+        })
+      ),
+      'metadata.related_identifiers': Yup.array().of(
+        Yup.object().shape(
+          {
+            scheme: Yup.string().when('identifier', (identifier, schema) =>
+              identifier
+                ? schema.required(i18next.t('Scheme is a required field.'))
+                : schema
+            ),
+            identifier: Yup.string()
+              .when('scheme', (scheme, schema) =>
+                scheme
+                  ? schema.required(
+                      i18next.t('Identifier is a required field.')
+                    )
+                  : schema
+              )
+              .test(
+                'scheme',
+                i18next.t('The identifier does not match its scheme.'),
+                function (identifier) {
+                  const pattern = IDENTIFIER_PATTERNS[this.parent.scheme];
+                  return !identifier || !pattern || pattern.test(identifier);
+                }
+              ),
+          },
+          // the scheme and the identifier depend on each other
+          [['scheme', 'identifier']]
+        )
+      ),
+      'access.embargo': Yup.object({
+        active: Yup.boolean(),
+        until: Yup.string()
+          .nullable()
+          .when('active', (active, schema) =>
+            active
+              ? schema
+                  .required(i18next.t('Embargo date is a required field.'))
+                  .test(
+                    'future',
+                    i18next.t('Embargo date must be in the future.'),
+                    (value) =>
+                      !value || DateTime.fromISO(value) > DateTime.local()
+                  )
+              : schema
+          ),
+      }),
+    };
+  }
+}
@@ -0,0 +1,121 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import * as Yup from 'yup';
+import {
+  isEDTFDate,
+  RDMDepositValidationSchema,
+} from './DepositValidationSchema';
+
+describe('RDMDepositValidationSchema tests', () => {
+  const validDraft = {
+    metadata: {
+      title: 'A title',
+      resource_type: 'publication-article',
+      publication_date: '2020-05-21',
+      creators: [
+        {
+          person_or_org: {
+            type: 'personal',
+            family_name: 'Doe',
+            given_name: 'John',
+          },
+        },
+      ],
+      rights: [{ id: 'cc-by-4.0' }],
+      related_identifiers: [
+        { scheme: 'doi', identifier: '10.1234/foo.bar', relation_type: '' },
+      ],
+    },
+    access: { record: 'public', files: 'public', embargo: { active: false } },
+  };
+
+  it('accepts a valid draft', async () => {
+    const schema = new RDMDepositValidationSchema();
+
+    expect(await schema.validate(validDraft)).toEqual({});
+  });
+
+  it('reports the errors in the shape of the form values', async () => {
+    const schema = new RDMDepositValidationSchema();
+    const draft = {
+      metadata: {
+        ...validDraft.metadata,
+        title: '',
+        publication_date: '2020-13',
+        creators: [
+          ...validDraft.metadata.creators,
+          { person_or_org: { type: 'organizational', name: '' } },
+        ],
+        related_identifiers: [{ scheme: 'doi', identifier: 'not a doi' }],
+      },
+      access: { embargo: { active: true, until: '2000-01-01' } },
+    };
+
+    const errors = await schema.validate(draft);
+
+    expect(errors.metadata.title).toEqual('Title is a required field.');
+    expect(errors.metadata.publication_date).toBeDefined();
+    expect(errors.metadata.creators[0]).toBeUndefined();
+    expect(errors.metadata.creators[1].person_or_org.name).toEqual(
+      'Name is a required field.'
+    );
+    expect(errors.metadata.related_identifiers[0].identifier).toEqual(
+      'The identifier does not match its scheme.'
+    );
+    expect(errors.access.embargo.until).toEqual(
+      'Embargo date must be in the future.'
+    );
+  });
+
+  it('extends, overrides and removes the default rules', async () => {
+    const schema = new RDMDepositValidationSchema({
+      'metadata.title': (rule) => rule.max(5, 'Too long'),
+      'metadata.publication_date': null,
+      'metadata.version': Yup.string().required('Version is required'),
+    });
+    const draft = {
+      ...validDraft,
+      metadata: { ...validDraft.metadata, publication_date: '' },
+    };
+
+    const errors = await schema.validate(draft);
+
+    expect(errors).toEqual({
+      metadata: { title: 'Too long', version: 'Version is required' },
+    });
+  });
+
+  it('validates only the touched fields', async () => {
+    const schema = new RDMDepositValidationSchema();
+    const draft = { ...validDraft, metadata: {} };
+
+    const errors = await schema.validateTouched(draft, {
+      metadata: { title: true },
+      access: { embargo: { until: true } },
+    });
+
+    expect(errors).toEqual({
+      'metadata.title': 'Title is a required field.',
+      'access.embargo': undefined,
+    });
+  });
+});
+
+describe('isEDTFDate tests', () => {
+  it('accepts dates and intervals', () => {
+    ['2020', '2020-05', '2020-05-21', '1939/1945', '2020/2020-05'].forEach(
+      (date) => expect(isEDTFDate(date)).toBe(true)
+    );
+  });
+
+  it('rejects invalid dates and intervals', () => {
+    ['20', '2020-5', '2021-02-30', '1945/1939', '2020/2021/2022'].forEach(
+      (date) => expect(isEDTFDate(date)).toBe(false)
+    );
+  });
+});
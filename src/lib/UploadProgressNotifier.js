@@ -5,23 +5,65 @@
 // React-Invenio-Deposit is free software; you can redistribute it and/or modify it
 // under the terms of the MIT License; see LICENSE file for more details.
 
+import _throttle from 'lodash/throttle';
 import { UploadProgressNotifier } from './DepositFilesService';
 import {
   FILE_UPLOAD_ADDED,
   FILE_UPLOAD_CANCELLED,
+  FILE_UPLOAD_CORRUPTED,
   FILE_UPLOAD_FAILED,
   FILE_UPLOAD_FINISHED,
   FILE_UPLOAD_IN_PROGRESS,
+  FILE_UPLOAD_PAUSED,
+  FILE_UPLOAD_RESUMED,
+  FILE_UPLOAD_RETRYING,
   FILE_UPLOAD_SET_CANCEL_FUNCTION,
 } from './state/types';
 
 export class RDMUploadProgressNotifier extends UploadProgressNotifier {
-  onUploadAdded(filename) {
+  /**
+   * @param {function} dispatcher - the store dispatch function
+   * @param {number} progressThrottleDelay - min delay (ms) between two
+   *   progress updates of the same file
+   */
+  constructor(dispatcher, progressThrottleDelay = 250) {
+    super(dispatcher);
+    this.progressThrottleDelay = progressThrottleDelay;
+    // throttled progress dispatchers, by filename
+    this.progressDispatchers = {};
+  }
+
+  _dispatchProgress = (filename, percent, uploadedBytes) => {
+    this.dispatcher &&
+      this.dispatcher({
+        type: FILE_UPLOAD_IN_PROGRESS,
+        payload: {
+          filename: filename,
+          percent: percent,
+          uploadedBytes: uploadedBytes,
+        },
+      });
+  };
+
+  /**
+   * Drops the pending progress update of the file, which would otherwise
+   * override the state set by the following events.
+   */
+  _dropPendingProgress(filename) {
+    const dispatchProgress = this.progressDispatchers[filename];
+    if (dispatchProgress) {
+      dispatchProgress.cancel();
+      delete this.progressDispatchers[filename];
+    }
+  }
+
+  onUploadAdded(filename, size) {
     this.dispatcher &&
       this.dispatcher({
         type: FILE_UPLOAD_ADDED,
         payload: {
           filename: filename,
+          size: size,
         },
       });
   }
@@ -34,18 +76,29 @@ export class RDMUploadProgressNotifier extends UploadProgressNotifier {
       });
   }
 
-  onUploadProgress(filename, percent) {
+  onUploadProgress(filename, percent, uploadedBytes) {
+    if (!this.progressDispatchers[filename]) {
+      this.progressDispatchers[filename] = _throttle(
+        this._dispatchProgress,
+        this.progressThrottleDelay
+      );
+    }
+    this.progressDispatchers[filename](filename, percent, uploadedBytes);
+  }
+
+  onUploadRetrying(filename, attempt) {
     this.dispatcher &&
       this.dispatcher({
-        type: FILE_UPLOAD_IN_PROGRESS,
+        type: FILE_UPLOAD_RETRYING,
         payload: {
           filename: filename,
-          percent: percent,
+          attempt: attempt,
         },
       });
   }
 
-  onUploadCompleted(filename, size, checksum, links) {
+  onUploadCompleted(filename, size, checksum, links, file, isVerified = true) {
+    this._dropPendingProgress(filename);
     this.dispatcher &&
       this.dispatcher({
         type: FILE_UPLOAD_FINISHED,
@@ -54,11 +107,29 @@ export class RDMUploadProgressNotifier extends UploadProgressNotifier {
           size: size,
           checksum: checksum,
           links: links,
+          file: file,
+          isVerified: isVerified,
+        },
+      });
+  }
+
+  onUploadCorrupted(filename, size, checksum, links, file) {
+    this._dropPendingProgress(filename);
+    this.dispatcher &&
+      this.dispatcher({
+        type: FILE_UPLOAD_CORRUPTED,
+        payload: {
+          filename: filename,
+          size: size,
+          checksum: checksum,
+          links: links,
+          file: file,
         },
       });
   }
 
   onUploadCancelled(filename) {
+    this._dropPendingProgress(filename);
     this.dispatcher &&
       this.dispatcher({
         type: FILE_UPLOAD_CANCELLED,
@@ -68,12 +139,35 @@ export class RDMUploadProgressNotifier extends UploadProgressNotifier {
       });
   }
 
-  onUploadFailed(filename) {
+  onUploadPaused(filename) {
+    this._dropPendingProgress(filename);
+    this.dispatcher &&
+      this.dispatcher({
+        type: FILE_UPLOAD_PAUSED,
+        payload: {
+          filename: filename,
+        },
+      });
+  }
+
+  onUploadResumed(filename) {
+    this.dispatcher &&
+      this.dispatcher({
+        type: FILE_UPLOAD_RESUMED,
+        payload: {
+          filename: filename,
+        },
+      });
+  }
+
+  onUploadFailed(filename, file) {
+    this._dropPendingProgress(filename);
     this.dispatcher &&
       this.dispatcher({
         type: FILE_UPLOAD_FAILED,
         payload: {
           filename: filename,
+          file: file,
         },
       });
   }
@@ -0,0 +1,68 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { FILE_UPLOAD_FINISHED, FILE_UPLOAD_IN_PROGRESS } from './state/types';
+import { RDMUploadProgressNotifier } from './UploadProgressNotifier';
+
+describe('RDMUploadProgressNotifier', () => {
+  const actionTypes = (dispatch) =>
+    dispatch.mock.calls.map(([action]) => action.type);
+
+  // lodash throttling relies on `Date.now`, moved along with the fake timers
+  let now;
+  const advanceTime = (delay) => {
+    now += delay;
+    jest.advanceTimersByTime(delay);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('it should throttle the progress updates of a file', () => {
+    const dispatch = jest.fn();
+    const notifier = new RDMUploadProgressNotifier(dispatch, 20);
+
+    [10, 20, 30].forEach((percent) =>
+      notifier.onUploadProgress('file1', percent)
+    );
+    notifier.onUploadProgress('file2', 50);
+    advanceTime(50);
+
+    const percents = dispatch.mock.calls.map(([action]) => [
+      action.payload.filename,
+      action.payload.percent,
+    ]);
+    expect(percents).toEqual([
+      ['file1', 10],
+      ['file2', 50],
+      ['file1', 30],
+    ]);
+  });
+
+  it('it should drop the pending progress update of a finished file', () => {
+    const dispatch = jest.fn();
+    const notifier = new RDMUploadProgressNotifier(dispatch, 20);
+
+    notifier.onUploadProgress('file1', 10);
+    notifier.onUploadProgress('file1', 90);
+    notifier.onUploadCompleted('file1', 10, 'md5:abcd', {}, null);
+    advanceTime(50);
+
+    expect(actionTypes(dispatch)).toEqual([
+      FILE_UPLOAD_IN_PROGRESS,
+      FILE_UPLOAD_FINISHED,
+    ]);
+  });
+});
@@ -0,0 +1,179 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { startChecksumWorker } from './checksumWorker';
+
+/**
+ * Incremental MD5 hasher, run in the checksum Web Worker: see the constraints
+ * in `checksumWorker.js`.
+ *
+ * @returns object with `update(arrayBuffer)` and `digest()` (hex string)
+ */
+export function md5Hasher() {
+  let shifts = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 5, 9, 14, 20, 5,
+    9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11,
+    16, 23, 4, 11, 16, 23, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10,
+    15, 21,
+  ];
+  let constants = [];
+  for (let k = 0; k < 64; k++) {
+    constants[k] = (Math.abs(Math.sin(k + 1)) * 4294967296) | 0;
+  }
+  let state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  let buffer = new Uint8Array(64);
+  let bufferLength = 0;
+  let totalLength = 0;
+
+  function processBlock(bytes, offset) {
+    let words = [];
+    for (let w = 0; w < 16; w++) {
+      let o = offset + w * 4;
+      words[w] =
+        bytes[o] |
+        (bytes[o + 1] << 8) |
+        (bytes[o + 2] << 16) |
+        (bytes[o + 3] << 24);
+    }
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      let x = (a + f + constants[i] + words[g]) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((x << shifts[i]) | (x >>> (32 - shifts[i])))) | 0;
+    }
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  function update(arrayBuffer) {
+    let bytes = new Uint8Array(arrayBuffer);
+    let i = 0;
+    totalLength += bytes.length;
+    if (bufferLength > 0) {
+      while (bufferLength < 64 && i < bytes.length) {
+        buffer[bufferLength++] = bytes[i++];
+      }
+      if (bufferLength === 64) {
+        processBlock(buffer, 0);
+        bufferLength = 0;
+      }
+    }
+    for (; i + 64 <= bytes.length; i += 64) {
+      processBlock(bytes, i);
+    }
+    while (i < bytes.length) {
+      buffer[bufferLength++] = bytes[i++];
+    }
+  }
+
+  function digest() {
+    // message length in bits, as two 32 bits words
+    let lengthLow = (totalLength % 0x20000000) * 8;
+    let lengthHigh = Math.floor(totalLength / 0x20000000);
+    let padding = new Uint8Array((bufferLength < 56 ? 64 : 128) - bufferLength);
+    padding[0] = 0x80;
+    let lengthOffset = padding.length - 8;
+    for (let j = 0; j < 4; j++) {
+      padding[lengthOffset + j] = (lengthLow >>> (8 * j)) & 0xff;
+      padding[lengthOffset + 4 + j] = (lengthHigh >>> (8 * j)) & 0xff;
+    }
+    update(padding.buffer);
+
+    let hex = '';
+    for (let s = 0; s < 4; s++) {
+      for (let byte = 0; byte < 4; byte++) {
+        let value = (state[s] >>> (8 * byte)) & 0xff;
+        hex += (value < 16 ? '0' : '') + value.toString(16);
+      }
+    }
+    return hex;
+  }
+
+  return { update: update, digest: digest };
+}
+
+const readChunk = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+/**
+ * Computes the digest on the main thread, when Web Workers are not available.
+ */
+const computeDigest = async (file, chunkSize) => {
+  const hasher = md5Hasher();
+  for (let offset = 0; offset < file.size; offset += chunkSize) {
+    hasher.update(await readChunk(file.slice(offset, offset + chunkSize)));
+  }
+  return hasher.digest();
+};
+
+const computeDigestInWorker = (file, chunkSize) =>
+  new Promise((resolve, reject) => {
+    const { worker, terminate } = startChecksumWorker(md5Hasher);
+    worker.onmessage = (event) => {
+      terminate();
+      resolve(event.data.digest);
+    };
+    worker.onerror = (error) => {
+      terminate();
+      reject(error);
+    };
+    worker.postMessage({ file: file, chunkSize: chunkSize });
+  });
+
+/**
+ * Returns true if checksums can be computed in this browser.
+ */
+export function isChecksumSupported() {
+  return (
+    typeof Blob !== 'undefined' &&
+    (typeof Worker !== 'undefined' || typeof FileReader !== 'undefined')
+  );
+}
+
+/**
+ * Computes the MD5 checksum of a file in a Web Worker, reading it in chunks so
+ * that big files are never loaded in memory at once and the page stays
+ * responsive. Without Web Workers, the chunks are hashed on the main thread.
+ *
+ * @param {File} file - the file
+ * @param {number} chunkSize - the size of the chunks read at once, in bytes
+ * @returns a promise resolving to the checksum, in the `md5:<hex>` format
+ *   used by the backend
+ */
+export async function computeChecksum(file, chunkSize = 4 * 1024 * 1024) {
+  const digest =
+    typeof Worker !== 'undefined'
+      ? await computeDigestInWorker(file, chunkSize)
+      : await computeDigest(file, chunkSize);
+  return `md5:${digest}`;
+}
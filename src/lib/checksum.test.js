@@ -0,0 +1,112 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { computeChecksum, md5Hasher } from './checksum';
+import { checksumWorker } from './checksumWorker';
+
+// ASCII only
+const toArrayBuffer = (text) =>
+  Uint8Array.from(text, (char) => char.charCodeAt(0)).buffer;
+
+const md5 = (...chunks) => {
+  const hasher = md5Hasher();
+  chunks.forEach((chunk) => hasher.update(toArrayBuffer(chunk)));
+  return hasher.digest();
+};
+
+describe('md5Hasher tests', () => {
+  it('it should compute the MD5 digest', () => {
+    expect(md5('')).toEqual('d41d8cd98f00b204e9800998ecf8427e');
+    expect(md5('abc')).toEqual('900150983cd24fb0d6963f7d28e17f72');
+    expect(md5('The quick brown fox jumps over the lazy dog')).toEqual(
+      '9e107d9d372bb6826bd81d3542a419d6'
+    );
+    expect(md5('a'.repeat(1000))).toEqual('cabe45dcc9ae5b66ba86600cca6b8ba8');
+  });
+
+  it('it should compute the same digest when the content is split in chunks', () => {
+    const text = 'The quick brown fox jumps over the lazy dog'.repeat(10);
+
+    expect(md5(text.slice(0, 7), text.slice(7, 200), text.slice(200))).toEqual(
+      md5(text)
+    );
+  });
+});
+
+describe('computeChecksum tests', () => {
+  const file = new File(['The quick brown fox jumps over the lazy dog'], 'a');
+
+  afterEach(() => {
+    delete window.Worker;
+  });
+
+  it('it should hash the file on the main thread when Web Workers are not available', async () => {
+    expect(typeof Worker).toEqual('undefined');
+
+    expect(await computeChecksum(file, 5)).toEqual(
+      'md5:9e107d9d372bb6826bd81d3542a419d6'
+    );
+  });
+
+  it('it should hash the file in a Web Worker', async () => {
+    const workers = [];
+    window.Worker = class {
+      constructor(url) {
+        this.url = url;
+        this.terminate = jest.fn();
+        workers.push(this);
+      }
+
+      postMessage(data) {
+        this.data = data;
+        Promise.resolve().then(() =>
+          this.onmessage({ data: { digest: 'abcd' } })
+        );
+      }
+    };
+    URL.createObjectURL = jest.fn(() => 'blob:checksum');
+    URL.revokeObjectURL = jest.fn();
+
+    expect(await computeChecksum(file, 5)).toEqual('md5:abcd');
+    expect(workers[0].url).toEqual('blob:checksum');
+    expect(workers[0].data).toEqual({ file: file, chunkSize: 5 });
+    expect(workers[0].terminate).toHaveBeenCalled();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:checksum');
+  });
+});
+
+describe('checksumWorker tests', () => {
+  it('it should post the digest of the file read in chunks', () => {
+    const text = 'The quick brown fox jumps over the lazy dog';
+    const readChunks = [];
+    const scope = {
+      FileReaderSync: class {
+        readAsArrayBuffer(chunk) {
+          readChunks.push(chunk);
+          return toArrayBuffer(chunk);
+        }
+      },
+      postMessage: jest.fn(),
+    };
+    checksumWorker(scope, md5Hasher);
+
+    scope.onmessage({
+      data: {
+        file: {
+          size: text.length,
+          slice: (start, end) => text.slice(start, end),
+        },
+        chunkSize: 20,
+      },
+    });
+
+    expect(readChunks).toHaveLength(3);
+    expect(scope.postMessage).toHaveBeenCalledWith({
+      digest: '9e107d9d372bb6826bd81d3542a419d6',
+    });
+  });
+});
@@ -0,0 +1,53 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+// NOTE: `checksumWorker` and the hasher it is given are serialized with
+//       `toString()` to run in the Web Worker: they must be self-contained
+//       and must not use syntax that the build would replace with imported
+//       helpers.
+
+/**
+ * Body of the Web Worker computing the checksum of a file. The file is read
+ * in chunks, so that big files are never loaded in memory at once, and each
+ * chunk is hashed as soon as it is read.
+ *
+ * @param {object} scope - the global scope of the worker
+ * @param {function} createHasher - returns an incremental hasher
+ */
+export function checksumWorker(scope, createHasher) {
+  scope.onmessage = function (event) {
+    var file = event.data.file;
+    var chunkSize = event.data.chunkSize;
+    var reader = new scope.FileReaderSync();
+    var hasher = createHasher();
+    for (var offset = 0; offset < file.size; offset += chunkSize) {
+      hasher.update(
+        reader.readAsArrayBuffer(file.slice(offset, offset + chunkSize))
+      );
+    }
+    scope.postMessage({ digest: hasher.digest() });
+  };
+}
+
+/**
+ * Starts a Web Worker posting the digest of the file it is sent.
+ *
+ * @param {function} createHasher - returns an incremental hasher
+ * @returns the worker and the function terminating it
+ */
+export function startChecksumWorker(createHasher) {
+  const source = `(${checksumWorker.toString()})(self, ${createHasher.toString()});`;
+  const workerURL = URL.createObjectURL(
+    new Blob([source], { type: 'application/javascript' })
+  );
+  const worker = new Worker(workerURL);
+  const terminate = () => {
+    worker.terminate();
+    URL.revokeObjectURL(workerURL);
+  };
+  return { worker, terminate };
+}
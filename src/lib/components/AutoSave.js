@@ -0,0 +1,104 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { useFormikContext } from 'formik';
+import _isEqual from 'lodash/isEqual';
+import PropTypes from 'prop-types';
+import { useEffect, useRef } from 'react';
+import { connect } from 'react-redux';
+import { autosave, markDraftAsDirty } from '../state/actions';
+
+// NOTE: This component has to be a function component to allow
+//       the `useFormikContext` hook.
+export const AutoSaveComponent = ({
+  delay,
+  isAutosaving,
+  autosaveAction,
+  markDraftAsDirtyAction,
+}) => {
+  const { values, initialValues, isSubmitting, setValues } = useFormikContext();
+  // the last values persisted in the backend
+  const lastSavedValues = useRef(initialValues);
+
+  useEffect(() => {
+    // the form has been re-initialized after a save or a fetch
+    lastSavedValues.current = initialValues;
+  }, [initialValues]);
+
+  useEffect(() => {
+    if (_isEqual(values, lastSavedValues.current)) {
+      return;
+    }
+
+    markDraftAsDirtyAction();
+
+    // explicit actions (save, publish, ...) are submitting the form and will
+    // persist the values anyway
+    if (isSubmitting || isAutosaving) {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      const previouslySavedValues = lastSavedValues.current;
+      lastSavedValues.current = values;
+      try {
+        const savedDraft = await autosaveAction(values);
+        if (!values.id && savedDraft?.id) {
+          // the created draft is saved again with its id: it is set without
+          // re-initializing the form, not to drop what was typed meanwhile
+          const draftIdentity = { id: savedDraft.id, links: savedDraft.links };
+          lastSavedValues.current = { ...values, ...draftIdentity };
+          setValues(
+            (currentValues) => ({ ...currentValues, ...draftIdentity }),
+            false
+          );
+        }
+      } catch (error) {
+        // the values are still to be saved, try again at the next round
+        lastSavedValues.current = previouslySavedValues;
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [
+    values,
+    isSubmitting,
+    isAutosaving,
+    delay,
+    autosaveAction,
+    markDraftAsDirtyAction,
+    setValues,
+  ]);
+
+  return null;
+};
+
+AutoSaveComponent.propTypes = {
+  delay: PropTypes.number,
+  isAutosaving: PropTypes.bool,
+  autosaveAction: PropTypes.func.isRequired,
+  markDraftAsDirtyAction: PropTypes.func.isRequired,
+};
+
+AutoSaveComponent.defaultProps = {
+  delay: 3000,
+  isAutosaving: false,
+};
+
+const mapStateToProps = (state) => ({
+  isAutosaving: Boolean(state.deposit.isAutosaving),
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  autosaveAction: (values) => dispatch(autosave(values)),
+  markDraftAsDirtyAction: () => dispatch(markDraftAsDirty()),
+});
+
+export const AutoSave = connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(AutoSaveComponent);
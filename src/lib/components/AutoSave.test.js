@@ -0,0 +1,134 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { act, fireEvent, render } from '@testing-library/react';
+import { Formik } from 'formik';
+import React from 'react';
+import { AutoSaveComponent } from './AutoSave';
+
+describe('AutoSave', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const renderForm = (props) =>
+    render(
+      <Formik
+        initialValues={{ title: '' }}
+        validateOnChange={false}
+        onSubmit={() => {}}
+      >
+        {({ values, setFieldValue }) => (
+          <>
+            <AutoSaveComponent
+              delay={1000}
+              markDraftAsDirtyAction={() => {}}
+              {...props}
+            />
+            <button
+              type="button"
+              onClick={() => setFieldValue('title', 'A title')}
+            >
+              change
+            </button>
+            <button
+              type="button"
+              onClick={() => setFieldValue('title', 'A title, typed later')}
+            >
+              type
+            </button>
+            <span data-testid="values">{JSON.stringify(values)}</span>
+          </>
+        )}
+      </Formik>
+    );
+
+  it('it should save the changed values once the user stops typing', () => {
+    const autosaveAction = jest.fn().mockResolvedValue();
+    const markDraftAsDirtyAction = jest.fn();
+    const { getByText } = renderForm({
+      autosaveAction,
+      markDraftAsDirtyAction,
+    });
+
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    // the initial values are not saved again
+    expect(autosaveAction).not.toHaveBeenCalled();
+
+    fireEvent.click(getByText('change'));
+    expect(markDraftAsDirtyAction).toHaveBeenCalled();
+    act(() => {
+      jest.advanceTimersByTime(999);
+    });
+    expect(autosaveAction).not.toHaveBeenCalled();
+    act(() => {
+      jest.advanceTimersByTime(1);
+    });
+
+    expect(autosaveAction).toHaveBeenCalledTimes(1);
+    expect(autosaveAction).toHaveBeenCalledWith({ title: 'A title' });
+  });
+
+  it('it should not save while a previous save is in flight', () => {
+    const autosaveAction = jest.fn().mockResolvedValue();
+    const { getByText } = renderForm({ autosaveAction, isAutosaving: true });
+
+    fireEvent.click(getByText('change'));
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+
+    expect(autosaveAction).not.toHaveBeenCalled();
+  });
+
+  it('it should keep what is typed while the draft is created', async () => {
+    let resolveSave;
+    const autosaveAction = jest
+      .fn()
+      .mockReturnValueOnce(
+        new Promise((resolve) => {
+          resolveSave = resolve;
+        })
+      )
+      .mockResolvedValue();
+    const { getByText, getByTestId } = renderForm({ autosaveAction });
+    const links = { self: '/api/records/abcd-1234/draft' };
+
+    fireEvent.click(getByText('change'));
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(autosaveAction).toHaveBeenCalledWith({ title: 'A title' });
+
+    fireEvent.click(getByText('type'));
+    await act(async () => {
+      resolveSave({ id: 'abcd-1234', title: 'A title', links: links });
+    });
+
+    expect(JSON.parse(getByTestId('values').textContent)).toEqual({
+      title: 'A title, typed later',
+      id: 'abcd-1234',
+      links: links,
+    });
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    // the created draft is saved again, not created twice
+    expect(autosaveAction).toHaveBeenCalledTimes(2);
+    expect(autosaveAction).toHaveBeenLastCalledWith({
+      title: 'A title, typed later',
+      id: 'abcd-1234',
+      links: links,
+    });
+  });
+});
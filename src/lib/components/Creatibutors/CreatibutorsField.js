@@ -74,6 +74,10 @@ class CreatibutorsFieldForm extends Component {
               const affiliationsFieldPath = 'affiliations';
               const identifiersError =
                 creatibutorsError && creatibutorsError[index]?.person_or_org?.identifiers;
+              const creatibutorError =
+                typeof creatibutorsError === 'object'
+                  ? creatibutorsError?.[index]
+                  : undefined;
               // Default to person type
               const isPerson =
                 _get(value, typeFieldPath, CREATIBUTOR_TYPE.PERSON) ===
@@ -105,6 +109,7 @@ class CreatibutorsFieldForm extends Component {
                 <CreatibutorsFieldItem
                   key={key}
                   identifiersError={identifiersError}
+                  error={creatibutorError}
                   {...{
                     displayName,
                     index,
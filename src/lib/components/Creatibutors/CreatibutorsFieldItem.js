@@ -11,11 +11,14 @@ import _get from 'lodash/get';
 import React from 'react';
 import { useDrag, useDrop } from 'react-dnd';
 import { Button, Label, List, Ref } from 'semantic-ui-react';
+import { DepositFormNavigationContext } from '../../DepositFormNavigationContext';
+import { findFieldElement, focusElement } from '../../dom';
 import { CreatibutorsModal } from './CreatibutorsModal';
 
 export const CreatibutorsFieldItem = ({
   compKey,
   identifiersError,
+  error,
   index,
   replaceCreatibutor,
   removeCreatibutor,
@@ -29,6 +32,24 @@ export const CreatibutorsFieldItem = ({
   autocompleteNames,
 }) => {
   const dropRef = React.useRef(null);
+  const modalRef = React.useRef(null);
+  const formNavigator = React.useContext(DepositFormNavigationContext);
+
+  // the fields of the creatibutor are edited in the modal
+  React.useEffect(
+    () =>
+      formNavigator.register(compKey, (fieldPath) => {
+        modalRef.current.openModal();
+        // the inputs are rendered once the modal is open
+        setTimeout(() => {
+          const element = fieldPath && findFieldElement(fieldPath);
+          if (element) {
+            focusElement(element);
+          }
+        });
+      }),
+    [formNavigator, compKey]
+  );
   const [_, drag, preview] = useDrag({
     item: { index, type: 'creatibutor' },
   });
@@ -74,18 +95,21 @@ export const CreatibutorsFieldItem = ({
     <Ref innerRef={dropRef} key={compKey}>
       <List.Item
         key={compKey}
+        data-field-path={compKey}
         className={
           hidden ? 'deposit-drag-listitem hidden' : 'deposit-drag-listitem'
         }
       >
         <List.Content floated="right">
           <CreatibutorsModal
+            ref={modalRef}
             addLabel={addLabel}
             editLabel={editLabel}
             onCreatibutorChange={(selectedCreatibutor) => {
               replaceCreatibutor(index, selectedCreatibutor);
             }}
             initialCreatibutor={initialCreatibutor}
+            initialErrors={error}
             roleOptions={roleOptions}
             schema={schema}
             autocompleteNames={autocompleteNames}
@@ -332,6 +332,7 @@ export class CreatibutorsModal extends Component {
     return (
       <Formik
         initialValues={this.deserializeCreatibutor(initialCreatibutor)}
+        initialErrors={this.props.initialErrors}
         onSubmit={this.onSubmit}
         enableReinitialize
         validationSchema={this.CreatorSchema}
@@ -576,6 +577,7 @@ CreatibutorsModal.propTypes = {
     affiliations: PropTypes.array,
     role: PropTypes.string,
   }),
+  initialErrors: PropTypes.object,
   trigger: PropTypes.object.isRequired,
   onCreatibutorChange: PropTypes.func.isRequired,
   roleOptions: PropTypes.array,
@@ -584,5 +586,6 @@ CreatibutorsModal.propTypes = {
 CreatibutorsModal.defaultProps = {
   roleOptions: [],
   initialCreatibutor: {},
+  initialErrors: {},
   autocompleteNames: 'search',
 };
@@ -134,7 +134,7 @@ export class DeleteButtonComponent extends Component {
 }
 
 const mapStateToProps = (state) => ({
-  draftExists: Boolean(state.deposit.record.id),
+  draftExists: Boolean(state.deposit.persistedRecord.id),
   isPublished: state.deposit.record.is_published,
   isVersion: state.deposit.record.versions?.index > 1,
   actionState: state.deposit.actionState,
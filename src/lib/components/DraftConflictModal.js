@@ -0,0 +1,184 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import _isEmpty from 'lodash/isEmpty';
+import _isString from 'lodash/isString';
+import PropTypes from 'prop-types';
+import React, { useMemo, useState } from 'react';
+import { connect } from 'react-redux';
+import { Button, Checkbox, Label, Modal, Table } from 'semantic-ui-react';
+import { diffDrafts, mergeDrafts, MERGE_SOURCES } from '../draftMerge';
+import { dismissDraftConflict, resolveDraftConflict } from '../state/actions';
+import { defaultLabels } from './FormFeedback';
+
+const sourceLabels = {
+  [MERGE_SOURCES.BASE]: i18next.t('Original'),
+  [MERGE_SOURCES.MINE]: i18next.t('Your version'),
+  [MERGE_SOURCES.THEIRS]: i18next.t('Saved version'),
+};
+
+// the fields which are not edited in the form, but are saved with the draft
+const conflictLabels = {
+  parent: i18next.t('Communities and review'),
+};
+
+const renderValue = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? i18next.t('Yes') : i18next.t('No');
+  }
+  if (_isEmpty(value) && typeof value !== 'number') {
+    return <em className="text-muted">{i18next.t('Empty')}</em>;
+  }
+  if (_isString(value) || typeof value === 'number') {
+    return value;
+  }
+  // the `__key` of the entries of the lists are only used by the form
+  return (
+    <pre>
+      {JSON.stringify(
+        value,
+        (key, entry) => (key === '__key' ? undefined : entry),
+        2
+      )}
+    </pre>
+  );
+};
+
+/**
+ * Lets the user merge their draft with the one saved elsewhere in the
+ * meantime, field by field, before saving it again.
+ */
+export const DraftConflictModalComponent = ({
+  labels,
+  conflict,
+  resolveDraftConflictAction,
+  dismissDraftConflictAction,
+}) => {
+  const [sources, setSources] = useState({});
+  const diff = useMemo(
+    () => (conflict ? diffDrafts(conflict) : []),
+    [conflict]
+  );
+  const _labels = { ...defaultLabels, ...conflictLabels, ...labels };
+
+  if (!conflict) {
+    return null;
+  }
+
+  const handleMerge = () => {
+    const merged = mergeDrafts(conflict.theirs, diff, sources);
+    setSources({});
+    // the failures of the save are reported by the form feedback
+    resolveDraftConflictAction(merged).catch(() => {});
+  };
+
+  const handleCancel = () => {
+    setSources({});
+    dismissDraftConflictAction();
+  };
+
+  return (
+    <Modal open size="large">
+      <Modal.Header>
+        {i18next.t('The draft was changed elsewhere')}
+      </Modal.Header>
+      <Modal.Content scrolling>
+        <p>
+          {i18next.t(
+            'This draft was saved by someone else, or in another window, since you opened it. Choose the version to keep for each field which differs, then save the merged draft.'
+          )}
+        </p>
+        <Table celled compact>
+          <Table.Header>
+            <Table.Row>
+              <Table.HeaderCell>{i18next.t('Field')}</Table.HeaderCell>
+              {Object.values(MERGE_SOURCES).map((source) => (
+                <Table.HeaderCell key={source}>
+                  {sourceLabels[source]}
+                </Table.HeaderCell>
+              ))}
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {diff.map((fieldDiff) => {
+              const { fieldPath, isConflict } = fieldDiff;
+              const selectedSource = sources[fieldPath] || fieldDiff.source;
+              return (
+                <Table.Row key={fieldPath} warning={isConflict}>
+                  <Table.Cell>
+                    <b>{_labels[fieldPath] || fieldPath}</b>
+                    {isConflict && (
+                      <Label size="tiny" color="orange">
+                        {i18next.t('Changed on both sides')}
+                      </Label>
+                    )}
+                  </Table.Cell>
+                  {Object.values(MERGE_SOURCES).map((source) => (
+                    <Table.Cell
+                      key={source}
+                      positive={source === selectedSource}
+                    >
+                      <Checkbox
+                        radio
+                        name={`conflict-${fieldPath}`}
+                        label={sourceLabels[source]}
+                        checked={source === selectedSource}
+                        onChange={() =>
+                          setSources({ ...sources, [fieldPath]: source })
+                        }
+                      />
+                      <div>{renderValue(fieldDiff[source])}</div>
+                    </Table.Cell>
+                  ))}
+                </Table.Row>
+              );
+            })}
+          </Table.Body>
+        </Table>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button type="button" onClick={handleCancel} floated="left">
+          {i18next.t('Cancel')}
+        </Button>
+        <Button type="button" primary onClick={handleMerge}>
+          {i18next.t('Save merged draft')}
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+DraftConflictModalComponent.propTypes = {
+  labels: PropTypes.object,
+  conflict: PropTypes.shape({
+    base: PropTypes.object,
+    mine: PropTypes.object,
+    theirs: PropTypes.object,
+  }),
+  resolveDraftConflictAction: PropTypes.func.isRequired,
+  dismissDraftConflictAction: PropTypes.func.isRequired,
+};
+
+DraftConflictModalComponent.defaultProps = {
+  labels: {},
+  conflict: null,
+};
+
+const mapStateToProps = (state) => ({
+  conflict: state.deposit.conflict,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  resolveDraftConflictAction: (draft) => dispatch(resolveDraftConflict(draft)),
+  dismissDraftConflictAction: () => dispatch(dismissDraftConflict()),
+});
+
+export const DraftConflictModal = connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(DraftConflictModalComponent);
@@ -0,0 +1,66 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { fireEvent, render } from '@testing-library/react';
+import React from 'react';
+import { DraftConflictModalComponent } from './DraftConflictModal';
+
+describe('DraftConflictModal', () => {
+  const base = {
+    id: 'abcd-1234',
+    revision_id: 2,
+    metadata: { title: 'A title', version: 'v1' },
+  };
+  const conflict = {
+    base,
+    mine: { ...base, metadata: { title: 'My title', version: 'v2' } },
+    theirs: {
+      ...base,
+      revision_id: 3,
+      metadata: { title: 'Their title', version: 'v1' },
+    },
+  };
+
+  const renderModal = (resolveDraftConflictAction) =>
+    render(
+      <DraftConflictModalComponent
+        conflict={conflict}
+        resolveDraftConflictAction={resolveDraftConflictAction}
+        dismissDraftConflictAction={() => {}}
+      />
+    );
+
+  it('it should render nothing without conflict', () => {
+    const { baseElement } = render(
+      <DraftConflictModalComponent
+        resolveDraftConflictAction={() => {}}
+        dismissDraftConflictAction={() => {}}
+      />
+    );
+
+    expect(baseElement.querySelector('.modal')).toBeNull();
+  });
+
+  it('it should save the merged draft with the chosen sides', () => {
+    const resolveDraftConflictAction = jest.fn().mockResolvedValue();
+    const { baseElement, getByText } = renderModal(resolveDraftConflictAction);
+
+    expect(getByText('My title')).toBeTruthy();
+    expect(getByText('Their title')).toBeTruthy();
+    // the sides are base, mine then theirs
+    const titleSides = baseElement.querySelectorAll(
+      'input[name="conflict-metadata.title"]'
+    );
+    fireEvent.click(titleSides[2]);
+    fireEvent.click(getByText('Save merged draft'));
+
+    expect(resolveDraftConflictAction).toHaveBeenCalledWith({
+      ...conflict.theirs,
+      metadata: { title: 'Their title', version: 'v2' },
+    });
+  });
+});
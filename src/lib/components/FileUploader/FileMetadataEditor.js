@@ -0,0 +1,135 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import PropTypes from 'prop-types';
+import React, { useState } from 'react';
+import { Button, Dropdown, Input, Label } from 'semantic-ui-react';
+
+export const fileTypeOptions = [
+  { key: 'data', value: 'data', text: i18next.t('Data') },
+  {
+    key: 'documentation',
+    value: 'documentation',
+    text: i18next.t('Documentation'),
+  },
+  { key: 'code', value: 'code', text: i18next.t('Code') },
+];
+
+/**
+ * Displays the type and the description of a file, when set.
+ */
+export const FileMetadata = ({ metadata }) => {
+  const fileType = fileTypeOptions.find(({ value }) => value === metadata.type);
+  if (!fileType && !metadata.description) {
+    return null;
+  }
+  return (
+    <div className="file-metadata">
+      {fileType && (
+        <Label size="tiny" className="file-type">
+          {fileType.text}
+        </Label>
+      )}{' '}
+      {metadata.description && (
+        <span className="ui text-muted file-description">
+          {metadata.description}
+        </span>
+      )}
+    </div>
+  );
+};
+
+FileMetadata.propTypes = {
+  metadata: PropTypes.object.isRequired,
+};
+
+/**
+ * Edits the type and the description of a file, inline in its row.
+ */
+export const FileMetadataEditor = ({ metadata, onSave, onCancel }) => {
+  const [description, setDescription] = useState(metadata.description || '');
+  const [fileType, setFileType] = useState(metadata.type || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSave({
+        ...metadata,
+        description: description.trim(),
+        type: fileType,
+      });
+    } catch (error) {
+      setError(i18next.t('The file details could not be saved.'));
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="file-metadata-editor">
+      <Dropdown
+        selection
+        clearable
+        compact
+        placeholder={i18next.t('Type')}
+        options={fileTypeOptions}
+        value={fileType}
+        disabled={isSaving}
+        onChange={(event, { value }) => setFileType(value)}
+      />{' '}
+      <Input
+        size="mini"
+        value={description}
+        placeholder={i18next.t('Description')}
+        disabled={isSaving}
+        aria-label={i18next.t('Description')}
+        onChange={(event, { value }) => setDescription(value)}
+        onKeyDown={(event) => {
+          // Enter would submit the deposit form
+          if (event.key === 'Enter') {
+            event.preventDefault();
+            handleSave();
+          } else if (event.key === 'Escape') {
+            onCancel();
+          }
+        }}
+        action
+      >
+        <input />
+        <Button
+          type="button"
+          icon="check"
+          primary
+          loading={isSaving}
+          aria-label={i18next.t('Save')}
+          onClick={handleSave}
+        />
+        <Button
+          type="button"
+          icon="close"
+          disabled={isSaving}
+          aria-label={i18next.t('Cancel')}
+          onClick={onCancel}
+        />
+      </Input>
+      {error && (
+        <Label basic color="red" pointing="left">
+          {error}
+        </Label>
+      )}
+    </div>
+  );
+};
+
+FileMetadataEditor.propTypes = {
+  metadata: PropTypes.object.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
@@ -0,0 +1,350 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import _get from 'lodash/get';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+import { Button, Loader, Message, Modal, Table } from 'semantic-ui-react';
+import { getFileExtension } from './utils';
+
+const PREVIEW_MAX_TEXT_SIZE = 1024 * 1024; // bytes
+const PREVIEW_MAX_TABLE_ROWS = 100;
+
+const previewTypesExtensions = {
+  image: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'bmp'],
+  pdf: ['pdf'],
+  table: ['csv', 'tsv'],
+  audio: ['mp3', 'wav', 'ogg', 'oga', 'flac', 'm4a'],
+  video: ['mp4', 'webm', 'ogv', 'mov'],
+  // prettier-ignore
+  text: [
+    'txt', 'log', 'md', 'markdown', 'json', 'xml', 'yaml', 'yml', 'ini',
+    'toml', 'cfg', 'tex', 'html', 'css', 'js', 'ts', 'py', 'r', 'jl', 'm',
+    'c', 'h', 'cpp', 'java', 'go', 'rs', 'rb', 'sh', 'sql',
+  ],
+};
+
+/**
+ * Returns how the file can be previewed (`image`, `pdf`, `table`, `audio`,
+ * `video` or `text`), `null` when it cannot.
+ */
+export function getPreviewType(filename) {
+  const extension = getFileExtension(filename);
+  const previewType = Object.keys(previewTypesExtensions).find((type) =>
+    previewTypesExtensions[type].includes(extension)
+  );
+  return previewType || null;
+}
+
+/**
+ * Parses CSV/TSV rows, with fields optionally enclosed in double quotes.
+ */
+export function parseDelimitedText(text, delimiter, maxRows) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let isQuoted = false;
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const char = text[i];
+    if (isQuoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if ((field || row.length) && rows.length < maxRows) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const readBlobAsText = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+
+/**
+ * Reads the beginning of the local file, or of the stored one.
+ */
+const readText = async (file, readFileContent) => {
+  if (file.file) {
+    return await readBlobAsText(file.file.slice(0, PREVIEW_MAX_TEXT_SIZE));
+  }
+  return await readFileContent(file, PREVIEW_MAX_TEXT_SIZE);
+};
+
+/**
+ * Returns highlight.js once loaded, `null` until then. It is only loaded when
+ * a text file is previewed, as it is big.
+ */
+const useHighlighter = () => {
+  const [hljs, setHljs] = useState(null);
+  useEffect(() => {
+    let isCancelled = false;
+    import('highlight.js/lib/common')
+      .then((module) => !isCancelled && setHljs(module.default))
+      // the text is displayed without highlighting
+      .catch(() => {});
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+  return hljs;
+};
+
+/**
+ * Returns the URL of the local file, or of the stored one.
+ */
+const useFileURL = (file) => {
+  const [objectURL, setObjectURL] = useState(null);
+  useEffect(() => {
+    if (!file.file) {
+      return;
+    }
+    const url = URL.createObjectURL(file.file);
+    setObjectURL(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file.file]);
+  return file.file ? objectURL : _get(file, 'links.content');
+};
+
+const TablePreview = ({ text, delimiter }) => {
+  const [header, ...rows] = parseDelimitedText(
+    text,
+    delimiter,
+    PREVIEW_MAX_TABLE_ROWS + 1
+  );
+  return (
+    <Table compact celled size="small">
+      <Table.Header>
+        <Table.Row>
+          {(header || []).map((cell, index) => (
+            <Table.HeaderCell key={index}>{cell}</Table.HeaderCell>
+          ))}
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {rows.map((row, rowIndex) => (
+          <Table.Row key={rowIndex}>
+            {row.map((cell, index) => (
+              <Table.Cell key={index}>{cell}</Table.Cell>
+            ))}
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table>
+  );
+};
+
+const TextPreview = ({ text, extension }) => {
+  const hljs = useHighlighter();
+  let content = text;
+  if (extension === 'json') {
+    try {
+      content = JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+      // truncated or invalid, displayed as is
+    }
+  }
+  if (hljs && hljs.getLanguage(extension)) {
+    // the highlighted code is escaped by highlight.js
+    const highlighted = hljs.highlight(content, { language: extension }).value;
+    return (
+      <pre className="hljs file-preview-text">
+        <code dangerouslySetInnerHTML={{ __html: highlighted }} />
+      </pre>
+    );
+  }
+  return (
+    <pre className="file-preview-text">
+      <code>{content}</code>
+    </pre>
+  );
+};
+
+/**
+ * Loads the text content of the file to preview it.
+ */
+const TextContentPreview = ({ file, previewType, readFileContent }) => {
+  const [text, setText] = useState(null);
+  const [hasError, setHasError] = useState(false);
+
+  useEffect(() => {
+    let isCancelled = false;
+    readText(file, readFileContent)
+      .then((text) => !isCancelled && setText(text))
+      .catch(() => !isCancelled && setHasError(true));
+    return () => {
+      isCancelled = true;
+    };
+  }, [file, readFileContent]);
+
+  if (hasError) {
+    return (
+      <Message error content={i18next.t('The file could not be loaded.')} />
+    );
+  }
+  if (text === null) {
+    return <Loader active inline="centered" />;
+  }
+
+  const extension = getFileExtension(file.name);
+  const isTruncated = file.size > PREVIEW_MAX_TEXT_SIZE;
+  return (
+    <>
+      {isTruncated && (
+        <Message
+          info
+          size="small"
+          content={i18next.t('Only the beginning of the file is displayed.')}
+        />
+      )}
+      {previewType === 'table' ? (
+        <TablePreview
+          text={text}
+          delimiter={extension === 'tsv' ? '\t' : ','}
+        />
+      ) : (
+        <TextPreview text={text} extension={extension} />
+      )}
+    </>
+  );
+};
+
+export const FilePreview = ({ file, readFileContent }) => {
+  const previewType = getPreviewType(file.name);
+  const url = useFileURL(file);
+
+  if (previewType === 'table' || previewType === 'text') {
+    return (
+      <TextContentPreview
+        file={file}
+        previewType={previewType}
+        readFileContent={readFileContent}
+      />
+    );
+  }
+  if (!url) {
+    return null;
+  }
+  switch (previewType) {
+    case 'image':
+      return <img src={url} alt={file.name} style={{ maxWidth: '100%' }} />;
+    case 'pdf':
+      return (
+        <object
+          data={`${url}#page=1`}
+          type="application/pdf"
+          width="100%"
+          height="600px"
+        >
+          <a href={url} target="_blank" rel="noopener noreferrer">
+            {file.name}
+          </a>
+        </object>
+      );
+    case 'audio':
+      return <audio src={url} controls style={{ width: '100%' }} />;
+    case 'video':
+      return <video src={url} controls style={{ maxWidth: '100%' }} />;
+    default:
+      return (
+        <Message
+          info
+          content={i18next.t('No preview is available for this file.')}
+        />
+      );
+  }
+};
+
+FilePreview.propTypes = {
+  file: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    size: PropTypes.number,
+    links: PropTypes.object,
+    file: PropTypes.object,
+  }).isRequired,
+  // reads the beginning of a stored file, see the `readFileContent` action
+  readFileContent: PropTypes.func.isRequired,
+};
+
+/**
+ * Previews the file, if any. The modal is closed without file.
+ */
+export const FilePreviewModal = ({
+  file,
+  onClose,
+  readFileContent,
+  isDefaultPreview,
+  onSetDefaultPreview,
+}) => (
+  <Modal open={Boolean(file)} onClose={onClose} closeIcon size="large">
+    <Modal.Header>{file?.name}</Modal.Header>
+    <Modal.Content scrolling>
+      {file && <FilePreview file={file} readFileContent={readFileContent} />}
+    </Modal.Content>
+    <Modal.Actions>
+      <Button type="button" onClick={onClose} floated="left">
+        {i18next.t('Close')}
+      </Button>
+      {onSetDefaultPreview && (
+        <Button
+          type="button"
+          primary
+          disabled={isDefaultPreview}
+          onClick={() => {
+            onSetDefaultPreview();
+            onClose();
+          }}
+        >
+          {isDefaultPreview
+            ? i18next.t('Default preview')
+            : i18next.t('Set as default preview')}
+        </Button>
+      )}
+    </Modal.Actions>
+  </Modal>
+);
+
+FilePreviewModal.propTypes = {
+  file: PropTypes.object,
+  onClose: PropTypes.func.isRequired,
+  readFileContent: PropTypes.func.isRequired,
+  isDefaultPreview: PropTypes.bool,
+  onSetDefaultPreview: PropTypes.func,
+};
+
+FilePreviewModal.defaultProps = {
+  file: null,
+  isDefaultPreview: false,
+  onSetDefaultPreview: null,
+};
@@ -0,0 +1,54 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { render, wait } from '@testing-library/react';
+import React from 'react';
+import { FilePreview, getPreviewType, parseDelimitedText } from './FilePreview';
+
+describe('getPreviewType', () => {
+  it('it should find the preview type from the file extension', () => {
+    expect(getPreviewType('figure.PNG')).toEqual('image');
+    expect(getPreviewType('data/results.tsv')).toEqual('table');
+    expect(getPreviewType('analysis.py')).toEqual('text');
+    expect(getPreviewType('archive.tar.gz')).toBeNull();
+    expect(getPreviewType('Makefile')).toBeNull();
+  });
+});
+
+describe('parseDelimitedText', () => {
+  it('it should parse quoted fields and stop after the max rows', () => {
+    const text = 'name,comment\r\na,"with, comma"\nb,"with ""quotes"""\nc,d\n';
+    expect(parseDelimitedText(text, ',', 3)).toEqual([
+      ['name', 'comment'],
+      ['a', 'with, comma'],
+      ['b', 'with "quotes"'],
+    ]);
+  });
+});
+
+describe('FilePreview', () => {
+  it('it should read the stored text file through the files service', async () => {
+    const file = {
+      name: 'analysis.py',
+      size: 12,
+      links: { content: '/api/records/abcd-1234/draft/files/analysis.py' },
+    };
+    const readFileContent = jest.fn().mockResolvedValue("print('hi')");
+    const { container } = render(
+      <FilePreview file={file} readFileContent={readFileContent} />
+    );
+
+    await wait(() =>
+      expect(container.querySelector('code').textContent).toEqual("print('hi')")
+    );
+    expect(readFileContent).toHaveBeenCalledWith(file, 1024 * 1024);
+    // highlight.js is loaded once the file is previewed
+    await wait(() =>
+      expect(container.querySelector('pre.hljs')).not.toBeNull()
+    );
+  });
+});
@@ -0,0 +1,164 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import PropTypes from 'prop-types';
+import React, { useEffect, useRef, useState } from 'react';
+import { Grid, Label, List, Progress, Segment } from 'semantic-ui-react';
+import { UploadState } from '../../state/reducers/files';
+import { humanReadableBytes } from './utils';
+
+const THROUGHPUT_WINDOW = 5000; // ms
+
+const uploadStatesLabels = {
+  [UploadState.uploading]: i18next.t('Uploading'),
+  [UploadState.pending]: i18next.t('Pending'),
+  [UploadState.paused]: i18next.t('Paused'),
+  [UploadState.finished]: i18next.t('Uploaded'),
+  [UploadState.error]: i18next.t('Failed'),
+  [UploadState.corrupted]: i18next.t('Corrupted'),
+};
+
+/**
+ * Returns the upload throughput in bytes per second, measured over the last
+ * seconds.
+ */
+const useThroughput = (uploadedBytes, isActive) => {
+  // [time, uploadedBytes] samples, from the oldest to the latest
+  const samples = useRef([]);
+  const [, setNow] = useState(Date.now());
+
+  // rendered again every second, so that stalled uploads are noticed
+  useEffect(() => {
+    if (!isActive) {
+      samples.current = [];
+      return;
+    }
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isActive]);
+
+  useEffect(() => {
+    const time = Date.now();
+    const latestSample = samples.current[samples.current.length - 1];
+    if (latestSample && uploadedBytes < latestSample[1]) {
+      // restarted or cancelled uploads, the measure starts over
+      samples.current = [];
+    }
+    samples.current = [
+      ...samples.current.filter(
+        ([sampleTime]) => time - sampleTime <= THROUGHPUT_WINDOW
+      ),
+      [time, uploadedBytes],
+    ];
+  }, [uploadedBytes]);
+
+  const now = Date.now();
+  const recentSamples = samples.current.filter(
+    ([sampleTime]) => now - sampleTime <= THROUGHPUT_WINDOW
+  );
+  if (recentSamples.length < 2) {
+    return 0;
+  }
+  const [firstTime, firstBytes] = recentSamples[0];
+  const [, latestBytes] = recentSamples[recentSamples.length - 1];
+  const elapsedSeconds = (now - firstTime) / 1000;
+  return elapsedSeconds > 0 ? (latestBytes - firstBytes) / elapsedSeconds : 0;
+};
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) {
+    return i18next.t('{{hours}} h {{minutes}} min', { hours, minutes });
+  } else if (minutes > 0) {
+    return i18next.t('{{minutes}} min {{seconds}} s', {
+      minutes,
+      seconds: Math.floor(seconds % 60),
+    });
+  }
+  return i18next.t('{{seconds}} s', { seconds: Math.ceil(seconds) });
+};
+
+export const FileUploadDashboard = ({
+  uploadProgress,
+  isUploadQueuePaused,
+}) => {
+  const { uploadedBytes, totalBytes, countsByState } = uploadProgress;
+  const isActive = uploadedBytes < totalBytes;
+  const throughput = useThroughput(uploadedBytes, isActive);
+
+  if (!isActive) {
+    return null;
+  }
+
+  const percent = Math.floor((uploadedBytes / totalBytes) * 100);
+  const isPaused =
+    isUploadQueuePaused ||
+    (countsByState[UploadState.uploading] === 0 &&
+      countsByState[UploadState.pending] === 0);
+  const eta = throughput > 0 ? (totalBytes - uploadedBytes) / throughput : null;
+
+  return (
+    <Grid.Row className="file-upload-dashboard-row">
+      <Grid.Column width={16}>
+        <Segment className="file-upload-dashboard">
+          <Progress
+            percent={percent}
+            progress
+            size="small"
+            color="blue"
+            disabled={isPaused}
+            label={
+              <>
+                {humanReadableBytes(uploadedBytes)} {i18next.t('out of')}{' '}
+                {humanReadableBytes(totalBytes)}
+              </>
+            }
+          />
+          <List horizontal>
+            <List.Item>
+              <List.Header>{i18next.t('Throughput')}</List.Header>
+              {humanReadableBytes(Math.round(throughput))}/s
+            </List.Item>
+            <List.Item>
+              <List.Header>{i18next.t('Time remaining')}</List.Header>
+              {isPaused && i18next.t('Paused')}
+              {!isPaused &&
+                (eta === null
+                  ? i18next.t('Estimating...')
+                  : formatDuration(eta))}
+            </List.Item>
+            <List.Item>
+              {Object.entries(uploadStatesLabels)
+                .filter(([uploadState]) => countsByState[uploadState] > 0)
+                .map(([uploadState, label]) => (
+                  <Label key={uploadState} size="small">
+                    {label}
+                    <Label.Detail>{countsByState[uploadState]}</Label.Detail>
+                  </Label>
+                ))}
+            </List.Item>
+          </List>
+        </Segment>
+      </Grid.Column>
+    </Grid.Row>
+  );
+};
+
+FileUploadDashboard.propTypes = {
+  uploadProgress: PropTypes.shape({
+    uploadedBytes: PropTypes.number.isRequired,
+    totalBytes: PropTypes.number.isRequired,
+    countsByState: PropTypes.objectOf(PropTypes.number).isRequired,
+  }).isRequired,
+  isUploadQueuePaused: PropTypes.bool,
+};
+
+FileUploadDashboard.defaultProps = {
+  isUploadQueuePaused: false,
+};
@@ -13,121 +13,284 @@ import _map from 'lodash/map';
 import PropTypes from 'prop-types';
 import React, { useState } from 'react';
 import { Button, Grid, Icon, Message, Modal } from 'semantic-ui-react';
-import { UploadState } from '../../state/reducers/files';
+import { getFilesList } from '../../state/selectors';
+import { checkFileUploadPolicy } from '../../uploadPolicy';
 import { NewVersionButton } from '../NewVersionButton';
+import { ImportFilesModal } from './ImportFilesModal';
+import { RemoteFileModal } from './RemoteFileModal';
 import { FileUploaderArea } from './FileUploaderArea';
 import { FileUploaderToolbar } from './FileUploaderToolbar';
-import { humanReadableBytes } from './utils';
+import { FileUploadDashboard } from './FileUploadDashboard';
+import { InterruptedUploadsMessage } from './InterruptedUploadsMessage';
+import {
+  getFilesFromEvent,
+  humanReadableBytes,
+  useEventCallback,
+  withRelativePath,
+} from './utils';
+import { isZipFile } from './zip';
+import { ZipArchiveModal } from './ZipArchiveModal';
 
 // NOTE: This component has to be a function component to allow
 //       the `useFormikContext` hook.
 export const FileUploaderComponent = ({
   config,
   files,
+  filesList: filesListProp,
+  filesSize: filesSizeProp,
+  uploadProgress,
+  interruptedUploads,
   isDraftRecord,
   hasParentRecord,
   quota,
   permissions,
   record,
   uploadFiles,
+  uploadFileFromURL,
+  getRemoteFileInfo,
   deleteFile,
+  renameFile,
+  updateFileMetadata,
+  replaceFileContent,
+  reuploadFile,
+  retryUpload,
+  retryFailedUploads,
+  deleteFiles,
+  cancelUploads,
+  retryUploads,
+  downloadFiles,
+  readFileContent,
+  pauseUpload,
+  resumeUpload,
+  pauseUploads,
+  resumeUploads,
+  cancelAllUploads,
+  isUploadQueuePaused,
   importParentFiles,
+  listParentFiles,
   importButtonIcon,
   importButtonText,
   isFileImportInProgress,
+  inspectZipArchives,
   ...uiProps
 }) => {
   // We extract the working copy of the draft stored as `values` in formik
   const { values: formikDraft } = useFormikContext();
   const filesEnabled = _get(formikDraft, 'files.enabled', false);
   const [warningMsg, setWarningMsg] = useState();
+  const [zipArchive, setZipArchive] = useState(null);
+  const [isRemoteFileModalOpen, setIsRemoteFileModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
 
-  const filesList = Object.values(files).map((fileState) => {
-    return {
-      name: fileState.name,
-      size: fileState.size,
-      checksum: fileState.checksum,
-      links: fileState.links,
-      uploadState: {
-        // initial: fileState.status === UploadState.initial,
-        isFailed: fileState.status === UploadState.error,
-        isUploading: fileState.status === UploadState.uploading,
-        isFinished: fileState.status === UploadState.finished,
-        isPending: fileState.status === UploadState.pending,
-      },
-      progressPercentage: fileState.progressPercentage,
-      cancelUploadFn: fileState.cancelUploadFn,
-    };
-  });
+  // the entries of the files state, passed as `files`, are deprecated: the
+  // files are listed in `filesList` with their size in `filesSize`
+  const filesList = files ? getFilesList(files) : filesListProp;
+  const filesSize = files
+    ? filesList.reduce((totalSize, file) => totalSize + (file.size || 0), 0)
+    : filesSizeProp;
 
-  const filesSize = filesList.reduce(
-    (totalSize, file) => (totalSize += file.size),
-    0
+  // files whose interrupted upload can be resumed are not new entries
+  const resumableFilesNames = _map(
+    filesList.filter((file) => file.isResumable),
+    'name'
   );
 
-  const dropzoneParams = {
-    preventDropOnDocument: true,
-    onDropAccepted: (acceptedFiles) => {
-      const maxFileNumberReached =
-        filesList.length + acceptedFiles.length > quota.maxFiles;
-      const acceptedFilesSize = acceptedFiles.reduce(
-        (totalSize, file) => (totalSize += file.size),
-        0
+  /**
+   * Returns the message explaining why the files cannot be added, when they
+   * exceed the quota or already exist, `null` when they can be added.
+   */
+  const checkFilesQuota = (acceptedFiles) => {
+    const resumedFiles = acceptedFiles.filter((acceptedFile) =>
+      resumableFilesNames.includes(acceptedFile.name)
+    );
+    const totalFiles =
+      filesList.length + acceptedFiles.length - resumedFiles.length;
+    const maxFileNumberReached = totalFiles > quota.maxFiles;
+    const acceptedFilesSize = acceptedFiles.reduce(
+      (totalSize, file) => (totalSize += file.size),
+      0
+    );
+    const maxFileStorageReached =
+      filesSize + acceptedFilesSize > quota.maxStorage;
+
+    const filesNames = _map(
+      filesList.filter((file) => !file.isResumable),
+      'name'
+    );
+    const duplicateFiles = acceptedFiles.filter((acceptedFile) =>
+      filesNames.includes(acceptedFile.name)
+    );
+
+    if (maxFileNumberReached) {
+      return {
+        header: 'Could not upload files.',
+        content: `Uploading the selected files would result in ${totalFiles} files (max.${quota.maxFiles})`,
+      };
+    } else if (maxFileStorageReached) {
+      return {
+        header: 'Could not upload file(s).',
+        content: (
+          <>
+            {i18next.t('Uploading the selected files would result in')}{' '}
+            {humanReadableBytes(filesSize + acceptedFilesSize)}
+            {i18next.t('but the limit is')}
+            {humanReadableBytes(quota.maxStorage)}.
+          </>
+        ),
+      };
+    } else if (!_isEmpty(duplicateFiles)) {
+      return {
+        header: i18next.t(`The following files already exist`),
+        list: _map(duplicateFiles, 'name'),
+      };
+    }
+    return null;
+  };
+
+  // a remote file is checked as the dropped ones
+  const checkRemoteFile = (file) => {
+    const reasons = checkFileUploadPolicy(file, config.uploadPolicy);
+    if (!_isEmpty(reasons)) {
+      return {
+        header: i18next.t('The file is not allowed'),
+        content: `${file.name}: ${reasons.join(', ')}`,
+      };
+    }
+    return checkFilesQuota([file]);
+  };
+
+  // the files of the draft once imported, with the new uploads replacing
+  // some of them, are checked as the uploaded ones
+  const checkImportedFiles = (importedFiles, newFiles) => {
+    const rejectedFiles = newFiles
+      .map((file) => ({
+        file: file,
+        reasons: checkFileUploadPolicy(file, config.uploadPolicy),
+      }))
+      .filter(({ reasons }) => reasons.length > 0);
+    if (!_isEmpty(rejectedFiles)) {
+      return {
+        header: i18next.t('The following files are not allowed'),
+        list: rejectedFiles.map(
+          ({ file, reasons }) => `${file.name}: ${reasons.join(', ')}`
+        ),
+      };
+    }
+    return checkFilesQuota(importedFiles);
+  };
+
+  const checkAndUploadFiles = async (droppedFiles) => {
+    // the files not respecting the upload policy are skipped
+    const rejectedFiles = droppedFiles
+      .map((file) => ({
+        file: file,
+        reasons: checkFileUploadPolicy(file, config.uploadPolicy),
+      }))
+      .filter(({ reasons }) => reasons.length > 0);
+    const acceptedFiles = droppedFiles.filter(
+      (file) => !_map(rejectedFiles, 'file').includes(file)
+    );
+    const rejectedFilesMsg = !_isEmpty(rejectedFiles) && (
+      <Message
+        warning
+        icon="warning circle"
+        header={i18next.t('The following files are not allowed')}
+        list={rejectedFiles.map(
+          ({ file, reasons }) => `${file.name}: ${reasons.join(', ')}`
+        )}
+      />
+    );
+
+    const quotaIssue = checkFilesQuota(acceptedFiles);
+    if (quotaIssue) {
+      setWarningMsg(
+        <div className="content">
+          <Message warning icon="warning circle" {...quotaIssue} />
+          {rejectedFilesMsg}
+        </div>
       );
-      const maxFileStorageReached =
-        filesSize + acceptedFilesSize > quota.maxStorage;
+    } else {
+      if (rejectedFilesMsg) {
+        setWarningMsg(<div className="content">{rejectedFilesMsg}</div>);
+      }
+      if (!_isEmpty(acceptedFiles)) {
+        const remoteFilenames = await uploadFiles(formikDraft, acceptedFiles);
+        if (!_isEmpty(remoteFilenames)) {
+          setWarningMsg(
+            <div className="content">
+              <Message
+                warning
+                icon="warning circle"
+                header={i18next.t(
+                  'The following files are already being uploaded from another tab'
+                )}
+                list={remoteFilenames}
+              />
+              {rejectedFilesMsg}
+            </div>
+          );
+        }
+      }
+    }
+  };
 
-      const filesNames = _map(filesList, 'name');
-      const duplicateFiles = acceptedFiles.filter((acceptedFile) =>
-        filesNames.includes(acceptedFile.name)
+  // passed to the memoized rows of the files list
+  const checkAndReplaceFileContent = useEventCallback(async (file, newFile) => {
+    // the new content is stored under the name of the replaced file
+    newFile = withRelativePath(newFile, file.name);
+    const reasons = checkFileUploadPolicy(newFile, config.uploadPolicy);
+    const newFilesSize = filesSize - file.size + newFile.size;
+    if (!_isEmpty(reasons)) {
+      setWarningMsg(
+        <div className="content">
+          <Message
+            warning
+            icon="warning circle"
+            header={i18next.t('Could not replace the file.')}
+            content={`${file.name}: ${reasons.join(', ')}`}
+          />
+        </div>
+      );
+    } else if (newFilesSize > quota.maxStorage) {
+      setWarningMsg(
+        <div className="content">
+          <Message
+            warning
+            icon="warning circle"
+            header={i18next.t('Could not replace the file.')}
+            content={
+              <>
+                {i18next.t('Replacing the file would result in')}{' '}
+                {humanReadableBytes(newFilesSize)}{' '}
+                {i18next.t('but the limit is')}{' '}
+                {humanReadableBytes(quota.maxStorage)}.
+              </>
+            }
+          />
+        </div>
       );
+    } else {
+      await replaceFileContent(file, newFile);
+    }
+  });
 
-      if (maxFileNumberReached) {
-        setWarningMsg(
-          <div className="content">
-            <Message
-              warning
-              icon="warning circle"
-              header="Could not upload files."
-              content={`Uploading the selected files would result in ${
-                filesList.length + acceptedFiles.length
-              } files (max.${quota.maxFiles})`}
-            />
-          </div>
-        );
-      } else if (maxFileStorageReached) {
-        setWarningMsg(
-          <div className="content">
-            <Message
-              warning
-              icon="warning circle"
-              header="Could not upload file(s)."
-              content={
-                <>
-                  {i18next.t('Uploading the selected files would result in')}{' '}
-                  {humanReadableBytes(filesSize + acceptedFilesSize)}
-                  {i18next.t('but the limit is')}
-                  {humanReadableBytes(quota.maxStorage)}.
-                </>
-              }
-            />
-          </div>
-        );
-      } else if (!_isEmpty(duplicateFiles)) {
-        setWarningMsg(
-          <div className="content">
-            <Message
-              warning
-              icon="warning circle"
-              header={i18next.t(`The following files already exist`)}
-              list={_map(duplicateFiles, 'name')}
-            />
-          </div>
-        );
+  const dropzoneParams = {
+    preventDropOnDocument: true,
+    onDropAccepted: (acceptedFiles) => {
+      const [firstFile] = acceptedFiles;
+      const isZipArchive =
+        inspectZipArchives &&
+        acceptedFiles.length === 1 &&
+        isZipFile(firstFile) &&
+        !resumableFilesNames.includes(firstFile.name);
+      if (isZipArchive) {
+        setZipArchive(firstFile);
       } else {
-        uploadFiles(formikDraft, acceptedFiles);
+        checkAndUploadFiles(acceptedFiles);
       }
     },
+    // folders are traversed, their files keyed by their relative path
+    getFilesFromEvent: getFilesFromEvent,
     multiple: true,
     noClick: true,
     noKeyboard: true,
@@ -155,9 +318,27 @@ export const FileUploaderComponent = ({
               filesSize={filesSize}
               isDraftRecord={isDraftRecord}
               quota={quota}
+              retryFailedUploads={retryFailedUploads}
+              isUploadQueuePaused={isUploadQueuePaused}
+              pauseUploads={pauseUploads}
+              resumeUploads={resumeUploads}
+              cancelAllUploads={cancelAllUploads}
             />
           )}
         </Grid.Row>
+        {isDraftRecord && filesEnabled && uploadProgress && (
+          <FileUploadDashboard
+            uploadProgress={uploadProgress}
+            isUploadQueuePaused={isUploadQueuePaused}
+          />
+        )}
+        {isDraftRecord && filesEnabled && (
+          <InterruptedUploadsMessage
+            interruptedFiles={interruptedUploads}
+            onRemove={deleteFiles}
+            onResume={checkAndUploadFiles}
+          />
+        )}
         {displayImportBtn && (
           <Grid.Row className="file-import-note-row">
             <Grid.Column width={16}>
@@ -169,7 +350,11 @@ export const FileUploaderComponent = ({
                     primary={true}
                     icon={importButtonIcon}
                     content={importButtonText}
-                    onClick={() => importParentFiles()}
+                    onClick={() =>
+                      listParentFiles
+                        ? setIsImportModalOpen(true)
+                        : importParentFiles()
+                    }
                     disabled={isFileImportInProgress}
                     loading={isFileImportInProgress}
                   />
@@ -191,6 +376,21 @@ export const FileUploaderComponent = ({
               isDraftRecord={isDraftRecord}
               filesEnabled={filesEnabled}
               deleteFile={deleteFile}
+              renameFile={renameFile}
+              updateFileMetadata={updateFileMetadata}
+              replaceFileContent={checkAndReplaceFileContent}
+              reuploadFile={reuploadFile}
+              retryUpload={retryUpload}
+              pauseUpload={pauseUpload}
+              resumeUpload={resumeUpload}
+              deleteFiles={deleteFiles}
+              cancelUploads={cancelUploads}
+              retryUploads={retryUploads}
+              downloadFiles={downloadFiles}
+              readFileContent={readFileContent}
+              openRemoteFileDialog={
+                uploadFileFromURL ? () => setIsRemoteFileModalOpen(true) : null
+              }
             />
           </Grid.Row>
         )}
@@ -236,27 +436,75 @@ export const FileUploaderComponent = ({
         onClose={() => setWarningMsg()}
         closeIcon
       />
+      {listParentFiles && (
+        <ImportFilesModal
+          open={isImportModalOpen}
+          listParentFiles={listParentFiles}
+          checkFile={(file) => checkFileUploadPolicy(file, config.uploadPolicy)}
+          checkImport={checkImportedFiles}
+          onImport={importParentFiles}
+          onClose={() => setIsImportModalOpen(false)}
+        />
+      )}
+      {uploadFileFromURL && (
+        <RemoteFileModal
+          open={isRemoteFileModalOpen}
+          fetchInBackend={Boolean(config.fetchRemoteFilesInBackend)}
+          getRemoteFileInfo={getRemoteFileInfo}
+          checkRemoteFile={checkRemoteFile}
+          onAdd={(url, filename, options) =>
+            uploadFileFromURL(formikDraft, url, filename, {
+              ...options,
+              checkFile: checkRemoteFile,
+            })
+          }
+          onClose={() => setIsRemoteFileModalOpen(false)}
+        />
+      )}
+      {zipArchive && (
+        <ZipArchiveModal
+          file={zipArchive}
+          filesCount={filesList.length}
+          filesSize={filesSize}
+          quota={quota}
+          onClose={() => setZipArchive(null)}
+          onUploadArchive={() => {
+            setZipArchive(null);
+            checkAndUploadFiles([zipArchive]);
+          }}
+          onUploadEntries={(files) => {
+            setZipArchive(null);
+            checkAndUploadFiles(files);
+          }}
+        />
+      )}
     </>
   );
 };
 
-const fileDetailsShape = PropTypes.objectOf(
-  PropTypes.shape({
-    name: PropTypes.string,
-    size: PropTypes.number,
-    progressPercentage: PropTypes.number,
-    checksum: PropTypes.string,
-    links: PropTypes.object,
-    cancelUploadFn: PropTypes.func,
-    state: PropTypes.oneOf(Object.values(UploadState)),
-    enabled: PropTypes.bool,
-  })
-);
+const fileDetailsShape = PropTypes.shape({
+  name: PropTypes.string,
+  size: PropTypes.number,
+  progressPercentage: PropTypes.number,
+  checksum: PropTypes.string,
+  links: PropTypes.object,
+  cancelUploadFn: PropTypes.func,
+  uploadState: PropTypes.objectOf(PropTypes.bool),
+  file: PropTypes.object,
+});
 
 FileUploaderComponent.propTypes = {
   config: PropTypes.object,
   dragText: PropTypes.string,
-  files: fileDetailsShape,
+  /**
+   * The entries of the files state.
+   * @deprecated use `filesList` and `filesSize` instead.
+   */
+  files: PropTypes.objectOf(PropTypes.object),
+  filesList: PropTypes.arrayOf(fileDetailsShape),
+  filesSize: PropTypes.number,
+  uploadProgress: PropTypes.object,
+  interruptedUploads: PropTypes.arrayOf(fileDetailsShape),
   isDraftRecord: PropTypes.bool,
   hasParentRecord: PropTypes.bool,
   quota: PropTypes.shape({
@@ -266,24 +514,62 @@ FileUploaderComponent.propTypes = {
   record: PropTypes.object,
   uploadButtonIcon: PropTypes.string,
   uploadButtonText: PropTypes.string,
+  uploadFolderButtonIcon: PropTypes.string,
+  uploadFolderButtonText: PropTypes.string,
+  remoteFileButtonIcon: PropTypes.string,
+  remoteFileButtonText: PropTypes.string,
   importButtonIcon: PropTypes.string,
   importButtonText: PropTypes.string,
   isFileImportInProgress: PropTypes.bool,
+  inspectZipArchives: PropTypes.bool,
   importParentFiles: PropTypes.func,
+  listParentFiles: PropTypes.func,
   uploadFiles: PropTypes.func,
+  uploadFileFromURL: PropTypes.func,
+  getRemoteFileInfo: PropTypes.func,
   deleteFile: PropTypes.func,
+  renameFile: PropTypes.func,
+  updateFileMetadata: PropTypes.func,
+  replaceFileContent: PropTypes.func,
+  reuploadFile: PropTypes.func,
+  retryUpload: PropTypes.func,
+  retryFailedUploads: PropTypes.func,
+  deleteFiles: PropTypes.func,
+  cancelUploads: PropTypes.func,
+  retryUploads: PropTypes.func,
+  downloadFiles: PropTypes.func,
+  readFileContent: PropTypes.func,
+  isUploadQueuePaused: PropTypes.bool,
+  pauseUpload: PropTypes.func,
+  resumeUpload: PropTypes.func,
+  pauseUploads: PropTypes.func,
+  resumeUploads: PropTypes.func,
+  cancelAllUploads: PropTypes.func,
 };
 
 FileUploaderComponent.defaultProps = {
   dragText: i18next.t('Drag and drop file(s)'),
+  files: null,
+  filesList: [],
+  filesSize: 0,
+  uploadProgress: null,
+  interruptedUploads: [],
   isDraftRecord: true,
   hasParentRecord: false,
+  inspectZipArchives: false,
   quota: {
     maxFiles: 5,
     maxStorage: 10 ** 10,
   },
   uploadButtonIcon: 'upload',
   uploadButtonText: i18next.t('Upload files'),
+  uploadFolderButtonIcon: 'folder open',
+  uploadFolderButtonText: i18next.t('Upload folder'),
+  remoteFileButtonIcon: 'linkify',
+  remoteFileButtonText: i18next.t('Add from URL'),
+  uploadFileFromURL: null,
+  listParentFiles: null,
+  getRemoteFileInfo: null,
   importButtonIcon: 'sync',
   importButtonText: i18next.t('Import files'),
 };
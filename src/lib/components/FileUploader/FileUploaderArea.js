@@ -9,8 +9,17 @@
 import { i18next } from '@translations/i18next';
 import { useFormikContext } from 'formik';
 import _get from 'lodash/get';
+import _uniq from 'lodash/uniq';
 import PropTypes from 'prop-types';
-import React, { Component, useState } from 'react';
+import React, {
+  Component,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import { DndProvider, useDrag, useDrop } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
 import Dropzone from 'react-dropzone';
 import {
   Button,
@@ -18,49 +27,131 @@ import {
   Grid,
   Header,
   Icon,
+  Input,
+  Label,
   Popup,
   Progress,
+  Ref,
   Segment,
   Table,
 } from 'semantic-ui-react';
-import { humanReadableBytes } from './utils';
-
-const FileTableHeader = ({ isDraftRecord }) => (
-  <Table.Header>
-    <Table.Row className="file-table-row">
-      <Table.HeaderCell className="file-table-header-cell">
-        {i18next.t('Preview')}{' '}
-        <Popup
-          content="Set the default preview"
-          trigger={<Icon fitted name="help circle" size="small" />}
-        />
-      </Table.HeaderCell>
-      <Table.HeaderCell className="file-table-header-cell">
-        {i18next.t('Filename')}
-      </Table.HeaderCell>
-      <Table.HeaderCell className="file-table-header-cell">
-        {i18next.t('Size')}
-      </Table.HeaderCell>
-      {isDraftRecord && (
-        <Table.HeaderCell textAlign="center" className="file-table-header-cell">
-          {i18next.t('Progress')}
+import { FileMetadata, FileMetadataEditor } from './FileMetadataEditor';
+import { FilePreviewModal, getPreviewType } from './FilePreview';
+import { FilesBulkActions, FilesFilters } from './FilesListControls';
+import {
+  buildFilesTree,
+  filterFiles,
+  flattenFilesTree,
+  getFilesFromEvent,
+  getRowsWindow,
+  humanReadableBytes,
+  moveFile,
+  orderFiles,
+  sortFiles,
+  useEventCallback,
+} from './utils';
+
+const FileTableHeader = ({
+  isDraftRecord,
+  sortColumn,
+  sortDirection,
+  onSort,
+  selectionState,
+  onToggleSelection,
+}) => {
+  const sortableProps = (column) => ({
+    sorted: sortColumn === column ? sortDirection : null,
+    onClick: () => onSort(column),
+  });
+  return (
+    <Table.Header>
+      <Table.Row className="file-table-row">
+        {isDraftRecord && (
+          <Table.HeaderCell className="file-table-header-cell">
+            <Checkbox
+              checked={selectionState === 'all'}
+              indeterminate={selectionState === 'some'}
+              aria-label={i18next.t('Select all files')}
+              onChange={onToggleSelection}
+            />
+          </Table.HeaderCell>
+        )}
+        <Table.HeaderCell className="file-table-header-cell">
+          {i18next.t('Preview')}{' '}
+          <Popup
+            content="Set the default preview"
+            trigger={<Icon fitted name="help circle" size="small" />}
+          />
         </Table.HeaderCell>
-      )}
-      {isDraftRecord && <Table.HeaderCell className="file-table-header-cell" />}
-    </Table.Row>
-  </Table.Header>
-);
+        <Table.HeaderCell
+          className="file-table-header-cell"
+          {...sortableProps('name')}
+        >
+          {i18next.t('Filename')}
+        </Table.HeaderCell>
+        <Table.HeaderCell
+          className="file-table-header-cell"
+          {...sortableProps('size')}
+        >
+          {i18next.t('Size')}
+        </Table.HeaderCell>
+        {isDraftRecord && (
+          <Table.HeaderCell
+            textAlign="center"
+            className="file-table-header-cell"
+            {...sortableProps('status')}
+          >
+            {i18next.t('Progress')}
+          </Table.HeaderCell>
+        )}
+        {isDraftRecord && (
+          <Table.HeaderCell className="file-table-header-cell" />
+        )}
+      </Table.Row>
+    </Table.Header>
+  );
+};
 
-const FileTableRow = ({
+// the rows are memoized, only the rows whose file changed are rendered again
+// during the uploads: the props passed to them must not change between renders
+const FileTableRow = React.memo(function FileTableRow({
   isDraftRecord,
   file,
+  hasFile,
   deleteFile,
-  defaultPreview,
+  renameFile,
+  updateFileMetadata,
+  replaceFileContent,
+  reuploadFile,
+  retryUpload,
+  pauseUpload,
+  resumeUpload,
+  isDefaultPreview,
   setDefaultPreview,
-}) => {
+  openPreview,
+  isSelected,
+  toggleFileSelection,
+  dragHandleRef,
+  isDropTarget,
+  depth,
+}) {
   const [isCancelling, setIsCancelling] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
-  const isDefaultPreview = defaultPreview === file.name;
+  const [isReuploading, setIsReuploading] = useState(false);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [isSavingName, setIsSavingName] = useState(false);
+  const [newFilename, setNewFilename] = useState(file.name);
+  const [renameError, setRenameError] = useState(null);
+  const [replaceError, setReplaceError] = useState(null);
+  const [isEditingMetadata, setIsEditingMetadata] = useState(false);
+  const replaceInputRef = useRef(null);
+  // inside a folder, only the last part of the path is displayed
+  const displayName = file.name.split('/').pop();
+  // the local file is previewed when available, the stored one otherwise
+  const canPreview =
+    getPreviewType(file.name) !== null &&
+    (Boolean(file.file) ||
+      (file.uploadState.isFinished && Boolean(file.links?.content)));
 
   const handleDelete = async (file) => {
     setIsDeleting(true);
@@ -72,13 +163,106 @@ const FileTableRow = ({
     } catch (error) {}
   };
 
+  const handleRetry = async (file) => {
+    try {
+      await retryUpload(file);
+    } catch (error) {}
+  };
+
+  const handleReupload = async (file) => {
+    setIsReuploading(true);
+    try {
+      await reuploadFile(file);
+    } catch (error) {
+      setIsReuploading(false);
+    }
+  };
+
+  const startRenaming = () => {
+    setNewFilename(file.name);
+    setRenameError(null);
+    setIsRenaming(true);
+  };
+
+  const handleRename = async () => {
+    const filename = newFilename.trim();
+    if (filename === file.name) {
+      setIsRenaming(false);
+      return;
+    }
+    if (!filename || filename.endsWith('/')) {
+      setRenameError(i18next.t('The file name cannot be empty.'));
+      return;
+    }
+    if (hasFile(filename)) {
+      setRenameError(i18next.t('A file with this name already exists.'));
+      return;
+    }
+    setIsSavingName(true);
+    try {
+      // the file is displayed in a new row once renamed
+      await renameFile(file, filename);
+      if (isDefaultPreview) {
+        setDefaultPreview(filename);
+      }
+    } catch (error) {
+      setRenameError(i18next.t('The file could not be renamed.'));
+      setIsSavingName(false);
+    }
+  };
+
+  const handleReplaceSelected = async (event) => {
+    const [newFile] = event.target.files;
+    // allows selecting the same file again
+    event.target.value = '';
+    if (!newFile) {
+      return;
+    }
+    setReplaceError(null);
+    try {
+      await replaceFileContent(file, newFile);
+    } catch (error) {
+      setReplaceError(i18next.t('The file content could not be replaced.'));
+    }
+  };
+
   const handleCancelUpload = (file) => {
     setIsCancelling(true);
     file.cancelUploadFn();
   };
 
+  const handleSaveMetadata = async (metadata) => {
+    await updateFileMetadata(file, metadata);
+    setIsEditingMetadata(false);
+  };
+
   return (
-    <Table.Row key={file.name} className="file-table-row">
+    <Table.Row
+      key={file.name}
+      className={
+        isDropTarget
+          ? 'file-table-row deposit-drag-listitem hidden'
+          : 'file-table-row'
+      }
+    >
+      {isDraftRecord && (
+        <Table.Cell className="file-table-cell" width={1}>
+          {dragHandleRef && (
+            <Ref innerRef={dragHandleRef}>
+              <Icon
+                name="bars"
+                className="drag-anchor"
+                aria-label={i18next.t('Drag to reorder')}
+              />
+            </Ref>
+          )}
+          <Checkbox
+            checked={isSelected}
+            aria-label={i18next.t('Select file')}
+            onChange={() => toggleFileSelection(file.name)}
+          />
+        </Table.Cell>
+      )}
       <Table.Cell className="file-table-cell" width={2}>
         {/* TODO: Investigate if react-deposit-forms optimized Checkbox field
                   would be more performant */}
@@ -87,18 +271,92 @@ const FileTableRow = ({
           onChange={() => setDefaultPreview(isDefaultPreview ? '' : file.name)}
         />
       </Table.Cell>
-      <Table.Cell className="file-table-cell" width={10}>
-        {file.uploadState.isPending ? (
-          file.name
+      <Table.Cell
+        className="file-table-cell"
+        width={10}
+        style={depth ? { paddingLeft: `${depth * 1.5}em` } : undefined}
+      >
+        {isRenaming ? (
+          <>
+            <Input
+              size="mini"
+              value={newFilename}
+              error={Boolean(renameError)}
+              disabled={isSavingName}
+              aria-label={i18next.t('File name')}
+              onChange={(event, { value }) => setNewFilename(value)}
+              onKeyDown={(event) => {
+                // Enter would submit the deposit form
+                if (event.key === 'Enter') {
+                  event.preventDefault();
+                  handleRename();
+                } else if (event.key === 'Escape') {
+                  setIsRenaming(false);
+                }
+              }}
+              action
+            >
+              <input autoFocus />
+              <Button
+                type="button"
+                icon="check"
+                primary
+                loading={isSavingName}
+                aria-label={i18next.t('Save')}
+                onClick={handleRename}
+              />
+              <Button
+                type="button"
+                icon="close"
+                disabled={isSavingName}
+                aria-label={i18next.t('Cancel')}
+                onClick={() => setIsRenaming(false)}
+              />
+            </Input>
+            {renameError && (
+              <Label basic color="red" pointing="left">
+                {renameError}
+              </Label>
+            )}
+          </>
+        ) : file.uploadState.isPending ? (
+          displayName
         ) : (
           <a
             href={_get(file, 'links.content', '')}
             target="_blank"
             rel="noopener noreferrer"
           >
-            {file.name}
+            {displayName}
           </a>
         )}
+        {isEditingMetadata ? (
+          <FileMetadataEditor
+            metadata={file.metadata}
+            onSave={handleSaveMetadata}
+            onCancel={() => setIsEditingMetadata(false)}
+          />
+        ) : (
+          !isRenaming && <FileMetadata metadata={file.metadata} />
+        )}
+        {canPreview && !isRenaming && (
+          <>
+            {' '}
+            <Popup
+              content={i18next.t('Preview')}
+              position="top center"
+              trigger={
+                <Icon
+                  link
+                  name="eye"
+                  color="blue"
+                  aria-label={i18next.t('Preview')}
+                  onClick={() => openPreview(file.name)}
+                />
+              }
+            />
+          </>
+        )}
         <br />
         {file.checksum && (
           <div className="ui text-muted">
@@ -112,6 +370,33 @@ const FileTableRow = ({
             />
           </div>
         )}
+        {file.uploadState?.isCorrupted && (
+          <Label
+            basic
+            color="red"
+            size="tiny"
+            className="file-upload-corrupted"
+          >
+            <Icon name="warning sign" />
+            {i18next.t(
+              'Checksum mismatch: the uploaded file differs from the local one.'
+            )}
+          </Label>
+        )}
+        {file.uploadState?.isUnverified && (
+          <Label basic color="orange" size="tiny">
+            <Icon name="question circle" />
+            {i18next.t(
+              'The integrity of the uploaded file could not be verified.'
+            )}
+          </Label>
+        )}
+        {replaceError && (
+          <Label basic color="red" size="tiny">
+            <Icon name="warning sign" />
+            {replaceError}
+          </Label>
+        )}
       </Table.Cell>
       <Table.Cell className="file-table-cell" width={2}>
         {file.size ? humanReadableBytes(file.size) : ''}
@@ -122,7 +407,11 @@ const FileTableRow = ({
             <Progress
               className="file-upload-progress"
               percent={file.progressPercentage}
-              error={file.uploadState.isFailed}
+              error={file.uploadState.isFailed || file.uploadState.isCorrupted}
+              disabled={file.uploadState.isPaused}
+              label={
+                file.uploadState.isPaused ? i18next.t('Paused') : undefined
+              }
               size="medium"
               color="blue"
               progress
@@ -130,12 +419,135 @@ const FileTableRow = ({
               active
             />
           )}
-          {file.uploadState?.isPending && <span>{i18next.t('Pending')}</span>}
+          {file.uploadState?.isPending &&
+            !file.uploadState?.isRetrying &&
+            (file.isRemote || file.isFetched ? (
+              <span className="file-upload-remote">
+                <Icon loading name="sync" />
+                {file.isFetched
+                  ? i18next.t('Fetching from URL')
+                  : i18next.t('Uploading from another tab')}
+              </span>
+            ) : (
+              <span>{i18next.t('Pending')}</span>
+            ))}
+          {file.uploadState?.isRetrying && (
+            <span className="file-upload-retrying">
+              <Icon loading name="sync" />
+              {i18next.t('Retrying... (attempt {{attempt}})', {
+                attempt: file.retryAttempt + 1,
+              })}
+            </span>
+          )}
         </Table.Cell>
       )}
       {isDraftRecord && (
         <Table.Cell textAlign="right" width={2} className="file-table-cell">
-          {(file.uploadState?.isFinished || file.uploadState?.isFailed) &&
+          {file.uploadState?.isCorrupted && file.file && (
+            <Button
+              compact
+              type="button"
+              size="tiny"
+              disabled={isReuploading}
+              loading={isReuploading}
+              onClick={() => handleReupload(file)}
+            >
+              {i18next.t('Re-upload')}
+            </Button>
+          )}
+          {(file.uploadState?.isUploading ||
+            (file.uploadState?.isPending && !file.isExternal)) && (
+            <Icon
+              link
+              className="action"
+              name="pause"
+              color="blue"
+              aria-label={i18next.t('Pause upload')}
+              onClick={() => pauseUpload(file)}
+            />
+          )}
+          {file.uploadState?.isPaused && (
+            <Icon
+              link
+              className="action"
+              name="play"
+              color="blue"
+              aria-label={i18next.t('Resume upload')}
+              onClick={() => resumeUpload(file)}
+            />
+          )}
+          {file.uploadState?.isFailed && file.file && (
+            <Popup
+              content={i18next.t('Retry upload')}
+              position="top center"
+              trigger={
+                <Icon
+                  link
+                  className="action"
+                  name="redo"
+                  color="blue"
+                  onClick={() => handleRetry(file)}
+                />
+              }
+            />
+          )}
+          {file.uploadState?.isFinished && !isRenaming && (
+            <>
+              <Popup
+                content={i18next.t('Rename')}
+                position="top center"
+                trigger={
+                  <Icon
+                    link
+                    className="action"
+                    name="pencil"
+                    color="blue"
+                    aria-label={i18next.t('Rename')}
+                    onClick={startRenaming}
+                  />
+                }
+              />
+              {updateFileMetadata && (
+                <Popup
+                  content={i18next.t('Edit details')}
+                  position="top center"
+                  trigger={
+                    <Icon
+                      link
+                      className="action"
+                      name="tags"
+                      color="blue"
+                      aria-label={i18next.t('Edit details')}
+                      onClick={() => setIsEditingMetadata(!isEditingMetadata)}
+                    />
+                  }
+                />
+              )}
+              <Popup
+                content={i18next.t('Replace content')}
+                position="top center"
+                trigger={
+                  <Icon
+                    link
+                    className="action"
+                    name="exchange"
+                    color="blue"
+                    aria-label={i18next.t('Replace content')}
+                    onClick={() => replaceInputRef.current.click()}
+                  />
+                }
+              />
+              <input
+                ref={replaceInputRef}
+                type="file"
+                style={{ display: 'none' }}
+                onChange={handleReplaceSelected}
+              />
+            </>
+          )}
+          {(file.uploadState?.isFinished ||
+            file.uploadState?.isFailed ||
+            file.uploadState?.isCorrupted) &&
             (isDeleting ? (
               <Icon loading name="spinner" />
             ) : (
@@ -168,7 +580,44 @@ const FileTableRow = ({
       )}
     </Table.Row>
   );
-};
+});
+
+// the files are dragged by their handle and dropped on another file of the
+// same folder, to take its place in the display order
+const DraggableFileTableRow = React.memo(function DraggableFileTableRow({
+  canReorder,
+  moveFile,
+  ...rowProps
+}) {
+  const { file } = rowProps;
+  const rowRef = useRef(null);
+  const folderPath = file.name.split('/').slice(0, -1).join('/');
+  const [, drag, preview] = useDrag({
+    item: { type: 'file', name: file.name, folderPath: folderPath },
+    canDrag: () => canReorder,
+  });
+  const [{ isOver }, drop] = useDrop({
+    accept: 'file',
+    canDrop: (item) =>
+      canReorder && item.name !== file.name && item.folderPath === folderPath,
+    drop: (item) => moveFile(item.name, file.name),
+    collect: (monitor) => ({
+      isOver: monitor.isOver() && monitor.canDrop(),
+    }),
+  });
+
+  drop(rowRef);
+  preview(rowRef);
+  return (
+    <Ref innerRef={rowRef}>
+      <FileTableRow
+        {...rowProps}
+        dragHandleRef={canReorder ? drag : null}
+        isDropTarget={isOver}
+      />
+    </Ref>
+  );
+});
 
 const FileUploadBox = ({
   isDraftRecord,
@@ -176,7 +625,13 @@ const FileUploadBox = ({
   dragText,
   uploadButtonIcon,
   uploadButtonText,
+  uploadFolderButtonIcon,
+  uploadFolderButtonText,
+  remoteFileButtonIcon,
+  remoteFileButtonText,
   openFileDialog,
+  openFolderDialog,
+  openRemoteFileDialog,
 }) =>
   isDraftRecord && (
     <Segment
@@ -201,39 +656,368 @@ const FileUploadBox = ({
               onClick={() => openFileDialog()}
               disabled={openFileDialog === null}
             />
+            <Button
+              type="button"
+              icon={uploadFolderButtonIcon}
+              content={uploadFolderButtonText}
+              onClick={() => openFolderDialog()}
+            />
+            {openRemoteFileDialog && (
+              <Button
+                type="button"
+                icon={remoteFileButtonIcon}
+                content={remoteFileButtonText}
+                onClick={() => openRemoteFileDialog()}
+              />
+            )}
           </Grid.Column>
         </Grid.Row>
       </Grid>
     </Segment>
   );
 
-const FilesListTable = ({ isDraftRecord, filesList, deleteFile }) => {
+const FolderTableRow = ({ isDraftRecord, folder, depth, isOpen, onToggle }) => (
+  <Table.Row className="file-table-row file-table-folder-row">
+    {isDraftRecord && <Table.Cell className="file-table-cell" width={1} />}
+    <Table.Cell className="file-table-cell" width={2} />
+    <Table.Cell
+      className="file-table-cell"
+      width={10}
+      style={depth ? { paddingLeft: `${depth * 1.5}em` } : undefined}
+    >
+      <Icon
+        link
+        name={isOpen ? 'folder open outline' : 'folder outline'}
+        color="blue"
+        aria-label={
+          isOpen ? i18next.t('Collapse folder') : i18next.t('Expand folder')
+        }
+        onClick={onToggle}
+      />
+      {folder.name}
+    </Table.Cell>
+    <Table.Cell className="file-table-cell" width={2}>
+      {humanReadableBytes(folder.size)}
+    </Table.Cell>
+    {isDraftRecord && <Table.Cell className="file-table-cell" width={2} />}
+    {isDraftRecord && <Table.Cell className="file-table-cell" width={2} />}
+  </Table.Row>
+);
+
+// lists with more rows are rendered in a scrollable window, where only the
+// rows in view are rendered. The rows are measured once rendered, as their
+// metadata or errors make them higher.
+const VIRTUALIZATION_THRESHOLD = 100;
+const ROW_HEIGHT = 60; // px, estimated height of a row not rendered yet
+const WINDOW_HEIGHT = 600; // px
+const OVERSCAN_ROWS = 10;
+
+const getRowKey = ({ folder, file }) => (folder ? folder.path : file.name);
+
+const SpacerRow = ({ height }) =>
+  height > 0 ? <tr aria-hidden="true" style={{ height: height }} /> : null;
+
+const FilesTreeRows = ({
+  rows,
+  toggleFolder,
+  defaultPreview,
+  selectedFilenames,
+  ...rowProps
+}) =>
+  rows.map(({ folder, file, depth, isOpen }) =>
+    folder ? (
+      <FolderTableRow
+        key={folder.path}
+        isDraftRecord={rowProps.isDraftRecord}
+        folder={folder}
+        depth={depth}
+        isOpen={isOpen}
+        onToggle={() => toggleFolder(folder.path)}
+      />
+    ) : (
+      <DraggableFileTableRow
+        key={file.name}
+        {...rowProps}
+        file={file}
+        depth={depth}
+        isDefaultPreview={file.name === defaultPreview}
+        isSelected={selectedFilenames.includes(file.name)}
+      />
+    )
+  );
+
+const FilesListTable = ({
+  isDraftRecord,
+  filesList,
+  deleteFile,
+  renameFile,
+  updateFileMetadata,
+  replaceFileContent,
+  reuploadFile,
+  retryUpload,
+  pauseUpload,
+  resumeUpload,
+  deleteFiles,
+  cancelUploads,
+  retryUploads,
+  downloadFiles,
+  readFileContent,
+}) => {
   const { setFieldValue, values: formikDraft } = useFormikContext();
   const defaultPreview = _get(formikDraft, 'files.default_preview', '');
+  const filesOrder = _get(formikDraft, 'files.order');
+  const [collapsedFolders, setCollapsedFolders] = useState([]);
+  const [filters, setFilters] = useState({
+    query: '',
+    status: '',
+    extension: '',
+  });
+  const [sortColumn, setSortColumn] = useState(null);
+  const [sortDirection, setSortDirection] = useState('ascending');
+  const [selectedNames, setSelectedNames] = useState([]);
+  const [isBulkActionRunning, setIsBulkActionRunning] = useState(false);
+  // a single modal previews the files, closed once the file is renamed or
+  // deleted
+  const [previewedFilename, setPreviewedFilename] = useState(null);
+  const previewedFile =
+    filesList.find((file) => file.name === previewedFilename) || null;
+
+  const toggleFolder = (path) =>
+    setCollapsedFolders(
+      collapsedFolders.includes(path)
+        ? collapsedFolders.filter((collapsedPath) => collapsedPath !== path)
+        : [...collapsedFolders, path]
+    );
+
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const displayedFilesList = useMemo(() => {
+    const filteredFilesList = filterFiles(filesList, filters);
+    // the files keep their display order until a column is sorted
+    return sortColumn
+      ? sortFiles(filteredFilesList, sortColumn, sortDirection)
+      : orderFiles(filteredFilesList, filesOrder);
+  }, [filesList, filters, sortColumn, sortDirection, filesOrder]);
+  const rows = useMemo(
+    () =>
+      flattenFilesTree(buildFilesTree(displayedFilesList), collapsedFolders),
+    [displayedFilesList, collapsedFolders]
+  );
+  const isVirtualized = rows.length > VIRTUALIZATION_THRESHOLD;
+  // the measured heights of the rows, by file name or folder path
+  const rowHeights = useRef(new Map());
+  const [, setRowHeightsVersion] = useState(0);
+  const tableBodyRef = useRef(null);
+  let rowsWindow = {
+    firstRow: 0,
+    lastRow: rows.length,
+    spaceBefore: 0,
+    spaceAfter: 0,
+  };
+  if (isVirtualized) {
+    rowsWindow = getRowsWindow(
+      rows.map((row) => rowHeights.current.get(getRowKey(row)) || ROW_HEIGHT),
+      scrollTop,
+      WINDOW_HEIGHT,
+      OVERSCAN_ROWS
+    );
+  }
+  const { firstRow, lastRow } = rowsWindow;
+  // the window is computed again once rows of other heights are rendered
+  useLayoutEffect(() => {
+    if (!isVirtualized || !tableBodyRef.current) {
+      return;
+    }
+    const rowElements = Array.from(tableBodyRef.current.children).filter(
+      (element) => !element.hasAttribute('aria-hidden')
+    );
+    let hasChanged = false;
+    rows.slice(firstRow, lastRow).forEach((row, index) => {
+      const height = rowElements[index]?.offsetHeight;
+      const key = getRowKey(row);
+      if (height && height !== rowHeights.current.get(key)) {
+        rowHeights.current.set(key, height);
+        hasChanged = true;
+      }
+    });
+    if (hasChanged) {
+      setRowHeightsVersion((version) => version + 1);
+    }
+  }, [isVirtualized, rows, firstRow, lastRow]);
+  // the display order is only changed while all the files are displayed in it
+  const canReorder =
+    isDraftRecord &&
+    !sortColumn &&
+    !filters.query &&
+    !filters.status &&
+    !filters.extension;
+  const handleMoveFile = useEventCallback((filename, targetFilename) =>
+    setFieldValue(
+      'files.order',
+      moveFile(
+        orderFiles(filesList, filesOrder).map((file) => file.name),
+        filename,
+        targetFilename
+      )
+    )
+  );
+
+  const handleSort = (column) => {
+    const isSameColumn = column === sortColumn;
+    setSortColumn(column);
+    setSortDirection(
+      isSameColumn && sortDirection === 'ascending' ? 'descending' : 'ascending'
+    );
+  };
+
+  // deleted or renamed files are no longer selected
+  const selectedFiles = filesList.filter((file) =>
+    selectedNames.includes(file.name)
+  );
+  const selectedFilenames = selectedFiles.map((file) => file.name);
+  const displayedFilenames = displayedFilesList.map((file) => file.name);
+  const displayedSelectedCount = displayedFilenames.filter((filename) =>
+    selectedFilenames.includes(filename)
+  ).length;
+  let selectionState = 'some';
+  if (displayedSelectedCount === 0) {
+    selectionState = 'none';
+  } else if (displayedSelectedCount === displayedFilenames.length) {
+    selectionState = 'all';
+  }
+  // selects or unselects all the files matching the filters
+  const toggleDisplayedFilesSelection = () =>
+    setSelectedNames(
+      selectionState === 'all'
+        ? selectedFilenames.filter(
+            (filename) => !displayedFilenames.includes(filename)
+          )
+        : _uniq([...selectedFilenames, ...displayedFilenames])
+    );
+  const toggleFileSelection = useEventCallback((filename) =>
+    setSelectedNames(
+      selectedFilenames.includes(filename)
+        ? selectedFilenames.filter((name) => name !== filename)
+        : [...selectedFilenames, filename]
+    )
+  );
+  const hasFile = useEventCallback((filename) =>
+    filesList.some((file) => file.name === filename)
+  );
+  const setDefaultPreview = useEventCallback((filename) =>
+    setFieldValue('files.default_preview', filename)
+  );
+
+  const bulkActions = {
+    delete: deleteFiles,
+    cancel: cancelUploads,
+    retry: retryUploads,
+    download: downloadFiles,
+  };
+  const handleBulkAction = async (action, files) => {
+    setIsBulkActionRunning(true);
+    const processedFilenames = await bulkActions[action](files);
+    setIsBulkActionRunning(false);
+    if (action === 'delete' && processedFilenames.includes(defaultPreview)) {
+      setFieldValue('files.default_preview', '');
+    }
+  };
+
   return (
-    <Table>
-      <FileTableHeader isDraftRecord={isDraftRecord} />
-      <Table.Body>
-        {filesList.map((file) => {
-          return (
-            <FileTableRow
-              key={file.name}
+    <>
+      <FilesFilters
+        filesList={filesList}
+        filters={filters}
+        onChange={setFilters}
+      />
+      {isDraftRecord && selectedFiles.length > 0 && (
+        <FilesBulkActions
+          selectedFiles={selectedFiles}
+          isRunning={isBulkActionRunning}
+          onRun={handleBulkAction}
+          onClearSelection={() => setSelectedNames([])}
+        />
+      )}
+      <div
+        className={isVirtualized ? 'files-list-window' : undefined}
+        style={
+          isVirtualized
+            ? { maxHeight: WINDOW_HEIGHT, overflowY: 'auto' }
+            : undefined
+        }
+        onScroll={
+          isVirtualized
+            ? (event) => setScrollTop(event.currentTarget.scrollTop)
+            : undefined
+        }
+      >
+        <DndProvider backend={HTML5Backend}>
+          <Table sortable>
+            <FileTableHeader
               isDraftRecord={isDraftRecord}
-              file={file}
-              deleteFile={deleteFile}
-              defaultPreview={defaultPreview}
-              setDefaultPreview={(filename) =>
-                setFieldValue('files.default_preview', filename)
-              }
+              sortColumn={sortColumn}
+              sortDirection={sortDirection}
+              onSort={handleSort}
+              selectionState={selectionState}
+              onToggleSelection={toggleDisplayedFilesSelection}
             />
-          );
-        })}
-      </Table.Body>
-    </Table>
+            <Ref innerRef={tableBodyRef}>
+              <Table.Body>
+                <SpacerRow height={rowsWindow.spaceBefore} />
+                <FilesTreeRows
+                  rows={rows.slice(firstRow, lastRow)}
+                  toggleFolder={toggleFolder}
+                  isDraftRecord={isDraftRecord}
+                  hasFile={hasFile}
+                  deleteFile={deleteFile}
+                  renameFile={renameFile}
+                  updateFileMetadata={updateFileMetadata}
+                  replaceFileContent={replaceFileContent}
+                  reuploadFile={reuploadFile}
+                  retryUpload={retryUpload}
+                  pauseUpload={pauseUpload}
+                  resumeUpload={resumeUpload}
+                  defaultPreview={defaultPreview}
+                  setDefaultPreview={setDefaultPreview}
+                  openPreview={setPreviewedFilename}
+                  selectedFilenames={selectedFilenames}
+                  toggleFileSelection={toggleFileSelection}
+                  canReorder={canReorder}
+                  moveFile={handleMoveFile}
+                />
+                <SpacerRow height={rowsWindow.spaceAfter} />
+              </Table.Body>
+            </Ref>
+          </Table>
+        </DndProvider>
+      </div>
+      <FilePreviewModal
+        file={previewedFile}
+        onClose={() => setPreviewedFilename(null)}
+        readFileContent={readFileContent}
+        isDefaultPreview={previewedFilename === defaultPreview}
+        onSetDefaultPreview={() =>
+          setFieldValue('files.default_preview', previewedFilename)
+        }
+      />
+    </>
   );
 };
 
 export class FileUploaderArea extends Component {
+  folderInputRef = React.createRef();
+
+  handleFolderSelected = async (event) => {
+    const { dropzoneParams } = this.props;
+    const input = event.target;
+    const files = await getFilesFromEvent({ target: input });
+    // allows selecting the same folder again
+    input.value = '';
+    if (files.length) {
+      dropzoneParams.onDropAccepted(files);
+    }
+  };
+
   render() {
     const { filesEnabled, dropzoneParams, filesList } = this.props;
     return filesEnabled ? (
@@ -247,7 +1031,19 @@ export class FileUploaderArea extends Component {
                   <FilesListTable {...this.props} />
                 </Grid.Column>
               )}
-              <FileUploadBox {...this.props} openFileDialog={openFileDialog} />
+              <input
+                ref={this.folderInputRef}
+                type="file"
+                style={{ display: 'none' }}
+                webkitdirectory=""
+                multiple
+                onChange={this.handleFolderSelected}
+              />
+              <FileUploadBox
+                {...this.props}
+                openFileDialog={openFileDialog}
+                openFolderDialog={() => this.folderInputRef.current.click()}
+              />
             </span>
           </Grid.Column>
         )}
@@ -271,14 +1067,31 @@ export class FileUploaderArea extends Component {
 }
 
 FileUploaderArea.propTypes = {
+  cancelUploads: PropTypes.func,
   deleteFile: PropTypes.func,
+  deleteFiles: PropTypes.func,
+  downloadFiles: PropTypes.func,
   dragText: PropTypes.string,
   dropzoneParams: PropTypes.object,
   filesEnabled: PropTypes.bool,
   filesList: PropTypes.array,
   isDraftRecord: PropTypes.bool,
   links: PropTypes.object,
+  openRemoteFileDialog: PropTypes.func,
+  pauseUpload: PropTypes.func,
+  readFileContent: PropTypes.func,
+  renameFile: PropTypes.func,
+  updateFileMetadata: PropTypes.func,
+  replaceFileContent: PropTypes.func,
+  resumeUpload: PropTypes.func,
+  reuploadFile: PropTypes.func,
+  retryUpload: PropTypes.func,
+  retryUploads: PropTypes.func,
   setDefaultPreviewFile: PropTypes.func,
   uploadButtonIcon: PropTypes.string,
   uploadButtonText: PropTypes.string,
+  uploadFolderButtonIcon: PropTypes.string,
+  uploadFolderButtonText: PropTypes.string,
+  remoteFileButtonIcon: PropTypes.string,
+  remoteFileButtonText: PropTypes.string,
 };
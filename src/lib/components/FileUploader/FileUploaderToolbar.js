@@ -7,7 +7,15 @@
 // under the terms of the MIT License; see LICENSE file for more details.
 import { useFormikContext } from 'formik';
 import React from 'react';
-import { Checkbox, Grid, Icon, Label, List, Popup } from 'semantic-ui-react';
+import {
+  Button,
+  Checkbox,
+  Grid,
+  Icon,
+  Label,
+  List,
+  Popup,
+} from 'semantic-ui-react';
 import { humanReadableBytes } from './utils';
 import { i18next } from '@translations/i18next';
 
@@ -19,8 +27,22 @@ export const FileUploaderToolbar = ({
   filesSize,
   filesEnabled,
   quota,
+  retryFailedUploads,
+  isUploadQueuePaused,
+  pauseUploads,
+  resumeUploads,
+  cancelAllUploads,
 }) => {
   const { setFieldValue } = useFormikContext();
+  const hasFailedUploads = filesList.some(
+    (file) => file.uploadState?.isFailed && file.file
+  );
+  const hasQueuedUploads = filesList.some(
+    (file) =>
+      file.uploadState?.isUploading ||
+      (file.uploadState?.isPending && !file.isExternal)
+  );
+  const hasPausedUploads = filesList.some((file) => file.uploadState?.isPaused);
 
   return (
     <>
@@ -50,6 +72,50 @@ export const FileUploaderToolbar = ({
       {filesEnabled && (
         <Grid.Column width={10}>
           <List horizontal floated="right">
+            {!isUploadQueuePaused && hasQueuedUploads && (
+              <List.Item>
+                <Button
+                  type="button"
+                  size="mini"
+                  icon="pause"
+                  content={i18next.t('Pause all')}
+                  onClick={() => pauseUploads()}
+                />
+              </List.Item>
+            )}
+            {(isUploadQueuePaused || hasPausedUploads) && (
+              <List.Item>
+                <Button
+                  type="button"
+                  size="mini"
+                  icon="play"
+                  content={i18next.t('Resume all')}
+                  onClick={() => resumeUploads()}
+                />
+              </List.Item>
+            )}
+            {(hasQueuedUploads || hasPausedUploads) && (
+              <List.Item>
+                <Button
+                  type="button"
+                  size="mini"
+                  icon="cancel"
+                  content={i18next.t('Cancel all')}
+                  onClick={() => cancelAllUploads()}
+                />
+              </List.Item>
+            )}
+            {hasFailedUploads && (
+              <List.Item>
+                <Button
+                  type="button"
+                  size="mini"
+                  icon="redo"
+                  content={i18next.t('Retry all failed')}
+                  onClick={() => retryFailedUploads()}
+                />
+              </List.Item>
+            )}
             <List.Item>{i18next.t('Storage available')}</List.Item>
             <List.Item>
               <Label
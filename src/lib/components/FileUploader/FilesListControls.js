@@ -0,0 +1,172 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import _uniq from 'lodash/uniq';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { Button, Dropdown, Input, Label, List } from 'semantic-ui-react';
+import { getFileExtension } from './utils';
+
+const statusOptions = [
+  { key: 'pending', value: 'pending', text: i18next.t('Pending') },
+  { key: 'uploading', value: 'uploading', text: i18next.t('Uploading') },
+  { key: 'paused', value: 'paused', text: i18next.t('Paused') },
+  { key: 'finished', value: 'finished', text: i18next.t('Uploaded') },
+  { key: 'failed', value: 'failed', text: i18next.t('Failed') },
+  { key: 'corrupted', value: 'corrupted', text: i18next.t('Corrupted') },
+];
+
+export const FilesFilters = ({ filesList, filters, onChange }) => {
+  const extensionOptions = _uniq(
+    filesList.map((file) => getFileExtension(file.name)).filter(Boolean)
+  )
+    .sort()
+    .map((extension) => ({
+      key: extension,
+      value: extension,
+      text: `.${extension}`,
+    }));
+
+  return (
+    <List horizontal className="files-list-filters">
+      <List.Item>
+        <Input
+          size="small"
+          icon="search"
+          placeholder={i18next.t('Filter by name')}
+          value={filters.query}
+          onChange={(event, { value }) =>
+            onChange({ ...filters, query: value })
+          }
+          onKeyDown={(event) => {
+            // Enter would submit the deposit form
+            event.key === 'Enter' && event.preventDefault();
+          }}
+        />
+      </List.Item>
+      <List.Item>
+        <Dropdown
+          selection
+          clearable
+          placeholder={i18next.t('Status')}
+          options={statusOptions}
+          value={filters.status}
+          onChange={(event, { value }) =>
+            onChange({ ...filters, status: value })
+          }
+        />
+      </List.Item>
+      <List.Item>
+        <Dropdown
+          selection
+          clearable
+          placeholder={i18next.t('Extension')}
+          options={extensionOptions}
+          value={filters.extension}
+          onChange={(event, { value }) =>
+            onChange({ ...filters, extension: value })
+          }
+        />
+      </List.Item>
+    </List>
+  );
+};
+
+FilesFilters.propTypes = {
+  filesList: PropTypes.array.isRequired,
+  filters: PropTypes.shape({
+    query: PropTypes.string,
+    status: PropTypes.string,
+    extension: PropTypes.string,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+// the selected files each bulk action applies to
+const bulkActionsFiles = {
+  download: (files) =>
+    files.filter((file) => file.uploadState.isFinished && file.links?.content),
+  retry: (files) =>
+    files.filter((file) => file.uploadState.isFailed && file.file),
+  cancel: (files) =>
+    files.filter(
+      (file) =>
+        file.uploadState.isUploading ||
+        file.uploadState.isPaused ||
+        (file.uploadState.isPending && !file.isExternal)
+    ),
+  delete: (files) =>
+    files.filter(
+      (file) =>
+        file.uploadState.isFinished ||
+        file.uploadState.isFailed ||
+        file.uploadState.isCorrupted
+    ),
+};
+
+export const FilesBulkActions = ({
+  selectedFiles,
+  isRunning,
+  onRun,
+  onClearSelection,
+}) => {
+  const bulkActions = [
+    { action: 'download', icon: 'download', text: i18next.t('Download') },
+    { action: 'retry', icon: 'redo', text: i18next.t('Retry') },
+    { action: 'cancel', icon: 'cancel', text: i18next.t('Cancel') },
+    {
+      action: 'delete',
+      icon: 'trash alternate outline',
+      text: i18next.t('Delete'),
+    },
+  ];
+
+  return (
+    <List horizontal className="files-bulk-actions">
+      <List.Item>
+        <Label>
+          {i18next.t('{{count}} selected', { count: selectedFiles.length })}
+          <Label.Detail
+            as="a"
+            aria-label={i18next.t('Clear selection')}
+            onClick={onClearSelection}
+          >
+            {i18next.t('Clear')}
+          </Label.Detail>
+        </Label>
+      </List.Item>
+      {bulkActions.map(({ action, icon, text }) => {
+        const files = bulkActionsFiles[action](selectedFiles);
+        return (
+          <List.Item key={action}>
+            <Button
+              type="button"
+              size="mini"
+              icon={icon}
+              negative={action === 'delete'}
+              content={`${text} (${files.length})`}
+              disabled={isRunning || files.length === 0}
+              onClick={() => onRun(action, files)}
+            />
+          </List.Item>
+        );
+      })}
+    </List>
+  );
+};
+
+FilesBulkActions.propTypes = {
+  selectedFiles: PropTypes.array.isRequired,
+  isRunning: PropTypes.bool,
+  onRun: PropTypes.func.isRequired,
+  onClearSelection: PropTypes.func.isRequired,
+};
+
+FilesBulkActions.defaultProps = {
+  isRunning: false,
+};
@@ -0,0 +1,297 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import PropTypes from 'prop-types';
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  Icon,
+  Label,
+  Loader,
+  Message,
+  Modal,
+  Table,
+} from 'semantic-ui-react';
+import { humanReadableBytes, withRelativePath } from './utils';
+
+const ImportFileRow = ({
+  file,
+  isSelected,
+  replacement,
+  onToggle,
+  onReplace,
+  checkFile,
+}) => {
+  const fileInputRef = useRef(null);
+  const [reasons, setReasons] = useState([]);
+
+  const onFileSelected = (event) => {
+    const [newFile] = event.target.files;
+    // the same file can be selected again
+    event.target.value = '';
+    if (!newFile) {
+      return;
+    }
+    const newFileReasons = checkFile(newFile);
+    setReasons(newFileReasons);
+    if (!newFileReasons.length) {
+      // the new content is stored under the name of the replaced file
+      onReplace(withRelativePath(newFile, file.name));
+    }
+  };
+
+  return (
+    <Table.Row disabled={!isSelected}>
+      <Table.Cell collapsing>
+        <Checkbox
+          checked={isSelected}
+          aria-label={i18next.t('Import {{filename}}', {
+            filename: file.name,
+          })}
+          onChange={onToggle}
+        />
+      </Table.Cell>
+      <Table.Cell>
+        {file.name}
+        {replacement && (
+          <Label size="small" color="blue">
+            {i18next.t('Replaced by {{filename}}', {
+              filename: replacement.name.split('/').pop(),
+            })}
+            <Icon
+              name="delete"
+              aria-label={i18next.t('Keep the previous file')}
+              onClick={() => onReplace(null)}
+            />
+          </Label>
+        )}
+        {reasons.length > 0 && (
+          <Label size="small" color="red">
+            {reasons.join(', ')}
+          </Label>
+        )}
+      </Table.Cell>
+      <Table.Cell collapsing>{humanReadableBytes(file.size)}</Table.Cell>
+      <Table.Cell collapsing textAlign="right">
+        <input
+          type="file"
+          hidden
+          ref={fileInputRef}
+          onChange={onFileSelected}
+        />
+        <Button
+          type="button"
+          size="mini"
+          icon="exchange"
+          content={i18next.t('Replace with new upload')}
+          disabled={!isSelected}
+          onClick={() => fileInputRef.current.click()}
+        />
+      </Table.Cell>
+    </Table.Row>
+  );
+};
+
+ImportFileRow.propTypes = {
+  file: PropTypes.object.isRequired,
+  isSelected: PropTypes.bool.isRequired,
+  replacement: PropTypes.object,
+  onToggle: PropTypes.func.isRequired,
+  onReplace: PropTypes.func.isRequired,
+  checkFile: PropTypes.func.isRequired,
+};
+
+ImportFileRow.defaultProps = {
+  replacement: null,
+};
+
+/**
+ * Lists the files of the previous version, to select the ones to import and
+ * the ones to replace with a new upload.
+ *
+ * The new uploads are checked one by one with `checkFile`, and all the files
+ * of the draft once imported with `checkImport`, e.g. against the quota.
+ */
+export const ImportFilesModal = ({
+  open,
+  listParentFiles,
+  checkFile,
+  checkImport,
+  onImport,
+  onClose,
+}) => {
+  const [parentFiles, setParentFiles] = useState(null);
+  const [hasError, setHasError] = useState(false);
+  const [excludedFiles, setExcludedFiles] = useState([]);
+  const [replacements, setReplacements] = useState({});
+  const [importIssue, setImportIssue] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    let isCancelled = false;
+    setParentFiles(null);
+    setHasError(false);
+    setExcludedFiles([]);
+    setReplacements({});
+    setImportIssue(null);
+    listParentFiles()
+      .then((files) => !isCancelled && setParentFiles(files))
+      .catch(() => !isCancelled && setHasError(true));
+    return () => {
+      isCancelled = true;
+    };
+  }, [open, listParentFiles]);
+
+  const toggleFile = (filename) => {
+    if (excludedFiles.includes(filename)) {
+      setExcludedFiles(excludedFiles.filter((name) => name !== filename));
+    } else {
+      setExcludedFiles([...excludedFiles, filename]);
+      // an excluded file is not replaced
+      const { [filename]: _, ...otherReplacements } = replacements;
+      setReplacements(otherReplacements);
+    }
+  };
+
+  const replaceFile = (filename, newFile) => {
+    const { [filename]: _, ...otherReplacements } = replacements;
+    setReplacements(
+      newFile
+        ? { ...otherReplacements, [filename]: newFile }
+        : otherReplacements
+    );
+  };
+
+  const importFiles = async () => {
+    const importedFiles = parentFiles
+      .filter(({ name }) => !excludedFiles.includes(name))
+      .map((file) => replacements[file.name] || file);
+    const issue = checkImport(importedFiles, Object.values(replacements));
+    setImportIssue(issue);
+    if (issue) {
+      return;
+    }
+    setIsImporting(true);
+    try {
+      await onImport({
+        excludedFiles: excludedFiles,
+        replacements: replacements,
+      });
+      onClose();
+    } catch (error) {
+      setImportIssue({
+        header: i18next.t('The files could not be imported.'),
+        content: error.message,
+      });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const filesCount = parentFiles ? parentFiles.length : 0;
+  const importedCount = filesCount - excludedFiles.length;
+  const areAllSelected = filesCount > 0 && excludedFiles.length === 0;
+
+  return (
+    <Modal open={open} onClose={onClose} closeIcon size="large">
+      <Modal.Header>
+        {i18next.t('Import files from the previous version')}
+      </Modal.Header>
+      <Modal.Content scrolling>
+        {importIssue && (
+          <Message warning icon="warning circle" {...importIssue} />
+        )}
+        {hasError && (
+          <Message
+            error
+            content={i18next.t(
+              'The files of the previous version could not be loaded.'
+            )}
+          />
+        )}
+        {!hasError && parentFiles === null && (
+          <Loader active inline="centered" />
+        )}
+        {parentFiles && (
+          <Table compact>
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell>
+                  <Checkbox
+                    checked={areAllSelected}
+                    indeterminate={
+                      !areAllSelected && excludedFiles.length < filesCount
+                    }
+                    aria-label={i18next.t('Select all files')}
+                    onChange={() => {
+                      setExcludedFiles(
+                        areAllSelected
+                          ? parentFiles.map(({ name }) => name)
+                          : []
+                      );
+                      areAllSelected && setReplacements({});
+                    }}
+                  />
+                </Table.HeaderCell>
+                <Table.HeaderCell>{i18next.t('Filename')}</Table.HeaderCell>
+                <Table.HeaderCell>{i18next.t('Size')}</Table.HeaderCell>
+                <Table.HeaderCell />
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {parentFiles.map((file) => (
+                <ImportFileRow
+                  key={file.name}
+                  file={file}
+                  isSelected={!excludedFiles.includes(file.name)}
+                  replacement={replacements[file.name]}
+                  onToggle={() => toggleFile(file.name)}
+                  onReplace={(newFile) => replaceFile(file.name, newFile)}
+                  checkFile={checkFile}
+                />
+              ))}
+            </Table.Body>
+          </Table>
+        )}
+      </Modal.Content>
+      <Modal.Actions>
+        <Button type="button" onClick={onClose} floated="left">
+          {i18next.t('Cancel')}
+        </Button>
+        <Button
+          type="button"
+          primary
+          icon="sync"
+          content={i18next.t('Import {{count}} files', {
+            count: importedCount,
+          })}
+          disabled={!parentFiles || importedCount === 0 || isImporting}
+          loading={isImporting}
+          onClick={importFiles}
+        />
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+ImportFilesModal.propTypes = {
+  open: PropTypes.bool.isRequired,
+  listParentFiles: PropTypes.func.isRequired,
+  checkFile: PropTypes.func.isRequired,
+  checkImport: PropTypes.func,
+  onImport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+ImportFilesModal.defaultProps = {
+  checkImport: () => null,
+};
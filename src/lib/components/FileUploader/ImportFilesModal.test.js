@@ -0,0 +1,59 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { fireEvent, render, wait } from '@testing-library/react';
+import React from 'react';
+import { ImportFilesModal } from './ImportFilesModal';
+
+describe('ImportFilesModal', () => {
+  const parentFiles = [
+    { name: 'data.csv', size: 10 },
+    { name: 'notes.txt', size: 20 },
+  ];
+
+  const renderModal = (props) =>
+    render(
+      <ImportFilesModal
+        open
+        listParentFiles={() => Promise.resolve(parentFiles)}
+        checkFile={() => []}
+        onImport={() => Promise.resolve()}
+        onClose={() => {}}
+        {...props}
+      />
+    );
+
+  it('it should not import the files exceeding the quota', async () => {
+    const checkImport = jest
+      .fn()
+      .mockReturnValue({ header: 'Could not upload file(s).' });
+    const onImport = jest.fn();
+    const { getByText } = renderModal({ checkImport, onImport });
+
+    await wait(() => getByText('notes.txt'));
+    fireEvent.click(getByText('Import 2 files'));
+
+    expect(checkImport).toHaveBeenCalledWith(parentFiles, []);
+    expect(getByText('Could not upload file(s).')).toBeTruthy();
+    expect(onImport).not.toHaveBeenCalled();
+  });
+
+  it('it should keep the modal open when the import fails', async () => {
+    const onClose = jest.fn();
+    const { getByText } = renderModal({
+      onImport: () => Promise.reject(new Error('Permission denied.')),
+      onClose,
+    });
+
+    await wait(() => getByText('notes.txt'));
+    fireEvent.click(getByText('Import 2 files'));
+
+    await wait(() => getByText('The files could not be imported.'));
+    expect(getByText('Permission denied.')).toBeTruthy();
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import PropTypes from 'prop-types';
+import React, { useRef, useState } from 'react';
+import { Button, Grid, Message } from 'semantic-ui-react';
+import { withRelativePath } from './utils';
+
+/**
+ * Returns true when the selected file is the one whose upload was
+ * interrupted: its name is compared, as folders cannot be selected, and its
+ * size and last modification when they are known.
+ */
+const isInterruptedFile = (interruptedFile, file) => {
+  const knownFile = interruptedFile.interruptedFile;
+  return (
+    interruptedFile.name.split('/').pop() === file.name &&
+    (!interruptedFile.size || interruptedFile.size === file.size) &&
+    (!knownFile ||
+      (knownFile.size === file.size &&
+        knownFile.lastModified === file.lastModified))
+  );
+};
+
+/**
+ * Offers to remove the files whose upload was interrupted, e.g. by leaving
+ * the page, or to resume their upload by selecting them again.
+ */
+export const InterruptedUploadsMessage = ({
+  interruptedFiles,
+  onRemove,
+  onResume,
+}) => {
+  const [isDismissed, setIsDismissed] = useState(false);
+  const fileInputRef = useRef(null);
+
+  if (isDismissed || interruptedFiles.length === 0) {
+    return null;
+  }
+
+  const onFilesSelected = (event) => {
+    const resumedFiles = [];
+    Array.from(event.target.files).forEach((file) => {
+      const interruptedFile = interruptedFiles.find((interruptedFile) =>
+        isInterruptedFile(interruptedFile, file)
+      );
+      if (interruptedFile) {
+        resumedFiles.push(withRelativePath(file, interruptedFile.name));
+      }
+    });
+    // the same files can be selected again
+    event.target.value = '';
+    if (resumedFiles.length) {
+      onResume(resumedFiles);
+    }
+  };
+
+  return (
+    <Grid.Row className="file-interrupted-uploads-row">
+      <Grid.Column width={16}>
+        <Message warning onDismiss={() => setIsDismissed(true)}>
+          <Message.Header>
+            {i18next.t('Some uploads were interrupted')}
+          </Message.Header>
+          <p>
+            {i18next.t(
+              'Select the files again to resume their upload, or remove them.'
+            )}
+          </p>
+          <Message.List items={interruptedFiles.map(({ name }) => name)} />
+          <input
+            type="file"
+            multiple
+            hidden
+            ref={fileInputRef}
+            onChange={onFilesSelected}
+          />
+          <Button
+            type="button"
+            size="mini"
+            primary
+            icon="play"
+            content={i18next.t('Resume')}
+            onClick={() => fileInputRef.current.click()}
+          />
+          <Button
+            type="button"
+            size="mini"
+            negative
+            icon="trash alternate outline"
+            content={i18next.t('Remove')}
+            onClick={() => onRemove(interruptedFiles)}
+          />
+        </Message>
+      </Grid.Column>
+    </Grid.Row>
+  );
+};
+
+InterruptedUploadsMessage.propTypes = {
+  interruptedFiles: PropTypes.array,
+  onRemove: PropTypes.func.isRequired,
+  onResume: PropTypes.func.isRequired,
+};
+
+InterruptedUploadsMessage.defaultProps = {
+  interruptedFiles: [],
+};
@@ -0,0 +1,47 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { fireEvent, render } from '@testing-library/react';
+import React from 'react';
+import { InterruptedUploadsMessage } from './InterruptedUploadsMessage';
+
+describe('InterruptedUploadsMessage', () => {
+  const selectFiles = (container, files) =>
+    fireEvent.change(container.querySelector('input[type="file"]'), {
+      target: { files },
+    });
+
+  it('it should resume the files with the same name, size and last modification', () => {
+    const onResume = jest.fn();
+    const { container } = render(
+      <InterruptedUploadsMessage
+        interruptedFiles={[
+          {
+            name: 'folder/data.csv',
+            size: 0,
+            interruptedFile: { size: 4, lastModified: 1 },
+          },
+        ]}
+        onRemove={() => {}}
+        onResume={onResume}
+      />
+    );
+
+    selectFiles(container, [
+      new File(['data'], 'data.csv', { lastModified: 2 }),
+    ]);
+    expect(onResume).not.toHaveBeenCalled();
+
+    selectFiles(container, [
+      new File(['data'], 'data.csv', { lastModified: 1 }),
+    ]);
+    expect(onResume).toHaveBeenCalledTimes(1);
+    expect(onResume.mock.calls[0][0].map(({ name }) => name)).toEqual([
+      'folder/data.csv',
+    ]);
+  });
+});
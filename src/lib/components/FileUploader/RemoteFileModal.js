@@ -0,0 +1,228 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import PropTypes from 'prop-types';
+import React, { useRef, useState } from 'react';
+import { Button, Form, Message, Modal, Progress } from 'semantic-ui-react';
+import {
+  getRemoteFilename,
+  humanReadableBytes,
+  parseRemoteFileURL,
+} from './utils';
+
+/**
+ * Asks for the URL of a remote file to add to the deposit. The file is
+ * checked against the upload policy and the quota before being added, its
+ * size being read from the headers of the remote file. The user is warned
+ * when the size is unknown, the file downloaded through the browser being
+ * checked again once downloaded.
+ */
+export const RemoteFileModal = ({
+  open,
+  fetchInBackend,
+  getRemoteFileInfo,
+  checkRemoteFile,
+  onAdd,
+  onClose,
+}) => {
+  const [url, setURL] = useState('');
+  const [filename, setFilename] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  // the message displayed when the file cannot be added
+  const [issue, setIssue] = useState(null);
+  // the file is added without knowing its size once the user confirmed it
+  const [isUnknownSizeConfirmed, setIsUnknownSizeConfirmed] = useState(false);
+  // `{percent, loaded}` of the file downloaded through the browser
+  const [download, setDownload] = useState(null);
+  const cancelDownload = useRef(null);
+  const isClosed = useRef(false);
+
+  // the backend can fetch files from FTP servers, the browser cannot
+  const protocols = fetchInBackend
+    ? ['http:', 'https:', 'ftp:']
+    : ['http:', 'https:'];
+  const parsedURL = parseRemoteFileURL(url, protocols);
+
+  const reset = () => {
+    setIssue(null);
+    setIsUnknownSizeConfirmed(false);
+    setDownload(null);
+  };
+
+  const close = () => {
+    isClosed.current = true;
+    if (cancelDownload.current) {
+      cancelDownload.current();
+      cancelDownload.current = null;
+    }
+    setURL('');
+    setFilename('');
+    reset();
+    onClose();
+  };
+
+  const addRemoteFile = async () => {
+    if (!parsedURL) {
+      setIssue({ header: i18next.t('The URL is not valid.') });
+      return;
+    }
+    setIsLoading(true);
+    setIssue(null);
+    isClosed.current = false;
+    try {
+      let info = {};
+      try {
+        info = await getRemoteFileInfo(parsedURL.href);
+      } catch (error) {
+        // the backend can fetch the files whose headers cannot be read
+        if (!fetchInBackend) {
+          setIssue({
+            header: i18next.t('The file could not be reached.'),
+            content: i18next.t(
+              'The site hosting it may not allow downloading it from here.'
+            ),
+          });
+          return;
+        }
+      }
+
+      const isSizeUnknown = typeof info.size !== 'number';
+      const file = {
+        name: filename.trim() || info.filename || getRemoteFilename(parsedURL),
+        size: isSizeUnknown ? 0 : info.size,
+        type: info.type || '',
+      };
+      if (!file.name) {
+        setIssue({ header: i18next.t('Please provide a file name.') });
+        return;
+      }
+      const fileIssue = checkRemoteFile(file);
+      if (fileIssue) {
+        setIssue(fileIssue);
+        return;
+      }
+      if (isSizeUnknown && !isUnknownSizeConfirmed) {
+        setIssue({
+          header: i18next.t('The size of the file is unknown.'),
+          content: fetchInBackend
+            ? i18next.t(
+                'It will be checked against the quota once fetched, the file may be refused then.'
+              )
+            : i18next.t(
+                'It will be checked against the quota once downloaded, the file may be refused then.'
+              ),
+        });
+        setIsUnknownSizeConfirmed(true);
+        return;
+      }
+
+      let addIssue;
+      try {
+        addIssue = await onAdd(parsedURL.href, file.name, {
+          onDownloadProgress: (percent, loaded) =>
+            setDownload({ percent, loaded }),
+          onDownloadStarted: (cancelFn) => {
+            cancelDownload.current = cancelFn;
+          },
+        });
+      } catch (error) {
+        if (!isClosed.current) {
+          setIssue({ header: i18next.t('The file could not be fetched.') });
+        }
+        return;
+      } finally {
+        cancelDownload.current = null;
+      }
+      if (addIssue) {
+        // the downloaded file differs from the announced one
+        reset();
+        setIssue(addIssue);
+        return;
+      }
+      close();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Enter would submit the deposit form
+  const onKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      addRemoteFile();
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={close} closeIcon size="small">
+      <Modal.Header>{i18next.t('Add a file from a URL')}</Modal.Header>
+      <Modal.Content>
+        <Form as="div">
+          <Form.Input
+            label={i18next.t('URL')}
+            placeholder="https://"
+            value={url}
+            onChange={(event, { value }) => {
+              setURL(value);
+              setIsUnknownSizeConfirmed(false);
+            }}
+            onKeyDown={onKeyDown}
+            error={Boolean(url) && !parsedURL}
+          />
+          <Form.Input
+            label={i18next.t('File name')}
+            placeholder={(parsedURL && getRemoteFilename(parsedURL)) || ''}
+            value={filename}
+            onChange={(event, { value }) => setFilename(value)}
+            onKeyDown={onKeyDown}
+          />
+        </Form>
+        {download && (
+          <Progress
+            size="small"
+            percent={download.percent === null ? 100 : download.percent}
+            active={download.percent === null}
+            label={humanReadableBytes(download.loaded)}
+          />
+        )}
+        {issue && <Message warning icon="warning circle" {...issue} />}
+      </Modal.Content>
+      <Modal.Actions>
+        <Button type="button" onClick={close} floated="left">
+          {i18next.t('Cancel')}
+        </Button>
+        <Button
+          type="button"
+          primary
+          icon="linkify"
+          content={
+            isUnknownSizeConfirmed
+              ? i18next.t('Add file anyway')
+              : i18next.t('Add file')
+          }
+          disabled={!parsedURL || isLoading}
+          loading={isLoading}
+          onClick={addRemoteFile}
+        />
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+RemoteFileModal.propTypes = {
+  open: PropTypes.bool.isRequired,
+  fetchInBackend: PropTypes.bool,
+  getRemoteFileInfo: PropTypes.func.isRequired,
+  checkRemoteFile: PropTypes.func.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+RemoteFileModal.defaultProps = {
+  fetchInBackend: false,
+};
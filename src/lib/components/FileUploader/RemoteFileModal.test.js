@@ -0,0 +1,59 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { fireEvent, render, wait } from '@testing-library/react';
+import React from 'react';
+import { RemoteFileModal } from './RemoteFileModal';
+
+describe('RemoteFileModal', () => {
+  const url = 'https://example.org/data.csv';
+
+  const renderModal = (props) => {
+    const utils = render(
+      <RemoteFileModal
+        open
+        checkRemoteFile={() => null}
+        onClose={() => {}}
+        {...props}
+      />
+    );
+    fireEvent.change(utils.getByPlaceholderText('https://'), {
+      target: { value: url },
+    });
+    return utils;
+  };
+
+  it('it should ask to confirm the files whose size is unknown', async () => {
+    const onAdd = jest.fn().mockResolvedValue(null);
+    const { getByText } = renderModal({
+      getRemoteFileInfo: jest.fn().mockResolvedValue({ size: null }),
+      onAdd,
+    });
+
+    fireEvent.click(getByText('Add file'));
+    await wait(() =>
+      expect(getByText('The size of the file is unknown.')).toBeTruthy()
+    );
+    expect(onAdd).not.toHaveBeenCalled();
+
+    fireEvent.click(getByText('Add file anyway'));
+    await wait(() => expect(onAdd).toHaveBeenCalledTimes(1));
+    expect(onAdd.mock.calls[0].slice(0, 2)).toEqual([url, 'data.csv']);
+  });
+
+  it('it should report the issue of the downloaded file', async () => {
+    const issue = { header: 'The file is too big.' };
+    const { getByText } = renderModal({
+      getRemoteFileInfo: jest.fn().mockResolvedValue({ size: 10 }),
+      onAdd: jest.fn().mockResolvedValue(issue),
+    });
+
+    fireEvent.click(getByText('Add file'));
+
+    await wait(() => expect(getByText('The file is too big.')).toBeTruthy());
+  });
+});
@@ -0,0 +1,189 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  List,
+  Loader,
+  Message,
+  Modal,
+} from 'semantic-ui-react';
+import { humanReadableBytes } from './utils';
+import { extractZipEntries, listZipEntries } from './zip';
+
+/**
+ * Lists the files of a dropped ZIP archive, to upload either the archive or
+ * the selected files extracted from it.
+ */
+export const ZipArchiveModal = ({
+  file,
+  filesCount,
+  filesSize,
+  quota,
+  onUploadArchive,
+  onUploadEntries,
+  onClose,
+}) => {
+  const [entries, setEntries] = useState(null);
+  const [selectedNames, setSelectedNames] = useState([]);
+  const [error, setError] = useState(null);
+  const [isExtracting, setIsExtracting] = useState(false);
+
+  useEffect(() => {
+    let isCancelled = false;
+    listZipEntries(file)
+      .then((entries) => {
+        if (!isCancelled) {
+          setEntries(entries);
+          setSelectedNames(entries.map(({ name }) => name));
+        }
+      })
+      .catch(() => {
+        !isCancelled && setError(i18next.t('The archive could not be read.'));
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [file]);
+
+  const selectedEntries = (entries || []).filter(({ name }) =>
+    selectedNames.includes(name)
+  );
+  const selectedSize = selectedEntries.reduce(
+    (totalSize, entry) => totalSize + entry.size,
+    0
+  );
+  const totalFiles = filesCount + selectedEntries.length;
+  const maxFileNumberReached = totalFiles > quota.maxFiles;
+  const maxFileStorageReached = filesSize + selectedSize > quota.maxStorage;
+  const areAllSelected =
+    entries !== null && selectedNames.length === entries.length;
+
+  const toggleEntry = (name) =>
+    setSelectedNames(
+      selectedNames.includes(name)
+        ? selectedNames.filter((selectedName) => selectedName !== name)
+        : [...selectedNames, name]
+    );
+
+  const handleExtract = async () => {
+    setIsExtracting(true);
+    try {
+      const files = await extractZipEntries(file, selectedNames);
+      onUploadEntries(files);
+    } catch (error) {
+      setError(i18next.t('The archive could not be extracted.'));
+      setIsExtracting(false);
+    }
+  };
+
+  return (
+    <Modal open size="small" onClose={onClose} closeIcon>
+      <Modal.Header>
+        {i18next.t('{{filename}} is a ZIP archive', { filename: file.name })}
+      </Modal.Header>
+      <Modal.Content scrolling>
+        <p>
+          {i18next.t(
+            'You can upload the archive as a single file, or extract it and upload the selected files.'
+          )}
+        </p>
+        {error && <Message error content={error} />}
+        {!error && entries === null && <Loader active inline="centered" />}
+        {entries !== null && (
+          <>
+            <Checkbox
+              label={i18next.t('Select all')}
+              checked={areAllSelected}
+              onChange={() =>
+                setSelectedNames(
+                  areAllSelected ? [] : entries.map(({ name }) => name)
+                )
+              }
+            />
+            <List divided>
+              {entries.map((entry) => (
+                <List.Item key={entry.name}>
+                  <List.Content floated="right">
+                    {humanReadableBytes(entry.size)}
+                  </List.Content>
+                  <Checkbox
+                    label={entry.name}
+                    checked={selectedNames.includes(entry.name)}
+                    onChange={() => toggleEntry(entry.name)}
+                  />
+                </List.Item>
+              ))}
+            </List>
+            <p>
+              {i18next.t('{{count}} files selected', {
+                count: selectedEntries.length,
+              })}{' '}
+              ({humanReadableBytes(selectedSize)})
+            </p>
+          </>
+        )}
+        {maxFileNumberReached && (
+          <Message
+            warning
+            content={i18next.t(
+              'Extracting the selected files would result in {{totalFiles}} files (max. {{maxFiles}})',
+              { totalFiles: totalFiles, maxFiles: quota.maxFiles }
+            )}
+          />
+        )}
+        {maxFileStorageReached && (
+          <Message warning>
+            {i18next.t('Extracting the selected files would result in')}{' '}
+            {humanReadableBytes(filesSize + selectedSize)}{' '}
+            {i18next.t('but the limit is')}{' '}
+            {humanReadableBytes(quota.maxStorage)}.
+          </Message>
+        )}
+      </Modal.Content>
+      <Modal.Actions>
+        <Button type="button" onClick={onClose} floated="left">
+          {i18next.t('Cancel')}
+        </Button>
+        <Button type="button" onClick={onUploadArchive} disabled={isExtracting}>
+          {i18next.t('Upload as archive')}
+        </Button>
+        <Button
+          type="button"
+          primary
+          onClick={handleExtract}
+          disabled={
+            isExtracting ||
+            selectedEntries.length === 0 ||
+            maxFileNumberReached ||
+            maxFileStorageReached
+          }
+          loading={isExtracting}
+        >
+          {i18next.t('Extract and upload selected')}
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+ZipArchiveModal.propTypes = {
+  file: PropTypes.object.isRequired,
+  filesCount: PropTypes.number.isRequired,
+  filesSize: PropTypes.number.isRequired,
+  quota: PropTypes.shape({
+    maxStorage: PropTypes.number,
+    maxFiles: PropTypes.number,
+  }).isRequired,
+  onUploadArchive: PropTypes.func.isRequired,
+  onUploadEntries: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -7,21 +7,50 @@
 
 import { connect } from 'react-redux';
 import {
+  cancelAllUploads,
+  cancelUploads,
   deleteFile,
+  deleteFiles,
+  downloadFiles,
+  getRemoteFileInfo,
   importParentFiles,
+  listParentFiles,
+  pauseUpload,
+  pauseUploads,
+  readFileContent,
+  renameFile,
+  replaceFileContent,
+  resumeUpload,
+  resumeUploads,
+  retryFailedUploads,
+  retryUpload,
+  retryUploads,
+  reuploadFile,
+  updateFileMetadata,
+  uploadFileFromURL,
   uploadFiles,
 } from '../../state/actions';
+import {
+  selectFilesList,
+  selectInterruptedUploads,
+  selectFilesSize,
+  selectUploadProgress,
+} from '../../state/selectors';
 import { FileUploaderComponent } from './FileUploader';
 
 const mapStateToProps = (state) => {
-  const { links, entries } = state.files;
+  const { links } = state.files;
   return {
-    files: entries,
+    filesList: selectFilesList(state),
+    filesSize: selectFilesSize(state),
+    uploadProgress: selectUploadProgress(state),
+    interruptedUploads: selectInterruptedUploads(state),
     links,
     record: state.deposit.record,
     config: state.deposit.config,
     permissions: state.deposit.permissions,
     isFileImportInProgress: state.files.isFileImportInProgress,
+    isUploadQueuePaused: Boolean(state.files.isUploadQueuePaused),
     hasParentRecord: Boolean(
       state.deposit.record?.versions?.index &&
         state.deposit.record?.versions?.index > 1
@@ -31,8 +60,31 @@ const mapStateToProps = (state) => {
 
 const mapDispatchToProps = (dispatch) => ({
   uploadFiles: (draft, files) => dispatch(uploadFiles(draft, files)),
-  importParentFiles: () => dispatch(importParentFiles()),
+  uploadFileFromURL: (draft, url, filename, options) =>
+    dispatch(uploadFileFromURL(draft, url, filename, options)),
+  getRemoteFileInfo: (url) => dispatch(getRemoteFileInfo(url)),
+  importParentFiles: (selection) => dispatch(importParentFiles(selection)),
+  listParentFiles: () => dispatch(listParentFiles()),
   deleteFile: (file) => dispatch(deleteFile(file)),
+  renameFile: (file, newFilename) => dispatch(renameFile(file, newFilename)),
+  updateFileMetadata: (file, metadata) =>
+    dispatch(updateFileMetadata(file, metadata)),
+  replaceFileContent: (file, newFile) =>
+    dispatch(replaceFileContent(file, newFile)),
+  reuploadFile: (file) => dispatch(reuploadFile(file)),
+  retryUpload: (file) => dispatch(retryUpload(file)),
+  retryFailedUploads: () => dispatch(retryFailedUploads()),
+  pauseUpload: (file) => dispatch(pauseUpload(file)),
+  resumeUpload: (file) => dispatch(resumeUpload(file)),
+  pauseUploads: () => dispatch(pauseUploads()),
+  resumeUploads: () => dispatch(resumeUploads()),
+  cancelAllUploads: () => dispatch(cancelAllUploads()),
+  deleteFiles: (files) => dispatch(deleteFiles(files)),
+  cancelUploads: (files) => dispatch(cancelUploads(files)),
+  retryUploads: (files) => dispatch(retryUploads(files)),
+  downloadFiles: (files) => dispatch(downloadFiles(files)),
+  readFileContent: (file, maxBytes) =>
+    dispatch(readFileContent(file, maxBytes)),
 });
 
 export const FileUploader = connect(
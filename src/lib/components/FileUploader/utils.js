@@ -5,7 +5,7 @@
 // React-Invenio-Deposit is free software; you can redistribute it and/or modify it
 // under the terms of the MIT License; see LICENSE file for more details.
 
-import React from 'react';
+import React, { useCallback, useRef } from 'react';
 
 import _isNumber from 'lodash/isNumber';
 
@@ -27,3 +27,294 @@ export function humanReadableBytes(bytes) {
   }
   return '';
 }
+
+/**
+ * Returns the file keyed by its path relative to the dropped or selected
+ * folder, so that same-named files from different subfolders do not collide.
+ */
+export function withRelativePath(file, relativePath) {
+  if (relativePath && relativePath !== file.name) {
+    // not wrapped in a new `File`, which may replace the `/` in its name
+    Object.defineProperty(file, 'name', { value: relativePath });
+  }
+  return file;
+}
+
+const readFileEntry = (fileEntry) =>
+  new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+
+// `readEntries` returns the directory entries in batches, until an empty one
+const readDirectoryEntries = async (directoryEntry) => {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+    entries.push(...batch);
+  } while (batch.length > 0);
+  return entries;
+};
+
+const filesFromEntry = async (entry, parentPath = '') => {
+  if (entry.isFile) {
+    const file = await readFileEntry(entry);
+    return [withRelativePath(file, `${parentPath}${file.name}`)];
+  }
+  if (entry.isDirectory) {
+    const entries = await readDirectoryEntries(entry);
+    const files = [];
+    for (const childEntry of entries) {
+      files.push(
+        ...(await filesFromEntry(childEntry, `${parentPath}${entry.name}/`))
+      );
+    }
+    return files;
+  }
+  return [];
+};
+
+/**
+ * `getFilesFromEvent` of the dropzone, traversing the dropped folders and
+ * keeping the relative path of the selected ones.
+ */
+export async function getFilesFromEvent(event) {
+  const dataTransfer = event.dataTransfer;
+  if (dataTransfer) {
+    const items = Array.from(dataTransfer.items || []).filter(
+      (item) => item.kind === 'file'
+    );
+    if (event.type !== 'drop') {
+      // while dragging, only the items types can be read
+      return items;
+    }
+    // the entries must be read before the event handler returns
+    const entries = items.map(
+      (item) => item.webkitGetAsEntry && item.webkitGetAsEntry()
+    );
+    if (entries.length === 0 || entries.some((entry) => !entry)) {
+      return Array.from(dataTransfer.files || []);
+    }
+    const files = [];
+    for (const entry of entries) {
+      files.push(...(await filesFromEntry(entry)));
+    }
+    return files;
+  }
+
+  const files = Array.from(event.target?.files || []);
+  return files.map((file) => withRelativePath(file, file.webkitRelativePath));
+}
+
+/**
+ * Groups the files by folder, using the `/` separated paths of their names.
+ *
+ * @returns the root folder: `{ name, path, size, folders, files }`
+ */
+export function buildFilesTree(filesList) {
+  const newFolder = (name, path) => ({
+    name: name,
+    path: path,
+    size: 0,
+    folders: [],
+    files: [],
+  });
+  const root = newFolder('', '');
+
+  for (const file of filesList) {
+    const folderNames = file.name.split('/').slice(0, -1);
+    let folder = root;
+    folder.size += file.size || 0;
+    for (const folderName of folderNames) {
+      let subfolder = folder.folders.find(({ name }) => name === folderName);
+      if (!subfolder) {
+        subfolder = newFolder(folderName, `${folder.path}${folderName}/`);
+        folder.folders.push(subfolder);
+      }
+      folder = subfolder;
+      folder.size += file.size || 0;
+    }
+    folder.files.push(file);
+  }
+  return root;
+}
+
+/**
+ * Lists the rows of the files tree, skipping the content of the collapsed
+ * folders: `{ folder, depth, isOpen }` for folders, `{ file, depth }` for
+ * files.
+ */
+export function flattenFilesTree(folder, collapsedFolders, depth = 0) {
+  const rows = [];
+  for (const subfolder of folder.folders) {
+    const isOpen = !collapsedFolders.includes(subfolder.path);
+    rows.push({ folder: subfolder, depth: depth, isOpen: isOpen });
+    if (isOpen) {
+      rows.push(...flattenFilesTree(subfolder, collapsedFolders, depth + 1));
+    }
+  }
+  for (const file of folder.files) {
+    rows.push({ file: file, depth: depth });
+  }
+  return rows;
+}
+
+/**
+ * Returns the lower-cased extension of the file name, empty if none.
+ */
+export function getFileExtension(filename) {
+  const parts = filename.split('/').pop().split('.');
+  return parts.length > 1 ? parts.pop().toLowerCase() : '';
+}
+
+/**
+ * Returns the upload status of a file of the files list, one of `pending`,
+ * `uploading`, `paused`, `finished`, `failed` or `corrupted`.
+ */
+export function getFileStatus(file) {
+  const { uploadState } = file;
+  if (uploadState.isFailed) {
+    return 'failed';
+  } else if (uploadState.isCorrupted) {
+    return 'corrupted';
+  } else if (uploadState.isPaused) {
+    return 'paused';
+  } else if (uploadState.isUploading) {
+    return 'uploading';
+  } else if (uploadState.isFinished) {
+    return 'finished';
+  }
+  return 'pending';
+}
+
+/**
+ * Keeps the files whose name contains `query` and, when set, with the given
+ * `status` and `extension`.
+ */
+export function filterFiles(filesList, { query, status, extension }) {
+  const lowerCaseQuery = (query || '').trim().toLowerCase();
+  return filesList.filter(
+    (file) =>
+      file.name.toLowerCase().includes(lowerCaseQuery) &&
+      (!status || getFileStatus(file) === status) &&
+      (!extension || getFileExtension(file.name) === extension)
+  );
+}
+
+const sortKeys = {
+  name: (file) => file.name.toLowerCase(),
+  size: (file) => file.size || 0,
+  status: (file) => getFileStatus(file),
+  extension: (file) => getFileExtension(file.name),
+};
+
+/**
+ * Sorts the files by `name`, `size`, `status` or `extension`, in `ascending`
+ * or `descending` direction. Files with the same key are sorted by name.
+ */
+export function sortFiles(filesList, column, direction = 'ascending') {
+  const sortKey = sortKeys[column] || sortKeys.name;
+  const order = direction === 'descending' ? -1 : 1;
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return [...filesList].sort(
+    (fileA, fileB) =>
+      order * compare(sortKey(fileA), sortKey(fileB)) ||
+      compare(sortKeys.name(fileA), sortKeys.name(fileB))
+  );
+}
+
+/**
+ * Parses the URL of a remote file, returns `null` when it is not valid or
+ * its protocol is not one of `protocols`, e.g. `['http:', 'https:']`.
+ */
+export function parseRemoteFileURL(value, protocols) {
+  let url;
+  try {
+    url = new URL((value || '').trim());
+  } catch (error) {
+    return null;
+  }
+  return protocols.includes(url.protocol) && url.hostname ? url : null;
+}
+
+/**
+ * Returns the name of a remote file as found at the end of its URL path,
+ * empty if none.
+ */
+export function getRemoteFilename(url) {
+  const filename = url.pathname.split('/').pop();
+  try {
+    return decodeURIComponent(filename);
+  } catch (error) {
+    return filename;
+  }
+}
+
+/**
+ * Sorts the files by their position in `order`, a list of file names. The
+ * files missing from it keep their upload order, after the ordered ones.
+ */
+export function orderFiles(filesList, order) {
+  if (!order || !order.length) {
+    return filesList;
+  }
+  const positions = new Map(order.map((filename, index) => [filename, index]));
+  const position = (file) =>
+    positions.has(file.name) ? positions.get(file.name) : order.length;
+  // the sort is stable, the unordered files keep their upload order
+  return [...filesList].sort(
+    (fileA, fileB) => position(fileA) - position(fileB)
+  );
+}
+
+/**
+ * Returns the names of the files, in order, with `filename` moved at the
+ * position of `targetFilename`.
+ */
+export function moveFile(filenames, filename, targetFilename) {
+  const newFilenames = filenames.filter((name) => name !== filename);
+  const targetIndex = filenames.indexOf(targetFilename);
+  newFilenames.splice(targetIndex, 0, filename);
+  return newFilenames;
+}
+
+/**
+ * Returns the rows to render in a scrolled window, from their heights, with
+ * `overscan` more rows on each side, and the space taken by the other rows.
+ */
+export function getRowsWindow(heights, scrollTop, windowHeight, overscan) {
+  let top = 0;
+  let firstRow = heights.length;
+  let lastRow = heights.length;
+  for (let index = 0; index < heights.length; index++) {
+    if (firstRow === heights.length && top + heights[index] > scrollTop) {
+      firstRow = index;
+    }
+    if (top >= scrollTop + windowHeight) {
+      lastRow = index;
+      break;
+    }
+    top += heights[index];
+  }
+  firstRow = Math.max(0, firstRow - overscan);
+  lastRow = Math.min(heights.length, lastRow + overscan);
+  const sum = (rowHeights) =>
+    rowHeights.reduce((total, height) => total + height, 0);
+  return {
+    firstRow: firstRow,
+    lastRow: lastRow,
+    spaceBefore: sum(heights.slice(0, firstRow)),
+    spaceAfter: sum(heights.slice(lastRow)),
+  };
+}
+
+/**
+ * Returns a function calling the latest `callback`, which stays the same
+ * between renders, so that the memoized rows are not rendered again.
+ */
+export function useEventCallback(callback) {
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+  return useCallback((...args) => callbackRef.current(...args), []);
+}
@@ -0,0 +1,235 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import {
+  buildFilesTree,
+  filterFiles,
+  flattenFilesTree,
+  getFilesFromEvent,
+  getRemoteFilename,
+  getRowsWindow,
+  moveFile,
+  orderFiles,
+  parseRemoteFileURL,
+  sortFiles,
+} from './utils';
+
+const fileEntry = (name, content = 'x') => ({
+  isFile: true,
+  name: name,
+  file: (resolve) => resolve(new File([content], name)),
+});
+
+const directoryEntry = (name, entries) => ({
+  isDirectory: true,
+  name: name,
+  createReader: () => {
+    // the entries are returned in one batch, followed by an empty one
+    const batches = [entries, []];
+    return { readEntries: (resolve) => resolve(batches.shift()) };
+  },
+});
+
+describe('getFilesFromEvent', () => {
+  it('it should key the files of dropped folders by their relative path', async () => {
+    const entries = [
+      fileEntry('README.md'),
+      directoryEntry('run1', [
+        fileEntry('output.dat'),
+        directoryEntry('logs', [fileEntry('output.dat')]),
+      ]),
+    ];
+    const event = {
+      type: 'drop',
+      dataTransfer: {
+        items: entries.map((entry) => ({
+          kind: 'file',
+          webkitGetAsEntry: () => entry,
+        })),
+      },
+    };
+
+    const files = await getFilesFromEvent(event);
+
+    expect(files.map((file) => file.name)).toEqual([
+      'README.md',
+      'run1/output.dat',
+      'run1/logs/output.dat',
+    ]);
+  });
+
+  it('it should keep the relative path of the files of a selected folder', async () => {
+    const file = new File(['x'], 'output.dat');
+    Object.defineProperty(file, 'webkitRelativePath', {
+      value: 'run1/output.dat',
+    });
+
+    const files = await getFilesFromEvent({ target: { files: [file] } });
+
+    expect(files.map((file) => file.name)).toEqual(['run1/output.dat']);
+  });
+});
+
+describe('buildFilesTree', () => {
+  it('it should group the files by folder and sum their sizes', () => {
+    const tree = buildFilesTree([
+      { name: 'README.md', size: 1 },
+      { name: 'run1/output.dat', size: 10 },
+      { name: 'run1/logs/output.dat', size: 100 },
+    ]);
+
+    expect(tree.size).toEqual(111);
+    expect(tree.files.map((file) => file.name)).toEqual(['README.md']);
+    const [run1] = tree.folders;
+    expect(run1.path).toEqual('run1/');
+    expect(run1.size).toEqual(110);
+    expect(run1.files.map((file) => file.name)).toEqual(['run1/output.dat']);
+    expect(run1.folders[0].path).toEqual('run1/logs/');
+    expect(run1.folders[0].size).toEqual(100);
+  });
+});
+
+describe('flattenFilesTree', () => {
+  it('it should list the rows of the tree without the collapsed folders', () => {
+    const tree = buildFilesTree([
+      { name: 'README.md', size: 1 },
+      { name: 'run1/output.dat', size: 10 },
+      { name: 'run1/logs/output.dat', size: 100 },
+    ]);
+
+    const rows = flattenFilesTree(tree, ['run1/logs/']);
+
+    expect(
+      rows.map(({ folder, file, depth }) => [(folder || file).name, depth])
+    ).toEqual([
+      ['run1', 0],
+      ['logs', 1],
+      ['run1/output.dat', 1],
+      ['README.md', 0],
+    ]);
+    expect(rows[1].isOpen).toBe(false);
+  });
+});
+
+describe('filterFiles and sortFiles', () => {
+  const fileEntry = (name, size, uploadState) => ({
+    name: name,
+    size: size,
+    uploadState: uploadState,
+  });
+  const filesList = [
+    fileEntry('data/run2.csv', 300, { isFinished: true }),
+    fileEntry('README.md', 100, { isFinished: true }),
+    fileEntry('data/run1.csv', 200, { isFailed: true }),
+  ];
+
+  it('it should filter the files by name, status and extension', () => {
+    const names = (files) => files.map((file) => file.name);
+
+    expect(names(filterFiles(filesList, { query: 'RUN' }))).toEqual([
+      'data/run2.csv',
+      'data/run1.csv',
+    ]);
+    expect(
+      names(filterFiles(filesList, { extension: 'csv', status: 'finished' }))
+    ).toEqual(['data/run2.csv']);
+  });
+
+  it('it should sort the files by size or status, then by name', () => {
+    const names = (files) => files.map((file) => file.name);
+
+    expect(names(sortFiles(filesList, 'size', 'descending'))).toEqual([
+      'data/run2.csv',
+      'data/run1.csv',
+      'README.md',
+    ]);
+    expect(names(sortFiles(filesList, 'status'))).toEqual([
+      'data/run1.csv',
+      'data/run2.csv',
+      'README.md',
+    ]);
+  });
+});
+
+describe('parseRemoteFileURL and getRemoteFilename', () => {
+  const protocols = ['http:', 'https:'];
+
+  it('it should only accept the URLs with one of the protocols', () => {
+    expect(parseRemoteFileURL('not a URL', protocols)).toBeNull();
+    expect(parseRemoteFileURL('ftp://example.org/a.zip', protocols)).toBeNull();
+    expect(
+      parseRemoteFileURL(' https://example.org/a.zip ', protocols).href
+    ).toEqual('https://example.org/a.zip');
+  });
+
+  it('it should return the decoded name at the end of the path', () => {
+    const url = parseRemoteFileURL(
+      'https://example.org/releases/data%20v1.tar.gz?raw=1',
+      protocols
+    );
+    expect(getRemoteFilename(url)).toEqual('data v1.tar.gz');
+    expect(
+      getRemoteFilename(parseRemoteFileURL('https://example.org/', protocols))
+    ).toEqual('');
+  });
+});
+
+describe('orderFiles and moveFile', () => {
+  const filesList = ['a.txt', 'b.txt', 'c.txt', 'd.txt'].map((name) => ({
+    name: name,
+  }));
+  const names = (files) => files.map((file) => file.name);
+
+  it('it should keep the unordered files after the ordered ones', () => {
+    expect(
+      names(orderFiles(filesList, ['c.txt', 'removed.txt', 'a.txt']))
+    ).toEqual(['c.txt', 'a.txt', 'b.txt', 'd.txt']);
+    expect(orderFiles(filesList, [])).toBe(filesList);
+  });
+
+  it('it should move a file at the position of another one', () => {
+    const filenames = names(filesList);
+    expect(moveFile(filenames, 'a.txt', 'c.txt')).toEqual([
+      'b.txt',
+      'c.txt',
+      'a.txt',
+      'd.txt',
+    ]);
+    expect(moveFile(filenames, 'd.txt', 'b.txt')).toEqual([
+      'a.txt',
+      'd.txt',
+      'b.txt',
+      'c.txt',
+    ]);
+  });
+});
+
+describe('getRowsWindow', () => {
+  it('it should find the rows in view from their heights', () => {
+    const heights = [50, 100, 50, 50, 200, 50, 50];
+
+    expect(getRowsWindow(heights, 0, 150, 0)).toEqual({
+      firstRow: 0,
+      lastRow: 2,
+      spaceBefore: 0,
+      spaceAfter: 400,
+    });
+    // the higher rows move the next ones down
+    expect(getRowsWindow(heights, 160, 100, 1)).toEqual({
+      firstRow: 1,
+      lastRow: 6,
+      spaceBefore: 50,
+      spaceAfter: 50,
+    });
+    expect(getRowsWindow(heights, 500, 200, 0)).toEqual({
+      firstRow: 6,
+      lastRow: 7,
+      spaceBefore: 500,
+      spaceAfter: 0,
+    });
+  });
+});
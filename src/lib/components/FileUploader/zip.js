@@ -0,0 +1,243 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { Inflate, strFromU8 } from 'fflate';
+import { withRelativePath } from './utils';
+
+// Only the parts of the archive which are needed are read, archives can be
+// bigger than the memory of the browser.
+// See https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_LOCATOR_SIZE = 20;
+const LOCAL_FILE_HEADER_SIZE = 30;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// the compressed data is inflated by chunks of this size, in bytes
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+const readSlice = (file, start, end) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new DataView(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file.slice(start, end));
+  });
+
+// the 64 bits integers of ZIP64 are below 2^53 for any real archive
+const getUint64 = (view, offset) =>
+  view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+
+const bytesOf = (view, offset, length) =>
+  new Uint8Array(view.buffer, view.byteOffset + offset, length);
+
+const isDirectory = (entryName) => entryName.endsWith('/');
+
+export function isZipFile(file) {
+  return (
+    file.type === 'application/zip' ||
+    file.type === 'application/x-zip-compressed' ||
+    file.name.toLowerCase().endsWith('.zip')
+  );
+}
+
+/**
+ * Returns the offset and the number of entries of the central directory,
+ * read from the end of the archive.
+ */
+async function readEndOfCentralDirectory(file) {
+  const tailStart = Math.max(
+    0,
+    file.size - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_SIZE
+  );
+  const tail = await readSlice(file, tailStart, file.size);
+  let offset = tail.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE;
+  while (
+    offset >= 0 &&
+    tail.getUint32(offset, true) !== END_OF_CENTRAL_DIRECTORY
+  ) {
+    offset--;
+  }
+  if (offset < 0) {
+    throw new Error('Not a ZIP archive.');
+  }
+
+  const locatorOffset = offset - ZIP64_LOCATOR_SIZE;
+  if (
+    locatorOffset >= 0 &&
+    tail.getUint32(locatorOffset, true) === ZIP64_LOCATOR
+  ) {
+    const zip64Offset = getUint64(tail, locatorOffset + 8);
+    const zip64 = await readSlice(file, zip64Offset, zip64Offset + 56);
+    if (zip64.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+      throw new Error('Invalid ZIP64 archive.');
+    }
+    return {
+      entriesCount: getUint64(zip64, 32),
+      size: getUint64(zip64, 40),
+      offset: getUint64(zip64, 48),
+    };
+  }
+  return {
+    entriesCount: tail.getUint16(offset + 10, true),
+    size: tail.getUint32(offset + 12, true),
+    offset: tail.getUint32(offset + 16, true),
+  };
+}
+
+/**
+ * Returns the sizes and the offset of an entry, which are in its ZIP64 extra
+ * field when they do not fit in 32 bits.
+ */
+function readZip64Values(view, extraOffset, extraLength, values) {
+  const end = extraOffset + extraLength;
+  for (let offset = extraOffset; offset + 4 <= end; ) {
+    const fieldId = view.getUint16(offset, true);
+    const fieldLength = view.getUint16(offset + 2, true);
+    if (fieldId === ZIP64_EXTRA_FIELD) {
+      let valueOffset = offset + 4;
+      const zip64Values = { ...values };
+      ['size', 'compressedSize', 'offset'].forEach((key) => {
+        if (values[key] === 0xffffffff) {
+          zip64Values[key] = getUint64(view, valueOffset);
+          valueOffset += 8;
+        }
+      });
+      return zip64Values;
+    }
+    offset += 4 + fieldLength;
+  }
+  return values;
+}
+
+/**
+ * Reads the entries of the central directory of the archive.
+ */
+async function readCentralDirectory(file) {
+  const { entriesCount, size, offset } = await readEndOfCentralDirectory(file);
+  const view = await readSlice(file, offset, offset + size);
+  const entries = [];
+  let headerOffset = 0;
+  for (let index = 0; index < entriesCount; index++) {
+    if (view.getUint32(headerOffset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Invalid ZIP central directory.');
+    }
+    const flags = view.getUint16(headerOffset + 8, true);
+    const nameLength = view.getUint16(headerOffset + 28, true);
+    const extraLength = view.getUint16(headerOffset + 30, true);
+    const commentLength = view.getUint16(headerOffset + 32, true);
+    const nameOffset = headerOffset + 46;
+    // the names are encoded in UTF-8 when the bit 11 of the flags is set
+    const name = strFromU8(
+      bytesOf(view, nameOffset, nameLength),
+      !(flags & 0x800)
+    );
+    entries.push({
+      name: name,
+      compression: view.getUint16(headerOffset + 10, true),
+      ...readZip64Values(view, nameOffset + nameLength, extraLength, {
+        compressedSize: view.getUint32(headerOffset + 20, true),
+        size: view.getUint32(headerOffset + 24, true),
+        offset: view.getUint32(headerOffset + 42, true),
+      }),
+    });
+    headerOffset = nameOffset + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Extracts an entry of the archive, reading its compressed data by chunks.
+ *
+ * @returns a promise resolving to the extracted content, as a list of chunks
+ */
+async function extractEntry(file, entry) {
+  const header = await readSlice(
+    file,
+    entry.offset,
+    entry.offset + LOCAL_FILE_HEADER_SIZE
+  );
+  if (header.getUint32(0, true) !== LOCAL_FILE_HEADER) {
+    throw new Error('Invalid ZIP local file header.');
+  }
+  const dataStart =
+    entry.offset +
+    LOCAL_FILE_HEADER_SIZE +
+    header.getUint16(26, true) +
+    header.getUint16(28, true);
+  const dataEnd = dataStart + entry.compressedSize;
+
+  if (entry.compression === STORED) {
+    // the content is a part of the archive, nothing is read
+    return [file.slice(dataStart, dataEnd)];
+  }
+  if (entry.compression !== DEFLATED) {
+    throw new Error(`Unsupported ZIP compression method: ${entry.compression}`);
+  }
+
+  const chunks = [];
+  const inflate = new Inflate((chunk) => chunks.push(chunk));
+  if (dataStart === dataEnd) {
+    inflate.push(new Uint8Array(0), true);
+  }
+  for (let start = dataStart; start < dataEnd; start += CHUNK_SIZE) {
+    const end = Math.min(start + CHUNK_SIZE, dataEnd);
+    const view = await readSlice(file, start, end);
+    inflate.push(bytesOf(view, 0, view.byteLength), end === dataEnd);
+  }
+  return chunks;
+}
+
+/**
+ * Lists the files of a ZIP archive, without extracting them.
+ *
+ * @returns a promise resolving to the `{ name, size }` of the entries, `size`
+ *   being the extracted size in bytes
+ */
+export async function listZipEntries(file) {
+  const entries = await readCentralDirectory(file);
+  return entries
+    .filter((entry) => !isDirectory(entry.name))
+    .map((entry) => ({ name: entry.name, size: entry.size }));
+}
+
+/**
+ * Extracts the given entries of a ZIP archive, one after the other.
+ *
+ * @returns a promise resolving to the extracted files, keyed by their path in
+ *   the archive
+ */
+export async function extractZipEntries(file, entryNames) {
+  const entries = await readCentralDirectory(file);
+  const files = [];
+  for (const entryName of entryNames) {
+    const entry = entries.find((entry) => entry.name === entryName);
+    if (!entry) {
+      continue;
+    }
+    const chunks = await extractEntry(file, entry);
+    files.push(
+      withRelativePath(
+        new File(chunks, entryName.split('/').pop(), {
+          lastModified: file.lastModified,
+        }),
+        entryName
+      )
+    );
+  }
+  return files;
+}
@@ -0,0 +1,79 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { strToU8, zipSync } from 'fflate';
+import { extractZipEntries, isZipFile, listZipEntries } from './zip';
+
+const zipFile = new File(
+  [
+    zipSync({
+      'README.md': strToU8('readme'),
+      'run1/': {},
+      'run1/output.dat': strToU8('0123456789'),
+      // stored without compression
+      'run1/log.txt': [strToU8('done'), { level: 0 }],
+    }),
+  ],
+  'outputs.zip',
+  { type: 'application/zip' }
+);
+
+const readText = (file) =>
+  new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(file);
+  });
+
+describe('ZIP archives', () => {
+  it('it should detect ZIP files', () => {
+    expect(isZipFile(zipFile)).toBe(true);
+    expect(isZipFile(new File(['x'], 'data.csv'))).toBe(false);
+  });
+
+  it('it should list the files of the archive with their extracted size', async () => {
+    const entries = await listZipEntries(zipFile);
+
+    expect(entries).toEqual([
+      { name: 'README.md', size: 6 },
+      { name: 'run1/output.dat', size: 10 },
+      { name: 'run1/log.txt', size: 4 },
+    ]);
+  });
+
+  it('it should extract the selected entries keyed by their path', async () => {
+    const files = await extractZipEntries(zipFile, ['run1/output.dat']);
+
+    expect(files.map((file) => file.name)).toEqual(['run1/output.dat']);
+    expect(await readText(files[0])).toEqual('0123456789');
+  });
+
+  it('it should extract several compressed and stored entries', async () => {
+    const files = await extractZipEntries(zipFile, [
+      'README.md',
+      'run1/log.txt',
+      'run1/output.dat',
+    ]);
+
+    expect(files.map((file) => file.name)).toEqual([
+      'README.md',
+      'run1/log.txt',
+      'run1/output.dat',
+    ]);
+    expect(await Promise.all(files.map(readText))).toEqual([
+      'readme',
+      'done',
+      '0123456789',
+    ]);
+  });
+
+  it('it should reject the files which are not ZIP archives', async () => {
+    await expect(
+      listZipEntries(new File(['not a zip'], 'broken.zip'))
+    ).rejects.toThrow('Not a ZIP archive.');
+  });
+});
@@ -0,0 +1,64 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import PropTypes from 'prop-types';
+import { useEffect } from 'react';
+import { connect } from 'react-redux';
+import { refreshFiles } from '../state/actions';
+import { selectHasExternalUploads } from '../state/selectors';
+
+/**
+ * Polls the files of the draft while some are being uploaded from another
+ * tab or session, to display the outcome of these uploads.
+ */
+export const FilesSyncComponent = ({
+  interval,
+  hasExternalUploads,
+  refreshFilesAction,
+}) => {
+  useEffect(() => {
+    if (!hasExternalUploads) {
+      return;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        await refreshFilesAction();
+      } catch (error) {
+        // the files will be read again at the next round
+      }
+    }, interval);
+
+    return () => clearInterval(timer);
+  }, [hasExternalUploads, interval, refreshFilesAction]);
+
+  return null;
+};
+
+FilesSyncComponent.propTypes = {
+  interval: PropTypes.number,
+  hasExternalUploads: PropTypes.bool,
+  refreshFilesAction: PropTypes.func.isRequired,
+};
+
+FilesSyncComponent.defaultProps = {
+  interval: 10000,
+  hasExternalUploads: false,
+};
+
+const mapStateToProps = (state) => ({
+  hasExternalUploads: selectHasExternalUploads(state),
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  refreshFilesAction: () => dispatch(refreshFiles()),
+});
+
+export const FilesSync = connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(FilesSyncComponent);
@@ -9,9 +9,13 @@
 import { i18next } from '@translations/i18next';
 import _get from 'lodash/get';
 import _isObject from 'lodash/isObject';
+import _uniqBy from 'lodash/uniqBy';
+import { DateTime } from 'luxon';
 import React, { Component } from 'react';
 import { connect } from 'react-redux';
-import { Grid, Message } from 'semantic-ui-react';
+import { Button, Grid, Message } from 'semantic-ui-react';
+import { DepositFormNavigationContext } from '../DepositFormNavigationContext';
+import { dismissBulkAction } from '../state/actions';
 import {
   DISCARD_PID_FAILED,
   DRAFT_DELETE_FAILED,
@@ -21,14 +25,17 @@ import {
   DRAFT_SAVE_FAILED,
   DRAFT_SAVE_SUCCEEDED,
   DRAFT_SUBMIT_REVIEW_FAILED,
+  DRAFT_VALIDATION_FAILED,
   FILE_IMPORT_FAILED,
   FILE_UPLOAD_SAVE_DRAFT_FAILED,
   RESERVE_PID_FAILED,
 } from '../state/types';
 import { leafTraverse } from '../utils';
 
-const defaultLabels = {
+export const defaultLabels = {
+  files: i18next.t('Files'),
   'files.enabled': i18next.t('Files'),
+  'files.entries': i18next.t('Files'),
   'metadata.resource_type': i18next.t('Resource type'),
   'metadata.title': i18next.t('Title'),
   'metadata.additional_titles': i18next.t('Additional titles'),
@@ -44,6 +51,7 @@ const defaultLabels = {
   'metadata.publisher': i18next.t('Publisher'),
   'metadata.related_identifiers': i18next.t('Related works'),
   'metadata.identifiers': i18next.t('Alternate identifiers'),
+  access: i18next.t('Visibility'),
   'access.embargo.until': i18next.t('Embargo until'),
   'pids.doi': i18next.t('DOI'),
   pids: i18next.t('PIDS'),
@@ -58,6 +66,12 @@ const ACTIONS = {
     feedback: 'warning',
     message: i18next.t('Record saved with validation errors:'),
   },
+  [DRAFT_VALIDATION_FAILED]: {
+    feedback: 'warning',
+    message: i18next.t(
+      'The draft was not submitted, please correct the following errors:'
+    ),
+  },
   [DRAFT_SAVE_FAILED]: {
     feedback: 'negative',
     message: i18next.t(
@@ -114,30 +128,154 @@ const ACTIONS = {
   },
 };
 
-class DisconnectedFormFeedback extends Component {
+// the failures of the actions are reported by kind of error, the errors of
+// the server fall back to the message of the action
+const ERRORS = {
+  network: {
+    feedback: 'negative',
+    message: i18next.t(
+      'The server could not be reached, the changes were not sent. Please check your internet connection and try again.'
+    ),
+  },
+  permission: {
+    feedback: 'negative',
+    message: i18next.t(
+      'You are not allowed to do this action. Your session may have expired, please log in again in another tab and try again.'
+    ),
+  },
+  validation: {
+    feedback: 'warning',
+    message: i18next.t(
+      'The draft was rejected, please correct the following errors:'
+    ),
+  },
+  conflict: {
+    feedback: 'negative',
+    message: i18next.t(
+      'The draft was modified elsewhere since it was loaded, the changes were not saved. Please merge them with the saved version and try again.'
+    ),
+  },
+};
+
+const BULK_ACTIONS_LABELS = {
+  delete: i18next.t('Delete files'),
+  retry: i18next.t('Retry uploads'),
+  download: i18next.t('Download files'),
+  exclude: i18next.t('Remove the files not to import'),
+};
+
+// the save status when the automatic save failed, by kind of error
+const AUTOSAVE_ERRORS = {
+  network: i18next.t('Unsaved changes (offline, automatic save failed)'),
+  permission: i18next.t(
+    'Unsaved changes (automatic save not allowed, please log in again)'
+  ),
+  conflict: i18next.t('Unsaved changes (draft modified elsewhere)'),
+};
+
+export class DisconnectedFormFeedback extends Component {
+  static contextType = DepositFormNavigationContext;
+
   constructor(props) {
     super(props);
     this.labels = {
       ...defaultLabels,
       ...props.labels,
     };
+    this.state = { currentErrorIndex: -1 };
+  }
+
+  componentDidMount() {
+    this.unregisterErrorsNavigation = this.context.registerErrorsNavigation(
+      (direction) => this.focusSiblingError(direction)
+    );
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.errors !== this.props.errors) {
+      this.setState({ currentErrorIndex: -1 });
+    }
+  }
+
+  componentWillUnmount() {
+    this.unregisterErrorsNavigation();
+  }
+
+  /**
+   * Return the field paths of the errors, in the order they are displayed.
+   *
+   * @returns array of Strings
+   */
+  getErrorFieldPaths() {
+    const labelledMessages = this.toLabelledErrorMessages(
+      this.props.errors || {}
+    );
+    return Object.values(labelledMessages).flatMap((messages) =>
+      _uniqBy(messages, 'message').map(({ fieldPath }) => fieldPath)
+    );
+  }
+
+  focusError = (fieldPath) => {
+    const currentErrorIndex = this.getErrorFieldPaths().indexOf(fieldPath);
+    this.setState({ currentErrorIndex });
+    this.context.focusField(fieldPath);
+  };
+
+  /**
+   * Focus the next (direction 1) or previous (direction -1) error.
+   *
+   * @param {number} direction
+   */
+  focusSiblingError(direction) {
+    const fieldPaths = this.getErrorFieldPaths();
+    if (!fieldPaths.length) {
+      return;
+    }
+    const { currentErrorIndex } = this.state;
+    const index =
+      currentErrorIndex === -1 && direction < 0
+        ? fieldPaths.length - 1
+        : (currentErrorIndex + direction + fieldPaths.length) %
+          fieldPaths.length;
+    this.setState({ currentErrorIndex: index });
+    this.context.focusField(fieldPaths[index]);
+  }
+
+  /**
+   * Render an error message as a link to the field in error.
+   *
+   * @param {object} error - {message, fieldPath}
+   * @returns React node
+   */
+  renderErrorLink({ message, fieldPath }) {
+    return (
+      <a
+        href={`#${fieldPath}`}
+        onClick={(event) => {
+          event.preventDefault();
+          this.focusError(fieldPath);
+        }}
+      >
+        {message}
+      </a>
+    );
   }
 
   /**
    * Render error messages inline (if 1) or as list (if multiple).
    *
-   * @param {Array<String>} messages
-   * @returns String or React node
+   * @param {Array<object>} messages - {message, fieldPath}
+   * @returns React node
    */
   renderErrorMessages(messages) {
-    const uniqueMessages = [...new Set(messages)];
+    const uniqueMessages = _uniqBy(messages, 'message');
     if (uniqueMessages.length === 1) {
-      return messages[0];
+      return this.renderErrorLink(uniqueMessages[0]);
     } else {
       return (
         <ul>
           {uniqueMessages.map((m, i) => (
-            <li key={i}>{m}</li>
+            <li key={i}>{this.renderErrorLink(m)}</li>
           ))}
         </ul>
       );
@@ -156,12 +294,17 @@ class DisconnectedFormFeedback extends Component {
    * ];
    *
    * @param {object} errorValue
-   * @returns array of Strings (error messages)
+   * @param {string} fieldPath - the path of the field of errorValue
+   * @returns array of {message, fieldPath} with the path of the field of
+   *   each message e.g. `metadata.additional_titles.0.title`
    */
-  toErrorMessages(errorValue) {
+  toErrorMessages(errorValue, fieldPath) {
     let messages = [];
-    let store = (l) => {
-      messages.push(l);
+    let store = (l, path) => {
+      messages.push({
+        message: l,
+        fieldPath: [fieldPath, ...path].join('.'),
+      });
     };
     leafTraverse(errorValue, store);
     return messages;
@@ -203,7 +346,7 @@ class DisconnectedFormFeedback extends Component {
     // Step 1 - Transform each error value into array of error messages
     const step1 = Object.fromEntries(
       Object.entries(step0).map(([key, value]) => {
-        return [key, this.toErrorMessages(value)];
+        return [key, this.toErrorMessages(value, key)];
       })
     );
 
@@ -219,21 +362,132 @@ class DisconnectedFormFeedback extends Component {
 
     return labelledErrorMessages;
   }
+  /**
+   * Return the save status of the draft e.g. "Saved at 10:42", if any. It is
+   * only displayed when the draft is saved automatically.
+   *
+   * @returns String or null
+   */
+  renderSaveStatus() {
+    const {
+      isAutosaveEnabled,
+      isDirty,
+      lastSavedAt,
+      hasAutosaveFailed,
+      autosaveErrorType,
+    } = this.props;
+    if (!isAutosaveEnabled) {
+      return null;
+    } else if (isDirty) {
+      return hasAutosaveFailed
+        ? _get(
+            AUTOSAVE_ERRORS,
+            autosaveErrorType,
+            i18next.t('Unsaved changes (automatic save failed)')
+          )
+        : i18next.t('Unsaved changes');
+    } else if (lastSavedAt) {
+      return i18next.t('Saved at {{time}}', {
+        time: DateTime.fromISO(lastSavedAt).toLocaleString(
+          DateTime.TIME_SIMPLE
+        ),
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Return the progress, then the result, of the last bulk action on the
+   * files, if any. The retried files are only queued: their uploads are
+   * reported in the list of files.
+   *
+   * @returns object with `feedback`, `message` and the `failed` files, or null
+   */
+  getBulkActionReport() {
+    const { bulkAction } = this.props;
+    if (!bulkAction) {
+      return null;
+    }
+
+    const { action, done, total, failed, isFinished } = bulkAction;
+    const isQueued = action === 'retry';
+    const label = BULK_ACTIONS_LABELS[action];
+    if (!isFinished) {
+      return {
+        feedback: 'info',
+        message: isQueued
+          ? i18next.t('{{action}}: {{done}} of {{total}} files queued...', {
+              action: label,
+              done: done,
+              total: total,
+            })
+          : i18next.t('{{action}}: {{done}} of {{total}} files processed...', {
+              action: label,
+              done: done,
+              total: total,
+            }),
+        failed: [],
+      };
+    } else if (failed.length) {
+      return {
+        feedback: 'warning',
+        message: isQueued
+          ? i18next.t(
+              '{{action}}: {{count}} of {{total}} files could not be queued:',
+              { action: label, count: failed.length, total: total }
+            )
+          : i18next.t('{{action}}: {{count}} of {{total}} files failed:', {
+              action: label,
+              count: failed.length,
+              total: total,
+            }),
+        failed: failed,
+      };
+    }
+    return {
+      feedback: 'positive',
+      message: isQueued
+        ? i18next.t('{{action}}: {{total}} files queued for upload.', {
+            action: label,
+            total: total,
+          })
+        : i18next.t('{{action}}: {{total}} files processed.', {
+            action: label,
+            total: total,
+          }),
+      failed: [],
+    };
+  }
+
   render() {
     const actionState = this.props.actionState;
+    const actionStateExtra = this.props.actionStateExtra || {};
 
     const errors = this.props.errors || {};
-    const { feedback, message } = _get(ACTIONS, actionState, {
-      feedback: undefined,
-      message: undefined,
-    });
+    const action = _get(
+      ERRORS,
+      actionStateExtra.errorType,
+      _get(ACTIONS, actionState, {
+        feedback: undefined,
+        message: undefined,
+      })
+    );
+    const bulkActionReport = this.getBulkActionReport();
+    // the feedback of the draft comes first
+    const feedback = action.message
+      ? action.feedback
+      : bulkActionReport?.feedback;
+    const message = action.message;
+
+    const saveStatus = this.renderSaveStatus();
 
-    if (!message) {
+    if (!message && !saveStatus && !bulkActionReport) {
       // if no message to display, simply return null
       return null;
     }
 
     const labelledMessages = this.toLabelledErrorMessages(errors);
+    const errorsCount = this.getErrorFieldPaths().length;
     const listErrors = Object.entries(labelledMessages).map(
       ([label, messages]) => (
         <Message.Item key={label}>
@@ -248,13 +502,55 @@ class DisconnectedFormFeedback extends Component {
         positive={feedback === 'positive'}
         warning={feedback === 'warning'}
         negative={feedback === 'negative'}
+        info={feedback === 'info'}
         className="flashed top-attached mb-0"
       >
         <Grid container>
-          <Grid.Column width={15} textAlign="left">
-            <strong>{message}</strong>
+          <Grid.Column width={saveStatus ? 11 : 15} textAlign="left">
+            {message && <strong>{message}</strong>}
             {listErrors.length > 0 && <Message.List>{listErrors}</Message.List>}
+            {errorsCount > 1 && (
+              <Button.Group basic size="mini">
+                <Button
+                  type="button"
+                  icon="arrow up"
+                  content={i18next.t('Previous error')}
+                  title={i18next.t('Previous error (Shift+F8)')}
+                  onClick={() => this.focusSiblingError(-1)}
+                />
+                <Button
+                  type="button"
+                  icon="arrow down"
+                  content={i18next.t('Next error')}
+                  title={i18next.t('Next error (F8)')}
+                  onClick={() => this.focusSiblingError(1)}
+                />
+              </Button.Group>
+            )}
+            {bulkActionReport && (
+              <div className="files-bulk-action-report">
+                <strong>{bulkActionReport.message}</strong>
+                {bulkActionReport.failed.length > 0 && (
+                  <Message.List items={bulkActionReport.failed} />
+                )}
+                {this.props.bulkAction.isFinished && (
+                  <Button
+                    type="button"
+                    basic
+                    size="mini"
+                    icon="close"
+                    content={i18next.t('Dismiss')}
+                    onClick={() => this.props.dismissBulkActionAction()}
+                  />
+                )}
+              </div>
+            )}
           </Grid.Column>
+          {saveStatus && (
+            <Grid.Column width={4} textAlign="right">
+              <em>{saveStatus}</em>
+            </Grid.Column>
+          )}
         </Grid>
       </Message>
     );
@@ -263,10 +559,21 @@ class DisconnectedFormFeedback extends Component {
 
 const mapStateToProps = (state) => ({
   actionState: state.deposit.actionState,
+  actionStateExtra: state.deposit.actionStateExtra,
   errors: state.deposit.errors,
+  isAutosaveEnabled: state.deposit.isAutosaveEnabled,
+  isDirty: state.deposit.isDirty,
+  lastSavedAt: state.deposit.lastSavedAt,
+  hasAutosaveFailed: state.deposit.hasAutosaveFailed,
+  autosaveErrorType: state.deposit.autosaveErrorType,
+  bulkAction: state.files.bulkAction,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  dismissBulkActionAction: () => dispatch(dismissBulkAction()),
 });
 
 export const FormFeedback = connect(
   mapStateToProps,
-  null
+  mapDispatchToProps
 )(DisconnectedFormFeedback);
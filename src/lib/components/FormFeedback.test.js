@@ -0,0 +1,123 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { fireEvent, render } from '@testing-library/react';
+import React from 'react';
+import {
+  DepositFormNavigationContext,
+  DepositFormNavigator,
+} from '../DepositFormNavigationContext';
+import { DRAFT_HAS_VALIDATION_ERRORS } from '../state/types';
+import { DisconnectedFormFeedback } from './FormFeedback';
+
+describe('FormFeedback', () => {
+  const errors = {
+    metadata: {
+      title: 'Missing title.',
+      creators: [{ person_or_org: { family_name: 'Missing family name.' } }],
+    },
+  };
+  const titlePath = 'metadata.title';
+  const familyNamePath = 'metadata.creators.0.person_or_org.family_name';
+
+  const renderFeedback = () => {
+    const navigator = new DepositFormNavigator();
+    navigator.focusField = jest.fn();
+    const utils = render(
+      <DepositFormNavigationContext.Provider value={navigator}>
+        <DisconnectedFormFeedback
+          actionState={DRAFT_HAS_VALIDATION_ERRORS}
+          errors={errors}
+        />
+      </DepositFormNavigationContext.Provider>
+    );
+    return { navigator, ...utils };
+  };
+
+  it('it should link the errors to their fields', () => {
+    const { navigator, getByText } = renderFeedback();
+
+    fireEvent.click(getByText('Missing family name.'));
+
+    expect(navigator.focusField).toHaveBeenCalledWith(familyNamePath);
+  });
+
+  it('it should go through the errors in the order they are displayed', () => {
+    const { navigator, getByText } = renderFeedback();
+
+    fireEvent.click(getByText('Next error'));
+    fireEvent.click(getByText('Next error'));
+    fireEvent.click(getByText('Next error'));
+    fireEvent.click(getByText('Previous error'));
+
+    expect(navigator.focusField.mock.calls).toEqual([
+      [titlePath],
+      [familyNamePath],
+      [titlePath],
+      [familyNamePath],
+    ]);
+  });
+
+  it('it should go to the last error with Shift+F8', () => {
+    const { navigator } = renderFeedback();
+
+    navigator.handleKeyDown({
+      key: 'F8',
+      shiftKey: true,
+      preventDefault: () => {},
+    });
+
+    expect(navigator.focusField).toHaveBeenCalledWith(familyNamePath);
+  });
+
+  it('it should display the save status with the automatic saves only', () => {
+    const renderStatus = (isAutosaveEnabled) =>
+      render(
+        <DepositFormNavigationContext.Provider
+          value={new DepositFormNavigator()}
+        >
+          <DisconnectedFormFeedback
+            isAutosaveEnabled={isAutosaveEnabled}
+            lastSavedAt="2022-01-01T10:42:00"
+          />
+        </DepositFormNavigationContext.Provider>
+      );
+
+    expect(renderStatus(false).container.textContent).toEqual('');
+    expect(renderStatus(true).container.textContent).toContain('Saved at');
+  });
+
+  it('it should report the files queued by the retry of the uploads', () => {
+    const dismissBulkActionAction = jest.fn();
+    const { container, getByText } = render(
+      <DepositFormNavigationContext.Provider value={new DepositFormNavigator()}>
+        <DisconnectedFormFeedback
+          actionState={DRAFT_HAS_VALIDATION_ERRORS}
+          errors={errors}
+          bulkAction={{
+            action: 'retry',
+            total: 3,
+            done: 3,
+            failed: ['data.csv'],
+            isFinished: true,
+          }}
+          dismissBulkActionAction={dismissBulkActionAction}
+        />
+      </DepositFormNavigationContext.Provider>
+    );
+
+    // the feedback of the draft is kept
+    expect(container.textContent).toContain('Missing title.');
+    expect(
+      getByText('Retry uploads: 1 of 3 files could not be queued:')
+    ).toBeTruthy();
+    expect(getByText('data.csv')).toBeTruthy();
+
+    fireEvent.click(getByText('Dismiss'));
+    expect(dismissBulkActionAction).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { useFormikContext } from 'formik';
+import _cloneDeep from 'lodash/cloneDeep';
+import _get from 'lodash/get';
+import _isEqual from 'lodash/isEqual';
+import _set from 'lodash/set';
+import _unset from 'lodash/unset';
+import PropTypes from 'prop-types';
+import { useEffect, useRef } from 'react';
+import { connect } from 'react-redux';
+import { validateTouchedFields } from '../state/actions';
+
+/**
+ * Validates the fields when they are left, instead of waiting for the draft
+ * to be published. The errors of the other fields are kept as they are, as
+ * well as the errors returned by the server, until it validates the draft
+ * again.
+ */
+export const LiveValidationComponent = ({ validateTouchedFieldsAction }) => {
+  const { values, touched, errors, setErrors } = useFormikContext();
+  // the fields are validated when they are touched, with the values and
+  // the errors of the form when the validation resolves
+  const form = useRef();
+  form.current = { values, errors };
+  // the errors set by the live validation, by field path
+  const liveErrors = useRef({});
+
+  useEffect(() => {
+    let isCancelled = false;
+    validateTouchedFieldsAction(form.current.values, touched).then(
+      (fieldErrors) => {
+        if (isCancelled) {
+          return;
+        }
+        const { errors } = form.current;
+        const newErrors = _cloneDeep(errors);
+        Object.entries(fieldErrors).forEach(([fieldPath, error]) => {
+          if (error) {
+            _set(newErrors, fieldPath, error);
+            liveErrors.current[fieldPath] = error;
+          } else if (
+            _isEqual(_get(errors, fieldPath), liveErrors.current[fieldPath])
+          ) {
+            _unset(newErrors, fieldPath);
+            delete liveErrors.current[fieldPath];
+          }
+        });
+        if (!_isEqual(newErrors, errors)) {
+          setErrors(newErrors);
+        }
+      }
+    );
+    return () => {
+      isCancelled = true;
+    };
+  }, [touched, setErrors, validateTouchedFieldsAction]);
+
+  return null;
+};
+
+LiveValidationComponent.propTypes = {
+  validateTouchedFieldsAction: PropTypes.func.isRequired,
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  validateTouchedFieldsAction: (values, touched) =>
+    dispatch(validateTouchedFields(values, touched)),
+});
+
+export const LiveValidation = connect(
+  null,
+  mapDispatchToProps
+)(LiveValidationComponent);
@@ -0,0 +1,82 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { fireEvent, render, wait } from '@testing-library/react';
+import { Formik } from 'formik';
+import _get from 'lodash/get';
+import React from 'react';
+import { LiveValidationComponent } from './LiveValidation';
+
+describe('LiveValidation', () => {
+  // touches the title, or untouches it, and displays its error
+  const TitleField = ({ errors, touched, setFieldTouched }) => (
+    <>
+      <button
+        type="button"
+        onClick={() =>
+          setFieldTouched('metadata.title', !_get(touched, 'metadata.title'))
+        }
+      >
+        touch
+      </button>
+      <span data-testid="error">{_get(errors, 'metadata.title', '')}</span>
+    </>
+  );
+
+  const renderForm = (validateTouchedFieldsAction, initialErrors = {}) =>
+    render(
+      <Formik
+        initialValues={{ metadata: { title: '' } }}
+        initialErrors={initialErrors}
+        validateOnBlur={false}
+        validateOnChange={false}
+        onSubmit={() => {}}
+      >
+        {(formik) => (
+          <>
+            <LiveValidationComponent
+              validateTouchedFieldsAction={validateTouchedFieldsAction}
+            />
+            <TitleField {...formik} />
+          </>
+        )}
+      </Formik>
+    );
+
+  it('it should set and clear the errors of the touched fields', async () => {
+    const validateTouchedFieldsAction = jest
+      .fn()
+      .mockResolvedValue({ 'metadata.title': undefined })
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ 'metadata.title': 'Title is required.' });
+    const { getByText, getByTestId } = renderForm(validateTouchedFieldsAction);
+
+    fireEvent.click(getByText('touch'));
+    await wait(() =>
+      expect(getByTestId('error').textContent).toEqual('Title is required.')
+    );
+
+    fireEvent.click(getByText('touch'));
+    await wait(() => expect(getByTestId('error').textContent).toEqual(''));
+  });
+
+  it('it should keep the errors of the server until it validates again', async () => {
+    const validateTouchedFieldsAction = jest
+      .fn()
+      .mockResolvedValue({ 'metadata.title': undefined });
+    const { getByText, getByTestId } = renderForm(validateTouchedFieldsAction, {
+      metadata: { title: 'Title already exists.' },
+    });
+
+    fireEvent.click(getByText('touch'));
+    await wait(() =>
+      expect(validateTouchedFieldsAction).toHaveBeenCalledTimes(2)
+    );
+
+    expect(getByTestId('error').textContent).toEqual('Title already exists.');
+  });
+});
@@ -0,0 +1,125 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import { useFormikContext } from 'formik';
+import _isEqual from 'lodash/isEqual';
+import _pick from 'lodash/pick';
+import { DateTime } from 'luxon';
+import PropTypes from 'prop-types';
+import React, { useEffect } from 'react';
+import { connect } from 'react-redux';
+import { Button, List, Modal } from 'semantic-ui-react';
+import {
+  discardLocalCopy,
+  restoreLocalCopy,
+  saveLocalCopy,
+} from '../state/actions';
+import { defaultLabels } from './FormFeedback';
+
+// Fields of the local copy that are restored in the form
+const RESTORABLE_FIELDS = ['metadata', 'access', 'files', 'pids'];
+
+// NOTE: This component has to be a function component to allow
+//       the `useFormikContext` hook.
+export const LocalDraftCopyComponent = ({
+  delay,
+  labels,
+  localCopy,
+  saveLocalCopyAction,
+  restoreLocalCopyAction,
+  discardLocalCopyAction,
+}) => {
+  const { values, initialValues, setValues } = useFormikContext();
+  const _labels = { ...defaultLabels, ...labels };
+
+  useEffect(() => {
+    // do not overwrite the local copy until the user decided what to do with it
+    if (localCopy || _isEqual(values, initialValues)) {
+      return;
+    }
+
+    const timer = setTimeout(() => saveLocalCopyAction(values), delay);
+    return () => clearTimeout(timer);
+  }, [values, initialValues, localCopy, delay, saveLocalCopyAction]);
+
+  if (!localCopy) {
+    return null;
+  }
+
+  const handleRestore = () => {
+    setValues({ ...values, ..._pick(localCopy.values, RESTORABLE_FIELDS) });
+    restoreLocalCopyAction();
+  };
+
+  const savedAt = DateTime.fromISO(localCopy.savedAt).toLocaleString(
+    DateTime.DATETIME_MED
+  );
+
+  return (
+    <Modal open size="small">
+      <Modal.Header>{i18next.t('Unsaved changes found')}</Modal.Header>
+      <Modal.Content>
+        <p>
+          {i18next.t(
+            'A local copy of this draft, more recent than the saved version, was found in your browser (last modified on {{savedAt}}). The following fields differ:',
+            { savedAt: savedAt }
+          )}
+        </p>
+        <List bulleted>
+          {localCopy.changedFields.map((fieldPath) => (
+            <List.Item key={fieldPath}>
+              {_labels[fieldPath] || fieldPath}
+            </List.Item>
+          ))}
+        </List>
+      </Modal.Content>
+      <Modal.Actions>
+        <Button type="button" onClick={discardLocalCopyAction} floated="left">
+          {i18next.t('Discard local copy')}
+        </Button>
+        <Button type="button" primary onClick={handleRestore}>
+          {i18next.t('Restore')}
+        </Button>
+      </Modal.Actions>
+    </Modal>
+  );
+};
+
+LocalDraftCopyComponent.propTypes = {
+  delay: PropTypes.number,
+  labels: PropTypes.object,
+  localCopy: PropTypes.shape({
+    values: PropTypes.object,
+    savedAt: PropTypes.string,
+    changedFields: PropTypes.arrayOf(PropTypes.string),
+  }),
+  saveLocalCopyAction: PropTypes.func.isRequired,
+  restoreLocalCopyAction: PropTypes.func.isRequired,
+  discardLocalCopyAction: PropTypes.func.isRequired,
+};
+
+LocalDraftCopyComponent.defaultProps = {
+  delay: 1000,
+  labels: {},
+  localCopy: null,
+};
+
+const mapStateToProps = (state) => ({
+  localCopy: state.deposit.localCopy,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  saveLocalCopyAction: (values) => dispatch(saveLocalCopy(values)),
+  restoreLocalCopyAction: () => dispatch(restoreLocalCopy()),
+  discardLocalCopyAction: () => dispatch(discardLocalCopy()),
+});
+
+export const LocalDraftCopy = connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(LocalDraftCopyComponent);
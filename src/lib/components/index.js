@@ -8,6 +8,7 @@
 export { AccessRightField } from './AccessRightField';
 export { AdditionalTitlesField } from './AdditionalTitlesField';
 export { AffiliationsField } from './AffiliationsField';
+export { AutoSave } from './AutoSave';
 export { ComingSoonField } from './ComingSoonField';
 export { CommunityHeader } from './Communities';
 export { CommunitySelectionModal } from './CommunitySelectionModal';
@@ -16,12 +17,16 @@ export { DatesField } from './DatesField';
 export { DeleteButton } from './DeleteButton';
 export { DepositFormTitle } from './DepositFormTitle';
 export { DescriptionsField } from './DescriptionsField';
+export { DraftConflictModal } from './DraftConflictModal';
 export { FileUploader } from './FileUploader';
+export { FilesSync } from './FilesSync';
 export { FormFeedback } from './FormFeedback';
 export { FundingField } from './FundingField';
 export { IdentifiersField, PIDField } from './Identifiers';
 export { LanguagesField } from './LanguagesField';
 export * from './License';
+export { LiveValidation } from './LiveValidation';
+export { LocalDraftCopy } from './LocalDraftCopy';
 export { NewVersionButton } from './NewVersionButton';
 export { PreviewButton } from './PreviewButton';
 export { PublicationDateField } from './PublicationDateField';
@@ -12,3 +12,47 @@ export const getInputFromDOM = (elementName) => {
   }
   return null;
 };
+
+const quote = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Returns the element of the form editing the field, or the closest one
+ * editing a parent field e.g. the list of creators for the name of one of
+ * them.
+ */
+export const findFieldElement = (fieldPath) => {
+  const segments = fieldPath.split('.');
+  for (let length = segments.length; length > 0; length--) {
+    const path = quote(segments.slice(0, length).join('.'));
+    const element = document.querySelector(
+      `[name=${path}], [id=${path}], [data-field-path=${path}], label[for=${path}]`
+    );
+    if (element) {
+      return element;
+    }
+  }
+  return null;
+};
+
+/**
+ * Expands the collapsed accordions containing the element, scrolls to it
+ * and focuses it, or its first input.
+ */
+export const focusElement = (element) => {
+  for (let node = element; node; node = node.parentElement) {
+    const isCollapsedSection =
+      node.classList.contains('content') &&
+      !node.classList.contains('active') &&
+      node.parentElement?.classList.contains('accordion');
+    if (isCollapsedSection && node.previousElementSibling) {
+      node.previousElementSibling.click();
+    }
+  }
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  const input = element.matches('input, textarea, select, button, [tabindex]')
+    ? element
+    : element.querySelector('input, textarea, select, button, [tabindex]');
+  if (input) {
+    input.focus({ preventScroll: true });
+  }
+};
@@ -0,0 +1,55 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { findFieldElement, focusElement } from './dom';
+
+describe('dom', () => {
+  beforeEach(() => {
+    // not implemented by jsdom
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('it should find the element of the field or of its closest parent', () => {
+    document.body.innerHTML = `
+      <input name="metadata.title" />
+      <div data-field-path="metadata.creators"></div>
+    `;
+
+    expect(findFieldElement('metadata.title')).toBe(
+      document.querySelector('input')
+    );
+    expect(
+      findFieldElement('metadata.creators.0.person_or_org.family_name')
+    ).toBe(document.querySelector('div'));
+    expect(findFieldElement('metadata.description')).toBeNull();
+  });
+
+  it('it should open the collapsed sections and focus the input', () => {
+    document.body.innerHTML = `
+      <div class="accordion">
+        <div class="title">Basic information</div>
+        <div class="content">
+          <div id="metadata.title"><input /></div>
+        </div>
+      </div>
+    `;
+    const title = document.querySelector('.title');
+    const onTitleClick = jest.fn();
+    title.addEventListener('click', onTitleClick);
+    const element = document.getElementById('metadata.title');
+
+    focusElement(element);
+
+    expect(onTitleClick).toHaveBeenCalledTimes(1);
+    expect(element.scrollIntoView).toHaveBeenCalled();
+    expect(document.activeElement).toBe(document.querySelector('input'));
+  });
+});
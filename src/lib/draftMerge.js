@@ -0,0 +1,88 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import _cloneDeep from 'lodash/cloneDeep';
+import _get from 'lodash/get';
+import _isEqual from 'lodash/isEqual';
+import _set from 'lodash/set';
+import { changedFieldPaths } from './utils';
+
+export const MERGE_SOURCES = {
+  BASE: 'base',
+  MINE: 'mine',
+  THEIRS: 'theirs',
+};
+
+// the `__key` of the entries of the lists are only used by the form
+const withoutKeys = (value) =>
+  value === undefined
+    ? undefined
+    : JSON.parse(
+        JSON.stringify(value, (key, entry) =>
+          key === '__key' ? undefined : entry
+        )
+      );
+
+// the fields sent to the backend by the record serializer, but the `id` and
+// the `links` which are the ones of the server
+const MERGED_FIELDS = ['metadata', 'access', 'files', 'pids', 'parent'];
+
+const isSameValue = (valueA, valueB) =>
+  _isEqual(withoutKeys(valueA), withoutKeys(valueB));
+
+/**
+ * Compares, field by field, the draft the user started from (base), the
+ * draft of the user (mine) and the draft saved elsewhere (theirs).
+ *
+ * @param {object} drafts - {base, mine, theirs}, in frontend format
+ * @returns {Array<object>} the fields which differ between mine and theirs,
+ *   as `{fieldPath, base, mine, theirs, isConflict, source}` where
+ *   `isConflict` is true when both sides changed the field and `source` is
+ *   the side kept by default
+ */
+export function diffDrafts({ base, mine, theirs }) {
+  return changedFieldPaths(mine, theirs, MERGED_FIELDS)
+    .map((fieldPath) => {
+      const [baseValue, mineValue, theirsValue] = [base, mine, theirs].map(
+        (draft) => _get(draft, fieldPath)
+      );
+      if (isSameValue(mineValue, theirsValue)) {
+        return null;
+      }
+      const hasMineChanged = !isSameValue(baseValue, mineValue);
+      const hasTheirsChanged = !isSameValue(baseValue, theirsValue);
+      return {
+        fieldPath,
+        base: baseValue,
+        mine: mineValue,
+        theirs: theirsValue,
+        isConflict: hasMineChanged && hasTheirsChanged,
+        source: hasMineChanged ? MERGE_SOURCES.MINE : MERGE_SOURCES.THEIRS,
+      };
+    })
+    .filter((fieldDiff) => fieldDiff !== null);
+}
+
+/**
+ * Merges the drafts, keeping for each field of the diff the chosen side.
+ *
+ * The merged draft is based on theirs, so that it is saved on top of it.
+ *
+ * @param {object} theirs - the draft saved elsewhere
+ * @param {Array<object>} diff - the diff of `diffDrafts`
+ * @param {object} sources - the side chosen for each field path, the default
+ *   side of the diff otherwise
+ * @returns {object} the merged draft
+ */
+export function mergeDrafts(theirs, diff, sources = {}) {
+  const merged = _cloneDeep(theirs);
+  diff.forEach((fieldDiff) => {
+    const source = sources[fieldDiff.fieldPath] || fieldDiff.source;
+    _set(merged, fieldDiff.fieldPath, _cloneDeep(fieldDiff[source]));
+  });
+  return merged;
+}
@@ -0,0 +1,74 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { diffDrafts, mergeDrafts, MERGE_SOURCES } from './draftMerge';
+
+describe('draft merge tests', () => {
+  const base = {
+    id: 'abcd-1234',
+    revision_id: 2,
+    metadata: {
+      title: 'A title',
+      version: 'v1',
+      creators: [{ person_or_org: { family_name: 'Doe' }, __key: 0 }],
+    },
+    access: { record: 'public' },
+    parent: { communities: { ids: [] } },
+  };
+  const mine = {
+    ...base,
+    metadata: {
+      ...base.metadata,
+      title: 'My title',
+      version: 'v2',
+      creators: [{ person_or_org: { family_name: 'Doe' } }],
+    },
+    parent: { communities: { ids: ['blr'] } },
+  };
+  const theirs = {
+    ...base,
+    revision_id: 3,
+    metadata: { ...base.metadata, title: 'Their title', description: 'Hi' },
+    access: { record: 'restricted' },
+  };
+
+  it('it should keep by default the side which changed a field', () => {
+    const diff = diffDrafts({ base, mine, theirs });
+
+    expect(
+      diff.map(({ fieldPath, isConflict, source }) => [
+        fieldPath,
+        isConflict,
+        source,
+      ])
+    ).toEqual([
+      ['metadata.title', true, MERGE_SOURCES.MINE],
+      ['metadata.version', false, MERGE_SOURCES.MINE],
+      ['metadata.description', false, MERGE_SOURCES.THEIRS],
+      ['access', false, MERGE_SOURCES.THEIRS],
+      ['parent', false, MERGE_SOURCES.MINE],
+    ]);
+  });
+
+  it('it should merge the chosen sides on top of theirs', () => {
+    const diff = diffDrafts({ base, mine, theirs });
+
+    const merged = mergeDrafts(theirs, diff, {
+      'metadata.title': MERGE_SOURCES.BASE,
+    });
+
+    expect(merged).toEqual({
+      ...theirs,
+      metadata: {
+        ...theirs.metadata,
+        title: 'A title',
+        version: 'v2',
+      },
+      parent: { communities: { ids: ['blr'] } },
+    });
+  });
+});
@@ -6,9 +6,49 @@
 // under the terms of the MIT License; see LICENSE file for more details.
 
 import _get from 'lodash/get';
+import _isObject from 'lodash/isObject';
+import _omit from 'lodash/omit';
 import _set from 'lodash/set';
 import _cloneDeep from 'lodash/cloneDeep';
 
+/**
+ * Returns true if the value is stripped from the record sent to the backend,
+ * see `DepositRecordSerializer._removeEmptyValues`. `0` and `false` are not
+ * empty values.
+ */
+export function isEmptyValue(value) {
+  if (_isObject(value)) {
+    return Object.values(value).every(isEmptyValue);
+  }
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Returns the path of the error relative to `fieldpath`, `null` when the
+ * error is not on the field and `''` when it is on the field itself.
+ */
+export function errorSubpath(errorPath, fieldpath) {
+  if (errorPath === fieldpath) {
+    return '';
+  }
+  return errorPath.startsWith(`${fieldpath}.`)
+    ? errorPath.slice(fieldpath.length + 1)
+    : null;
+}
+
+/**
+ * Returns the index of an entry of the frontend list, given its index in the
+ * backend list where the empty entries have been stripped.
+ */
+export function deserializeErrorIndex(values, index) {
+  const sentIndices = values
+    // the `__key` of the entries is not sent either
+    .map((value) => (_isObject(value) ? _omit(value, '__key') : value))
+    .map((value, i) => (isEmptyValue(value) ? null : i))
+    .filter((i) => i !== null);
+  return index < sentIndices.length ? sentIndices[index] : index;
+}
+
 export class Field {
   constructor({
     fieldpath,
@@ -37,4 +77,30 @@ export class Field {
     }
     return record;
   }
+
+  /**
+   * Returns the path of an error in the frontend record, given its path in
+   * the backend record.
+   * @method
+   * @param {string} errorPath - e.g. `metadata.funding.0.award.title`
+   * @param {object} record - the frontend record the error is displayed on
+   * @returns {string} the frontend path, `null` if not an error of this field
+   */
+  deserializeErrorPath(errorPath, record) {
+    const subpath = errorSubpath(errorPath, this.fieldpath);
+    const fieldValue = _get(record, this.fieldpath);
+    if (!subpath || !Array.isArray(fieldValue)) {
+      return subpath === null ? null : errorPath;
+    }
+    const [index, ...rest] = subpath.split('.');
+    if (isNaN(index)) {
+      return errorPath;
+    }
+    // the empty entries of the list were not sent to the backend
+    return [
+      this.fieldpath,
+      deserializeErrorIndex(fieldValue, Number(index)),
+      ...rest,
+    ].join('.');
+  }
 }
@@ -9,7 +9,7 @@ import _cloneDeep from 'lodash/cloneDeep';
 import _get from 'lodash/get';
 import _pick from 'lodash/pick';
 import _set from 'lodash/set';
-import { Field } from './Field';
+import { errorSubpath, Field } from './Field';
 
 export class SchemaField extends Field {
   /**
@@ -79,4 +79,32 @@ export class SchemaField extends Field {
     }
     return serializedElements;
   }
+
+  /**
+   * Returns the path of an error in the frontend record, given its path in
+   * the backend record. The errors on the subfields of an entry are
+   * translated by the subfields.
+   * @method
+   * @param {string} errorPath - e.g. `metadata.creators.0.affiliations.0.name`
+   * @param {object} record - the frontend record the error is displayed on
+   * @returns {string} the frontend path, `null` if not an error of this field
+   */
+  deserializeErrorPath(errorPath, record) {
+    const path = super.deserializeErrorPath(errorPath, record);
+    const subpath = path && errorSubpath(path, this.fieldpath);
+    if (!subpath) {
+      return path;
+    }
+    const [index, key] = subpath.split('.');
+    const subfield = this.schema[key];
+    if (!subfield) {
+      return path;
+    }
+    const elementPath = `${this.fieldpath}.${index}`;
+    const elementErrorPath = subfield.deserializeErrorPath(
+      errorSubpath(path, elementPath),
+      _get(record, elementPath, {})
+    );
+    return elementErrorPath ? `${elementPath}.${elementErrorPath}` : path;
+  }
 }
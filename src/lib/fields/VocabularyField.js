@@ -9,7 +9,7 @@ import _get from 'lodash/get';
 import _set from 'lodash/set';
 import _cloneDeep from 'lodash/cloneDeep';
 
-import { Field } from './Field';
+import { deserializeErrorIndex, errorSubpath, Field } from './Field';
 
 export class VocabularyField extends Field {
   constructor({
@@ -62,6 +62,16 @@ export class VocabularyField extends Field {
       serializedValue || fieldValue
     );
   }
+
+  /**
+   * The values are selected in a single input, which displays the errors on
+   * any of them e.g. `metadata.languages.0.id` is on `metadata.languages`.
+   */
+  deserializeErrorPath(errorPath, record) {
+    return errorSubpath(errorPath, this.fieldpath) === null
+      ? null
+      : this.fieldpath;
+  }
 }
 
 export class AllowAdditionsVocabularyField extends VocabularyField {
@@ -189,4 +199,26 @@ export class RightsVocabularyField extends VocabularyField {
       serializedValue || fieldValue
     );
   }
+
+  /**
+   * The rights are listed one by one, the errors on the localized fields of
+   * the user added entries are on the field itself e.g.
+   * `metadata.rights.1.title.en` is on `metadata.rights.1.title`.
+   */
+  deserializeErrorPath(errorPath, record) {
+    const subpath = errorSubpath(errorPath, this.fieldpath);
+    const fieldValue = _get(record, this.fieldpath);
+    if (!subpath || !Array.isArray(fieldValue)) {
+      return subpath === null ? null : errorPath;
+    }
+    const [index, key] = subpath.split('.');
+    if (isNaN(index)) {
+      return errorPath;
+    }
+    return [
+      this.fieldpath,
+      deserializeErrorIndex(fieldValue, Number(index)),
+      ...(key ? [key] : []),
+    ].join('.');
+  }
 }
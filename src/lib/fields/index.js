@@ -6,7 +6,7 @@
 // under the terms of the MIT License; see LICENSE file for more details.
 
 export { DatesField } from './DatesField';
-export { Field } from './Field';
+export { Field, isEmptyValue } from './Field';
 export { SchemaField } from './SchemaField';
 export {
   AllowAdditionsVocabularyField,
@@ -10,7 +10,24 @@ import './i18next';
 export * from './components';
 export { connect } from './connect';
 export { DepositApiClient } from './DepositApiClient';
-export { DepositErrorHandler } from './DepositErrorHandler';
+export { DepositDraftStorage } from './DepositDraftStorage';
+export {
+  DepositApiError,
+  DepositConflictError,
+  DepositErrorHandler,
+  DepositNetworkError,
+  DepositPermissionError,
+  DepositServerError,
+  DepositValidationError,
+} from './DepositErrorHandler';
 export { DepositFormApp } from './DepositFormApp';
+export {
+  DepositFormNavigationContext,
+  DepositFormNavigator,
+} from './DepositFormNavigationContext';
 export { DepositRecordSerializer } from './DepositRecordSerializer';
+export {
+  DepositValidationSchema,
+  RDMDepositValidationSchema,
+} from './DepositValidationSchema';
 export * from './dom';
@@ -6,14 +6,26 @@
 // under the terms of the MIT License; see LICENSE file for more details.
 
 import _isEmpty from 'lodash/isEmpty';
+import { DepositConflictError } from '../../DepositErrorHandler';
+import { checkDepositFilesUploadPolicy } from '../../uploadPolicy';
 import {
   DISCARD_PID_FAILED,
   DISCARD_PID_STARTED,
   DISCARD_PID_SUCCEEDED,
+  DRAFT_AUTOSAVE_FAILED,
+  DRAFT_AUTOSAVE_STARTED,
+  DRAFT_AUTOSAVE_SUCCEEDED,
+  DRAFT_CONFLICT_DETECTED,
+  DRAFT_CONFLICT_DISMISSED,
+  DRAFT_CONFLICT_RESOLVED,
   DRAFT_DELETE_FAILED,
   DRAFT_DELETE_STARTED,
   DRAFT_FETCHED,
   DRAFT_HAS_VALIDATION_ERRORS,
+  DRAFT_LOCAL_COPY_CHANGED,
+  DRAFT_LOCAL_COPY_DISCARDED,
+  DRAFT_LOCAL_COPY_RESTORED,
+  DRAFT_PERSISTED,
   DRAFT_PREVIEW_FAILED,
   DRAFT_PREVIEW_STARTED,
   DRAFT_PUBLISH_FAILED,
@@ -23,6 +35,8 @@ import {
   DRAFT_SAVE_SUCCEEDED,
   DRAFT_SUBMIT_REVIEW_FAILED,
   DRAFT_SUBMIT_REVIEW_STARTED,
+  DRAFT_VALIDATION_FAILED,
+  DRAFT_VALUES_CHANGED,
   RESERVE_PID_FAILED,
   RESERVE_PID_STARTED,
   RESERVE_PID_SUCCEEDED,
@@ -33,7 +47,33 @@ async function changeURLAfterCreation(draftURL) {
   window.history.replaceState(undefined, '', draftURL);
 }
 
-export const saveDraftWithUrlUpdate = async (draft, draftsService) => {
+/**
+ * Reports the failure of an action with the kind of the error, e.g. network
+ * or permission, and the errors of the fields, then rethrows it for the form.
+ *
+ * @param {function} dispatchFn - the dispatch function
+ * @param {string} failType - the type of the failure action
+ * @param {Error} error - a `DepositApiError` for the failed API calls
+ */
+export function dispatchFailure(dispatchFn, failType, error) {
+  dispatchFn({
+    type: failType,
+    payload: { errors: error.errors, errorType: error.type },
+  });
+  throw error;
+}
+
+/**
+ * Saves the draft, and reports the draft persisted in the backend, e.g. for
+ * its local copy to be removed.
+ *
+ * @param {function} dispatchFn - the dispatch function
+ */
+export const saveDraftWithUrlUpdate = async (
+  draft,
+  draftsService,
+  dispatchFn
+) => {
   const hasAlreadyId = draft.id ? true : false;
   const response = await draftsService.save(draft);
   if (!hasAlreadyId) {
@@ -41,10 +81,40 @@ export const saveDraftWithUrlUpdate = async (draft, draftsService) => {
     const draftURL = response.data.links.self_html;
     changeURLAfterCreation(draftURL);
   }
+  dispatchFn({
+    type: DRAFT_PERSISTED,
+    payload: { data: response.data },
+  });
 
   return response;
 };
 
+/**
+ * Fetches the draft changed elsewhere, for the user to merge it with their
+ * changes. The conflict is reported anyway by the failure of the action.
+ */
+async function _reportConflict(
+  draft,
+  draftsService,
+  { depositState, dispatchFn }
+) {
+  let response;
+  try {
+    response = await draftsService.read(draft.links);
+  } catch (error) {
+    return;
+  }
+  dispatchFn({
+    type: DRAFT_CONFLICT_DETECTED,
+    payload: {
+      // the last draft saved by the user, which their changes are based on
+      base: depositState.persistedRecord,
+      mine: draft,
+      theirs: response.data,
+    },
+  });
+}
+
 async function _saveDraft(
   draft,
   draftsService,
@@ -52,13 +122,12 @@ async function _saveDraft(
 ) {
   let response;
   try {
-    response = await saveDraftWithUrlUpdate(draft, draftsService, failType);
+    response = await saveDraftWithUrlUpdate(draft, draftsService, dispatchFn);
   } catch (error) {
-    dispatchFn({
-      type: failType,
-      payload: { errors: error.errors },
-    });
-    throw error;
+    if (error instanceof DepositConflictError) {
+      await _reportConflict(draft, draftsService, { depositState, dispatchFn });
+    }
+    dispatchFailure(dispatchFn, failType, error);
   }
 
   const draftHasValidationErrors = !_isEmpty(response.errors);
@@ -80,20 +149,22 @@ async function _saveDraft(
   if (shouldUpdateReview || shouldDeleteReview) {
     const draftWithLinks = response.data;
 
-    if (shouldDeleteReview) {
-      // TODO handle global error here
-      await draftsService.deleteReview(draftWithLinks.links);
-    } else if (shouldUpdateReview) {
-      // TODO handle global error here
-      await draftsService.createOrUpdateReview(
-        draftWithLinks.links,
-        communityState.selected.uuid
-      );
-    }
+    try {
+      if (shouldDeleteReview) {
+        await draftsService.deleteReview(draftWithLinks.links);
+      } else if (shouldUpdateReview) {
+        await draftsService.createOrUpdateReview(
+          draftWithLinks.links,
+          communityState.selected.uuid
+        );
+      }
 
-    // fetch the draft after having changed the review request
-    // to have the `review` field updated
-    response = await draftsService.read(draftWithLinks.links);
+      // fetch the draft after having changed the review request
+      // to have the `review` field updated
+      response = await draftsService.read(draftWithLinks.links);
+    } catch (error) {
+      dispatchFailure(dispatchFn, failType, error);
+    }
     dispatchFn({
       type: DRAFT_FETCHED,
       payload: { data: response.data },
@@ -118,11 +189,172 @@ export const save = (draft) => {
 
     dispatch({
       type: DRAFT_SAVE_SUCCEEDED,
-      payload: { data: response.data },
+      payload: { data: response.data, savedAt: new Date().toISOString() },
     });
   };
 };
 
+/**
+ * Saves the draft merged from the changes of the user and the ones made
+ * elsewhere.
+ *
+ * The record becomes the draft saved elsewhere, which the merge is based on,
+ * while the form shows the merged draft until it is saved: if the save
+ * conflicts again, the merged changes are compared to the right draft.
+ */
+export const resolveDraftConflict = (draft) => {
+  return async (dispatch, getState) => {
+    dispatch({
+      type: DRAFT_CONFLICT_RESOLVED,
+      payload: { data: getState().deposit.conflict.theirs, merged: draft },
+    });
+    await dispatch(save(draft));
+  };
+};
+
+export const dismissDraftConflict = () => {
+  return async (dispatch) => {
+    dispatch({
+      type: DRAFT_CONFLICT_DISMISSED,
+    });
+  };
+};
+
+/**
+ * Saves the draft in the background, without going through the form
+ * submission.
+ *
+ * Validation errors, community reviews and conflicts with the changes made
+ * elsewhere are left to the explicit save/publish actions: only the draft
+ * content is persisted.
+ *
+ * The record of the form is left untouched, as re-initializing the form
+ * would drop what is typed during the save: the saved draft is returned
+ * instead, e.g. for the form to take the id of a created draft.
+ */
+export const autosave = (draft) => {
+  return async (dispatch, getState, config) => {
+    if (getState().deposit.isAutosaving) {
+      // a previous autosave is still in flight, the next one will catch up
+      return;
+    }
+
+    dispatch({
+      type: DRAFT_AUTOSAVE_STARTED,
+    });
+
+    let response;
+    try {
+      response = await saveDraftWithUrlUpdate(
+        draft,
+        config.service.drafts,
+        dispatch
+      );
+    } catch (error) {
+      dispatchFailure(dispatch, DRAFT_AUTOSAVE_FAILED, error);
+    }
+    dispatch({
+      type: DRAFT_AUTOSAVE_SUCCEEDED,
+      payload: { savedAt: new Date().toISOString() },
+    });
+    return response.data;
+  };
+};
+
+export const markDraftAsDirty = () => {
+  return async (dispatch, getState) => {
+    if (!getState().deposit.isDirty) {
+      dispatch({
+        type: DRAFT_VALUES_CHANGED,
+      });
+    }
+  };
+};
+
+/**
+ * Keep a copy of the form working copy in the browser storage, so that it can
+ * be recovered after a crash or a network failure.
+ */
+export const saveLocalCopy = (draft) => {
+  return async (dispatch) => {
+    dispatch({
+      type: DRAFT_LOCAL_COPY_CHANGED,
+      payload: { draft },
+    });
+  };
+};
+
+export const restoreLocalCopy = () => {
+  return async (dispatch) => {
+    dispatch({
+      type: DRAFT_LOCAL_COPY_RESTORED,
+    });
+  };
+};
+
+export const discardLocalCopy = () => {
+  return async (dispatch) => {
+    dispatch({
+      type: DRAFT_LOCAL_COPY_DISCARDED,
+    });
+  };
+};
+
+/**
+ * Fails like a validation error of the draft when its files do not respect
+ * the upload policy of the deposit.
+ */
+function _checkUploadPolicy(draft, { depositState, filesState, dispatchFn }) {
+  if (!draft.files?.enabled) {
+    return;
+  }
+  const errors = checkDepositFilesUploadPolicy(
+    Object.values(filesState.entries || {}),
+    depositState.config?.uploadPolicy
+  );
+  if (!_isEmpty(errors)) {
+    const response = { data: draft, errors: { files: { entries: errors } } };
+    dispatchFn({
+      type: DRAFT_HAS_VALIDATION_ERRORS,
+      payload: response,
+    });
+    throw response;
+  }
+}
+
+/**
+ * Validates the draft in the browser, before publishing it or submitting it
+ * for review. Fails like a validation error of the draft when invalid.
+ */
+export const validateDraft = (draft) => {
+  return async (dispatch, _, config) => {
+    if (!config.validationSchema) {
+      return;
+    }
+    const errors = await config.validationSchema.validate(draft);
+    if (!_isEmpty(errors)) {
+      const response = { data: draft, errors: errors };
+      dispatch({
+        type: DRAFT_VALIDATION_FAILED,
+        payload: response,
+      });
+      throw response;
+    }
+  };
+};
+
+/**
+ * Returns the validation errors of the touched fields, indexed by field path.
+ */
+export const validateTouchedFields = (draft, touched) => {
+  return async (dispatch, _, config) => {
+    if (!config.validationSchema) {
+      return {};
+    }
+    return await config.validationSchema.validateTouched(draft, touched);
+  };
+};
+
 export const publish = (draft) => {
   return async (dispatch, getState, config) => {
     dispatch({
@@ -136,19 +368,22 @@ export const publish = (draft) => {
     });
 
     const draftWithLinks = response.data;
+    _checkUploadPolicy(draftWithLinks, {
+      depositState: getState().deposit,
+      filesState: getState().files,
+      dispatchFn: dispatch,
+    });
     try {
+      // the errors are displayed on the values of the form
       const response = await config.service.drafts.publish(
-        draftWithLinks.links
+        draftWithLinks.links,
+        draft
       );
       // after publishing, redirect to the published record
       const recordURL = response.data.links.self_html;
       window.location.replace(recordURL);
     } catch (error) {
-      dispatch({
-        type: DRAFT_PUBLISH_FAILED,
-        payload: { errors: error.errors },
-      });
-      throw error;
+      dispatchFailure(dispatch, DRAFT_PUBLISH_FAILED, error);
     }
   };
 };
@@ -166,20 +401,22 @@ export const submitReview = (draft) => {
     });
 
     const draftWithLinks = response.data;
+    _checkUploadPolicy(draftWithLinks, {
+      depositState: getState().deposit,
+      filesState: getState().files,
+      dispatchFn: dispatch,
+    });
     try {
       const response = await config.service.drafts.submitReview(
-        draftWithLinks.links
+        draftWithLinks.links,
+        draft
       );
       // after submitting for review, redirect to the review record
       // FIXME: add response.data.links.self_html
       const requestURL = `/me/requests/${response.data.id}`;
       window.location.replace(requestURL);
     } catch (error) {
-      dispatch({
-        type: DRAFT_SUBMIT_REVIEW_FAILED,
-        payload: { errors: error.errors },
-      });
-      throw error;
+      dispatchFailure(dispatch, DRAFT_SUBMIT_REVIEW_FAILED, error);
     }
   };
 };
@@ -213,7 +450,7 @@ export const delete_ = (_, { isDiscardingVersion = false }) => {
     });
 
     try {
-      const draft = getState().deposit.record;
+      const draft = getState().deposit.persistedRecord;
       await config.service.drafts.delete(draft.links);
 
       let redirectURL;
@@ -226,11 +463,7 @@ export const delete_ = (_, { isDiscardingVersion = false }) => {
       }
       window.location.replace(redirectURL);
     } catch (error) {
-      dispatch({
-        type: DRAFT_DELETE_FAILED,
-        payload: { errors: error.errors },
-      });
-      throw error;
+      dispatchFailure(dispatch, DRAFT_DELETE_FAILED, error);
     }
   };
 };
@@ -246,7 +479,11 @@ export const reservePID = (draft, { pidType }) => {
     });
 
     try {
-      let response = await saveDraftWithUrlUpdate(draft, config.service.drafts);
+      let response = await saveDraftWithUrlUpdate(
+        draft,
+        config.service.drafts,
+        dispatch
+      );
 
       const draftWithLinks = response.data;
       response = await config.service.drafts.reservePID(
@@ -259,11 +496,7 @@ export const reservePID = (draft, { pidType }) => {
         payload: { data: response.data },
       });
     } catch (error) {
-      dispatch({
-        type: RESERVE_PID_FAILED,
-        payload: { errors: error.errors },
-      });
-      throw error;
+      dispatchFailure(dispatch, RESERVE_PID_FAILED, error);
     }
   };
 };
@@ -279,7 +512,11 @@ export const discardPID = (draft, { pidType }) => {
     });
 
     try {
-      let response = await saveDraftWithUrlUpdate(draft, config.service.drafts);
+      let response = await saveDraftWithUrlUpdate(
+        draft,
+        config.service.drafts,
+        dispatch
+      );
 
       const draftWithLinks = response.data;
       response = await config.service.drafts.discardPID(
@@ -292,11 +529,7 @@ export const discardPID = (draft, { pidType }) => {
         payload: { data: response.data },
       });
     } catch (error) {
-      dispatch({
-        type: DISCARD_PID_FAILED,
-        payload: { errors: error.errors },
-      });
-      throw error;
+      dispatchFailure(dispatch, DISCARD_PID_FAILED, error);
     }
   };
 };
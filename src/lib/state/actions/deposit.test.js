@@ -0,0 +1,178 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { DepositConflictError } from '../../DepositErrorHandler';
+import {
+  DRAFT_AUTOSAVE_FAILED,
+  DRAFT_AUTOSAVE_STARTED,
+  DRAFT_AUTOSAVE_SUCCEEDED,
+  DRAFT_CONFLICT_DETECTED,
+  DRAFT_CONFLICT_RESOLVED,
+  DRAFT_PERSISTED,
+  DRAFT_SAVE_FAILED,
+  DRAFT_SAVE_STARTED,
+  DRAFT_SAVE_SUCCEEDED,
+} from '../types';
+import { autosave, resolveDraftConflict, save } from './deposit';
+
+describe('deposit actions', () => {
+  const links = { self: '/api/records/abcd-1234/draft' };
+  const base = { id: 'abcd-1234', revision_id: 2, title: 'A', links };
+  const theirs = { ...base, revision_id: 3, title: 'B' };
+  const mine = { ...base, title: 'C' };
+
+  // runs the thunks as the store does, recording the dispatched actions
+  const runThunk = (thunk, { depositState, drafts }) => {
+    const actions = [];
+    const getState = () => ({ deposit: depositState });
+    const config = { service: { drafts } };
+    const dispatch = (action) => {
+      if (typeof action === 'function') {
+        return action(dispatch, getState, config);
+      }
+      actions.push(action);
+      return action;
+    };
+    return { actions, promise: dispatch(thunk) };
+  };
+  const depositState = (extra) => ({
+    record: base,
+    persistedRecord: base,
+    community: {},
+    ...extra,
+  });
+
+  it('it should report the conflict when the draft changed elsewhere', async () => {
+    const drafts = {
+      save: jest.fn().mockRejectedValue(new DepositConflictError('Conflict')),
+      read: jest.fn().mockResolvedValue({ data: theirs }),
+    };
+
+    const { actions, promise } = runThunk(save(mine), {
+      depositState: depositState(),
+      drafts,
+    });
+
+    await expect(promise).rejects.toBeInstanceOf(DepositConflictError);
+    expect(drafts.read).toHaveBeenCalledWith(links);
+    expect(actions).toEqual([
+      { type: DRAFT_SAVE_STARTED },
+      {
+        type: DRAFT_CONFLICT_DETECTED,
+        payload: { base, mine, theirs },
+      },
+      {
+        type: DRAFT_SAVE_FAILED,
+        payload: { errors: {}, errorType: 'conflict' },
+      },
+    ]);
+  });
+
+  it('it should save the merged draft on top of the one saved elsewhere', async () => {
+    const merged = { ...theirs, title: 'C' };
+    const drafts = {
+      save: jest
+        .fn()
+        .mockResolvedValue({ data: { ...merged, revision_id: 4 } }),
+    };
+
+    const { actions, promise } = runThunk(resolveDraftConflict(merged), {
+      depositState: depositState({ conflict: { base, mine, theirs } }),
+      drafts,
+    });
+    await promise;
+
+    expect(drafts.save).toHaveBeenCalledWith(merged);
+    expect(actions.map((action) => action.type)).toEqual([
+      DRAFT_CONFLICT_RESOLVED,
+      DRAFT_SAVE_STARTED,
+      DRAFT_PERSISTED,
+      DRAFT_SAVE_SUCCEEDED,
+    ]);
+    // the record is the draft of the server, the form shows the merged one
+    expect(actions[0].payload).toEqual({ data: theirs, merged });
+  });
+
+  describe('autosave', () => {
+    it('it should persist the saved draft without replacing the record', async () => {
+      const { id, ...newDraft } = mine;
+      const drafts = {
+        save: jest
+          .fn()
+          .mockResolvedValue({ data: { ...mine, revision_id: 3 } }),
+      };
+      // the URL of the created draft replaces the one of the new deposit
+      const replaceState = jest
+        .spyOn(window.history, 'replaceState')
+        .mockImplementation(() => {});
+
+      const created = runThunk(autosave(newDraft), {
+        depositState: depositState(),
+        drafts,
+      });
+      // the form takes the id of the created draft
+      expect(await created.promise).toEqual({ ...mine, revision_id: 3 });
+      const updated = runThunk(autosave(mine), {
+        depositState: depositState(),
+        drafts,
+      });
+      await updated.promise;
+
+      expect(created.actions.map((action) => action.type)).toEqual([
+        DRAFT_AUTOSAVE_STARTED,
+        DRAFT_PERSISTED,
+        DRAFT_AUTOSAVE_SUCCEEDED,
+      ]);
+      // the persisted draft is updated by every save
+      expect(created.actions[1].payload).toEqual({
+        data: { ...mine, revision_id: 3 },
+      });
+      expect(updated.actions[1].payload).toEqual({
+        data: { ...mine, revision_id: 3 },
+      });
+      // the form is not re-initialized while the user types
+      expect(created.actions[2].payload.data).toBeUndefined();
+      expect(updated.actions[2].payload.data).toBeUndefined();
+      expect(updated.actions[2].payload.savedAt).toBeTruthy();
+      expect(replaceState).toHaveBeenCalledTimes(1);
+      replaceState.mockRestore();
+    });
+
+    it('it should not save while a previous save is in flight', async () => {
+      const drafts = { save: jest.fn() };
+
+      const { actions, promise } = runThunk(autosave(mine), {
+        depositState: depositState({ isAutosaving: true }),
+        drafts,
+      });
+      await promise;
+
+      expect(drafts.save).not.toHaveBeenCalled();
+      expect(actions).toEqual([]);
+    });
+
+    it('it should report the kind of error of the failed save', async () => {
+      const drafts = {
+        save: jest.fn().mockRejectedValue(new DepositConflictError('Conflict')),
+      };
+
+      const { actions, promise } = runThunk(autosave(mine), {
+        depositState: depositState(),
+        drafts,
+      });
+      await expect(promise).rejects.toBeInstanceOf(DepositConflictError);
+
+      expect(actions).toEqual([
+        { type: DRAFT_AUTOSAVE_STARTED },
+        {
+          type: DRAFT_AUTOSAVE_FAILED,
+          payload: { errors: {}, errorType: 'conflict' },
+        },
+      ]);
+    });
+  });
+});
@@ -5,33 +5,140 @@
 // React-Invenio-Deposit is free software; you can redistribute it and/or modify it
 // under the terms of the MIT License; see LICENSE file for more details.
 
+import _partition from 'lodash/partition';
+import { DepositErrorHandler } from '../../DepositErrorHandler';
 import {
+  FILES_BULK_ACTION_DISMISSED,
+  FILES_BULK_ACTION_FINISHED,
+  FILES_BULK_ACTION_PROGRESS,
+  FILES_REFRESHED,
   FILE_DELETED_SUCCESS,
   FILE_DELETE_FAILED,
+  FILE_FETCH_STARTED,
   FILE_IMPORT_FAILED,
   FILE_IMPORT_STARTED,
   FILE_IMPORT_SUCCESS,
+  FILE_METADATA_UPDATED,
+  FILE_METADATA_UPDATE_FAILED,
+  FILE_RENAMED_SUCCESS,
+  FILE_UPLOADS_ABORTED,
+  FILE_UPLOADS_REQUESTED,
+  FILE_RENAME_FAILED,
+  FILE_REPLACE_FAILED,
+  FILE_UPLOAD_FAILED,
+  FILE_UPLOAD_QUEUE_PAUSED,
+  FILE_UPLOAD_QUEUE_RESUMED,
   FILE_UPLOAD_SAVE_DRAFT_FAILED,
 } from '../types';
-import { saveDraftWithUrlUpdate } from './deposit';
+import { UploadState } from '../reducers/files';
+import { dispatchFailure, saveDraftWithUrlUpdate } from './deposit';
 
+// the errors of the files API are typed, they have no field errors
+const filesErrorHandler = new DepositErrorHandler();
+
+const dispatchFilesFailure = (dispatch, failType, error) =>
+  dispatchFailure(dispatch, failType, filesErrorHandler.toDepositError(error));
+
+/**
+ * Saves the draft, so that files can be added to it, and returns the URL to
+ * initialize them.
+ */
+const saveDraftBeforeUpload = async (dispatch, draft, config) => {
+  let response;
+  try {
+    response = await saveDraftWithUrlUpdate(
+      draft,
+      config.service.drafts,
+      dispatch
+    );
+  } catch (error) {
+    dispatchFailure(dispatch, FILE_UPLOAD_SAVE_DRAFT_FAILED, error);
+  }
+  return response.data.links.files;
+};
+
+/**
+ * Uploads the files to the draft, saved first. The files uploaded from
+ * another tab are not uploaded twice: their names are returned.
+ */
 export const uploadFiles = (draft, files) => {
+  return async (dispatch, getState, config) => {
+    // the other tabs are told before the draft is saved, so that a file is
+    // not uploaded from two tabs at once
+    dispatch({
+      type: FILE_UPLOADS_REQUESTED,
+      payload: { filenames: files.map((file) => file.name) },
+    });
+    const uploadFileUrl = await saveDraftBeforeUpload(dispatch, draft, config);
+    const { entries } = getState().files;
+    const [remoteFiles, localFiles] = _partition(
+      files,
+      (file) => entries[file.name]?.isRemote
+    );
+    for (const file of localFiles) {
+      config.service.files.upload(uploadFileUrl, file);
+    }
+    return remoteFiles.map((file) => file.name);
+  };
+};
+
+export const getRemoteFileInfo = (url) => {
   return async (dispatch, _, config) => {
-    let response;
-    try {
-      response = await saveDraftWithUrlUpdate(draft, config.service.drafts);
-    } catch (error) {
+    return await config.service.files.getRemoteFileInfo(url);
+  };
+};
+
+export const readFileContent = (file, maxBytes) => {
+  return async (dispatch, _, config) => {
+    return await config.service.files.readContent(file.links, maxBytes);
+  };
+};
+
+/**
+ * Adds a remote file to the draft. It is either downloaded through the
+ * browser and uploaded, or fetched by the backend, as configured with
+ * `fetchRemoteFilesInBackend`.
+ *
+ * The downloaded file is checked with `checkFile`, as its actual size may
+ * differ from the announced one.
+ *
+ * @returns the issue of `checkFile` when the downloaded file is not uploaded,
+ *   `null` otherwise
+ */
+export const uploadFileFromURL = (
+  draft,
+  url,
+  filename,
+  { checkFile = () => null, onDownloadProgress, onDownloadStarted } = {}
+) => {
+  return async (dispatch, getState, config) => {
+    const uploadFileUrl = await saveDraftBeforeUpload(dispatch, draft, config);
+    const { fetchRemoteFilesInBackend } = getState().deposit.config;
+
+    if (fetchRemoteFilesInBackend) {
+      const links = await config.service.files.fetchRemoteFileInBackend(
+        uploadFileUrl,
+        url,
+        filename
+      );
       dispatch({
-        type: FILE_UPLOAD_SAVE_DRAFT_FAILED,
-        payload: { errors: error.errors },
+        type: FILE_FETCH_STARTED,
+        payload: { filename: filename, links: links },
       });
-      throw error;
+      return null;
     }
 
-    const uploadFileUrl = response.data.links.files;
-    for (const file of files) {
+    const file = await config.service.files.downloadRemoteFile(
+      url,
+      filename,
+      onDownloadProgress,
+      onDownloadStarted
+    );
+    const issue = checkFile(file);
+    if (!issue) {
       config.service.files.upload(uploadFileUrl, file);
     }
+    return issue;
   };
 };
 
@@ -39,7 +146,10 @@ export const deleteFile = (file) => {
   return async (dispatch, _, config) => {
     try {
       const fileLinks = file.links;
-      await config.service.files.delete(fileLinks);
+      // the files whose upload failed in another tab are not stored anymore
+      if (fileLinks?.self) {
+        await config.service.files.delete(fileLinks);
+      }
 
       dispatch({
         type: FILE_DELETED_SUCCESS,
@@ -48,31 +158,372 @@ export const deleteFile = (file) => {
         },
       });
     } catch (error) {
-      dispatch({ type: FILE_DELETE_FAILED });
+      dispatchFilesFailure(dispatch, FILE_DELETE_FAILED, error);
+    }
+  };
+};
+
+export const renameFile = (file, newFilename) => {
+  return async (dispatch, _, config) => {
+    try {
+      const fileData = await config.service.files.rename(
+        file.links,
+        newFilename
+      );
+      dispatch({
+        type: FILE_RENAMED_SUCCESS,
+        payload: {
+          filename: file.name,
+          newFilename: fileData.key,
+          links: fileData.links,
+        },
+      });
+    } catch (error) {
+      dispatchFilesFailure(dispatch, FILE_RENAME_FAILED, error);
+    }
+  };
+};
+
+/**
+ * Updates the metadata of a stored file, e.g. its description and type.
+ */
+export const updateFileMetadata = (file, metadata) => {
+  return async (dispatch, _, config) => {
+    try {
+      const storedMetadata = await config.service.files.updateMetadata(
+        file.links,
+        metadata
+      );
+      dispatch({
+        type: FILE_METADATA_UPDATED,
+        payload: { filename: file.name, metadata: storedMetadata },
+      });
+    } catch (error) {
+      dispatchFilesFailure(dispatch, FILE_METADATA_UPDATE_FAILED, error);
+    }
+  };
+};
+
+/**
+ * Replaces the content of a stored file with `newFile`, which has to be named
+ * as the stored file. When the replacement fails, the stored file is fetched
+ * again as its content is unknown.
+ */
+export const replaceFileContent = (file, newFile) => {
+  return async (dispatch, getState, config) => {
+    const draft = getState().deposit.persistedRecord;
+    try {
+      await config.service.files.replaceFileContent(
+        file.links,
+        newFile,
+        draft.links.files
+      );
+    } catch (error) {
+      let storedFile;
+      try {
+        const storedFiles = await config.service.files.listDraftFiles(
+          draft.links
+        );
+        storedFile = storedFiles[file.name];
+        if (storedFile && storedFile.status !== UploadState.finished) {
+          // as for the other failed uploads, the incomplete file is deleted
+          await config.service.files.delete(storedFile.links);
+          storedFile = undefined;
+        }
+      } catch (listError) {
+        // the file is reported as failed
+      }
+      dispatch({
+        type: FILE_REPLACE_FAILED,
+        payload: {
+          filename: file.name,
+          storedFile: storedFile,
+          file: newFile,
+        },
+      });
       throw error;
     }
   };
 };
 
-export const importParentFiles = () => {
+export const listParentFiles = () => {
   return async (dispatch, getState, config) => {
-    const draft = getState().deposit.record;
+    const draft = getState().deposit.persistedRecord;
+    return await config.service.files.listParentRecordFiles(draft.links);
+  };
+};
+
+/**
+ * Imports the files of the previous version. As the backend imports all of
+ * them, the `excludedFiles` are deleted afterwards, as well as the files to
+ * replace, whose new content is uploaded from the `replacements` (new files
+ * by replaced file name).
+ *
+ * As for `uploadFiles`, the replacements are expected to be checked against
+ * the upload policy and the quota, e.g. by `ImportFilesModal`.
+ */
+export const importParentFiles = ({
+  excludedFiles = [],
+  replacements = {},
+} = {}) => {
+  return async (dispatch, getState, config) => {
+    const draft = getState().deposit.persistedRecord;
     if (!draft.id) return;
 
     dispatch({ type: FILE_IMPORT_STARTED });
 
+    let files;
     try {
       const draftLinks = draft.links;
-      const files = await config.service.files.importParentRecordFiles(
-        draftLinks
-      );
+      files = await config.service.files.importParentRecordFiles(draftLinks);
       dispatch({
         type: FILE_IMPORT_SUCCESS,
         payload: { files: files },
       });
     } catch (error) {
-      dispatch({ type: FILE_IMPORT_FAILED });
+      dispatchFilesFailure(dispatch, FILE_IMPORT_FAILED, error);
+    }
+
+    const removedFiles = Object.values(files).filter(
+      (file) => excludedFiles.includes(file.name) || replacements[file.name]
+    );
+    if (!removedFiles.length) return;
+
+    const removedFilenames = await dispatch(
+      runBulkAction('exclude', removedFiles, (file) =>
+        dispatch(deleteFile(file))
+      )
+    );
+    // the file is only replaced once the imported one is deleted
+    for (const filename of removedFilenames) {
+      if (replacements[filename]) {
+        config.service.files.upload(draft.links.files, replacements[filename]);
+      }
+    }
+  };
+};
+
+/**
+ * Uploads again the local file of a failed upload, to the draft it was
+ * uploaded to. The file is failed again when its upload cannot be queued.
+ */
+export const retryUpload = (file) => {
+  return async (dispatch, getState, config) => {
+    const uploadFileUrl = getState().deposit.persistedRecord.links.files;
+    try {
+      await config.service.files.upload(uploadFileUrl, file.file);
+    } catch (error) {
+      dispatch({
+        type: FILE_UPLOAD_FAILED,
+        payload: { filename: file.name, file: file.file },
+      });
       throw error;
     }
   };
 };
+
+export const retryFailedUploads = () => {
+  return async (dispatch, getState) => {
+    const failedFiles = Object.values(getState().files.entries).filter(
+      (file) => file.status === UploadState.error && file.file
+    );
+    // the files which cannot be uploaded again stay failed
+    await Promise.all(
+      failedFiles.map((file) => dispatch(retryUpload(file)).catch(() => null))
+    );
+  };
+};
+
+export const reuploadFile = (file) => {
+  return async (dispatch) => {
+    // the corrupted file has to be removed before uploading it again
+    await dispatch(deleteFile(file));
+    await dispatch(retryUpload(file));
+  };
+};
+
+export const pauseUpload = (file) => {
+  return async (dispatch, _, config) => {
+    config.service.files.pause(file.name);
+  };
+};
+
+export const resumeUpload = (file) => {
+  return async (dispatch, _, config) => {
+    config.service.files.resume(file.name);
+  };
+};
+
+export const pauseUploads = () => {
+  return async (dispatch, _, config) => {
+    // the uploads in progress are aborted too, to stop using the connection
+    config.service.files.pauseQueue(true);
+    dispatch({ type: FILE_UPLOAD_QUEUE_PAUSED });
+  };
+};
+
+export const resumeUploads = () => {
+  return async (dispatch, _, config) => {
+    dispatch({ type: FILE_UPLOAD_QUEUE_RESUMED });
+    config.service.files.resumeQueue();
+  };
+};
+
+export const cancelUpload = (file) => {
+  return async (dispatch, _, config) => {
+    config.service.files.cancel(file.name);
+  };
+};
+
+export const cancelAllUploads = () => {
+  return async (dispatch, _, config) => {
+    config.service.files.cancelAll();
+  };
+};
+
+/**
+ * Aborts the uploads when the page is unloaded, without waiting for them.
+ */
+export const abortUploadsOnUnload = () => {
+  return (dispatch, _, config) => {
+    config.service.files.abortOnUnload();
+    dispatch({ type: FILE_UPLOADS_ABORTED });
+  };
+};
+
+/**
+ * Reads the files of the draft again, to know the outcome of the uploads
+ * not done from this tab.
+ */
+export const refreshFiles = () => {
+  return async (dispatch, getState, config) => {
+    const draft = getState().deposit.persistedRecord;
+    if (!draft.id) return;
+
+    const files = await config.service.files.listDraftFiles(draft.links);
+    dispatch({
+      type: FILES_REFRESHED,
+      payload: { files: files },
+    });
+  };
+};
+
+// max number of files processed in parallel by the bulk actions
+const BULK_ACTION_CONCURRENCY = 5;
+// browsers block the downloads started together, in ms
+const DOWNLOADS_INTERVAL = 500;
+
+const downloadFile = async (file) => {
+  const link = document.createElement('a');
+  link.href = file.links.content;
+  link.download = file.name.split('/').pop();
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  await new Promise((resolve) => setTimeout(resolve, DOWNLOADS_INTERVAL));
+};
+
+/**
+ * Runs `fileAction` on each file, with a bounded concurrency, and reports
+ * the progress and the result of the whole action.
+ *
+ * @param {string} action - the name of the bulk action, e.g. `delete`
+ * @param {Array<object>} files - the files to process
+ * @param {function} fileAction - async function processing one file
+ * @param {number} concurrency - max number of files processed in parallel
+ * @returns the names of the files processed successfully
+ */
+const runBulkAction = (
+  action,
+  files,
+  fileAction,
+  concurrency = BULK_ACTION_CONCURRENCY
+) => {
+  return async (dispatch) => {
+    const pendingFiles = [...files];
+    const processed = [];
+    const failed = [];
+    const notifyProgress = () =>
+      dispatch({
+        type: FILES_BULK_ACTION_PROGRESS,
+        payload: {
+          action: action,
+          total: files.length,
+          done: processed.length + failed.length,
+          failed: [...failed],
+        },
+      });
+
+    const processNextFiles = async () => {
+      while (pendingFiles.length) {
+        const file = pendingFiles.shift();
+        try {
+          await fileAction(file);
+          processed.push(file.name);
+        } catch (error) {
+          failed.push(file.name);
+        }
+        notifyProgress();
+      }
+    };
+
+    notifyProgress();
+    const workersCount = Math.min(concurrency, files.length);
+    await Promise.all(
+      Array.from({ length: workersCount }, () => processNextFiles())
+    );
+    dispatch({
+      type: FILES_BULK_ACTION_FINISHED,
+      payload: {
+        action: action,
+        total: files.length,
+        done: files.length,
+        failed: failed,
+      },
+    });
+    return processed;
+  };
+};
+
+export const deleteFiles = (files) => {
+  return async (dispatch) =>
+    await dispatch(
+      runBulkAction('delete', files, (file) => dispatch(deleteFile(file)))
+    );
+};
+
+/**
+ * Cancels the uploads, which cannot fail: unlike the other bulk actions,
+ * there is nothing to report.
+ */
+export const cancelUploads = (files) => {
+  return async (dispatch) => {
+    await Promise.all(files.map((file) => dispatch(cancelUpload(file))));
+    return files.map((file) => file.name);
+  };
+};
+
+/**
+ * Retries the failed uploads. The files are reported once their upload is
+ * queued, the uploads themselves are reported in the list of files.
+ */
+export const retryUploads = (files) => {
+  return async (dispatch) =>
+    await dispatch(
+      runBulkAction('retry', files, (file) => dispatch(retryUpload(file)))
+    );
+};
+
+// the files are downloaded one after the other
+export const downloadFiles = (files) => {
+  return async (dispatch) =>
+    await dispatch(runBulkAction('download', files, downloadFile, 1));
+};
+
+export const dismissBulkAction = () => {
+  return async (dispatch) => {
+    dispatch({
+      type: FILES_BULK_ACTION_DISMISSED,
+    });
+  };
+};
@@ -0,0 +1,104 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { UploadState } from '../reducers/files';
+import { FILE_UPLOAD_FAILED } from '../types';
+import { retryFailedUploads, retryUpload } from './files';
+
+describe('files actions', () => {
+  // the draft created by the save before the first upload: the record of the
+  // form is not updated
+  const depositState = {
+    record: { links: {} },
+    persistedRecord: {
+      id: 'abcd-1234',
+      links: { files: '/api/records/abcd-1234/draft/files' },
+    },
+  };
+
+  // runs the thunks as the store does, recording the dispatched actions
+  const runThunk = (thunk, { filesState = { entries: {} }, files }) => {
+    const actions = [];
+    const getState = () => ({ deposit: depositState, files: filesState });
+    const config = { service: { files } };
+    const dispatch = (action) => {
+      if (typeof action === 'function') {
+        return action(dispatch, getState, config);
+      }
+      actions.push(action);
+      return action;
+    };
+    return { actions, promise: dispatch(thunk) };
+  };
+  const failedFile = (name) => ({
+    name: name,
+    status: UploadState.error,
+    file: new File(['content'], name),
+  });
+
+  it('it should upload the failed file again to the persisted draft', async () => {
+    const files = { upload: jest.fn().mockResolvedValue() };
+    const file = failedFile('data.csv');
+
+    const { actions, promise } = runThunk(retryUpload(file), { files });
+    await promise;
+
+    expect(files.upload).toHaveBeenCalledWith(
+      '/api/records/abcd-1234/draft/files',
+      file.file
+    );
+    expect(actions).toEqual([]);
+  });
+
+  it('it should fail the file again when its upload cannot be queued', async () => {
+    const error = new Error('Network Error');
+    const files = { upload: jest.fn().mockRejectedValue(error) };
+    const file = failedFile('data.csv');
+
+    const { actions, promise } = runThunk(retryUpload(file), { files });
+
+    await expect(promise).rejects.toBe(error);
+    expect(actions).toEqual([
+      {
+        type: FILE_UPLOAD_FAILED,
+        payload: { filename: 'data.csv', file: file.file },
+      },
+    ]);
+  });
+
+  it('it should retry all the failed uploads whose file is known', async () => {
+    const files = {
+      upload: jest
+        .fn()
+        .mockRejectedValueOnce(new Error('Network Error'))
+        .mockResolvedValue(),
+    };
+    const filesState = {
+      entries: {
+        'first.csv': failedFile('first.csv'),
+        'second.csv': failedFile('second.csv'),
+        // e.g. failed in another tab
+        'remote.csv': { ...failedFile('remote.csv'), file: undefined },
+        'stored.csv': { name: 'stored.csv', status: UploadState.finished },
+      },
+    };
+
+    const { actions, promise } = runThunk(retryFailedUploads(), {
+      filesState,
+      files,
+    });
+    await promise;
+
+    expect(files.upload.mock.calls.map(([, file]) => file.name)).toEqual([
+      'first.csv',
+      'second.csv',
+    ]);
+    expect(actions.map((action) => action.payload.filename)).toEqual([
+      'first.csv',
+    ]);
+  });
+});
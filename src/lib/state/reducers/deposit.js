@@ -9,10 +9,19 @@ import {
   DISCARD_PID_FAILED,
   DISCARD_PID_STARTED,
   DISCARD_PID_SUCCEEDED,
+  DRAFT_AUTOSAVE_FAILED,
+  DRAFT_AUTOSAVE_STARTED,
+  DRAFT_AUTOSAVE_SUCCEEDED,
+  DRAFT_CONFLICT_DETECTED,
+  DRAFT_CONFLICT_DISMISSED,
+  DRAFT_CONFLICT_RESOLVED,
   DRAFT_DELETE_FAILED,
   DRAFT_DELETE_STARTED,
   DRAFT_FETCHED,
   DRAFT_HAS_VALIDATION_ERRORS,
+  DRAFT_LOCAL_COPY_DISCARDED,
+  DRAFT_LOCAL_COPY_RESTORED,
+  DRAFT_PERSISTED,
   DRAFT_PREVIEW_FAILED,
   DRAFT_PREVIEW_STARTED,
   DRAFT_PUBLISH_FAILED,
@@ -22,6 +31,10 @@ import {
   DRAFT_SAVE_SUCCEEDED,
   DRAFT_SUBMIT_REVIEW_FAILED,
   DRAFT_SUBMIT_REVIEW_STARTED,
+  DRAFT_VALIDATION_FAILED,
+  DRAFT_VALUES_CHANGED,
+  FILE_IMPORT_FAILED,
+  FILE_UPLOAD_SAVE_DRAFT_FAILED,
   RESERVE_PID_FAILED,
   RESERVE_PID_STARTED,
   RESERVE_PID_SUCCEEDED,
@@ -115,8 +128,14 @@ const depositReducer = (state = {}, action) => {
       return {
         ...state,
         record: { ...state.record, ...action.payload.data },
+        persistedRecord: action.payload.data,
         community: computeCommunityState(action.payload.data),
         errors: {},
+        isDirty: false,
+        // the draft of the server replaces the one the conflict was about
+        conflict: null,
+        mergedRecord: null,
+        ...(action.payload.savedAt && { lastSavedAt: action.payload.savedAt }),
         actionState: action.type,
         actionStateExtra: {},
       };
@@ -129,6 +148,8 @@ const depositReducer = (state = {}, action) => {
           state.community.selected
         ),
         errors: { ...action.payload.errors },
+        isDirty: false,
+        mergedRecord: null,
         actionState: action.type,
         actionStateExtra: {},
       };
@@ -139,6 +160,7 @@ const depositReducer = (state = {}, action) => {
     case RESERVE_PID_FAILED:
     case DISCARD_PID_FAILED:
     case DRAFT_SUBMIT_REVIEW_FAILED:
+    case FILE_UPLOAD_SAVE_DRAFT_FAILED:
       return {
         ...state,
         community: computeCommunityState(
@@ -147,8 +169,91 @@ const depositReducer = (state = {}, action) => {
         ),
         errors: { ...action.payload.errors },
         actionState: action.type,
+        // e.g. network or permission, reported differently to the user
+        actionStateExtra: { errorType: action.payload.errorType },
+      };
+    case FILE_IMPORT_FAILED:
+      // the draft is left untouched, as are its errors
+      return {
+        ...state,
+        actionState: action.type,
+        actionStateExtra: { errorType: action.payload.errorType },
+      };
+    case DRAFT_VALIDATION_FAILED:
+      // the draft has not been sent to the backend
+      return {
+        ...state,
+        errors: { ...action.payload.errors },
+        actionState: action.type,
         actionStateExtra: {},
       };
+    case DRAFT_CONFLICT_DETECTED:
+      return {
+        ...state,
+        conflict: { ...action.payload },
+      };
+    case DRAFT_CONFLICT_DISMISSED:
+      return {
+        ...state,
+        conflict: null,
+      };
+    case DRAFT_CONFLICT_RESOLVED:
+      // the form shows the merged draft until it is saved
+      return {
+        ...state,
+        record: { ...state.record, ...action.payload.data },
+        persistedRecord: action.payload.data,
+        community: computeCommunityState(
+          action.payload.data,
+          state.community.selected
+        ),
+        conflict: null,
+        mergedRecord: action.payload.merged,
+        isDirty: true,
+      };
+    case DRAFT_PERSISTED:
+      // unlike the record of the form, the persisted draft is updated by
+      // every save, e.g. the one creating the draft before uploading files
+      return {
+        ...state,
+        persistedRecord: action.payload.data,
+      };
+    case DRAFT_VALUES_CHANGED:
+      return {
+        ...state,
+        isDirty: true,
+      };
+    case DRAFT_AUTOSAVE_STARTED:
+      return {
+        ...state,
+        isAutosaving: true,
+      };
+    case DRAFT_AUTOSAVE_SUCCEEDED:
+      // `actionState` is left untouched: autosave runs in the background and
+      // should not replace the feedback of the last user action. The saved
+      // draft is the persisted one, the form keeps its record.
+      return {
+        ...state,
+        isAutosaving: false,
+        isDirty: false,
+        hasAutosaveFailed: false,
+        autosaveErrorType: null,
+        lastSavedAt: action.payload.savedAt,
+      };
+    case DRAFT_AUTOSAVE_FAILED:
+      return {
+        ...state,
+        isAutosaving: false,
+        hasAutosaveFailed: true,
+        // e.g. network, the save status tells why the changes are not saved
+        autosaveErrorType: action.payload.errorType,
+      };
+    case DRAFT_LOCAL_COPY_RESTORED:
+    case DRAFT_LOCAL_COPY_DISCARDED:
+      return {
+        ...state,
+        localCopy: null,
+      };
     case SET_COMMUNITY:
       return {
         ...state,
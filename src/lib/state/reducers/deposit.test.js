@@ -0,0 +1,151 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import {
+  DRAFT_AUTOSAVE_FAILED,
+  DRAFT_AUTOSAVE_STARTED,
+  DRAFT_AUTOSAVE_SUCCEEDED,
+  DRAFT_CONFLICT_DETECTED,
+  DRAFT_CONFLICT_DISMISSED,
+  DRAFT_CONFLICT_RESOLVED,
+  DRAFT_PERSISTED,
+  DRAFT_SAVE_SUCCEEDED,
+  FILE_IMPORT_FAILED,
+  FILE_UPLOAD_SAVE_DRAFT_FAILED,
+} from '../types';
+import depositReducer from './deposit';
+
+describe('deposit reducer', () => {
+  const base = { id: 'abcd-1234', revision_id: 2, title: 'A' };
+  const mine = { ...base, title: 'C' };
+  const theirs = { ...base, revision_id: 3, title: 'B' };
+  const state = {
+    record: base,
+    community: { selected: null },
+    isDirty: true,
+  };
+
+  it('it should keep the detected conflict until it is dismissed', () => {
+    const conflictState = depositReducer(state, {
+      type: DRAFT_CONFLICT_DETECTED,
+      payload: { base, mine, theirs },
+    });
+    expect(conflictState.conflict).toEqual({ base, mine, theirs });
+
+    const dismissedState = depositReducer(conflictState, {
+      type: DRAFT_CONFLICT_DISMISSED,
+    });
+    expect(dismissedState.conflict).toBeNull();
+    expect(dismissedState.record).toEqual(base);
+  });
+
+  it('it should show the merged draft until it is saved', () => {
+    const merged = { ...theirs, title: 'C' };
+    const resolvedState = depositReducer(
+      { ...state, conflict: { base, mine, theirs } },
+      { type: DRAFT_CONFLICT_RESOLVED, payload: { data: theirs, merged } }
+    );
+
+    expect(resolvedState.conflict).toBeNull();
+    // a new conflict would be based on the draft of the server
+    expect(resolvedState.record).toEqual(theirs);
+    expect(resolvedState.mergedRecord).toEqual(merged);
+    expect(resolvedState.isDirty).toBe(true);
+
+    const savedState = depositReducer(resolvedState, {
+      type: DRAFT_SAVE_SUCCEEDED,
+      payload: { data: { ...merged, revision_id: 4 } },
+    });
+    expect(savedState.record).toEqual({ ...merged, revision_id: 4 });
+    expect(savedState.mergedRecord).toBeNull();
+    expect(savedState.isDirty).toBe(false);
+  });
+
+  it('it should keep the persisted draft apart from the record of the form', () => {
+    const persistedState = depositReducer(state, {
+      type: DRAFT_PERSISTED,
+      payload: { data: { ...base, revision_id: 3 } },
+    });
+
+    expect(persistedState.persistedRecord).toEqual({ ...base, revision_id: 3 });
+    expect(persistedState.record).toBe(base);
+  });
+
+  it('it should keep the record of the form while saving automatically', () => {
+    const savingState = depositReducer(state, {
+      type: DRAFT_AUTOSAVE_STARTED,
+    });
+    expect(savingState.isAutosaving).toBe(true);
+
+    const savedState = depositReducer(savingState, {
+      type: DRAFT_AUTOSAVE_SUCCEEDED,
+      payload: { savedAt: '2022-01-01T10:42:00' },
+    });
+    expect(savedState.isAutosaving).toBe(false);
+    expect(savedState.isDirty).toBe(false);
+    expect(savedState.lastSavedAt).toEqual('2022-01-01T10:42:00');
+    expect(savedState.record).toBe(base);
+  });
+
+  it('it should keep the record of the form when the automatic save creates the draft', () => {
+    const { id, ...newDraft } = base;
+    const newDraftState = { ...state, record: newDraft };
+    const savedState = depositReducer(
+      depositReducer(newDraftState, {
+        type: DRAFT_PERSISTED,
+        payload: { data: base },
+      }),
+      {
+        type: DRAFT_AUTOSAVE_SUCCEEDED,
+        payload: { savedAt: '2022-01-01T10:42:00' },
+      }
+    );
+
+    expect(savedState.record).toBe(newDraft);
+    expect(savedState.persistedRecord).toEqual(base);
+  });
+
+  it('it should keep the kind of error of the failed automatic save', () => {
+    const failedState = depositReducer(state, {
+      type: DRAFT_AUTOSAVE_FAILED,
+      payload: { errors: {}, errorType: 'network' },
+    });
+    expect(failedState.hasAutosaveFailed).toBe(true);
+    expect(failedState.autosaveErrorType).toEqual('network');
+
+    const savedState = depositReducer(failedState, {
+      type: DRAFT_AUTOSAVE_SUCCEEDED,
+      payload: { savedAt: '2022-01-01T10:42:00' },
+    });
+    expect(savedState.hasAutosaveFailed).toBe(false);
+    expect(savedState.autosaveErrorType).toBeNull();
+  });
+
+  it('it should report the failures of the files by kind of error', () => {
+    const errors = { metadata: { title: 'Missing data.' } };
+    const saveFailedState = depositReducer(state, {
+      type: FILE_UPLOAD_SAVE_DRAFT_FAILED,
+      payload: { errors, errorType: 'validation' },
+    });
+    expect(saveFailedState.actionState).toEqual(FILE_UPLOAD_SAVE_DRAFT_FAILED);
+    expect(saveFailedState.actionStateExtra).toEqual({
+      errorType: 'validation',
+    });
+    expect(saveFailedState.errors).toEqual(errors);
+
+    const importFailedState = depositReducer(saveFailedState, {
+      type: FILE_IMPORT_FAILED,
+      payload: { errors: {}, errorType: 'network' },
+    });
+    expect(importFailedState.actionState).toEqual(FILE_IMPORT_FAILED);
+    expect(importFailedState.actionStateExtra).toEqual({
+      errorType: 'network',
+    });
+    // the errors of the draft are kept
+    expect(importFailedState.errors).toEqual(errors);
+  });
+});
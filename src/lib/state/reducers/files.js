@@ -5,17 +5,36 @@
 // React-Invenio-Deposit is free software; you can redistribute it and/or modify it
 // under the terms of the MIT License; see LICENSE file for more details.
 
+import _isNumber from 'lodash/isNumber';
 import {
+  FILES_BULK_ACTION_DISMISSED,
+  FILES_BULK_ACTION_FINISHED,
+  FILES_BULK_ACTION_PROGRESS,
+  FILES_REFRESHED,
   FILE_DELETED_SUCCESS,
   FILE_DELETE_FAILED,
+  FILE_FETCH_STARTED,
   FILE_IMPORT_FAILED,
   FILE_IMPORT_STARTED,
   FILE_IMPORT_SUCCESS,
+  FILE_METADATA_UPDATED,
+  FILE_METADATA_UPDATE_FAILED,
+  FILE_RENAMED_SUCCESS,
+  FILE_REMOTE_UPLOAD_ENDED,
+  FILE_REMOTE_UPLOAD_STARTED,
+  FILE_RENAME_FAILED,
+  FILE_REPLACE_FAILED,
   FILE_UPLOAD_ADDED,
   FILE_UPLOAD_CANCELLED,
+  FILE_UPLOAD_CORRUPTED,
   FILE_UPLOAD_FAILED,
   FILE_UPLOAD_FINISHED,
   FILE_UPLOAD_IN_PROGRESS,
+  FILE_UPLOAD_PAUSED,
+  FILE_UPLOAD_QUEUE_PAUSED,
+  FILE_UPLOAD_QUEUE_RESUMED,
+  FILE_UPLOAD_RESUMED,
+  FILE_UPLOAD_RETRYING,
   FILE_UPLOAD_SAVE_DRAFT_FAILED,
   FILE_UPLOAD_SET_CANCEL_FUNCTION,
 } from '../types';
@@ -26,6 +45,54 @@ export const UploadState = {
   error: 'error', // upload failed
   finished: 'finished', // upload finished (uploaded file is the field's current file)
   pending: 'pending', // files retrieved from the backend are in pending state
+  corrupted: 'corrupted', // uploaded file checksum differs from the local one
+  paused: 'paused', // upload paused, waiting to be resumed
+};
+
+/**
+ * Returns true for the files pending in the backend whose upload is not done
+ * from this tab: interrupted, done from another tab or session, or fetched by
+ * the backend.
+ */
+export const isExternalUpload = (entry) =>
+  entry.status === UploadState.pending &&
+  Boolean(
+    entry.isInterrupted ||
+      entry.isResumable ||
+      entry.isRemote ||
+      entry.isFetched
+  );
+
+/**
+ * Returns true for the files stored in the backend whose upload is done in
+ * parts, the backend keeping the state of each part, so that it can be
+ * resumed.
+ */
+export const isResumableUpload = (file) => Boolean(file.links?.parts);
+
+/**
+ * Returns the entries counted in the progress of a new batch of uploads.
+ *
+ * The uploads added while others are ongoing join their batch, otherwise
+ * the files uploaded before are no longer counted.
+ */
+const startUploadsBatch = (entries = {}) => {
+  const isBatchOngoing = Object.values(entries).some(
+    (entry) =>
+      entry.totalBytes &&
+      [UploadState.uploading, UploadState.pending, UploadState.paused].includes(
+        entry.status
+      )
+  );
+  if (isBatchOngoing) {
+    return entries;
+  }
+  return Object.fromEntries(
+    Object.entries(entries).map(([filename, entry]) => [
+      filename,
+      entry.totalBytes ? { ...entry, uploadedBytes: 0, totalBytes: 0 } : entry,
+    ])
+  );
 };
 
 const initialState = {};
@@ -37,15 +104,19 @@ const fileReducer = (state = initialState, action) => {
       return {
         ...state,
         entries: {
-          ...state.entries,
+          ...startUploadsBatch(state.entries),
           [action.payload.filename]: {
             progressPercentage: 0,
             name: action.payload.filename,
             size: 0,
+            // bytes of the local file, the stored size is known once uploaded
+            uploadedBytes: 0,
+            totalBytes: action.payload.size || 0,
             status: UploadState.pending,
             checksum: null,
             links: null,
             cancelUploadFn: null,
+            retryAttempt: 0,
           },
         },
         actionState: action.type,
@@ -58,12 +129,31 @@ const fileReducer = (state = initialState, action) => {
           [action.payload.filename]: {
             ...state.entries[action.payload.filename],
             progressPercentage: action.payload.percent,
+            uploadedBytes: _isNumber(action.payload.uploadedBytes)
+              ? action.payload.uploadedBytes
+              : Math.floor(
+                  (action.payload.percent / 100) *
+                    (state.entries[action.payload.filename].totalBytes || 0)
+                ),
             status: UploadState.uploading,
+            retryAttempt: 0,
           },
         },
         isFileUploadInProgress: true,
         actionState: action.type,
       };
+    case FILE_UPLOAD_RETRYING:
+      return {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            ...state.entries[action.payload.filename],
+            retryAttempt: action.payload.attempt,
+          },
+        },
+        actionState: action.type,
+      };
     case FILE_UPLOAD_FINISHED:
       newState = {
         ...state,
@@ -74,9 +164,44 @@ const fileReducer = (state = initialState, action) => {
             status: UploadState.finished,
             size: action.payload.size,
             progressPercentage: 100,
+            uploadedBytes: action.payload.size,
+            totalBytes: action.payload.size,
             checksum: action.payload.checksum,
             links: action.payload.links,
+            // kept to preview the file without downloading it
+            file: action.payload.file,
+            // the checksums of the local and uploaded files were not compared
+            isUnverified: action.payload.isVerified === false,
             cancelUploadFn: null,
+            retryAttempt: 0,
+          },
+        },
+      };
+      return {
+        ...newState,
+        isFileUploadInProgress: Object.values(newState.entries).some(
+          (value) => value.status === UploadState.uploading
+        ),
+        actionState: action.type,
+      };
+    case FILE_UPLOAD_CORRUPTED:
+      newState = {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            ...state.entries[action.payload.filename],
+            status: UploadState.corrupted,
+            size: action.payload.size,
+            progressPercentage: 100,
+            uploadedBytes: action.payload.size,
+            totalBytes: action.payload.size,
+            checksum: action.payload.checksum,
+            links: action.payload.links,
+            // kept to upload the file again
+            file: action.payload.file,
+            cancelUploadFn: null,
+            retryAttempt: 0,
           },
         },
       };
@@ -101,7 +226,10 @@ const fileReducer = (state = initialState, action) => {
           [action.payload.filename]: {
             ...state.entries[action.payload.filename],
             status: UploadState.error,
+            // kept to retry the upload
+            file: action.payload.file,
             cancelUploadFn: null,
+            retryAttempt: 0,
           },
         },
       };
@@ -112,6 +240,50 @@ const fileReducer = (state = initialState, action) => {
         ),
         actionState: action.type,
       };
+    case FILE_UPLOAD_PAUSED:
+      newState = {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            ...state.entries[action.payload.filename],
+            status: UploadState.paused,
+            cancelUploadFn: null,
+            retryAttempt: 0,
+          },
+        },
+      };
+      return {
+        ...newState,
+        isFileUploadInProgress: Object.values(newState.entries).some(
+          (value) => value.status === UploadState.uploading
+        ),
+        actionState: action.type,
+      };
+    case FILE_UPLOAD_RESUMED:
+      return {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            ...state.entries[action.payload.filename],
+            status: UploadState.pending,
+          },
+        },
+        actionState: action.type,
+      };
+    case FILE_UPLOAD_QUEUE_PAUSED:
+      return {
+        ...state,
+        isUploadQueuePaused: true,
+        actionState: action.type,
+      };
+    case FILE_UPLOAD_QUEUE_RESUMED:
+      return {
+        ...state,
+        isUploadQueuePaused: false,
+        actionState: action.type,
+      };
     case FILE_UPLOAD_SET_CANCEL_FUNCTION:
       return {
         ...state,
@@ -157,6 +329,164 @@ const fileReducer = (state = initialState, action) => {
         ...state,
         actionState: action.type,
       };
+    case FILE_RENAMED_SUCCESS:
+      // rekeyed in place, to keep the order of the files
+      return {
+        ...state,
+        entries: Object.fromEntries(
+          Object.entries(state.entries).map(([filename, entry]) =>
+            filename === action.payload.filename
+              ? [
+                  action.payload.newFilename,
+                  {
+                    ...entry,
+                    name: action.payload.newFilename,
+                    links: action.payload.links,
+                  },
+                ]
+              : [filename, entry]
+          )
+        ),
+        actionState: action.type,
+      };
+    case FILE_METADATA_UPDATED:
+      return {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            ...state.entries[action.payload.filename],
+            metadata: action.payload.metadata,
+          },
+        },
+        actionState: action.type,
+      };
+    case FILE_METADATA_UPDATE_FAILED:
+    case FILE_RENAME_FAILED:
+      return {
+        ...state,
+        actionState: action.type,
+      };
+    case FILE_REPLACE_FAILED:
+      // the entry is the stored file when its content is complete, otherwise
+      // the upload of the new content failed
+      newState = {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            ...state.entries[action.payload.filename],
+            ...(action.payload.storedFile?.status === UploadState.finished
+              ? action.payload.storedFile
+              : {
+                  status: UploadState.error,
+                  links: action.payload.storedFile?.links || {},
+                  // kept to retry the upload
+                  file: action.payload.file,
+                }),
+            cancelUploadFn: null,
+            retryAttempt: 0,
+          },
+        },
+      };
+      return {
+        ...newState,
+        isFileUploadInProgress: Object.values(newState.entries).some(
+          (value) => value.status === UploadState.uploading
+        ),
+        actionState: action.type,
+      };
+    case FILES_REFRESHED:
+      // only the uploads not done from this tab are reconciled
+      newState = {};
+      for (const [filename, entry] of Object.entries(state.entries)) {
+        const storedFile = action.payload.files[filename];
+        if (!isExternalUpload(entry)) {
+          newState[filename] = entry;
+        } else if (!storedFile) {
+          // the failed or cancelled uploads are deleted from the backend
+          newState[filename] = {
+            ...entry,
+            status: UploadState.error,
+            links: {},
+            isInterrupted: false,
+            isResumable: false,
+            isRemote: false,
+            isFetched: false,
+          };
+        } else if (storedFile.status === UploadState.finished) {
+          newState[filename] = storedFile;
+        } else {
+          newState[filename] = entry;
+        }
+      }
+      // the files added from another session
+      for (const [filename, storedFile] of Object.entries(
+        action.payload.files
+      )) {
+        if (!newState[filename]) {
+          newState[filename] = storedFile;
+        }
+      }
+      return {
+        ...state,
+        entries: newState,
+      };
+    case FILE_FETCH_STARTED:
+      return {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            name: action.payload.filename,
+            size: 0,
+            status: UploadState.pending,
+            checksum: '',
+            links: action.payload.links,
+            isFetched: true,
+          },
+        },
+        actionState: action.type,
+      };
+    case FILE_REMOTE_UPLOAD_STARTED:
+      const remoteFile = state.entries[action.payload.filename];
+      if (remoteFile && !isExternalUpload(remoteFile)) {
+        return state;
+      }
+      return {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            name: action.payload.filename,
+            size: 0,
+            checksum: null,
+            links: {},
+            ...remoteFile,
+            status: UploadState.pending,
+            isInterrupted: false,
+            isResumable: false,
+            isRemote: true,
+          },
+        },
+      };
+    case FILE_REMOTE_UPLOAD_ENDED:
+      const endedFile = state.entries[action.payload.filename];
+      if (!endedFile?.isRemote) {
+        return state;
+      }
+      // until reconciled with the backend, the upload is interrupted
+      return {
+        ...state,
+        entries: {
+          ...state.entries,
+          [action.payload.filename]: {
+            ...endedFile,
+            isInterrupted: true,
+            isRemote: false,
+          },
+        },
+      };
     case FILE_IMPORT_STARTED:
       return {
         ...state,
@@ -176,6 +506,21 @@ const fileReducer = (state = initialState, action) => {
         isFileImportInProgress: false,
         actionState: action.type,
       };
+    case FILES_BULK_ACTION_PROGRESS:
+    case FILES_BULK_ACTION_FINISHED:
+      // reported next to the files, not to replace the feedback of the form
+      return {
+        ...state,
+        bulkAction: {
+          ...action.payload,
+          isFinished: action.type === FILES_BULK_ACTION_FINISHED,
+        },
+      };
+    case FILES_BULK_ACTION_DISMISSED:
+      return {
+        ...state,
+        bulkAction: null,
+      };
     default:
       return state;
   }
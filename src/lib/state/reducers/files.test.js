@@ -0,0 +1,243 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import {
+  FILES_BULK_ACTION_DISMISSED,
+  FILES_BULK_ACTION_FINISHED,
+  FILES_BULK_ACTION_PROGRESS,
+  FILES_REFRESHED,
+  FILE_REMOTE_UPLOAD_ENDED,
+  FILE_REMOTE_UPLOAD_STARTED,
+  FILE_REPLACE_FAILED,
+  FILE_UPLOAD_ADDED,
+  FILE_UPLOAD_FAILED,
+} from '../types';
+import fileReducer, { UploadState } from './files';
+
+describe('files reducer', () => {
+  const storedFile = (name) => ({
+    name: name,
+    size: 10,
+    status: UploadState.finished,
+    progressPercentage: 100,
+    checksum: 'abcd',
+    links: { self: name },
+  });
+  const pendingFile = (name, extra) => ({
+    name: name,
+    size: 0,
+    status: UploadState.pending,
+    checksum: '',
+    links: { self: name },
+    ...extra,
+  });
+
+  it('should reconcile the uploads not done from this tab', () => {
+    const state = {
+      entries: {
+        'local.txt': pendingFile('local.txt'),
+        'finished.txt': pendingFile('finished.txt', { isRemote: true }),
+        'failed.txt': pendingFile('failed.txt', { isResumable: true }),
+        'ongoing.txt': pendingFile('ongoing.txt', { isResumable: true }),
+      },
+    };
+
+    const newState = fileReducer(state, {
+      type: FILES_REFRESHED,
+      payload: {
+        files: {
+          'finished.txt': storedFile('finished.txt'),
+          'ongoing.txt': pendingFile('ongoing.txt', { isResumable: true }),
+          'other.txt': storedFile('other.txt'),
+        },
+      },
+    });
+
+    expect(Object.keys(newState.entries)).toEqual([
+      'local.txt',
+      'finished.txt',
+      'failed.txt',
+      'ongoing.txt',
+      'other.txt',
+    ]);
+    // not listed yet, as the upload from this tab has not started
+    expect(newState.entries['local.txt']).toBe(state.entries['local.txt']);
+    expect(newState.entries['finished.txt']).toEqual(
+      storedFile('finished.txt')
+    );
+    expect(newState.entries['failed.txt'].status).toEqual(UploadState.error);
+    expect(newState.entries['failed.txt'].links).toEqual({});
+    expect(newState.entries['ongoing.txt']).toBe(state.entries['ongoing.txt']);
+  });
+
+  it('should track the uploads done from another tab', () => {
+    const state = {
+      entries: {
+        'stored.txt': storedFile('stored.txt'),
+      },
+    };
+
+    let newState = fileReducer(state, {
+      type: FILE_REMOTE_UPLOAD_STARTED,
+      payload: { filename: 'remote.txt' },
+    });
+    expect(newState.entries['remote.txt']).toMatchObject({
+      status: UploadState.pending,
+      isRemote: true,
+      isResumable: false,
+    });
+
+    // the files of this tab are not overridden
+    expect(
+      fileReducer(newState, {
+        type: FILE_REMOTE_UPLOAD_STARTED,
+        payload: { filename: 'stored.txt' },
+      })
+    ).toBe(newState);
+
+    newState = fileReducer(newState, {
+      type: FILE_REMOTE_UPLOAD_ENDED,
+      payload: { filename: 'remote.txt' },
+    });
+    expect(newState.entries['remote.txt']).toMatchObject({
+      isRemote: false,
+      isInterrupted: true,
+    });
+  });
+
+  it('should keep the local file of a failed upload to retry it', () => {
+    const file = new File(['content'], 'data.csv');
+    const state = {
+      entries: {
+        'data.csv': {
+          ...pendingFile('data.csv'),
+          status: UploadState.uploading,
+          retryAttempt: 2,
+        },
+      },
+    };
+
+    const newState = fileReducer(state, {
+      type: FILE_UPLOAD_FAILED,
+      payload: { filename: 'data.csv', file: file },
+    });
+
+    expect(newState.entries['data.csv']).toMatchObject({
+      status: UploadState.error,
+      file: file,
+      retryAttempt: 0,
+    });
+    expect(newState.isFileUploadInProgress).toBe(false);
+  });
+
+  it('should restore or fail a file whose replacement failed', () => {
+    const newFile = { name: 'data.csv' };
+    const state = {
+      entries: {
+        'data.csv': {
+          ...storedFile('data.csv'),
+          status: UploadState.uploading,
+          progressPercentage: 40,
+        },
+      },
+    };
+
+    // the stored file was fetched again, with its actual content
+    let newState = fileReducer(state, {
+      type: FILE_REPLACE_FAILED,
+      payload: {
+        filename: 'data.csv',
+        storedFile: { ...storedFile('data.csv'), checksum: 'efgh' },
+        file: newFile,
+      },
+    });
+    expect(newState.entries['data.csv']).toMatchObject({
+      status: UploadState.finished,
+      progressPercentage: 100,
+      checksum: 'efgh',
+    });
+    expect(newState.isFileUploadInProgress).toBe(false);
+
+    // the content of the stored file is unknown
+    newState = fileReducer(state, {
+      type: FILE_REPLACE_FAILED,
+      payload: { filename: 'data.csv', file: newFile },
+    });
+    expect(newState.entries['data.csv']).toMatchObject({
+      status: UploadState.error,
+      links: {},
+      file: newFile,
+    });
+  });
+
+  it('it should count only the current batch of uploads in the progress', () => {
+    const uploadedFile = (name, status) => ({
+      ...storedFile(name),
+      status: status,
+      uploadedBytes: 10,
+      totalBytes: 10,
+    });
+    const addUpload = (state, filename) =>
+      fileReducer(state, {
+        type: FILE_UPLOAD_ADDED,
+        payload: { filename: filename, size: 20 },
+      });
+
+    // the batch is ongoing, the new upload joins it
+    let newState = addUpload(
+      {
+        entries: {
+          'first.txt': uploadedFile('first.txt', UploadState.finished),
+          'second.txt': uploadedFile('second.txt', UploadState.uploading),
+        },
+      },
+      'third.txt'
+    );
+    expect(newState.entries['first.txt'].totalBytes).toEqual(10);
+
+    // the batch is done, a new one starts
+    newState = addUpload(
+      {
+        entries: {
+          'first.txt': uploadedFile('first.txt', UploadState.finished),
+          'second.txt': uploadedFile('second.txt', UploadState.error),
+        },
+      },
+      'third.txt'
+    );
+    expect(newState.entries['first.txt']).toMatchObject({
+      status: UploadState.finished,
+      uploadedBytes: 0,
+      totalBytes: 0,
+    });
+    expect(newState.entries['second.txt'].totalBytes).toEqual(0);
+    expect(newState.entries['third.txt'].totalBytes).toEqual(20);
+  });
+
+  it('it should keep the progress of the bulk action until it is dismissed', () => {
+    const payload = { action: 'delete', total: 2, done: 1, failed: [] };
+    let newState = fileReducer(
+      { entries: {}, actionState: FILES_REFRESHED },
+      { type: FILES_BULK_ACTION_PROGRESS, payload: payload }
+    );
+    expect(newState.bulkAction).toEqual({ ...payload, isFinished: false });
+    // the feedback of the other actions is kept
+    expect(newState.actionState).toEqual(FILES_REFRESHED);
+
+    newState = fileReducer(newState, {
+      type: FILES_BULK_ACTION_FINISHED,
+      payload: { ...payload, done: 2, failed: ['file.txt'] },
+    });
+    expect(newState.bulkAction).toMatchObject({
+      failed: ['file.txt'],
+      isFinished: true,
+    });
+
+    newState = fileReducer(newState, { type: FILES_BULK_ACTION_DISMISSED });
+    expect(newState.bulkAction).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { createSelector } from 'reselect';
+import { isExternalUpload, UploadState } from '../reducers/files';
+
+const noEntries = {};
+const noMetadata = {};
+
+const toFilesListItem = (fileState) => ({
+  name: fileState.name,
+  size: fileState.size,
+  checksum: fileState.checksum,
+  links: fileState.links,
+  metadata: fileState.metadata || noMetadata,
+  uploadState: {
+    // initial: fileState.status === UploadState.initial,
+    isFailed: fileState.status === UploadState.error,
+    isUploading: fileState.status === UploadState.uploading,
+    isFinished: fileState.status === UploadState.finished,
+    isPending: fileState.status === UploadState.pending,
+    isCorrupted: fileState.status === UploadState.corrupted,
+    isUnverified:
+      fileState.status === UploadState.finished &&
+      Boolean(fileState.isUnverified),
+    isPaused: fileState.status === UploadState.paused,
+    isRetrying: fileState.retryAttempt > 0,
+  },
+  retryAttempt: fileState.retryAttempt,
+  progressPercentage: fileState.progressPercentage,
+  cancelUploadFn: fileState.cancelUploadFn,
+  isResumable: Boolean(fileState.isResumable),
+  interruptedFile: fileState.interruptedFile,
+  isRemote: Boolean(fileState.isRemote),
+  isFetched: Boolean(fileState.isFetched),
+  // pending in the backend, while not uploaded from this tab
+  isExternal: isExternalUpload(fileState),
+  file: fileState.file,
+});
+
+// the items of the unchanged entries are reused, so that their rows are not
+// rendered again when another file changes
+const filesListItems = new WeakMap();
+const getFilesListItem = (fileState) => {
+  if (!filesListItems.has(fileState)) {
+    filesListItems.set(fileState, toFilesListItem(fileState));
+  }
+  return filesListItems.get(fileState);
+};
+
+export const selectFilesEntries = (state) => state.files.entries || noEntries;
+
+/**
+ * Returns the files of the entries of the files state, as displayed in the
+ * files list.
+ */
+export const getFilesList = (entries) =>
+  Object.values(entries).map(getFilesListItem);
+
+/**
+ * Returns the files of the deposit, as displayed in the files list.
+ */
+export const selectFilesList = createSelector(
+  [selectFilesEntries],
+  getFilesList
+);
+
+/**
+ * Returns the total size of the files of the deposit, in bytes.
+ */
+export const selectFilesSize = createSelector([selectFilesList], (filesList) =>
+  filesList.reduce((totalSize, file) => totalSize + (file.size || 0), 0)
+);
+
+/**
+ * Returns the progress of the current batch of uploads from this page, in
+ * bytes, and the number of files by upload state.
+ */
+export const selectUploadProgress = createSelector(
+  [selectFilesEntries],
+  (entries) => {
+    const countsByState = Object.fromEntries(
+      Object.values(UploadState).map((uploadState) => [uploadState, 0])
+    );
+    let uploadedBytes = 0;
+    let totalBytes = 0;
+    for (const entry of Object.values(entries)) {
+      countsByState[entry.status] += 1;
+      // only the files added from this page have a total, the failed ones
+      // will not be uploaded
+      if (entry.totalBytes && entry.status !== UploadState.error) {
+        uploadedBytes += entry.uploadedBytes || 0;
+        totalBytes += entry.totalBytes;
+      }
+    }
+    return {
+      uploadedBytes: uploadedBytes,
+      totalBytes: totalBytes,
+      countsByState: countsByState,
+    };
+  }
+);
+
+/**
+ * Returns the files whose upload was interrupted, e.g. by leaving the page,
+ * and that were not uploaded again since.
+ */
+export const selectInterruptedUploads = createSelector(
+  [selectFilesList],
+  (filesList) =>
+    filesList.filter((file) => file.isResumable && file.uploadState.isPending)
+);
+
+/**
+ * Returns true when files are pending in the backend while not being uploaded
+ * from this tab.
+ */
+export const selectHasExternalUploads = createSelector(
+  [selectFilesEntries],
+  (entries) => Object.values(entries).some(isExternalUpload)
+);
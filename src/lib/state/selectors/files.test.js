@@ -0,0 +1,72 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { UploadState } from '../reducers/files';
+import { selectFilesList, selectUploadProgress } from './files';
+
+describe('files selectors', () => {
+  const state = {
+    files: {
+      entries: {
+        'stored.txt': { name: 'stored.txt', size: 50, status: 'finished' },
+        'uploaded.txt': {
+          name: 'uploaded.txt',
+          size: 100,
+          status: UploadState.finished,
+          uploadedBytes: 100,
+          totalBytes: 100,
+        },
+        'uploading.txt': {
+          name: 'uploading.txt',
+          size: 0,
+          status: UploadState.uploading,
+          uploadedBytes: 150,
+          totalBytes: 300,
+        },
+        'failed.txt': {
+          name: 'failed.txt',
+          size: 0,
+          status: UploadState.error,
+          uploadedBytes: 10,
+          totalBytes: 1000,
+        },
+      },
+    },
+  };
+
+  it('it should reuse the items of the unchanged entries', () => {
+    const filesList = selectFilesList(state);
+    expect(selectFilesList(state)).toBe(filesList);
+    const newState = {
+      files: {
+        entries: {
+          ...state.files.entries,
+          'uploading.txt': {
+            ...state.files.entries['uploading.txt'],
+            uploadedBytes: 200,
+          },
+        },
+      },
+    };
+
+    const newFilesList = selectFilesList(newState);
+
+    expect(newFilesList[0]).toBe(filesList[0]);
+    expect(newFilesList[2]).not.toBe(filesList[2]);
+  });
+
+  it('it should sum the bytes of the files uploaded from the page', () => {
+    const { uploadedBytes, totalBytes, countsByState } =
+      selectUploadProgress(state);
+
+    expect(uploadedBytes).toEqual(250);
+    expect(totalBytes).toEqual(400);
+    expect(countsByState[UploadState.finished]).toEqual(2);
+    expect(countsByState[UploadState.error]).toEqual(1);
+    expect(countsByState[UploadState.paused]).toEqual(0);
+  });
+});
@@ -7,11 +7,30 @@
 
 export const DRAFT_FETCHED = 'DRAFT_FETCHED';
 export const DRAFT_HAS_VALIDATION_ERRORS = 'DRAFT_HAS_VALIDATION_ERRORS';
+export const DRAFT_VALIDATION_FAILED = 'DRAFT_VALIDATION_FAILED';
+
+// Draft changed elsewhere
+export const DRAFT_CONFLICT_DETECTED = 'DRAFT_CONFLICT_DETECTED';
+export const DRAFT_CONFLICT_DISMISSED = 'DRAFT_CONFLICT_DISMISSED';
+export const DRAFT_CONFLICT_RESOLVED = 'DRAFT_CONFLICT_RESOLVED';
 
 // Draft save
 export const DRAFT_SAVE_STARTED = 'DRAFT_SAVE_STARTED';
 export const DRAFT_SAVE_SUCCEEDED = 'DRAFT_SAVE_SUCCEEDED';
 export const DRAFT_SAVE_FAILED = 'DRAFT_SAVE_FAILED';
+// the draft is saved in the backend, by any action
+export const DRAFT_PERSISTED = 'DRAFT_PERSISTED';
+
+// Draft autosave
+export const DRAFT_VALUES_CHANGED = 'DRAFT_VALUES_CHANGED';
+export const DRAFT_AUTOSAVE_STARTED = 'DRAFT_AUTOSAVE_STARTED';
+export const DRAFT_AUTOSAVE_SUCCEEDED = 'DRAFT_AUTOSAVE_SUCCEEDED';
+export const DRAFT_AUTOSAVE_FAILED = 'DRAFT_AUTOSAVE_FAILED';
+
+// Draft local copy
+export const DRAFT_LOCAL_COPY_CHANGED = 'DRAFT_LOCAL_COPY_CHANGED';
+export const DRAFT_LOCAL_COPY_RESTORED = 'DRAFT_LOCAL_COPY_RESTORED';
+export const DRAFT_LOCAL_COPY_DISCARDED = 'DRAFT_LOCAL_COPY_DISCARDED';
 
 // Draft publish
 export const DRAFT_PUBLISH_STARTED = 'DRAFT_PUBLISH_STARTED';
@@ -42,8 +61,10 @@ export const DISCARD_PID_FAILED = 'DISCARD_PID_FAILED';
 // Files
 export const FILE_UPLOAD_ADDED = 'FILE_UPLOAD_ADDED';
 export const FILE_UPLOAD_IN_PROGRESS = 'FILE_UPLOAD_IN_PROGRESS';
+export const FILE_UPLOAD_RETRYING = 'FILE_UPLOAD_RETRYING';
 export const FILE_UPLOAD_FINISHED = 'FILE_UPLOAD_FINISHED';
 export const FILE_UPLOAD_FAILED = 'FILE_UPLOAD_FAILED';
+export const FILE_UPLOAD_CORRUPTED = 'FILE_UPLOAD_CORRUPTED';
 export const FILE_UPLOAD_SAVE_DRAFT_FAILED = 'FILE_UPLOAD_SAVE_DRAFT_FAILED';
 
 export const FILE_IMPORT_STARTED = 'FILE_IMPORT_STARTED';
@@ -53,9 +74,29 @@ export const FILE_IMPORT_FAILED = 'FILE_IMPORT_FAILED';
 export const FILE_DELETED_SUCCESS = 'FILE_DELETED_SUCCESS';
 export const FILE_DELETE_FAILED = 'FILE_DELETE_FAILED';
 
+export const FILE_RENAMED_SUCCESS = 'FILE_RENAMED_SUCCESS';
+export const FILE_RENAME_FAILED = 'FILE_RENAME_FAILED';
+export const FILE_REPLACE_FAILED = 'FILE_REPLACE_FAILED';
+export const FILE_METADATA_UPDATED = 'FILE_METADATA_UPDATED';
+export const FILE_METADATA_UPDATE_FAILED = 'FILE_METADATA_UPDATE_FAILED';
+
+export const FILES_BULK_ACTION_PROGRESS = 'FILES_BULK_ACTION_PROGRESS';
+export const FILES_BULK_ACTION_FINISHED = 'FILES_BULK_ACTION_FINISHED';
+export const FILES_BULK_ACTION_DISMISSED = 'FILES_BULK_ACTION_DISMISSED';
+
 export const FILE_UPLOAD_SET_CANCEL_FUNCTION =
   'FILE_UPLOAD_SET_CANCEL_FUNCTION';
 export const FILE_UPLOAD_CANCELLED = 'FILE_UPLOAD_CANCELLED';
+export const FILE_UPLOAD_PAUSED = 'FILE_UPLOAD_PAUSED';
+export const FILE_UPLOAD_RESUMED = 'FILE_UPLOAD_RESUMED';
+export const FILE_UPLOAD_QUEUE_PAUSED = 'FILE_UPLOAD_QUEUE_PAUSED';
+export const FILE_UPLOAD_QUEUE_RESUMED = 'FILE_UPLOAD_QUEUE_RESUMED';
+export const FILE_UPLOADS_ABORTED = 'FILE_UPLOADS_ABORTED';
+export const FILES_REFRESHED = 'FILES_REFRESHED';
+export const FILE_FETCH_STARTED = 'FILE_FETCH_STARTED';
+export const FILE_REMOTE_UPLOAD_STARTED = 'FILE_REMOTE_UPLOAD_STARTED';
+export const FILE_REMOTE_UPLOAD_ENDED = 'FILE_REMOTE_UPLOAD_ENDED';
+export const FILE_UPLOADS_REQUESTED = 'FILE_UPLOADS_REQUESTED';
 
 // Community
 export const SET_COMMUNITY = 'SET_COMMUNITY';
@@ -9,11 +9,32 @@ import _cloneDeep from 'lodash/cloneDeep';
 import _get from 'lodash/get';
 import { applyMiddleware, compose, createStore } from 'redux';
 import thunk from 'redux-thunk';
+import { refreshFiles } from './state/actions';
 import rootReducer from './state/reducers';
 import { computeCommunityState } from './state/reducers/deposit';
-import { UploadState } from './state/reducers/files';
+import {
+  isExternalUpload,
+  isResumableUpload,
+  UploadState,
+} from './state/reducers/files';
+import {
+  DRAFT_LOCAL_COPY_CHANGED,
+  DRAFT_LOCAL_COPY_DISCARDED,
+  DRAFT_PERSISTED,
+  FILE_REMOTE_UPLOAD_ENDED,
+  FILE_REMOTE_UPLOAD_STARTED,
+  FILE_UPLOADS_ABORTED,
+  FILE_UPLOADS_REQUESTED,
+  FILE_UPLOAD_ADDED,
+  FILE_UPLOAD_CANCELLED,
+  FILE_UPLOAD_CORRUPTED,
+  FILE_UPLOAD_FAILED,
+  FILE_UPLOAD_FINISHED,
+  FILE_UPLOAD_SAVE_DRAFT_FAILED,
+} from './state/types';
+import { changedFieldPaths } from './utils';
 
-const preloadFiles = (files) => {
+const preloadFiles = (files, filesService, initializeUploadURL) => {
   const _files = _cloneDeep(files);
   return {
     links: files.links || {},
@@ -25,15 +46,30 @@ const preloadFiles = (files) => {
           size: file.size || 0,
           checksum: file.checksum || '',
           links: file.links || {},
+          metadata: file.metadata,
         };
-        // TODO: fix this as the lack of size is not always an error e.g upload ongoing in another tab
+        // the lack of size is not always an error e.g upload ongoing in
+        // another tab, these files are reconciled with the backend later on
         return hasSize
           ? {
               status: UploadState.finished,
               progressPercentage: 100,
               ...fileState,
             }
-          : { status: UploadState.pending, ...fileState };
+          : {
+              status: UploadState.pending,
+              isInterrupted: true,
+              // interrupted multipart uploads are resumed when the same
+              // file is uploaded again
+              isResumable: isResumableUpload(file),
+              // the size and last modification of the interrupted file,
+              // when it is known locally
+              interruptedFile: filesService?.findInterruptedUpload(
+                initializeUploadURL,
+                file.key
+              ),
+              ...fileState,
+            };
       })
       .reduce((acc, current) => {
         acc[current.name] = { ...current };
@@ -42,30 +78,273 @@ const preloadFiles = (files) => {
   };
 };
 
+/**
+ * Returns the local copy of the draft when it is based on the revision of the
+ * draft returned by the backend, i.e. the draft has not been saved since, and
+ * it contains changes.
+ */
+const preloadLocalCopy = (draftStorage, record) => {
+  const localCopy = draftStorage.load(record.id);
+  if (!localCopy) {
+    return null;
+  }
+
+  // the revisions are compared rather than the dates, which come from the
+  // clocks of the browser and of the server
+  const isCurrent = localCopy.revisionId === record.revision_id;
+  const changedFields = changedFieldPaths(record, localCopy.values);
+  return isCurrent && changedFields.length
+    ? { ...localCopy, changedFields: changedFields }
+    : null;
+};
+
+/**
+ * Persists the draft working copy in the browser storage and removes it once
+ * the draft has been saved in the backend, by any action (save, automatic
+ * save, upload, ...).
+ */
+const draftStorageMiddleware =
+  (draftStorage) => (store) => (next) => (action) => {
+    const { id: draftId, revision_id: revisionId } =
+      store.getState().deposit.persistedRecord;
+    const result = next(action);
+
+    switch (action.type) {
+      case DRAFT_LOCAL_COPY_CHANGED:
+        draftStorage.save(draftId, action.payload.draft, revisionId);
+        break;
+      case DRAFT_PERSISTED:
+        // a new draft was stored with a temporary key, before having an id
+        draftStorage.clear(draftId);
+        draftStorage.clear(action.payload.data.id);
+        break;
+      case DRAFT_LOCAL_COPY_DISCARDED:
+        draftStorage.clear(draftId);
+        break;
+      default:
+        break;
+    }
+    return result;
+  };
+
+const FILES_CHANNEL_NAME = 'invenio-deposit:files';
+
+/**
+ * Shares the uploads state with the other tabs editing the same draft, so
+ * that a file being uploaded from a tab is not uploaded again from another.
+ *
+ * The files are claimed as soon as their upload is requested: when two tabs
+ * claim the same file, the earliest claim wins and the other tab leaves the
+ * upload to it.
+ *
+ * @param {function} createChannel - returns a new channel, once the page is
+ *   restored from the cache the closed one is replaced
+ * @param {array} teardowns - where the function removing the listener and
+ *   closing the channel is added
+ */
+const filesChannelMiddleware = (createChannel, teardowns) => (store) => {
+  const tabId = Math.random().toString(36).slice(2);
+  // the time of the claims of this tab, by filename, until the upload starts
+  const claims = new Map();
+  let channel = null;
+
+  const getDraftId = () => store.getState().deposit.persistedRecord.id;
+  const postMessage = (type, filename, extra = {}) =>
+    channel &&
+    channel.postMessage({
+      type: type,
+      draftId: getDraftId(),
+      filename: filename,
+      ...extra,
+    });
+  const postLocalUploads = (type) =>
+    Object.values(store.getState().files.entries || {})
+      .filter(
+        (entry) =>
+          !isExternalUpload(entry) &&
+          [
+            UploadState.pending,
+            UploadState.uploading,
+            UploadState.paused,
+          ].includes(entry.status)
+      )
+      .forEach((entry) => postMessage(type, entry.name));
+  const postClaims = (type) => {
+    claims.forEach((claimedAt, filename) => postMessage(type, filename));
+    claims.clear();
+  };
+  // the tab ids break the ties between claims made at the same time
+  const isClaimedBefore = (filename, claimedAt, claimTabId) =>
+    !claims.has(filename) ||
+    claimedAt < claims.get(filename) ||
+    (claimedAt === claims.get(filename) && claimTabId < tabId);
+
+  const onMessage = ({ data }) => {
+    if (!data.draftId || data.draftId !== getDraftId()) {
+      return;
+    }
+    switch (data.type) {
+      case 'upload-claimed':
+        if (!isClaimedBefore(data.filename, data.claimedAt, data.tabId)) {
+          break;
+        }
+        claims.delete(data.filename);
+        store.dispatch({
+          type: FILE_REMOTE_UPLOAD_STARTED,
+          payload: { filename: data.filename },
+        });
+        break;
+      case 'upload-started':
+        store.dispatch({
+          type: FILE_REMOTE_UPLOAD_STARTED,
+          payload: { filename: data.filename },
+        });
+        break;
+      case 'upload-ended':
+        store.dispatch({
+          type: FILE_REMOTE_UPLOAD_ENDED,
+          payload: { filename: data.filename },
+        });
+        store.dispatch(refreshFiles()).catch(() => {
+          // reconciled at the next refresh
+        });
+        break;
+      case 'uploads-requested':
+        postLocalUploads('upload-started');
+        break;
+      default:
+        break;
+    }
+  };
+  const openChannel = () => {
+    channel = createChannel();
+    channel.onmessage = onMessage;
+    // a tab opened while uploads are ongoing in other tabs
+    if (getDraftId()) {
+      postMessage('uploads-requested');
+    }
+  };
+  const closeChannel = () => {
+    if (channel) {
+      channel.close();
+      channel = null;
+    }
+  };
+  const onPageShow = (event) => {
+    if (event.persisted && !channel) {
+      openChannel();
+    }
+  };
+
+  openChannel();
+  // the channel is closed with the page, when the uploads are aborted
+  window.addEventListener('pageshow', onPageShow);
+  teardowns.push(() => {
+    window.removeEventListener('pageshow', onPageShow);
+    closeChannel();
+  });
+
+  return (next) => (action) => {
+    switch (action.type) {
+      case FILE_UPLOADS_ABORTED:
+        postLocalUploads('upload-ended');
+        postClaims('upload-ended');
+        break;
+      case FILE_UPLOADS_REQUESTED:
+        const claimedAt = Date.now();
+        action.payload.filenames.forEach((filename) => {
+          claims.set(filename, claimedAt);
+          postMessage('upload-claimed', filename, {
+            claimedAt: claimedAt,
+            tabId: tabId,
+          });
+        });
+        break;
+      default:
+        break;
+    }
+
+    const result = next(action);
+
+    switch (action.type) {
+      case FILE_UPLOAD_ADDED:
+        claims.delete(action.payload.filename);
+        postMessage('upload-started', action.payload.filename);
+        break;
+      case FILE_UPLOAD_FINISHED:
+      case FILE_UPLOAD_CORRUPTED:
+      case FILE_UPLOAD_FAILED:
+      case FILE_UPLOAD_CANCELLED:
+        postMessage('upload-ended', action.payload.filename);
+        break;
+      case FILE_UPLOAD_SAVE_DRAFT_FAILED:
+        // the claimed files will not be uploaded
+        postClaims('upload-ended');
+        break;
+      case FILE_UPLOADS_ABORTED:
+        closeChannel();
+        break;
+      default:
+        break;
+    }
+    return result;
+  };
+};
+
 export function configureStore(appConfig) {
-  const { record, preselectedCommunity, files, config, permissions, ...extra } =
-    appConfig;
+  const {
+    record,
+    preselectedCommunity,
+    files,
+    config,
+    permissions,
+    draftStorage,
+    isAutosaveEnabled,
+    ...extra
+  } = appConfig;
 
   // when not passed, make sure that the value is `undefined` and not `null`
   const _preselectedCommunity = preselectedCommunity || undefined;
 
   const initialDepositState = {
     record,
+    // the last version of the draft persisted in the backend
+    persistedRecord: record,
     community: computeCommunityState(record, _preselectedCommunity),
     config,
     permissions,
+    // the save status is displayed with the automatic saves only
+    isAutosaveEnabled: Boolean(isAutosaveEnabled),
+    localCopy: draftStorage ? preloadLocalCopy(draftStorage, record) : null,
   };
 
   const preloadedState = {
     deposit: initialDepositState,
-    files: preloadFiles(files || {}),
+    files: preloadFiles(files || {}, extra.service?.files, record.links?.files),
   };
 
   const composeEnhancers =
     window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__ || compose;
-  return createStore(
+  const middlewares = [thunk.withExtraArgument(extra)];
+  const teardowns = [];
+  if (draftStorage) {
+    middlewares.push(draftStorageMiddleware(draftStorage));
+  }
+  if (window.BroadcastChannel) {
+    middlewares.push(
+      filesChannelMiddleware(
+        () => new BroadcastChannel(FILES_CHANNEL_NAME),
+        teardowns
+      )
+    );
+  }
+  const store = createStore(
     rootReducer,
     preloadedState,
-    composeEnhancers(applyMiddleware(thunk.withExtraArgument(extra)))
+    composeEnhancers(applyMiddleware(...middlewares))
   );
+  // removes the listeners and closes the channels of the middlewares, e.g.
+  // once the form is unmounted
+  store.teardown = () => teardowns.forEach((teardown) => teardown());
+  return store;
 }
@@ -0,0 +1,278 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { DepositConflictError } from './DepositErrorHandler';
+import { diffDrafts } from './draftMerge';
+import { autosave, save, saveLocalCopy, uploadFiles } from './state/actions';
+import { FILE_UPLOADS_ABORTED } from './state/types';
+import { configureStore } from './store';
+
+// the channels of the tabs of the same browser, delivering the messages
+// asynchronously as the real ones
+class FakeBroadcastChannel {
+  static channels = [];
+
+  constructor(name) {
+    this.name = name;
+    this.isClosed = false;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    if (this.isClosed) {
+      throw new Error('The channel is closed.');
+    }
+    FakeBroadcastChannel.channels
+      .filter((channel) => channel !== this && !channel.isClosed)
+      .forEach((channel) =>
+        Promise.resolve().then(() => channel.onmessage({ data: data }))
+      );
+  }
+
+  close() {
+    this.isClosed = true;
+  }
+}
+
+describe('files channel', () => {
+  const record = {
+    id: 'abcd-1234',
+    links: { files: '/api/records/abcd-1234/draft/files' },
+  };
+
+  let stores = [];
+
+  beforeEach(() => {
+    FakeBroadcastChannel.channels = [];
+    window.BroadcastChannel = FakeBroadcastChannel;
+  });
+
+  afterEach(() => {
+    stores.forEach((store) => store.teardown());
+    stores = [];
+    delete window.BroadcastChannel;
+  });
+
+  // a tab editing the draft, whose draft is saved after a while
+  const openTab = () => {
+    const files = {
+      upload: jest.fn(),
+      listDraftFiles: jest.fn().mockResolvedValue({}),
+    };
+    const drafts = {
+      save: jest.fn(
+        () =>
+          new Promise((resolve) =>
+            setTimeout(() => resolve({ data: record }), 10)
+          )
+      ),
+    };
+    const store = configureStore({
+      record: record,
+      files: { entries: [] },
+      config: {},
+      permissions: {},
+      service: { files: files, drafts: drafts },
+    });
+    stores.push(store);
+    return { store, files };
+  };
+
+  it('it should upload the file requested from two tabs at once from one of them', async () => {
+    const tab1 = openTab();
+    const tab2 = openTab();
+    const file = new File(['x'], 'data.csv');
+
+    const remoteFilenames = await Promise.all([
+      tab1.store.dispatch(uploadFiles(record, [file])),
+      tab2.store.dispatch(uploadFiles(record, [file])),
+    ]);
+
+    const uploadsCount =
+      tab1.files.upload.mock.calls.length + tab2.files.upload.mock.calls.length;
+    expect(uploadsCount).toEqual(1);
+    expect(remoteFilenames.flat()).toEqual(['data.csv']);
+  });
+
+  it('it should close the channel once the uploads are aborted', () => {
+    const { store } = openTab();
+    const [channel] = FakeBroadcastChannel.channels;
+
+    store.dispatch({ type: FILE_UPLOADS_ABORTED });
+
+    expect(channel.isClosed).toBe(true);
+  });
+
+  it('it should remove the listener and close the channel on teardown', () => {
+    const { store } = openTab();
+    const [channel] = FakeBroadcastChannel.channels;
+
+    store.teardown();
+    window.dispatchEvent(
+      Object.assign(new Event('pageshow'), { persisted: true })
+    );
+
+    expect(channel.isClosed).toBe(true);
+    expect(FakeBroadcastChannel.channels).toHaveLength(1);
+  });
+});
+
+describe('draft storage', () => {
+  it('it should remove the local copy once the draft is saved automatically', async () => {
+    const record = { id: 'abcd-1234', links: {} };
+    const draftStorage = {
+      load: () => null,
+      save: jest.fn(),
+      clear: jest.fn(),
+    };
+    const drafts = { save: jest.fn().mockResolvedValue({ data: record }) };
+    const store = configureStore({
+      record: record,
+      config: {},
+      permissions: {},
+      draftStorage: draftStorage,
+      service: { drafts: drafts },
+    });
+
+    await store.dispatch(autosave(record));
+
+    expect(draftStorage.clear).toHaveBeenCalledWith('abcd-1234');
+  });
+
+  const record = {
+    id: 'abcd-1234',
+    revision_id: 3,
+    links: {},
+    metadata: { title: 'A title' },
+  };
+  const localCopy = (revisionId) => ({
+    values: { ...record, metadata: { title: 'Another title' } },
+    // the clock of the browser can be ahead of the one of the server
+    savedAt: '2100-01-01T00:00:00.000Z',
+    revisionId: revisionId,
+  });
+  const createStore = (draftStorage) =>
+    configureStore({
+      record: record,
+      config: {},
+      permissions: {},
+      draftStorage: draftStorage,
+    });
+
+  it('it should offer to restore the local copy of the current revision', () => {
+    const store = createStore({ load: () => localCopy(3) });
+
+    expect(store.getState().deposit.localCopy.changedFields).toEqual([
+      'metadata.title',
+    ]);
+  });
+
+  it('it should not offer to restore the local copy of a previous revision', () => {
+    const store = createStore({ load: () => localCopy(2) });
+
+    expect(store.getState().deposit.localCopy).toBeNull();
+  });
+
+  it('it should store the revision the local copy is based on', () => {
+    const draftStorage = { load: () => null, save: jest.fn() };
+    const store = createStore(draftStorage);
+
+    store.dispatch(saveLocalCopy(localCopy(3).values));
+
+    expect(draftStorage.save).toHaveBeenCalledWith(
+      'abcd-1234',
+      localCopy(3).values,
+      3
+    );
+  });
+});
+
+describe('preloaded files', () => {
+  it('it should resume only the interrupted uploads done in parts', () => {
+    const pendingFile = (key, links) => ({ key: key, links: links });
+    const store = configureStore({
+      record: { id: 'abcd-1234', links: {} },
+      files: {
+        entries: [
+          pendingFile('data.csv', { self: 'data.csv' }),
+          pendingFile('large.csv', {
+            self: 'large.csv',
+            parts: [{ part: 1, url: 'large.csv/parts/1' }],
+          }),
+        ],
+      },
+      config: {},
+      permissions: {},
+      service: { files: { findInterruptedUpload: () => null } },
+    });
+
+    const { entries } = store.getState().files;
+    expect(entries['data.csv']).toMatchObject({
+      isInterrupted: true,
+      isResumable: false,
+    });
+    expect(entries['large.csv']).toMatchObject({
+      isInterrupted: true,
+      isResumable: true,
+    });
+  });
+});
+
+describe('draft conflicts', () => {
+  it('it should merge the changes made since the last automatic save', async () => {
+    const links = { self: '/api/records/abcd-1234/draft' };
+    const loaded = {
+      id: 'abcd-1234',
+      revision_id: 2,
+      links: links,
+      metadata: { title: 'A title', version: 'v1' },
+    };
+    const autosaved = {
+      ...loaded,
+      revision_id: 3,
+      metadata: { title: 'My title', version: 'v1' },
+    };
+    const theirs = {
+      ...autosaved,
+      revision_id: 4,
+      metadata: { title: 'My title', version: 'v2' },
+    };
+    const drafts = {
+      save: jest
+        .fn()
+        .mockResolvedValueOnce({ data: autosaved })
+        .mockRejectedValue(new DepositConflictError('Conflict')),
+      read: jest.fn().mockResolvedValue({ data: theirs }),
+    };
+    const store = configureStore({
+      record: loaded,
+      config: {},
+      permissions: {},
+      service: { drafts: drafts },
+    });
+
+    await store.dispatch(autosave(autosaved));
+    // the title was saved, then the version changed elsewhere while the user
+    // changed the title again
+    const mine = {
+      ...autosaved,
+      metadata: { title: 'My new title', version: 'v1' },
+    };
+    await expect(store.dispatch(save(mine))).rejects.toBeInstanceOf(
+      DepositConflictError
+    );
+
+    const { conflict } = store.getState().deposit;
+    expect(conflict.base).toEqual(autosaved);
+    const diff = diffDrafts(conflict);
+    expect(diff.map(({ fieldPath }) => fieldPath)).toEqual([
+      'metadata.title',
+      'metadata.version',
+    ]);
+    expect(diff.some(({ isConflict }) => isConflict)).toBe(false);
+  });
+});
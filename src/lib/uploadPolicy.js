@@ -0,0 +1,141 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import { i18next } from '@translations/i18next';
+import { UploadState } from './state/reducers/files';
+
+// Rules on the files of a deposit, passed as `config.uploadPolicy`, e.g.:
+//
+//   {
+//     allowedTypes: ['application/pdf', 'image/*', '.csv'],
+//     maxFileSize: 10 ** 9, // bytes
+//     forbiddenNames: ['.DS_Store', 'Thumbs.db'],
+//     minFilesByType: [
+//       { types: ['application/pdf', '.pdf'], count: 1, label: 'PDF' },
+//     ],
+//   }
+//
+// Types are MIME types, optionally with a `*` subtype, or extensions starting
+// with a dot. All the rules are optional.
+
+const basename = (filename) => filename.split('/').pop();
+
+// as displayed in the files list
+const formatSize = (bytes) => {
+  const units = [
+    [1000 ** 3, 'Gb'],
+    [1000 ** 2, 'Mb'],
+    [1000, 'Kb'],
+  ];
+  for (const [unitBytes, unit] of units) {
+    if (bytes >= unitBytes) {
+      return `${(bytes / unitBytes).toFixed(2)} ${unit}`;
+    }
+  }
+  return `${bytes} bytes`;
+};
+
+/**
+ * Returns true if the file matches one of the types. The files of the deposit
+ * have no MIME type: only extensions can match them.
+ */
+export function matchesType(file, types) {
+  const filename = file.name.toLowerCase();
+  return types.some((type) => {
+    type = type.toLowerCase();
+    if (type.startsWith('.')) {
+      return filename.endsWith(type);
+    }
+    const mimeType = (file.type || '').toLowerCase();
+    if (type.endsWith('/*')) {
+      return mimeType.startsWith(type.slice(0, -1));
+    }
+    return mimeType === type;
+  });
+}
+
+const checkFileName = (file, policy) =>
+  (policy.forbiddenNames || []).includes(basename(file.name))
+    ? [i18next.t('this file name is not allowed')]
+    : [];
+
+const checkFileSize = (file, policy) =>
+  policy.maxFileSize && file.size > policy.maxFileSize
+    ? [
+        i18next.t('the file is too big (max. {{maxFileSize}})', {
+          maxFileSize: formatSize(policy.maxFileSize),
+        }),
+      ]
+    : [];
+
+/**
+ * Checks a file to upload against the policy.
+ *
+ * @returns the reasons why the file is rejected, empty when allowed
+ */
+export function checkFileUploadPolicy(file, policy) {
+  if (!policy) {
+    return [];
+  }
+  const reasons = [
+    ...checkFileName(file, policy),
+    ...checkFileSize(file, policy),
+  ];
+  if (policy.allowedTypes && !matchesType(file, policy.allowedTypes)) {
+    reasons.push(
+      i18next.t('this file type is not allowed (allowed: {{allowedTypes}})', {
+        allowedTypes: policy.allowedTypes.join(', '),
+        // displayed as text, the types contain slashes
+        interpolation: { escapeValue: false },
+      })
+    );
+  }
+  return reasons;
+}
+
+/**
+ * Checks the files of the deposit against the policy, before publishing.
+ *
+ * The allowed types are checked when the files are added, as the MIME types
+ * of the deposited files are not known.
+ *
+ * @param {Array<object>} files - the files of the deposit, only the uploaded
+ *   ones count for the minimum number of files
+ *
+ * @returns the error messages, empty when the files are valid
+ */
+export function checkDepositFilesUploadPolicy(files, policy) {
+  if (!policy) {
+    return [];
+  }
+  const errors = [];
+  for (const file of files) {
+    const reasons = [
+      ...checkFileName(file, policy),
+      ...checkFileSize(file, policy),
+    ];
+    if (reasons.length > 0) {
+      errors.push(`${file.name}: ${reasons.join(', ')}`);
+    }
+  }
+  for (const rule of policy.minFilesByType || []) {
+    const count = files.filter(
+      (file) =>
+        (!file.status || file.status === UploadState.finished) &&
+        matchesType(file, rule.types)
+    ).length;
+    if (count < rule.count) {
+      errors.push(
+        i18next.t('At least {{count}} {{label}} file(s) must be uploaded.', {
+          count: rule.count,
+          label: rule.label || rule.types.join(', '),
+        })
+      );
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,78 @@
+// This file is part of React-Invenio-Deposit
+// Copyright (C) 2020-2022 CERN.
+// Copyright (C) 2020-2022 Northwestern University.
+//
+// React-Invenio-Deposit is free software; you can redistribute it and/or modify it
+// under the terms of the MIT License; see LICENSE file for more details.
+
+import {
+  checkDepositFilesUploadPolicy,
+  checkFileUploadPolicy,
+} from './uploadPolicy';
+
+const policy = {
+  allowedTypes: ['application/pdf', 'image/*', '.csv'],
+  maxFileSize: 100,
+  forbiddenNames: ['.DS_Store'],
+  minFilesByType: [{ types: ['.pdf'], count: 1, label: 'PDF' }],
+};
+
+describe('checkFileUploadPolicy', () => {
+  it('it should allow any file without policy', () => {
+    expect(checkFileUploadPolicy({ name: '.DS_Store' }, undefined)).toEqual([]);
+  });
+
+  it('it should allow files matching the policy', () => {
+    const files = [
+      { name: 'paper.pdf', type: 'application/pdf', size: 10 },
+      { name: 'figure.png', type: 'image/png', size: 10 },
+      { name: 'run1/data.CSV', type: '', size: 10 },
+    ];
+    files.forEach((file) =>
+      expect(checkFileUploadPolicy(file, policy)).toEqual([])
+    );
+  });
+
+  it('it should give all the reasons why a file is rejected', () => {
+    const file = { name: 'run1/.DS_Store', type: '', size: 1000 };
+
+    expect(checkFileUploadPolicy(file, policy)).toEqual([
+      'this file name is not allowed',
+      'the file is too big (max. 100 bytes)',
+      'this file type is not allowed (allowed: application/pdf, image/*, .csv)',
+    ]);
+  });
+});
+
+describe('checkDepositFilesUploadPolicy', () => {
+  it('it should require the minimum number of files by type', () => {
+    const files = [{ name: 'data.csv', size: 10 }];
+
+    expect(checkDepositFilesUploadPolicy(files, policy)).toEqual([
+      'At least 1 PDF file(s) must be uploaded.',
+    ]);
+    expect(
+      checkDepositFilesUploadPolicy(
+        [...files, { name: 'paper.pdf', size: 10 }],
+        policy
+      )
+    ).toEqual([]);
+  });
+
+  it('it should not count the files which are not uploaded', () => {
+    const files = [
+      { name: 'paper.pdf', size: 10, status: 'error' },
+      { name: 'draft.pdf', size: 10, status: 'uploading' },
+    ];
+
+    expect(checkDepositFilesUploadPolicy(files, policy)).toEqual([
+      'At least 1 PDF file(s) must be uploaded.',
+    ]);
+    expect(
+      checkDepositFilesUploadPolicy(
+        [...files, { name: 'final.pdf', size: 10, status: 'finished' }],
+        policy
+      )
+    ).toEqual([]);
+  });
+});
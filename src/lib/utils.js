@@ -5,6 +5,8 @@
 // React-Invenio-Deposit is free software; you can redistribute it and/or modify it
 // under the terms of the MIT License; see LICENSE file for more details.
 
+import _isEqual from 'lodash/isEqual';
+
 export function toCapitalCase(str) {
   return str[0].toUpperCase() + str.slice(1);
 }
@@ -14,17 +16,18 @@ export function toCapitalCase(str) {
  * on each.
  *
  * @param {object} obj - generic Object
- * @param {function} func - (leaf) => ... (identity by default)
+ * @param {function} func - (leaf, path) => ... (identity by default), where
+ *   path is the array of keys leading to the leaf
  *
  */
-export function leafTraverse(obj, func = (l) => l) {
+export function leafTraverse(obj, func = (l) => l, path = []) {
   if (typeof obj === 'object') {
     // Objects and Arrays
     for (const key in obj) {
-      leafTraverse(obj[key], func);
+      leafTraverse(obj[key], func, [...path, key]);
     }
   } else {
-    func(obj);
+    func(obj, path);
   }
 }
 
@@ -47,3 +50,41 @@ export function scrollTop() {
     behavior: 'smooth',
   });
 }
+
+/**
+ * Return the paths of the fields that differ between two drafts, e.g.
+ * ['metadata.title', 'access'].
+ *
+ * Only `metadata` is compared one level deeper, the other top level fields are
+ * compared as a whole.
+ *
+ * @param {object} draft - draft in frontend format
+ * @param {object} otherDraft - draft in frontend format
+ * @param {Array<String>} fields - the top level fields to compare
+ * @returns array of Strings (field paths)
+ */
+export function changedFieldPaths(
+  draft,
+  otherDraft,
+  fields = ['metadata', 'access', 'files', 'pids']
+) {
+  const paths = [];
+  for (const field of fields) {
+    const value = draft[field];
+    const otherValue = otherDraft[field];
+    if (field === 'metadata') {
+      const keys = new Set([
+        ...Object.keys(value || {}),
+        ...Object.keys(otherValue || {}),
+      ]);
+      for (const key of keys) {
+        if (!_isEqual(value?.[key], otherValue?.[key])) {
+          paths.push(`metadata.${key}`);
+        }
+      }
+    } else if (!_isEqual(value, otherValue)) {
+      paths.push(field);
+    }
+  }
+  return paths;
+}